@@ -1,15 +1,74 @@
 
 const uArmSDK = require('./src/uarm/sdk');
 const findPort = require('./src/comm/find-port');
-
-const portRegexp = /Arduino/i;
+const discovery = require('./src/comm/discovery');
+const Transport = require('./src/comm/transport');
+const SimulatedCommunication = require('./src/comm/simulated-comm');
+const ReplayCommunication = require('./src/comm/replay-comm');
+const Logger = require('./src/log/logger');
+const { TranscriptRecorder, readTranscript } = require('./src/log/transcript');
+const VirtualUArm = require('./src/sim/virtual-uarm');
+const exceptions = require('./src/uarm/exceptions');
+const kinematics = require('./src/uarm/kinematics');
+const { SafetyEnvelope } = require('./src/uarm/safety');
+const TrajectoryPlanner = require('./src/motion/trajectory-planner');
+const WorkArea = require('./src/motion/work-area');
+const Frame = require('./src/motion/frame');
+const Homography = require('./src/motion/homography');
+const Calibration = require('./src/motion/calibration');
+const PoseStore = require('./src/motion/pose-store');
+const Engraver = require('./src/laser/engraver');
+const PenPlotter = require('./src/drawing/pen-plotter');
+const svg = require('./src/drawing/svg');
+const PickAndPlace = require('./src/tasks/pick-and-place');
+const Pallet = require('./src/tasks/pallet');
+const ProgramRunner = require('./src/program/program-runner');
+const TeachMode = require('./src/program/teach-mode');
+const Sequence = require('./src/program/sequence');
+const JobRunner = require('./src/program/job-runner');
+const { validateJob, parseJob } = require('./src/program/job-schema');
+const BridgeServer = require('./src/server/bridge-server');
+const ArmGroup = require('./src/group/arm-group');
 
 module.exports = {
   uArmSDK,
+  Transport,
+  SimulatedCommunication,
+  ReplayCommunication,
+  VirtualUArm,
+  Logger,
+  TranscriptRecorder,
+  readTranscript,
+  ...exceptions,
+  kinematics,
+  SafetyEnvelope,
+  TrajectoryPlanner,
+  WorkArea,
+  Frame,
+  Homography,
+  Calibration,
+  PoseStore,
+  Engraver,
+  PenPlotter,
+  svg,
+  PickAndPlace,
+  Pallet,
+  ProgramRunner,
+  TeachMode,
+  Sequence,
+  JobRunner,
+  validateJob,
+  parseJob,
+  BridgeServer,
+  ArmGroup,
   findPort: (acceptFn) => {
     if (!acceptFn) {
-      acceptFn = (port) => portRegexp.test(port.manufacturer);
+      acceptFn = findPort.acceptArduino;
     }
     return findPort({ acceptFn });
   },
+  discoverArms: discovery.discoverArms,
+  watchArms: discovery.watchArms,
+  ArmWatcher: discovery.ArmWatcher,
+  findArmByUid: discovery.findArmByUid,
 };
@@ -0,0 +1,452 @@
+const fs = require('fs');
+const uArmSDK = require('../uarm/sdk');
+const SimulatedCommunication = require('../comm/simulated-comm');
+const ReplayCommunication = require('../comm/replay-comm');
+const Logger = require('../log/logger');
+const { discoverArms, findArmByUid } = require('../comm/discovery');
+const { parseValue } = require('../comm/probe');
+const { UArmError } = require('../uarm/exceptions');
+const { POLAR_MODE, CARTESIAN_MODE } = require('../uarm/constants');
+const { startRepl } = require('./repl');
+const jog = require('./jog');
+const BridgeServer = require('../server/bridge-server');
+const Calibration = require('../motion/calibration');
+const JobRunner = require('../program/job-runner');
+const { validateJob, parseJob } = require('../program/job-schema');
+
+const USAGE = `Usage: uarm <command> [arguments] [options]
+
+Commands:
+  list                      List the uArms connected
+  info                      Print device name, versions and UID
+  position                  Print the current position
+  move <x> <y> <z>          Move to a position, in mm
+  pump <on|off>             Turn the pump on or off
+  gripper <close|open>      Close or open the gripper
+  send <gcode>              Send a raw G-code command and print the response
+  repl                      Start an interactive prompt
+  jog                       Jog the arm with the keyboard
+  calibrate <points.json>   Calibrate a frame by jogging to reference points
+  pose list                 List the saved poses
+  pose save <name>          Save the current pose
+  pose go <name>            Move to a saved pose
+  pose delete <name>        Delete a saved pose
+  job validate <file>       Check a JSON or YAML job without running it
+  job run <file>            Run a JSON or YAML job
+  serve                     Serve the arm over HTTP and WebSocket
+
+Options:
+  --port <path>             Serial port to use
+  --uid <uid>               Use the uArm with this UID
+  --sim                     Use a simulated uArm
+  --replay <file>           Play a recorded transcript back instead of using a uArm
+  --transcript <file>       Record every line sent and received to a file
+  --log-level <level>       debug, info, warn, error or silent (info)
+  --timeout <ms>            Time to wait for each response
+  --speed <mm/min>          Speed for move and jog
+  --relative                move: move relative to the current position
+  --wait                    move: wait until the arm has stopped
+  --polar                   position: print polar coordinates
+  --frame <file>            move, position: use the frame of a calibration file
+  --output <file>           calibrate: file to save to (calibration.json)
+  --teach                   calibrate: move the arm by hand, pressing a button
+  --poses <file>            pose: file the poses are kept in (poses.json)
+  --per-arm                 pose: keep poses for each arm, by UID
+  --via <names>             pose go: poses to pass through, comma separated
+  --params <a=1,b=2>        job run: values of the job parameters
+  --checkpoint <file>       job run: where a failed step is saved (<file>.checkpoint.json)
+  --resume                  job run: resume at the step saved in the checkpoint
+  --scale                   calibrate: fit the scale of the frame too
+  --listen <port>           serve: port to listen on (8080)
+  --host <host>             serve: host to listen on (127.0.0.1, 0.0.0.0 for all interfaces)
+  --all                     list: probe every serial port, not only Arduinos
+  --json                    Print results as JSON
+  --help                    Print this help`;
+
+const FLAGS = ['sim', 'relative', 'wait', 'polar', 'teach', 'scale', 'per-arm', 'resume', 'all', 'json', 'help'];
+
+/**
+ * Parse command line arguments. Options start with '--', so negative numbers
+ * are arguments.
+ * @param {string[]} argv - The arguments, without node and the script.
+ * @returns {Object} - {command, args, options}
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const [name, value] = arg.slice(2).split('=');
+    if (value !== undefined) {
+      options[name] = value;
+    } else if (FLAGS.indexOf(name) !== -1) {
+      options[name] = true;
+    } else {
+      options[name] = argv[++i];
+    }
+  }
+  return { command: args.shift(), args, options };
+}
+
+// 'on', 'true', '1' and 'close' -> true, 'off', 'false', '0' and 'open' -> false.
+function parseSwitch(value, name) {
+  if (['on', 'true', '1', 'close'].indexOf(value) !== -1) {
+    return true;
+  }
+  if (['off', 'false', '0', 'open'].indexOf(value) !== -1) {
+    return false;
+  }
+  throw new TypeError(`${name} takes on or off, got '${value}'`);
+}
+
+function parseNumbers(values, names) {
+  return names.map((name, index) => {
+    const number = Number(values[index]);
+    if (values[index] === undefined || isNaN(number)) {
+      throw new TypeError(`${name} must be a number, got '${values[index]}'`);
+    }
+    return number;
+  });
+}
+
+/**
+ * Connect to the uArm picked by the options: a simulated one, a replayed
+ * transcript, the one on `--port`, the one with `--uid` or else the first one
+ * found.
+ * @param {Object} options - Parsed options.
+ * @returns {Promise} - A promise that will be resolved with an open uArmSDK.
+ */
+function connect(options) {
+  const sdkOptions = {
+    timeout: options.timeout === undefined ? undefined : Number(options.timeout),
+    defaultSpeed: options.speed === undefined ? undefined : Number(options.speed),
+    logger: new Logger({ level: options['log-level'] || 'info' }),
+    transcript: options.transcript,
+    poses: { path: options.poses || 'poses.json', perArm: Boolean(options['per-arm']) },
+  };
+  let creating;
+  if (options.sim) {
+    const transport = new SimulatedCommunication({ logger: sdkOptions.logger });
+    creating = Promise.resolve(new uArmSDK(Object.assign({ transport }, sdkOptions)));
+  } else if (options.replay) {
+    creating = ReplayCommunication.fromFile(options.replay)
+      .then(transport => new uArmSDK(Object.assign({ transport }, sdkOptions)));
+  } else if (options.port) {
+    creating = Promise.resolve(new uArmSDK(Object.assign({ port: { comName: options.port }, autoOpen: false }, sdkOptions)));
+  } else if (options.uid) {
+    creating = findArmByUid(options.uid)
+      .then(transport => new uArmSDK(Object.assign({ transport }, sdkOptions)));
+  } else {
+    creating = discoverArms().then((arms) => {
+      if (arms.length === 0) {
+        throw new UArmError('No uArm found, pass --port or --uid.', { code: 'PORT_NOT_FOUND' });
+      }
+      return new uArmSDK(Object.assign({ port: arms[0].port, autoOpen: false }, sdkOptions));
+    });
+  }
+  return creating.then(uarm => uarm.open().then(() => uarm));
+}
+
+// The frame of the calibration file passed with --frame, null without.
+function loadFrame(options) {
+  return options.frame ? Calibration.load(options.frame).then(calibration => calibration.frame) : Promise.resolve(null);
+}
+
+function readPoints(path) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(path, 'utf8', (error, json) => {
+      if (error) {
+        return reject(error);
+      }
+      try {
+        const data = JSON.parse(json);
+        resolve(Array.isArray(data) ? { points: data } : data);
+      } catch (parseError) {
+        reject(parseError);
+      }
+    });
+  });
+}
+
+function readJson(path) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(path, 'utf8', (error, json) => {
+      if (error) {
+        return reject(error);
+      }
+      try {
+        resolve(JSON.parse(json));
+      } catch (parseError) {
+        reject(parseError);
+      }
+    });
+  });
+}
+
+// 'count=3,tray=A' -> {count: 3, tray: 'A'}
+function parseParams(text) {
+  const params = {};
+  (text || '').split(',').filter(Boolean).forEach((pair) => {
+    const [name, value = ''] = pair.split('=');
+    if (value === 'true' || value === 'false') {
+      params[name] = value === 'true';
+    } else {
+      params[name] = value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    }
+  });
+  return params;
+}
+
+// Check a job file, without a uArm. Resolves with the exit code.
+function validateJobFile(path, options) {
+  if (!path) {
+    return Promise.reject(new TypeError('job validate needs a JSON or YAML job file.'));
+  }
+  return new Promise((resolve, reject) => {
+    fs.readFile(path, 'utf8', (error, text) => error ? reject(error) : resolve(text));
+  }).then((text) => {
+    const errors = validateJob(parseJob(text, /\.ya?ml$/i.test(path) ? 'yaml' : undefined));
+    if (options.json) {
+      print({ valid: errors.length === 0, errors }, options);
+    } else {
+      print(errors.length === 0 ?
+        `${path} is valid.` :
+        errors.map(({ path: stepPath, message }) => `${stepPath}: ${message}`).join('\n'), options);
+    }
+    return errors.length === 0 ? 0 : 1;
+  });
+}
+
+function sendRaw(uarm, command) {
+  return new Promise((resolve, reject) => {
+    uarm.sendGCode(command, (error, data) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(data);
+    });
+  });
+}
+
+// Commands run against a connected uArm. Each returns what to print, if anything.
+const COMMANDS = {
+  info(uarm) {
+    return Promise.all([
+      uarm.getDeviceName(),
+      uarm.getHardwareVersion(),
+      uarm.getSoftwareVersion(),
+      uarm.getAPIVersion(),
+      uarm.getUid(),
+    ]).then(values => {
+      const [deviceName, hardwareVersion, softwareVersion, apiVersion, uid] = values.map(parseValue);
+      return { deviceName, hardwareVersion, softwareVersion, apiVersion, uid };
+    });
+  },
+  position(uarm, args, options) {
+    return loadFrame(options)
+      .then(frame => uarm.getPosition(options.polar ? POLAR_MODE : CARTESIAN_MODE, { frame }))
+      .then(position => options.json ? position : Object.keys(position)
+        .map(axis => `${axis.toUpperCase()}${position[axis]}`).join(' '));
+  },
+  move(uarm, args, options) {
+    const [x, y, z] = parseNumbers(args, ['x', 'y', 'z']);
+    const speed = options.speed === undefined ? undefined : Number(options.speed);
+    return loadFrame(options).then((frame) => {
+      const moveOptions = { waitForCompletion: Boolean(options.wait), frame };
+      return options.relative ?
+        uarm.moveRelative(x, y, z, speed, moveOptions) :
+        uarm.move(x, y, z, speed, moveOptions);
+    });
+  },
+  pump(uarm, args) {
+    return uarm.setPump(parseSwitch(args[0], 'pump'));
+  },
+  gripper(uarm, args) {
+    return uarm.setGripper(parseSwitch(args[0], 'gripper'));
+  },
+  send(uarm, args) {
+    if (args.length === 0) {
+      throw new TypeError('send needs a G-code command, e.g. uarm send P2220');
+    }
+    return sendRaw(uarm, args.join(' '));
+  },
+  repl(uarm) {
+    return startRepl(uarm);
+  },
+  jog(uarm, args, options) {
+    if (!process.stdin.isTTY) {
+      throw new UArmError('jog needs a terminal.', { code: 'NO_TERMINAL' });
+    }
+    return jog(uarm, { speed: options.speed === undefined ? undefined : Number(options.speed) });
+  },
+  calibrate(uarm, args, options) {
+    if (args.length === 0) {
+      throw new TypeError('calibrate needs a JSON file with the reference points, e.g. [{"name": "A", "x": 0, "y": 0}, ...]');
+    }
+    if (!options.teach && !process.stdin.isTTY) {
+      throw new UArmError('calibrate needs a terminal to jog, or --teach.', { code: 'NO_TERMINAL' });
+    }
+    const output = options.output || 'calibration.json';
+    const speed = options.speed === undefined ? undefined : Number(options.speed);
+    return readPoints(args[0]).then((data) => {
+      const calibration = new Calibration(uarm, { name: data.name, points: data.points, scale: Boolean(options.scale) });
+      const describe = point => `'${point.name}' (X${point.x} Y${point.y} Z${point.z})`;
+      calibration.on('captured', ({ point: { base } }) => console.log(`Captured at X${base.x} Y${base.y} Z${base.z}`));
+      if (options.teach) {
+        console.log('Move the arm by hand to each point and press a button on the base:');
+        calibration.points.forEach(point => console.log(`  ${describe(point)}`));
+      }
+      const reach = options.teach ? undefined : (point) => {
+        console.log(`Jog to ${describe(point)}, then press Q.`);
+        return jog(uarm, { speed });
+      };
+      return calibration.run({ reach });
+    }).then(result => Calibration.save(result, output).then(() => {
+      const homography = result.homography ? `, homography error ${result.homographyError.toFixed(2)}` : '';
+      return `Saved frame '${result.name}' to ${output}, error ${result.error.toFixed(2)} mm${homography}.`;
+    }));
+  },
+  pose(uarm, args, options) {
+    const [action, name] = args;
+    const describe = ({ name: poseName, position: { x, y, z }, wrist }) => `${poseName}\tX${x} Y${y} Z${z} wrist ${wrist}`;
+    if (action === 'list') {
+      return uarm.listPoses().then(poses => options.json ? poses : poses.map(describe).join('\n') || 'No poses saved.');
+    }
+    if (['save', 'go', 'delete'].indexOf(action) === -1 || !name) {
+      throw new TypeError('pose takes list, save <name>, go <name> or delete <name>.');
+    }
+    if (action === 'save') {
+      return uarm.savePose(name).then(pose => options.json ? pose : `Saved ${describe(pose)}`);
+    }
+    if (action === 'delete') {
+      return uarm.deletePose(name).then(deleted => deleted ? `Deleted pose '${name}'.` : `No pose named '${name}'.`);
+    }
+    return uarm.moveToPose(name, {
+      via: options.via ? options.via.split(',') : [],
+      speed: options.speed === undefined ? undefined : Number(options.speed),
+      waitForCompletion: Boolean(options.wait),
+    }).then(() => undefined);
+  },
+  job(uarm, args, options) {
+    const [action, path] = args;
+    if (action !== 'run' || !path) {
+      throw new TypeError('job takes validate <file> or run <file>.');
+    }
+    const runner = new JobRunner(uarm);
+    const checkpointPath = options.checkpoint || `${path}.checkpoint.json`;
+    runner.on('step', ({ path: stepPath, type, step }) => console.log(`${stepPath} ${step.name || type}`));
+    return runner.loadFile(path)
+      .then(() => options.resume ? readJson(checkpointPath) : null)
+      .then(from => runner.run({ parameters: options.params ? parseParams(options.params) : undefined, from }))
+      .then(() => {
+        if (options.resume) {
+          fs.unlink(checkpointPath, () => {});
+        }
+        return `Job ${runner.job.name ? `'${runner.job.name}' ` : ''}done.`;
+      }, (error) => {
+        if (!error.checkpoint) {
+          throw error;
+        }
+        return new Promise((resolve) => {
+          fs.writeFile(checkpointPath, JSON.stringify(error.checkpoint, null, 2), 'utf8', resolve);
+        }).then(() => {
+          error.message += `\nSaved the failed step to ${checkpointPath}, run again with --resume to retry it.`;
+          throw error;
+        });
+      });
+  },
+  serve(uarm, args, options) {
+    const server = new BridgeServer(uarm);
+    const port = options.listen === undefined ? 8080 : Number(options.listen);
+    return server.listen(port, options.host).then(({ address, port: listening }) => {
+      console.log(`Serving uArm on http://${address}:${listening}, press Ctrl+C to stop.`);
+      return new Promise(resolve => process.once('SIGINT', resolve));
+    }).then(() => server.close());
+  },
+};
+
+function list(options) {
+  return discoverArms(options.all ? { acceptFn: () => true } : {}).then((arms) => {
+    if (options.json) {
+      return arms.map(arm => Object.assign({}, arm, { port: undefined }));
+    }
+    if (arms.length === 0) {
+      return 'No uArm found.';
+    }
+    return arms.map(arm => `${arm.path}\t${arm.uid}\t${arm.deviceName}\t${arm.softwareVersion}`).join('\n');
+  });
+}
+
+function print(result, options) {
+  if (result === undefined) {
+    return;
+  }
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (typeof result === 'object') {
+    Object.keys(result).forEach(key => console.log(`${key}: ${result[key]}`));
+  } else {
+    console.log(result);
+  }
+}
+
+/**
+ * Run the uarm command line tool.
+ * @param {string[]} argv - The arguments, without node and the script.
+ * @returns {Promise} - A promise that will be resolved with the exit code.
+ */
+function run(argv) {
+  const { command, args, options } = parseArgs(argv);
+  if (!command || options.help) {
+    console.log(USAGE);
+    return Promise.resolve(command || options.help ? 0 : 1);
+  }
+  if (command !== 'list' && !COMMANDS[command]) {
+    console.error(`Unknown command '${command}'.\n\n${USAGE}`);
+    return Promise.resolve(1);
+  }
+  if (command === 'job' && args[0] === 'validate') {
+    return validateJobFile(args[1], options)
+      .catch((error) => {
+        console.error(`${error.name}: ${error.message}`);
+        return 1;
+      });
+  }
+  if (command === 'list') {
+    return list(options)
+      .then((result) => {
+        print(result, options);
+        return 0;
+      })
+      .catch((error) => {
+        console.error(`${error.name}: ${error.message}`);
+        return 1;
+      });
+  }
+  let uarm = null;
+  return Promise.resolve()
+    .then(() => connect(options))
+    .then((connected) => {
+      uarm = connected;
+      return COMMANDS[command](uarm, args, options);
+    })
+    .then((result) => {
+      print(result, options);
+      return 0;
+    }, (error) => {
+      console.error(`${error.name}: ${error.message}`);
+      return 1;
+    })
+    .then(code => (uarm ? uarm.close().catch(() => {}) : Promise.resolve())
+      .then(() => uarm && uarm.transcript ? uarm.transcript.close() : null)
+      .then(() => code));
+}
+
+module.exports = {
+  run,
+  parseArgs,
+};
@@ -0,0 +1,98 @@
+const readline = require('readline');
+
+const STEPS_DEFAULT = [0.1, 1, 5, 10]; // mm
+
+// Key name -> [dx, dy, dz] in steps.
+const JOG_KEYS = {
+  up: [1, 0, 0],
+  down: [-1, 0, 0],
+  left: [0, 1, 0],
+  right: [0, -1, 0],
+  w: [0, 0, 1],
+  pageup: [0, 0, 1],
+  s: [0, 0, -1],
+  pagedown: [0, 0, -1],
+};
+
+const HELP = `Jog mode:
+  Up/Down       X +/-
+  Left/Right    Y +/-
+  W/S, PgUp/Dn  Z +/-
+  1-9           Select step size
+  +/-           Larger/smaller step
+  Space         Toggle pump
+  G             Toggle gripper
+  P             Print position
+  Q, Esc        Leave jog mode`;
+
+/**
+ * Jog the arm with the keyboard, moving it with moveRelative().
+ * @param {uArmSDK} uarm - The uArm to jog.
+ * @param {Object} options
+ * @param {ReadableStream} options.input - Where to read keys from, a TTY.
+ * @param {WritableStream} options.output - Where to print to.
+ * @param {number[]} options.steps - Step sizes in mm to choose between.
+ * @param {number} options.speed - Speed in mm/min.
+ * @returns {Promise} - A promise that will be resolved when jog mode is left.
+ */
+function jog(uarm, { input = process.stdin, output = process.stdout, steps = STEPS_DEFAULT, speed } = {}) {
+  return new Promise((resolve) => {
+    let stepIndex = Math.min(1, steps.length - 1);
+    let pump = false;
+    let gripper = false;
+    const print = (text) => output.write(`${text}\n`);
+    const report = (promise) => promise.catch(error => print(`${error.name}: ${error.message}`));
+    const printStep = () => print(`Step ${steps[stepIndex]} mm`);
+
+    const onKeypress = (str, key = {}) => {
+      const name = key.name || str;
+      if (name === 'q' || name === 'escape' || (key.ctrl && name === 'c')) {
+        return finish();
+      }
+      if (JOG_KEYS[name]) {
+        const step = steps[stepIndex];
+        const [dx, dy, dz] = JOG_KEYS[name].map(direction => direction * step);
+        return report(uarm.moveRelative(dx, dy, dz, speed));
+      }
+      if (/^[1-9]$/.test(str) && Number(str) <= steps.length) {
+        stepIndex = Number(str) - 1;
+        return printStep();
+      }
+      if (str === '+' || str === '-') {
+        stepIndex = Math.max(0, Math.min(steps.length - 1, stepIndex + (str === '+' ? 1 : -1)));
+        return printStep();
+      }
+      if (name === 'space') {
+        pump = !pump;
+        return report(uarm.setPump(pump).then(() => print(`Pump ${pump ? 'on' : 'off'}`)));
+      }
+      if (name === 'g') {
+        gripper = !gripper;
+        return report(uarm.setGripper(gripper).then(() => print(`Gripper ${gripper ? 'closed' : 'open'}`)));
+      }
+      if (name === 'p') {
+        return report(uarm.getPosition().then(({ x, y, z }) => print(`X${x} Y${y} Z${z}`)));
+      }
+    };
+
+    const finish = () => {
+      input.removeListener('keypress', onKeypress);
+      if (input.isTTY) {
+        input.setRawMode(false);
+      }
+      input.pause();
+      resolve();
+    };
+
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) {
+      input.setRawMode(true);
+    }
+    input.on('keypress', onKeypress);
+    input.resume();
+    print(HELP);
+    printStep();
+  });
+}
+
+module.exports = jog;
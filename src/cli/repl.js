@@ -0,0 +1,156 @@
+const readline = require('readline');
+const util = require('util');
+const { UArmError } = require('../uarm/exceptions');
+const jog = require('./jog');
+
+// The uArmSDK methods the REPL offers. Methods the SDK only uses itself are left
+// out, so a new SDK method is only offered once it is added here.
+const SDK_METHODS = [
+  'attachServos', 'buzz', 'clearQueue', 'close', 'delay', 'deletePose', 'detachServos',
+  'emergencyStop', 'getAPIVersion', 'getAnalogValue', 'getCurrentMode', 'getDeviceName',
+  'getDigitalValue', 'getFrame', 'getGripperStatus', 'getHardwareVersion', 'getJointsAngle',
+  'getLimitSwitchStatus', 'getPose', 'getPosition', 'getPowerStatus', 'getPumpStatus',
+  'getServoAngle', 'getSoftwareVersion', 'getUid', 'isMoving', 'listPoses', 'move', 'moveMotor',
+  'movePolar', 'movePolarRelative', 'moveRelative', 'moveToPose', 'open', 'resetEmergencyStop',
+  'savePose', 'sendGCode', 'sequence', 'setButtonFunction', 'setDigitalValue', 'setFrame',
+  'setGripper', 'setLaser', 'setMode', 'setPositionReporting', 'setPump', 'setSafety', 'setWrist',
+  'waitForInput', 'waitUntilStopped',
+];
+const REPL_COMMANDS = ['help', 'jog', 'exit'];
+const GCODE_REGEXP = /^[GMP]\d+/i;
+
+/**
+ * Names of the uArmSDK methods that can be called from the REPL.
+ * @returns {string[]}
+ */
+function sdkMethods() {
+  return SDK_METHODS.slice();
+}
+
+// '200' -> 200, 'true' -> true, '{"a":1}' -> {a: 1}, anything else as is.
+function parseArgument(text) {
+  if (text !== '' && !isNaN(Number(text))) {
+    return Number(text);
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (/^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+function sendRaw(uarm, command) {
+  return new Promise((resolve, reject) => {
+    uarm.sendGCode(command, (error, data) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Interactive prompt for a uArm. Each line is either a uArmSDK method with its
+ * arguments separated by spaces, e.g. `move 200 0 100`, or raw G-code, e.g.
+ * `P2220`. Method names are completed with Tab.
+ * @param {uArmSDK} uarm - The uArm.
+ * @param {Object} options
+ * @param {ReadableStream} options.input - Where to read lines from.
+ * @param {WritableStream} options.output - Where to print to.
+ * @param {Object} options.jogOptions - Options for jog mode, see jog().
+ * @returns {Promise} - A promise that will be resolved when the REPL is exited.
+ */
+function startRepl(uarm, { input = process.stdin, output = process.stdout, jogOptions = {} } = {}) {
+  const methods = sdkMethods();
+  const completions = REPL_COMMANDS.concat(methods);
+  const print = (text) => output.write(`${text}\n`);
+  const completer = (line) => {
+    if (/\s/.test(line)) {
+      return [[], line];
+    }
+    const hits = completions.filter(name => name.startsWith(line));
+    return [hits.length > 0 ? hits : completions, line];
+  };
+
+  const evaluate = (line) => {
+    if (GCODE_REGEXP.test(line)) {
+      return sendRaw(uarm, line);
+    }
+    const [name, ...args] = line.split(/\s+/);
+    if (methods.indexOf(name) === -1) {
+      return Promise.reject(new UArmError(`Unknown method '${name}', type 'help' to list them.`, { code: 'UNKNOWN_METHOD' }));
+    }
+    return Promise.resolve().then(() => uarm[name](...args.map(parseArgument)));
+  };
+
+  return new Promise((resolve) => {
+    let history = [];
+    const prompt = () => {
+      const rl = readline.createInterface({
+        input,
+        output,
+        completer,
+        prompt: 'uarm> ',
+        terminal: Boolean(output.isTTY),
+      });
+      rl.history = history;
+      let handover = false; // Set when closing to hand the input over to jog mode.
+      let pending = Promise.resolve(); // Lines are handled one at a time.
+      let closed = false;
+      let done = false; // Set by exit or jog, later lines are ignored.
+      const showPrompt = () => closed || rl.prompt();
+      const handleLine = (line) => {
+        if (done) {
+          return;
+        }
+        if (line === '') {
+          return showPrompt();
+        }
+        if (line === 'exit' || line === 'quit') {
+          done = true;
+          return rl.close();
+        }
+        if (line === 'help') {
+          print(`Methods: ${methods.join(', ')}`);
+          print('Raw G-code (e.g. P2220) is sent as is. Type jog for jog mode, exit to quit.');
+          return showPrompt();
+        }
+        if (line === 'jog') {
+          done = true;
+          handover = true;
+          history = rl.history;
+          rl.close();
+          return jog(uarm, Object.assign({ input, output }, jogOptions)).then(prompt);
+        }
+        return evaluate(line)
+          .then((result) => print(result === undefined ? 'ok' : util.inspect(result, { colors: Boolean(output.isTTY) })))
+          .catch((error) => print(`${error.name}: ${error.message}`))
+          .then(showPrompt);
+      };
+      rl.on('line', (text) => {
+        pending = pending.then(() => handleLine(text.trim()));
+      });
+      rl.on('close', () => {
+        closed = true;
+        if (!handover) {
+          pending.then(resolve);
+        }
+      });
+      rl.prompt();
+    };
+    prompt();
+  });
+}
+
+module.exports = {
+  startRepl,
+  sdkMethods,
+  parseArgument,
+};
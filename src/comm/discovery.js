@@ -0,0 +1,289 @@
+const EventEmitter = require('events');
+const { UArmError, CommandTimeoutError } = require('../uarm/exceptions');
+const { openTransport, query, parseValue } = require('./probe');
+const { acceptArduino } = require('./find-port');
+const Logger = require('../log/logger');
+
+const DISCOVERY_BAUD_RATE = 115200;
+const WATCH_INTERVAL_DEFAULT = 2000; // ms
+
+// Ports without a uArm are expected while probing, their output isn't logged.
+const silentLogger = new Logger({ level: 'silent' });
+
+function listSerialPorts() {
+  return new Promise((resolve) => {
+    // Required here so serialport is only loaded when actually used.
+    const SerialPort = require('serialport');
+    resolve(SerialPort.list());
+  });
+}
+
+function createSerialTransport(port, { baudRate, logger }) {
+  const SerialCommunication = require('./serial-comm');
+  return new SerialCommunication({ path: port.comName, baudRate, autoOpen: false, logger });
+}
+
+/**
+ * Open a port and check that a uArm answers on it: wait for the ready banner (@1)
+ * and ask for its device name, versions and UID.
+ * @param {Object} port - The port, as listed by serialport.
+ * @param {Object} options
+ * @param {number} options.baudRate - Baud rate of the port.
+ * @param {number} options.timeout - Time in ms to wait for the uArm to get ready.
+ * @param {Logger} options.logger - Logger of the transport. Logs nothing by default.
+ * @param {Function} options.createTransport - Called with the port and
+ * {baudRate, logger}, returns the Transport to open, not opened yet. Defaults to
+ * a SerialCommunication.
+ * @returns {Promise} - A promise that will be resolved with {transport, arm}, where
+ * transport is the open transport and arm is
+ * {path, port, deviceName, hardwareVersion, softwareVersion, uid}.
+ */
+function openArm(port, {
+  baudRate = DISCOVERY_BAUD_RATE,
+  timeout,
+  logger = silentLogger,
+  createTransport = createSerialTransport,
+} = {}) {
+  let transport;
+  return Promise.resolve()
+    .then(() => {
+      transport = createTransport(port, { baudRate, logger });
+      return openTransport(transport, { timeout });
+    })
+    .then(() => Promise.all(['P2201', 'P2202', 'P2203', 'P2205'].map(command => query(transport, command))))
+    .then(([deviceName, hardwareVersion, softwareVersion, uid]) => ({
+      transport,
+      arm: {
+        path: port.comName,
+        port,
+        deviceName: parseValue(deviceName),
+        hardwareVersion: parseValue(hardwareVersion),
+        softwareVersion: parseValue(softwareVersion),
+        uid: parseValue(uid),
+      },
+    }))
+    .catch((error) => {
+      const closing = transport ? transport.close().catch(() => {}) : Promise.resolve();
+      return closing.then(() => {
+        throw error;
+      });
+    });
+}
+
+/**
+ * Check whether a uArm answers on a port, see openArm(). The port is closed again.
+ * @param {Object} port - The port, as listed by serialport.
+ * @param {Object} options - See openArm().
+ * @returns {Promise} - A promise that will be resolved with the arm, or null if no
+ * uArm answered.
+ */
+function probeArm(port, options) {
+  return openArm(port, options)
+    .then(({ transport, arm }) => transport.close().catch(() => {}).then(() => arm))
+    .catch(() => null);
+}
+
+/**
+ * Find every uArm connected, by probing each accepted serial port for a uArm.
+ * Ports are probed one at a time.
+ * @param {Object} options
+ * @param {Function} options.acceptFn - Called with each port, returns whether to
+ * probe it. Defaults to Arduino ports.
+ * @param {number} options.baudRate - Baud rate of the ports.
+ * @param {number} options.timeout - Time in ms to wait for each port to get ready.
+ * @param {Logger} options.logger - Logger of the transports. Logs nothing by default.
+ * @param {Function} options.listPorts - Returns a promise of the ports, like
+ * SerialPort.list(), which it defaults to.
+ * @param {Function} options.createTransport - See openArm().
+ * @returns {Promise} - A promise that will be resolved with the arms found, see
+ * openArm().
+ */
+function discoverArms({ acceptFn = acceptArduino, listPorts = listSerialPorts, baudRate, timeout, logger, createTransport } = {}) {
+  return listPorts().then((ports) => {
+    const arms = [];
+    return ports.filter(acceptFn)
+      .reduce((previous, port) => previous
+        .then(() => probeArm(port, { baudRate, timeout, logger, createTransport }))
+        .then((arm) => {
+          if (arm) {
+            arms.push(arm);
+          }
+        }), Promise.resolve())
+      .then(() => arms);
+  });
+}
+
+/**
+ * Find the uArm with a given UID among the accepted serial ports, e.g. after it
+ * has been plugged in again and may have got another port.
+ * @param {string} uid - The UID, as returned by getUid() without 'ok V'.
+ * @param {Object} options - See discoverArms().
+ * @returns {Promise} - A promise that will be resolved with an open transport to
+ * the uArm.
+ */
+function findArmByUid(uid, { acceptFn = acceptArduino, listPorts = listSerialPorts, baudRate, timeout, logger, createTransport } = {}) {
+  return listPorts().then((ports) => {
+    const candidates = ports.filter(acceptFn);
+    const tryPort = (index) => {
+      if (index >= candidates.length) {
+        return Promise.reject(new UArmError(`No uArm with UID ${uid} found.`, { code: 'PORT_NOT_FOUND' }));
+      }
+      return openArm(candidates[index], { baudRate, timeout, logger, createTransport })
+        .then(({ transport, arm }) => {
+          if (!uid || arm.uid === uid) {
+            return transport;
+          }
+          return transport.close().catch(() => {}).then(() => tryPort(index + 1));
+        }, () => tryPort(index + 1));
+    };
+    return tryPort(0);
+  });
+}
+
+/**
+ * Watches the serial ports for uArms being plugged in and removed.
+ *
+ * New ports are probed with probeArm(). Emits 'attached' (arm) when a uArm is
+ * found and 'detached' (arm) when its port is gone. Errors listing the ports are
+ * emitted as 'error', if anyone listens.
+ */
+class ArmWatcher extends EventEmitter {
+  /**
+   * @param {Object} options - See discoverArms(). Also takes:
+   * @param {number} options.interval - Time in ms between checks of the ports.
+   */
+  constructor({
+    interval = WATCH_INTERVAL_DEFAULT,
+    acceptFn = acceptArduino,
+    listPorts = listSerialPorts,
+    baudRate,
+    timeout,
+    logger,
+    createTransport,
+  } = {}) {
+    super();
+    this.interval = interval;
+    this.acceptFn = acceptFn;
+    this.listPorts = listPorts;
+    this.probeOptions = { baudRate, timeout, logger, createTransport };
+    this.armsByPath = {};
+    this.seenPaths = {}; // Every port path checked, uArm or not.
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Arms connected right now.
+   */
+  get arms() {
+    return Object.keys(this.armsByPath).map(path => this.armsByPath[path]);
+  }
+
+  /**
+   * Start watching. Arms connected already are emitted as 'attached' too.
+   * @returns {ArmWatcher} - this, for chaining.
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.scan();
+    }
+    return this;
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Wait for the uArm with a given UID to be connected.
+   * @param {string} uid - The UID.
+   * @param {Object} options
+   * @param {number} options.timeout - Time in ms to wait before rejecting with a
+   * CommandTimeoutError. 0 waits forever.
+   * @returns {Promise} - A promise that will be resolved with the arm.
+   */
+  waitFor(uid, { timeout = 0 } = {}) {
+    const connected = this.arms.find(arm => arm.uid === uid);
+    if (connected) {
+      return Promise.resolve(connected);
+    }
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAttached = (arm) => {
+        if (arm.uid === uid) {
+          clearTimeout(timer);
+          this.removeListener('attached', onAttached);
+          resolve(arm);
+        }
+      };
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this.removeListener('attached', onAttached);
+          reject(new CommandTimeoutError({ command: `waitFor ${uid}`, timeout }));
+        }, timeout);
+      }
+      this.on('attached', onAttached);
+    });
+  }
+
+  scan() {
+    this.listPorts()
+      .then((ports) => {
+        const accepted = ports.filter(this.acceptFn);
+        const paths = accepted.map(port => port.comName);
+        Object.keys(this.seenPaths)
+          .filter(path => paths.indexOf(path) === -1)
+          .forEach((path) => {
+            const arm = this.armsByPath[path];
+            delete this.seenPaths[path];
+            delete this.armsByPath[path];
+            if (arm) {
+              this.emit('detached', arm);
+            }
+          });
+        const added = accepted.filter(port => !this.seenPaths[port.comName]);
+        added.forEach((port) => {
+          this.seenPaths[port.comName] = true;
+        });
+        return added.reduce((previous, port) => previous
+          .then(() => this.running ? probeArm(port, this.probeOptions) : null)
+          .then((arm) => {
+            if (arm && this.seenPaths[port.comName]) {
+              this.armsByPath[port.comName] = arm;
+              this.emit('attached', arm);
+            }
+          }), Promise.resolve());
+      })
+      .catch((error) => {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      })
+      .then(() => {
+        if (this.running) {
+          this.timer = setTimeout(() => this.scan(), this.interval);
+        }
+      });
+  }
+}
+
+/**
+ * Start watching the serial ports for uArms, see ArmWatcher.
+ * @param {Object} options - See ArmWatcher.
+ * @returns {ArmWatcher}
+ */
+function watchArms(options) {
+  return new ArmWatcher(options).start();
+}
+
+module.exports = {
+  openArm,
+  probeArm,
+  discoverArms,
+  findArmByUid,
+  ArmWatcher,
+  watchArms,
+};
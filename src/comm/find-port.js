@@ -1,20 +1,25 @@
-const SerialPort = require('serialport');
+const { UArmError } = require('../uarm/exceptions');
+
+const portRegexp = /Arduino/i;
+
+// The uArm Swift Pro shows up as an Arduino.
+function acceptArduino(port) {
+  return portRegexp.test(port.manufacturer);
+}
 
 function findPort({ acceptFn }) {
   return new Promise((resolve, reject) => {
     if (!acceptFn || typeof acceptFn !== 'function') {
-      return reject('Argument acceptFn is either missing or is not a function.');
+      return reject(new TypeError('Argument acceptFn is either missing or is not a function.'));
     }
+    // Required here so serialport is only loaded when actually used.
+    const SerialPort = require('serialport');
     SerialPort.list().then((ports) => {
-      const uarmPort = ports.find((port) => {
-        if (acceptFn(port)) {
-          console.log(`💪  Found UARM serialport: ${port.comName}`);
-          return port;
-        }
-      });
-
+      const uarmPort = ports.find(acceptFn);
       if (!uarmPort) {
-        return reject(`😔  No Acceptable Port Found:\n${ports.map((port) => `${port.comName}\n`)}`);
+        return reject(new UArmError(`No acceptable port found among:\n${ports.map(port => port.comName).join('\n')}`, {
+          code: 'PORT_NOT_FOUND',
+        }));
       }
       resolve(uarmPort);
     }).catch(err => reject(err));
@@ -22,3 +27,4 @@ function findPort({ acceptFn }) {
 }
 
 module.exports = findPort;
+module.exports.acceptArduino = acceptArduino;
@@ -0,0 +1,111 @@
+const {
+  MESSAGE_GCODE_SEND_PREFIX,
+  MESSAGE_GCODE_RECEIVE_PREFIX,
+  MESSAGE_ERROR_PREFIX,
+} = require('../uarm/constants');
+const { UArmError, CommandTimeoutError, firmwareError } = require('../uarm/exceptions');
+
+/**
+ * Helpers for talking to a transport that isn't attached to a uArmSDK, e.g. to
+ * check which arm is on a port before using it.
+ */
+
+let probeMessageId = 1;
+
+/**
+ * Open a transport and wait for the uArm to be ready.
+ * @param {Transport} transport - The transport to open.
+ * @param {Object} options
+ * @param {number} options.timeout - Time in ms to wait before closing the
+ * transport again and rejecting with a CommandTimeoutError.
+ * @returns {Promise} - A promise that will be resolved with the transport.
+ */
+function openTransport(transport, { timeout = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      transport.close().catch(() => {});
+      reject(new CommandTimeoutError({ command: 'open', timeout }));
+    }, timeout);
+    transport.open()
+      .then(() => {
+        clearTimeout(timer);
+        resolve(transport);
+      })
+      .catch((error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Send one command on an open transport and wait for the response.
+ * @param {Transport} transport - The transport, opened with openTransport().
+ * @param {string} command - E.g. 'P2205'.
+ * @param {Object} options
+ * @param {number} options.timeout - Time in ms to wait for the response.
+ * @returns {Promise} - A promise that will be resolved with the response.
+ */
+function query(transport, command, { timeout = 2000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const messageId = probeMessageId++;
+    const prefix = `${MESSAGE_GCODE_RECEIVE_PREFIX}${messageId} `;
+    const onData = (data) => {
+      if (!data.startsWith(prefix)) {
+        return;
+      }
+      finish();
+      const response = data.slice(prefix.length);
+      const matches = new RegExp(`^${MESSAGE_ERROR_PREFIX}(\\d+)`).exec(response);
+      return matches ? reject(firmwareError(matches[1], { command, messageId })) : resolve(response);
+    };
+    const timer = setTimeout(() => {
+      finish();
+      reject(new CommandTimeoutError({ command, messageId, timeout }));
+    }, timeout);
+    const finish = () => {
+      clearTimeout(timer);
+      transport.events.removeListener('data', onData);
+    };
+    transport.events.on('data', onData);
+    transport.send(`${MESSAGE_GCODE_SEND_PREFIX}${messageId} ${command}`);
+  });
+}
+
+/**
+ * Strip the 'ok V' from a response to a P22xx query, e.g. 'ok V4.5.0' -> '4.5.0'.
+ * @param {string} data - The response.
+ * @returns {string}
+ */
+function parseValue(data) {
+  return data.replace(/^ok\s*V?/, '').trim();
+}
+
+/**
+ * Check that the uArm on an open transport has a given UID.
+ * @param {Transport} transport - The transport, opened with openTransport().
+ * @param {string} uid - The expected UID, as returned by parseValue(). Any uArm
+ * matches if left out.
+ * @param {Object} options - See query().
+ * @returns {Promise} - A promise that will be resolved with the transport, or
+ * rejected with a UArmError with code 'UID_MISMATCH'.
+ */
+function matchUid(transport, uid, options) {
+  if (!uid) {
+    return Promise.resolve(transport);
+  }
+  return query(transport, 'P2205', options).then((data) => {
+    const found = parseValue(data);
+    if (found !== uid) {
+      throw new UArmError(`Expected uArm ${uid}, found ${found}.`, { code: 'UID_MISMATCH' });
+    }
+    return transport;
+  });
+}
+
+module.exports = {
+  openTransport,
+  query,
+  parseValue,
+  matchUid,
+};
@@ -0,0 +1,173 @@
+const Transport = require('./transport');
+const { readTranscript, SENT, CLOSED } = require('../log/transcript');
+const { MESSAGE_GCODE_SEND_PREFIX, MESSAGE_GCODE_RECEIVE_PREFIX } = require('../uarm/constants');
+
+// '#12 G0 X200' -> ['12', 'G0 X200']
+const SENT_LINE = new RegExp(`^\\${MESSAGE_GCODE_SEND_PREFIX}(\\d+)\\s+(.*)$`);
+const RESPONSE_ID = new RegExp(`^\\${MESSAGE_GCODE_RECEIVE_PREFIX}(\\d+)`);
+
+function splitLine(line) {
+  const parts = SENT_LINE.exec(line);
+  return parts ? { messageId: parts[1], command: parts[2] } : { messageId: null, command: line };
+}
+
+/**
+ * Transport playing a recorded transcript back (see TranscriptRecorder), so a
+ * session can be reproduced without the arm.
+ *
+ * open() plays what the uArm said before the first command. Every line sent
+ * must then match the next line sent in the transcript, and is answered with
+ * what was received after it until the next line sent. The connection closes
+ * where it closed in the transcript. Message ids are matched up, so the SDK may
+ * number its commands differently than when recording.
+ *
+ * A line that doesn't match is not answered. 'mismatch' {index, expected,
+ * actual} is emitted on `events`, `expected` being null past the end of the
+ * transcript. 'end' is emitted when the whole transcript has been played.
+ *
+ * Lines are played `timeScale` times as far apart as they were recorded, 0 (the
+ * default) plays them right away.
+ */
+class ReplayCommunication extends Transport {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.transcript - The entries, see readTranscript().
+   * @param {number} options.timeScale - Multiplier for the recorded delays.
+   * @param {string} options.readyCode - See Transport.
+   * @param {Object} options.logger - See Transport.
+   */
+  constructor({ transcript, timeScale = 0, readyCode, logger } = {}) {
+    super({ readyCode, logger });
+    if (!Array.isArray(transcript)) {
+      throw new TypeError('ReplayCommunication needs the transcript entries, see readTranscript().');
+    }
+    this.entries = transcript;
+    this.timeScale = timeScale;
+    this.index = 0; // Next entry to match or play.
+    this.playing = []; // {entry, delay} waiting to be played, in order.
+    this.timer = null;
+    this.messageIds = {}; // Recorded message id -> message id sent.
+    this.ended = false;
+  }
+
+  /**
+   * Create a ReplayCommunication from a transcript file.
+   * @param {string} path - Path of the file.
+   * @param {Object} options - See the constructor.
+   * @returns {Promise} - A promise that will be resolved with the transport.
+   */
+  static fromFile(path, options = {}) {
+    return readTranscript(path)
+      .then(transcript => new ReplayCommunication(Object.assign({}, options, { transcript })));
+  }
+
+  // Whether every entry has been matched or played.
+  get done() {
+    return this.index >= this.entries.length && this.playing.length === 0;
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      if (this.initialized) {
+        return resolve();
+      }
+      this.events.once('ready', () => resolve());
+      // Skip to the next time the uArm started up, after a close.
+      while (this.index < this.entries.length && this.entries[this.index].direction === CLOSED) {
+        this.index++;
+      }
+      const heading = this.queueReceived();
+      // Recorded after the uArm said it was ready, e.g. with a SimulatedCommunication.
+      if (!heading.some(entry => entry.line === this.readyCode)) {
+        this.play({ direction: 'ready' }, 0);
+      }
+    });
+  }
+
+  send(line) {
+    if (!this.initialized) {
+      this.logger.warn(`Not connected, "${line}" was not sent.`);
+      return;
+    }
+    this.record(SENT, line);
+    const expected = this.entries[this.index];
+    const actual = splitLine(line);
+    const recorded = expected && expected.direction === SENT ? splitLine(expected.line) : null;
+    if (!recorded || recorded.command !== actual.command) {
+      const mismatch = { index: this.index, expected: expected ? expected.line || null : null, actual: line };
+      this.logger.warn(`Replay: sent "${line}", expected ${mismatch.expected === null ? 'nothing' : `"${mismatch.expected}"`}.`, mismatch);
+      this.events.emit('mismatch', mismatch);
+      return;
+    }
+    if (recorded.messageId !== null) {
+      this.messageIds[recorded.messageId] = actual.messageId;
+    }
+    this.index++;
+    this.queueReceived();
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.playing = [];
+    if (this.initialized) {
+      this.handleClose();
+    }
+    return Promise.resolve();
+  }
+
+  // Queue the entries up to the next line sent to be played.
+  queueReceived() {
+    const queued = [];
+    while (this.index < this.entries.length && this.entries[this.index].direction !== SENT) {
+      const previous = this.entries[this.index - 1];
+      const entry = this.entries[this.index++];
+      queued.push(entry);
+      this.play(entry, previous ? entry.time - previous.time : 0);
+      if (entry.direction === CLOSED) {
+        break;
+      }
+    }
+    if (queued.length === 0) {
+      this.checkEnd();
+    }
+    return queued;
+  }
+
+  // Play an entry `delay` recorded ms after the one before it.
+  play(entry, delay) {
+    this.playing.push({ entry, delay: Math.max(0, delay || 0) });
+    this.playNext();
+  }
+
+  playNext() {
+    if (this.timer || this.playing.length === 0) {
+      return;
+    }
+    const { entry, delay } = this.playing[0];
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.playing.shift();
+      if (entry.direction === CLOSED) {
+        this.handleClose();
+      } else if (entry.direction === 'ready') {
+        this.handleLine(this.readyCode);
+      } else {
+        this.handleLine(entry.line.replace(RESPONSE_ID, (match, messageId) => {
+          return `${MESSAGE_GCODE_RECEIVE_PREFIX}${this.messageIds[messageId] || messageId}`;
+        }));
+      }
+      this.playNext();
+      this.checkEnd();
+    }, delay * this.timeScale);
+  }
+
+  checkEnd() {
+    if (this.done && !this.ended) {
+      this.ended = true;
+      this.events.emit('end');
+    }
+  }
+}
+
+module.exports = ReplayCommunication;
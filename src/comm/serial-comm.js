@@ -1,39 +1,30 @@
-const EventEmitter = require('events');
 const SerialPort = require('serialport');
 const Readline = require('@serialport/parser-readline');
+const Transport = require('./transport');
+const { SENT } = require('../log/transcript');
+const { UArmError } = require('../uarm/exceptions');
 
-class SerialCommunication {
-  constructor({ baudRate = 115200, path, readyCode, autoOpen = true}) {
-    this.initialized = false;
-    this.events = new EventEmitter();
+class SerialCommunication extends Transport {
+  constructor({ baudRate = 115200, path, readyCode, logger, autoOpen = true}) {
+    super({ readyCode, logger });
 
     // https://serialport.io/docs/api-stream#constructor
     try {
       this.serialport = new SerialPort(path, {
         baudRate,
         autoOpen,
-        openCallback: () => console.log('Open callback!'),
       });
+      this.serialport.on('open', () => this.logger.debug(`Serial port ${path} open.`));
 
       const lineParser = new Readline();
       this.serialport.pipe(lineParser);
-      lineParser.on('data', (data) => {
-        if (data === readyCode) {
-          this.initialized = true;
-          console.log('✅  UArm is READY.');
-          this.events.emit('ready');
-          return;
-        }
-        // UArm will send some device info before initialition code.
-        if (!this.initialized) {
-          console.log(`ℹ️  ${data}`);
-          return;
-        }
-        this.events.emit('data', data);
-      });
+      lineParser.on('data', (data) => this.handleLine(data));
+      this.serialport.on('close', () => this.handleClose());
+      // Errors on an open port (e.g. the cable being pulled) are followed by 'close'.
+      this.serialport.on('error', (error) => this.logger.error(`Serial port error: ${error.message}`, { error }));
     }
     catch (error) {
-      throw new Error(error);
+      throw portError(path, error);
     }
     // return this;
   }
@@ -41,14 +32,22 @@ class SerialCommunication {
   // Manually open if we don't autoOpen.
   open() {
     return new Promise((resolve, reject) => {
+      if (this.initialized) {
+        return resolve();
+      }
+      this.events.once('ready', () => resolve());
+      // Already opened by autoOpen, just wait for the uArm to be ready.
+      if (this.serialport.isOpen || this.serialport.opening) {
+        return;
+      }
       try {
-        this.serialport.open(() => {
-          this.events.on('ready', () => {
-            resolve();
-          });
+        this.serialport.open((error) => {
+          if (error) {
+            reject(portError(this.serialport.path, error));
+          }
         });
       } catch (error) {
-        reject(error);
+        reject(portError(this.serialport.path, error));
       }
     });
   }
@@ -56,12 +55,34 @@ class SerialCommunication {
   // Send data (a line) on the serial port
   send(line) {
     if (!this.initialized) {
-      console.log('send(): Not connected 😔');
+      this.logger.warn(`Not connected, "${line}" was not sent.`);
       return;
     }
 
+    this.record(SENT, line);
     this.serialport.write(`${line}\n`);
   }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.serialport.isOpen) {
+        return resolve();
+      }
+      this.serialport.close((error) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+// Wrap an error of the serialport package, keeping it as `cause`.
+function portError(path, cause) {
+  const error = new UArmError(`Serial port ${path}: ${cause.message}`, { code: 'SERIAL_PORT' });
+  error.cause = cause;
+  return error;
 }
 
 module.exports = SerialCommunication;
@@ -0,0 +1,56 @@
+const Transport = require('./transport');
+const VirtualUArm = require('../sim/virtual-uarm');
+const { SENT } = require('../log/transcript');
+
+/**
+ * Transport talking to an in-process VirtualUArm instead of a serial port, so the
+ * SDK can be used without a physical arm.
+ *
+ * Options other than `readyCode`, `logger`, `device` and `autoOpen` are passed on to the
+ * VirtualUArm created when no `device` is given.
+ */
+class SimulatedCommunication extends Transport {
+  constructor({ readyCode, logger, device, autoOpen = true, ...deviceOptions } = {}) {
+    super({ readyCode, logger });
+    this.device = device || new VirtualUArm(deviceOptions);
+    this.device.on('data', (data) => this.handleLine(data));
+    if (autoOpen) {
+      this.device.powerOn();
+    }
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      if (this.initialized) {
+        return resolve();
+      }
+      this.events.once('ready', () => resolve());
+      this.device.powerOn();
+    });
+  }
+
+  send(line) {
+    if (!this.initialized) {
+      this.logger.warn(`Not connected, "${line}" was not sent.`);
+      return;
+    }
+    this.record(SENT, line);
+    this.device.write(line);
+  }
+
+  close() {
+    this.device.powerOff();
+    this.handleClose();
+    return Promise.resolve();
+  }
+
+  /**
+   * Simulate the connection dropping, e.g. the USB cable being pulled. open()
+   * connects again.
+   */
+  disconnect() {
+    this.close();
+  }
+}
+
+module.exports = SimulatedCommunication;
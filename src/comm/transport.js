@@ -0,0 +1,99 @@
+const EventEmitter = require('events');
+const {
+  MESSAGE_TICKING_FEEDBACK_PREFIX,
+  TICKING_UARM_READY,
+} = require('../uarm/constants');
+const { defaultLogger } = require('../log/logger');
+const { RECEIVED, CLOSED } = require('../log/transcript');
+const { UArmError } = require('../uarm/exceptions');
+
+const READY_CODE = `${MESSAGE_TICKING_FEEDBACK_PREFIX}${TICKING_UARM_READY}`;
+
+/**
+ * Base class for everything the SDK can talk to a uArm through.
+ *
+ * A transport is line based. It emits 'ready' on `events` when the uArm has sent
+ * its ready code, 'data' for every line received after that and 'close' when the
+ * connection is gone. Subclasses feed received lines through `handleLine()`, call
+ * `handleClose()` when closed and implement `open()`, `send()` and `close()`.
+ * `send()` passes each line sent to `record()`.
+ *
+ * Messages are logged to `logger`, lines are recorded to `transcript` (see
+ * TranscriptRecorder) when set. A uArmSDK sets both to its own.
+ */
+class Transport {
+  constructor({ readyCode = READY_CODE, logger = defaultLogger } = {}) {
+    this.initialized = false;
+    this.readyCode = readyCode;
+    this.logger = logger;
+    this.transcript = null;
+    this.events = new EventEmitter();
+  }
+
+  /**
+   * Add a line to the transcript, if recording.
+   * @param {string} direction - 'sent', 'received' or 'closed'.
+   * @param {string} line - The line.
+   */
+  record(direction, line) {
+    if (this.transcript) {
+      this.transcript.record(direction, line);
+    }
+  }
+
+  /**
+   * Handle one line received from the uArm.
+   * @param {string} data - The line, without line ending.
+   */
+  handleLine(data) {
+    this.record(RECEIVED, data);
+    if (data === this.readyCode) {
+      this.initialized = true;
+      this.logger.debug('UArm is ready.');
+      this.events.emit('ready');
+      return;
+    }
+    // UArm will send some device info before initialition code.
+    if (!this.initialized) {
+      this.logger.debug(`Device info: ${data}`);
+      return;
+    }
+    this.events.emit('data', data);
+  }
+
+  /**
+   * Mark the connection as closed and let listeners know.
+   */
+  handleClose() {
+    this.record(CLOSED);
+    this.initialized = false;
+    this.events.emit('close');
+  }
+
+  /**
+   * Open the connection.
+   * @returns {Promise} - A promise that will be resolved when the uArm is ready.
+   */
+  open() {
+    return Promise.reject(new UArmError(`${this.constructor.name} does not implement open()`, { code: 'NOT_IMPLEMENTED' }));
+  }
+
+  /**
+   * Send data (a line) to the uArm.
+   * @param {string} line - The line to send, without line ending.
+   */
+  send() {
+    throw new UArmError(`${this.constructor.name} does not implement send()`, { code: 'NOT_IMPLEMENTED' });
+  }
+
+  /**
+   * Close the connection.
+   * @returns {Promise} - A promise that will be resolved when closed.
+   */
+  close() {
+    this.handleClose();
+    return Promise.resolve();
+  }
+}
+
+module.exports = Transport;
@@ -0,0 +1,204 @@
+const EventEmitter = require('events');
+const { MODES } = require('../uarm/constants');
+const { TOOL_OFFSETS } = require('../uarm/kinematics');
+const { OutOfReachError, CommandAbortedError } = require('../uarm/exceptions');
+const TrajectoryPlanner = require('../motion/trajectory-planner');
+const WorkArea = require('../motion/work-area');
+const { parseSvg, orderPaths } = require('./svg');
+const { boundsOf } = WorkArea;
+
+const PEN_LIFT_DEFAULT = 10; // mm
+const TOLERANCE_DEFAULT = 0.2; // mm
+const RESOLUTION_DEFAULT = 2; // mm
+
+/**
+ * Draws polylines and SVG drawings with a pen in the universal holder, scaled to
+ * fit a work area on the table (see WorkArea).
+ *
+ * Paths are ordered to cut down on travel with the pen up, then streamed through
+ * a TrajectoryPlanner, so lines come out straight: travel at `penUp` height and
+ * `travelSpeed`, drawing at `penDown` height and `speed`. The pen is only lifted
+ * between paths that don't join up.
+ *
+ * Emits 'progress' {index, total} for every move the uArm has accepted.
+ */
+class PenPlotter extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm, with a pen in the universal holder.
+   * @param {Object} options
+   * @param {WorkArea|Object} options.workArea - Where to draw, a WorkArea or
+   * {x: [min, max], y: [min, max]} in mm.
+   * @param {number} options.penDown - Height in mm of the pen tip while drawing.
+   * @param {number} options.penUp - Height in mm of the pen tip while travelling,
+   * defaults to 10 mm above `penDown`.
+   * @param {number} options.speed - Feed rate in mm/min while drawing, defaults to
+   * the speed of the uArm.
+   * @param {number} options.travelSpeed - Feed rate in mm/min with the pen up,
+   * defaults to `speed`.
+   * @param {number} options.tolerance - Max deviation in mm from curves.
+   * @param {number} options.resolution - Max length in mm of each streamed move.
+   * @param {number} options.mode - Mode to switch the uArm to before drawing, see
+   * setMode(), or null to keep the current mode.
+   */
+  constructor(uarm, {
+    workArea,
+    penDown = 0,
+    penUp,
+    speed,
+    travelSpeed,
+    tolerance = TOLERANCE_DEFAULT,
+    resolution = RESOLUTION_DEFAULT,
+    mode = MODES.UNIVERSAL_HOLDER,
+  } = {}) {
+    super();
+    if (!workArea) {
+      throw new TypeError('PenPlotter needs a workArea.');
+    }
+    this.uarm = uarm;
+    this.workArea = workArea instanceof WorkArea ? workArea : new WorkArea(workArea);
+    this.penDown = penDown;
+    this.penUp = penUp === undefined ? penDown + PEN_LIFT_DEFAULT : penUp;
+    this.speed = speed || uarm.defaultSpeed;
+    this.travelSpeed = travelSpeed || this.speed;
+    this.tolerance = tolerance;
+    this.resolution = resolution;
+    this.mode = mode;
+
+    const tool = TOOL_OFFSETS[mode === null ? uarm.mode : mode];
+    [this.penDown, this.penUp].forEach((z) => {
+      const unreachable = this.workArea.checkReach(z, tool);
+      if (unreachable) {
+        throw new OutOfReachError({ command: 'PenPlotter', target: unreachable.position, violation: unreachable.violation });
+      }
+    });
+  }
+
+  /**
+   * Plan the drawing of polylines.
+   * @param {Object[][]} polylines - Lists of points {x, y}, in drawing coordinates
+   * (x to the right, y up) or, with `fit: false`, arm coordinates in mm.
+   * @param {Object} options
+   * @param {boolean} options.fit - Scale the drawing to fit the work area.
+   * @param {number} options.margin - Space in mm to leave along the edges when
+   * fitting.
+   * @param {number} options.scale - mm per drawing unit when fitting, instead of
+   * the largest scale that fits.
+   * @param {boolean} options.optimize - Reorder the paths to cut down on travel.
+   * @param {Object} options.start - Arm position {x, y} to start ordering from,
+   * defaults to the far edge in the middle of the work area.
+   * @returns {TrajectoryPlanner} - The planned moves, to estimate() or run().
+   */
+  plan(polylines, { fit = true, margin, scale, optimize = true, start } = {}) {
+    if (!Array.isArray(polylines) || !polylines.every(Array.isArray)) {
+      throw new TypeError('polylines must be an array of arrays of points {x, y}.');
+    }
+    const lines = polylines.filter(points => points.length > 0);
+    const allPoints = [].concat(...lines);
+    let toArm = point => ({ x: point.x, y: point.y });
+    if (fit && allPoints.length > 0) {
+      // Fitted drawings are inside by construction, edge points may be a rounding
+      // error outside.
+      toArm = this.workArea.fit(boundsOf(allPoints), { margin, scale }).toArm;
+    } else {
+      const outside = allPoints.find(point => !this.workArea.contains(point));
+      if (outside) {
+        throw new RangeError(`Point X${outside.x.toFixed(2)} Y${outside.y.toFixed(2)} is outside the work area.`);
+      }
+    }
+    let paths = lines.map(points => points.map(toArm));
+    if (optimize) {
+      paths = orderPaths(paths, start || { x: this.workArea.x.max, y: (this.workArea.y.min + this.workArea.y.max) / 2 });
+    }
+
+    const planner = new TrajectoryPlanner(this.uarm, { resolution: this.resolution, speed: this.speed });
+    const at = (point, z) => ({ x: point.x, y: point.y, z });
+    let last = null;
+    paths.forEach((points) => {
+      const first = points[0];
+      // Keep the pen down when the path starts where the last one ended.
+      if (!last || Math.hypot(first.x - last.x, first.y - last.y) > 0.01) {
+        if (last) {
+          planner.lineTo(at(last, this.penUp), { speed: this.travelSpeed });
+          planner.moveTo(at(first, this.penUp), { speed: this.travelSpeed });
+        } else {
+          planner.moveTo(at(first, this.penUp), { speed: this.travelSpeed });
+        }
+        planner.lineTo(at(first, this.penDown));
+      }
+      if (points.length > 1) {
+        planner.path(points.slice(1).map(point => at(point, this.penDown)), { blendRadius: 0 });
+      }
+      last = points[points.length - 1];
+    });
+    if (last) {
+      planner.lineTo(at(last, this.penUp), { speed: this.travelSpeed });
+    }
+    return planner;
+  }
+
+  /**
+   * Plan the drawing of an SVG document, see parseSvg() and plan(). The drawing is
+   * always fitted to the work area, pass `scale` (mm per user unit) to keep it at
+   * a fixed size. Curves are flattened to `tolerance` mm at that scale.
+   * @param {string} svg - The SVG document.
+   * @param {Object} options - See plan().
+   * @returns {TrajectoryPlanner}
+   */
+  planSvg(svg, options = {}) {
+    let scale = options.scale;
+    if (scale === undefined) {
+      const rough = [].concat(...parseSvg(svg, { tolerance: 1 }));
+      scale = rough.length > 0 ? this.workArea.fit(boundsOf(rough), { margin: options.margin }).scale : 1;
+    }
+    // SVG y points down, drawing y up.
+    const polylines = parseSvg(svg, { tolerance: this.tolerance / scale })
+      .map(points => points.map(({ x, y }) => ({ x, y: -y })));
+    return this.plan(polylines, Object.assign({}, options, { fit: true }));
+  }
+
+  /**
+   * Draw polylines, see plan().
+   * @param {Object[][]} polylines - See plan().
+   * @param {Object} options - See plan() and run().
+   * @returns {Promise} - See run().
+   */
+  draw(polylines, options = {}) {
+    return this.run(this.plan(polylines, options), options);
+  }
+
+  /**
+   * Draw an SVG document, see planSvg().
+   * @param {string} svg - The SVG document.
+   * @param {Object} options - See plan() and run().
+   * @returns {Promise} - See run().
+   */
+  drawSvg(svg, options = {}) {
+    return this.run(this.planSvg(svg, options), options);
+  }
+
+  /**
+   * Switch the uArm to the mode of the plotter and run a plan.
+   * @param {TrajectoryPlanner} planner - The plan, see plan().
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops drawing when aborted.
+   * @returns {Promise} - A promise that will be resolved when the arm has stopped
+   * at the end of the drawing.
+   */
+  run(planner, { signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new CommandAbortedError({ command: 'draw' }));
+    }
+    const onProgress = progress => this.emit('progress', progress);
+    planner.on('progress', onProgress);
+    const switching = this.mode === null ? Promise.resolve() : this.uarm.setMode(this.mode, { signal });
+    const done = () => planner.removeListener('progress', onProgress);
+    return switching
+      .then(() => planner.run({ signal }))
+      .then(done, (error) => {
+        done();
+        throw error;
+      });
+  }
+}
+
+module.exports = PenPlotter;
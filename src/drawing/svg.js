@@ -0,0 +1,492 @@
+/**
+ * Turns SVG drawings into polylines: lists of points {x, y} in SVG user units,
+ * with y pointing down like in SVG.
+ *
+ * Paths (every command of the path data), rect, circle, ellipse, line, polyline
+ * and polygon elements are read, with their `transform` and the transforms of the
+ * groups around them. Curves are flattened into straight segments deviating at
+ * most `tolerance` units from the curve. Fills, strokes, units and the viewBox are
+ * ignored, as is anything inside defs, clipPath, mask, marker, pattern and symbol.
+ */
+
+const TOLERANCE_DEFAULT = 0.1;
+const MAX_SUBDIVISIONS = 16;
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const HIDDEN_ELEMENTS = ['defs', 'clipPath', 'mask', 'marker', 'pattern', 'symbol'];
+const SHAPE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+/**
+ * Reads path data one command letter, number or flag at a time.
+ */
+class PathScanner {
+  constructor(data) {
+    this.data = data;
+    this.index = 0;
+  }
+
+  skipSeparators() {
+    while (this.index < this.data.length && /[\s,]/.test(this.data[this.index])) {
+      this.index++;
+    }
+  }
+
+  done() {
+    this.skipSeparators();
+    return this.index >= this.data.length;
+  }
+
+  // The next command letter, or null if a number follows (an implicit repeat).
+  readCommand() {
+    this.skipSeparators();
+    const char = this.data[this.index];
+    if (/[MLHVCSQTAZ]/i.test(char)) {
+      this.index++;
+      return char;
+    }
+    return null;
+  }
+
+  readNumber() {
+    this.skipSeparators();
+    const matches = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(this.data.slice(this.index));
+    if (!matches) {
+      throw this.error('a number');
+    }
+    this.index += matches[0].length;
+    return parseFloat(matches[0]);
+  }
+
+  // Arc flags may be written without separators, as in 'a5 5 0 015 5'.
+  readFlag() {
+    this.skipSeparators();
+    const char = this.data[this.index];
+    if (char !== '0' && char !== '1') {
+      throw this.error('a flag (0 or 1)');
+    }
+    this.index++;
+    return char === '1';
+  }
+
+  error(expected) {
+    return new SyntaxError(`Invalid path data, expected ${expected} at position ${this.index}: '${this.data.slice(this.index, this.index + 20)}'`);
+  }
+}
+
+function distanceToLine(point, from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) {
+    return Math.hypot(point.x - from.x, point.y - from.y);
+  }
+  return Math.abs((point.x - from.x) * dy - (point.y - from.y) * dx) / length;
+}
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Points along a cubic Bezier curve, excluding the start, by subdividing it until
+// the control points are within `tolerance` of the chord.
+function flattenCubic(p0, p1, p2, p3, tolerance, points, depth = 0) {
+  if (depth >= MAX_SUBDIVISIONS ||
+    Math.max(distanceToLine(p1, p0, p3), distanceToLine(p2, p0, p3)) <= tolerance) {
+    points.push(p3);
+    return;
+  }
+  const p01 = midpoint(p0, p1);
+  const p12 = midpoint(p1, p2);
+  const p23 = midpoint(p2, p3);
+  const p012 = midpoint(p01, p12);
+  const p123 = midpoint(p12, p23);
+  const middle = midpoint(p012, p123);
+  flattenCubic(p0, p01, p012, middle, tolerance, points, depth + 1);
+  flattenCubic(middle, p123, p23, p3, tolerance, points, depth + 1);
+}
+
+function flattenQuadratic(p0, control, p2, tolerance, points) {
+  flattenCubic(p0, {
+    x: p0.x + 2 / 3 * (control.x - p0.x),
+    y: p0.y + 2 / 3 * (control.y - p0.y),
+  }, {
+    x: p2.x + 2 / 3 * (control.x - p2.x),
+    y: p2.y + 2 / 3 * (control.y - p2.y),
+  }, p2, tolerance, points);
+}
+
+// Points along an elliptical arc, excluding the start. Follows the endpoint to
+// center conversion of https://www.w3.org/TR/SVG11/implnote.html#ArcImplementationNotes
+function flattenArc(from, { rx, ry, rotation, largeArc, sweep }, to, tolerance, points) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0 || (from.x === to.x && from.y === to.y)) {
+    points.push(to);
+    return;
+  }
+  const phi = rotation * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (from.x - to.x) / 2;
+  const dy = (from.y - to.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  // Scale up radii too small to reach the end point.
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = factor * rx * y1 / ry;
+  const cy1 = -factor * ry * x1 / rx;
+  const center = {
+    x: cos * cx1 - sin * cy1 + (from.x + to.x) / 2,
+    y: sin * cx1 + cos * cy1 + (from.y + to.y) / 2,
+  };
+  const angle = (ux, uy) => Math.atan2(uy, ux);
+  const start = angle((x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = angle((-x1 - cx1) / rx, (-y1 - cy1) / ry) - start;
+  if (!sweep && delta > 0) {
+    delta -= 2 * Math.PI;
+  } else if (sweep && delta < 0) {
+    delta += 2 * Math.PI;
+  }
+  // Largest angle step whose chord stays within tolerance of the arc.
+  const radius = Math.max(rx, ry);
+  const step = tolerance >= radius ? Math.PI / 2 : 2 * Math.acos(1 - tolerance / radius);
+  const steps = Math.max(1, Math.ceil(Math.abs(delta) / step));
+  for (let i = 1; i < steps; i++) {
+    const theta = start + delta * i / steps;
+    const ex = rx * Math.cos(theta);
+    const ey = ry * Math.sin(theta);
+    points.push({ x: center.x + cos * ex - sin * ey, y: center.y + sin * ex + cos * ey });
+  }
+  points.push(to);
+}
+
+/**
+ * Flatten SVG path data into polylines, one per subpath. Closed subpaths end with
+ * their first point.
+ * @param {string} data - The path data, the `d` attribute of a path.
+ * @param {Object} options
+ * @param {number} options.tolerance - Max deviation from curves, in user units.
+ * @returns {Object[][]} - Polylines of points {x, y}.
+ */
+function parsePathData(data, { tolerance = TOLERANCE_DEFAULT } = {}) {
+  if (!(tolerance > 0)) {
+    throw new TypeError(`tolerance must be a positive number, got '${tolerance}'`);
+  }
+  const scanner = new PathScanner(data || '');
+  const polylines = [];
+  let polyline = null;
+  let current = { x: 0, y: 0 };
+  let subpathStart = current;
+  let lastControl = null; // Second control point of the last C/S or control of Q/T.
+  let lastCommand = null;
+  let command = null;
+
+  while (!scanner.done()) {
+    const letter = scanner.readCommand();
+    if (letter) {
+      command = letter;
+    } else if (!command || command === 'Z' || command === 'z') {
+      throw scanner.error('a command');
+    } else if (command === 'M') {
+      command = 'L'; // Coordinates after a moveto are linetos.
+    } else if (command === 'm') {
+      command = 'l';
+    }
+    const type = command.toUpperCase();
+    const relative = command !== type;
+    const base = relative ? current : { x: 0, y: 0 };
+    const point = () => {
+      const x = scanner.readNumber();
+      const y = scanner.readNumber();
+      return { x: base.x + x, y: base.y + y };
+    };
+    const startPolyline = () => {
+      if (!polyline) {
+        polyline = [current];
+        polylines.push(polyline);
+      }
+    };
+    let control = null;
+
+    if (type === 'M') {
+      current = point();
+      subpathStart = current;
+      polyline = [current];
+      polylines.push(polyline);
+    } else if (type === 'Z') {
+      if (polyline && (current.x !== subpathStart.x || current.y !== subpathStart.y)) {
+        polyline.push(subpathStart);
+      }
+      current = subpathStart;
+      polyline = null;
+    } else {
+      startPolyline();
+      if (type === 'L') {
+        current = point();
+        polyline.push(current);
+      } else if (type === 'H') {
+        current = { x: base.x + scanner.readNumber(), y: current.y };
+        polyline.push(current);
+      } else if (type === 'V') {
+        current = { x: current.x, y: base.y + scanner.readNumber() };
+        polyline.push(current);
+      } else if (type === 'C' || type === 'S') {
+        const reflected = lastControl && /[CS]/i.test(lastCommand) ?
+          { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y } :
+          current;
+        const control1 = type === 'C' ? point() : reflected;
+        control = point();
+        const end = point();
+        flattenCubic(current, control1, control, end, tolerance, polyline);
+        current = end;
+      } else if (type === 'Q' || type === 'T') {
+        control = type === 'Q' ? point() :
+          (lastControl && /[QT]/i.test(lastCommand) ?
+            { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y } :
+            current);
+        const end = point();
+        flattenQuadratic(current, control, end, tolerance, polyline);
+        current = end;
+      } else if (type === 'A') {
+        const arc = {
+          rx: scanner.readNumber(),
+          ry: scanner.readNumber(),
+          rotation: scanner.readNumber(),
+          largeArc: scanner.readFlag(),
+          sweep: scanner.readFlag(),
+        };
+        const end = point();
+        flattenArc(current, arc, end, tolerance, polyline);
+        current = end;
+      }
+    }
+    lastControl = control;
+    lastCommand = command;
+  }
+  return polylines.filter(points => points.length > 1);
+}
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+/**
+ * Parse a `transform` attribute into a matrix [a, b, c, d, e, f].
+ * @param {string} text - For example 'translate(10 20) rotate(45)'.
+ * @returns {number[]}
+ */
+function parseTransform(text) {
+  let matrix = IDENTITY;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let matches;
+  while ((matches = pattern.exec(text || '')) !== null) {
+    const values = matches[2].split(/[\s,]+/).filter(value => value !== '').map(Number);
+    const [a = 0, b, c] = values;
+    const radians = a * Math.PI / 180;
+    let next;
+    switch (matches[1]) {
+      case 'matrix':
+        next = values;
+        break;
+      case 'translate':
+        next = [1, 0, 0, 1, a, b || 0];
+        break;
+      case 'scale':
+        next = [a, 0, 0, b === undefined ? a : b, 0, 0];
+        break;
+      case 'rotate':
+        next = [Math.cos(radians), Math.sin(radians), -Math.sin(radians), Math.cos(radians), 0, 0];
+        if (b !== undefined) {
+          next = multiply(multiply([1, 0, 0, 1, b, c || 0], next), [1, 0, 0, 1, -b, -(c || 0)]);
+        }
+        break;
+      case 'skewX':
+        next = [1, 0, Math.tan(radians), 1, 0, 0];
+        break;
+      default:
+        next = [1, Math.tan(radians), 0, 1, 0, 0];
+    }
+    matrix = multiply(matrix, next);
+  }
+  return matrix;
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let matches;
+  while ((matches = pattern.exec(text)) !== null) {
+    attributes[matches[1]] = matches[2] !== undefined ? matches[2] : matches[3];
+  }
+  return attributes;
+}
+
+// Path data for a basic shape, null for shapes with nothing to draw.
+function shapeToPathData(name, attributes) {
+  const number = (key) => parseFloat(attributes[key]) || 0;
+  switch (name) {
+    case 'path':
+      return attributes.d || null;
+    case 'rect': {
+      const [x, y, width, height] = [number('x'), number('y'), number('width'), number('height')];
+      if (width <= 0 || height <= 0) {
+        return null;
+      }
+      // A missing rx or ry takes the value of the other one.
+      let rx = attributes.rx === undefined ? number('ry') : number('rx');
+      let ry = attributes.ry === undefined ? rx : number('ry');
+      rx = Math.min(rx, width / 2);
+      ry = Math.min(ry, height / 2);
+      if (rx <= 0 || ry <= 0) {
+        return `M${x} ${y}H${x + width}V${y + height}H${x}Z`;
+      }
+      const corner = `A${rx} ${ry} 0 0 1`;
+      return `M${x + rx} ${y}H${x + width - rx}${corner} ${x + width} ${y + ry}` +
+        `V${y + height - ry}${corner} ${x + width - rx} ${y + height}` +
+        `H${x + rx}${corner} ${x} ${y + height - ry}V${y + ry}${corner} ${x + rx} ${y}Z`;
+    }
+    case 'circle':
+    case 'ellipse': {
+      const [cx, cy] = [number('cx'), number('cy')];
+      const rx = name === 'circle' ? number('r') : number('rx');
+      const ry = name === 'circle' ? rx : number('ry');
+      if (rx <= 0 || ry <= 0) {
+        return null;
+      }
+      return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+    }
+    case 'line':
+      return `M${number('x1')} ${number('y1')}L${number('x2')} ${number('y2')}`;
+    default: {
+      // polyline and polygon
+      const values = (attributes.points || '').split(/[\s,]+/).filter(value => value !== '');
+      if (values.length < 4) {
+        return null;
+      }
+      return `M${values.slice(0, values.length - values.length % 2).join(' ')}${name === 'polygon' ? 'Z' : ''}`;
+    }
+  }
+}
+
+/**
+ * Flatten the shapes of an SVG document into polylines, in document order.
+ * @param {string} text - The SVG document.
+ * @param {Object} options
+ * @param {number} options.tolerance - Max deviation from curves, in user units.
+ * @returns {Object[][]} - Polylines of points {x, y}, in user units with the
+ * transforms applied.
+ */
+function parseSvg(text, { tolerance = TOLERANCE_DEFAULT } = {}) {
+  const source = String(text).replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+  const polylines = [];
+  const stack = [{ name: null, matrix: IDENTITY, hidden: false }];
+  const pattern = /<(\/?)([\w:-]+)([^>]*?)(\/?)>/g;
+  let matches;
+  while ((matches = pattern.exec(source)) !== null) {
+    const [, closing, name, attributeText, selfClosing] = matches;
+    const parent = stack[stack.length - 1];
+    if (closing) {
+      if (stack.length > 1 && parent.name === name) {
+        stack.pop();
+      }
+      continue;
+    }
+    const attributes = parseAttributes(attributeText);
+    const matrix = multiply(parent.matrix, parseTransform(attributes.transform));
+    const hidden = parent.hidden || HIDDEN_ELEMENTS.indexOf(name) !== -1;
+    if (!selfClosing) {
+      stack.push({ name, matrix, hidden });
+    }
+    if (hidden || SHAPE_ELEMENTS.indexOf(name) === -1) {
+      continue;
+    }
+    const data = shapeToPathData(name, attributes);
+    if (!data) {
+      continue;
+    }
+    // Flatten finely enough for the scale of the transform.
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])) || 1;
+    parsePathData(data, { tolerance: tolerance / scale }).forEach((points) => {
+      polylines.push(points.map(({ x, y }) => ({
+        x: matrix[0] * x + matrix[2] * y + matrix[4],
+        y: matrix[1] * x + matrix[3] * y + matrix[5],
+      })));
+    });
+  }
+  return polylines;
+}
+
+const isClosed = points => points.length > 2 &&
+  points[0].x === points[points.length - 1].x && points[0].y === points[points.length - 1].y;
+
+/**
+ * Order polylines to cut down on travel between them: each next polyline is the
+ * one starting closest to where the last one ended. Open polylines may be reversed
+ * and closed ones started at any of their points.
+ * @param {Object[][]} polylines - Polylines of points {x, y}.
+ * @param {Object} start - {x, y} to start from.
+ * @returns {Object[][]} - The polylines, in the new order.
+ */
+function orderPaths(polylines, start = { x: 0, y: 0 }) {
+  const remaining = polylines.filter(points => points.length > 0);
+  const ordered = [];
+  let position = start;
+  const distanceTo = point => Math.hypot(point.x - position.x, point.y - position.y);
+  while (remaining.length > 0) {
+    let best = null; // {index, distance, points}
+    remaining.forEach((points, index) => {
+      const consider = (distance, candidate) => {
+        if (!best || distance < best.distance) {
+          best = { index, distance, candidate };
+        }
+      };
+      if (isClosed(points)) {
+        points.slice(0, -1).forEach((point, offset) => consider(distanceTo(point), () =>
+          points.slice(offset, -1).concat(points.slice(0, offset + 1))));
+      } else {
+        consider(distanceTo(points[0]), () => points);
+        consider(distanceTo(points[points.length - 1]), () => points.slice().reverse());
+      }
+    });
+    const points = best.candidate();
+    remaining.splice(best.index, 1);
+    ordered.push(points);
+    position = points[points.length - 1];
+  }
+  return ordered;
+}
+
+/**
+ * Length of the travel between polylines, from `start` to the first polyline and
+ * from the end of each polyline to the start of the next one.
+ * @param {Object[][]} polylines - Polylines of points {x, y}.
+ * @param {Object} start - {x, y} to start from.
+ * @returns {number}
+ */
+function travelLength(polylines, start = { x: 0, y: 0 }) {
+  let position = start;
+  return polylines.reduce((total, points) => {
+    const length = Math.hypot(points[0].x - position.x, points[0].y - position.y);
+    position = points[points.length - 1];
+    return total + length;
+  }, 0);
+}
+
+module.exports = {
+  parseSvg,
+  parsePathData,
+  parseTransform,
+  orderPaths,
+  travelLength,
+};
@@ -0,0 +1,356 @@
+const EventEmitter = require('events');
+const { HOME_POSITION } = require('../uarm/constants');
+const { UArmError, CommandAbortedError, GroupError } = require('../uarm/exceptions');
+const { parseValue } = require('../comm/probe');
+
+/**
+ * Several uArms working together, keyed by alias (or UID).
+ *
+ * broadcast() runs a command on every arm in parallel, run() runs a sequence per
+ * arm in parallel with barriers where the arms wait for each other. When a
+ * sequence fails the other sequences are aborted and their arms stopped, unless
+ * `stopOnFailure` is false.
+ *
+ * Emits 'failure' {alias, error} when a sequence fails and 'stopped' when the
+ * arms have been stopped after a failure or emergencyStop().
+ */
+class ArmGroup extends EventEmitter {
+  /**
+   * @param {Object} arms - uArmSDK instances by alias.
+   * @param {Object} options
+   * @param {boolean} options.stopOnFailure - Whether to stop every arm when a
+   * sequence fails on one of them.
+   */
+  constructor(arms = {}, { stopOnFailure = true } = {}) {
+    super();
+    this.arms = {};
+    this.uids = {}; // alias -> UID, see identify().
+    this.stopOnFailure = stopOnFailure;
+    this.runs = []; // Abort functions of the runs in progress.
+    Object.keys(arms).forEach(alias => this.add(alias, arms[alias]));
+  }
+
+  /**
+   * Add an arm.
+   * @param {string} alias - Name of the arm in the group.
+   * @param {uArmSDK} uarm - The arm.
+   * @returns {ArmGroup} - this, for chaining.
+   */
+  add(alias, uarm) {
+    if (this.arms[alias]) {
+      throw new UArmError(`There is already an arm called '${alias}' in the group.`, { code: 'DUPLICATE_ARM' });
+    }
+    this.arms[alias] = uarm;
+    if (uarm.uid) {
+      this.uids[alias] = uarm.uid;
+    }
+    return this;
+  }
+
+  /**
+   * Remove an arm. The arm is left open.
+   * @param {string} key - Alias or UID of the arm.
+   * @returns {uArmSDK} - The arm removed.
+   */
+  remove(key) {
+    const alias = this.aliasOf(key);
+    const uarm = this.arms[alias];
+    delete this.arms[alias];
+    delete this.uids[alias];
+    return uarm;
+  }
+
+  /**
+   * Get an arm by alias or UID.
+   * @param {string} key - Alias or UID.
+   * @returns {uArmSDK}
+   */
+  get(key) {
+    return this.arms[this.aliasOf(key)];
+  }
+
+  get aliases() {
+    return Object.keys(this.arms);
+  }
+
+  aliasOf(key) {
+    if (this.arms[key]) {
+      return key;
+    }
+    const alias = Object.keys(this.uids).find(other => this.uids[other] === key);
+    if (!alias) {
+      throw new UArmError(`No arm '${key}' in the group.`, { code: 'ARM_NOT_FOUND' });
+    }
+    return alias;
+  }
+
+  /**
+   * Ask every arm for its UID, so arms can be looked up by UID.
+   * @returns {Promise} - A promise that will be resolved with the UIDs by alias.
+   */
+  identify() {
+    return this.broadcast(uarm => uarm.getUid().then(parseValue), { command: 'identify' })
+      .then((uids) => {
+        Object.assign(this.uids, uids);
+        return uids;
+      });
+  }
+
+  /**
+   * Run a function on every arm in parallel.
+   * @param {Function} fn - Called as fn(uarm, alias), returns a promise.
+   * @param {Object} options
+   * @param {string} options.command - Name of the operation, for errors.
+   * @returns {Promise} - A promise that will be resolved with the results by alias
+   * when every arm is done, or rejected with a GroupError if any arm failed.
+   */
+  broadcast(fn, { command = 'broadcast' } = {}) {
+    return this.broadcastTo(this.aliases, fn, command);
+  }
+
+  broadcastTo(aliases, fn, command) {
+    return Promise.all(aliases.map((alias) => {
+      return Promise.resolve()
+        .then(() => fn(this.arms[alias], alias))
+        .then(result => ({ result }), error => ({ error }));
+    })).then((outcomes) => {
+      const results = {};
+      const failures = {};
+      outcomes.forEach(({ result, error }, index) => {
+        if (error) {
+          failures[aliases[index]] = error;
+        } else {
+          results[aliases[index]] = result;
+        }
+      });
+      if (Object.keys(failures).length > 0) {
+        throw new GroupError({ command, failures, results });
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Move every arm to its home position.
+   * @param {Object} options
+   * @param {Object} options.position - {x, y, z} in mm.
+   * @param {number} options.speed - Speed in mm/min.
+   * @returns {Promise} - A promise that will be resolved when every arm is home.
+   */
+  home({ position = HOME_POSITION, speed } = {}) {
+    const { x, y, z } = position;
+    return this.broadcast(uarm => uarm.move(x, y, z, speed, { waitForCompletion: true }), { command: 'home' });
+  }
+
+  setPump(on) {
+    return this.broadcast(uarm => uarm.setPump(on), { command: 'setPump' });
+  }
+
+  setGripper(on) {
+    return this.broadcast(uarm => uarm.setGripper(on), { command: 'setGripper' });
+  }
+
+  /**
+   * Abort every run in progress and call emergencyStop() on every arm, which
+   * detaches the servos and refuses commands until resetEmergencyStop().
+   * @param {string} reason - Why the arms were stopped.
+   * @returns {Promise} - A promise that will be resolved when every arm has
+   * answered the stop.
+   */
+  emergencyStop(reason = 'ArmGroup emergencyStop() called') {
+    this.runs.slice().forEach(abort => abort());
+    const aliases = this.aliases;
+    return this.broadcastTo(aliases, uarm => uarm.emergencyStop(reason), 'emergencyStop').then(() => {
+      this.emit('stopped', { aliases });
+    });
+  }
+
+  /**
+   * Accept commands again on every arm after emergencyStop().
+   * @returns {Object} - Whether each arm was stopped, by alias.
+   */
+  resetEmergencyStop() {
+    const results = {};
+    this.aliases.forEach((alias) => {
+      results[alias] = this.arms[alias].resetEmergencyStop();
+    });
+    return results;
+  }
+
+  /**
+   * Stop arms: commands not yet sent are dropped and the arms are waited for to
+   * stop. Moves the firmware has already accepted are still finished.
+   * @param {string[]} aliases - The arms to stop.
+   * @param {string} command - Name of the operation, for errors.
+   * @returns {Promise}
+   */
+  stopArms(aliases, command) {
+    return this.broadcastTo(aliases, (uarm) => {
+      uarm.clearQueue();
+      return uarm.waitUntilStopped();
+    }, command).then(() => {
+      this.emit('stopped', { aliases });
+    });
+  }
+
+  /**
+   * Run a sequence per arm, in parallel. Each sequence is called as
+   * sequence(uarm, {alias, barrier, signal}) and returns a promise:
+   * - `barrier(name)` returns a promise that is resolved when every arm still
+   *   running has reached the barrier with the same name.
+   * - `signal` is aborted when the run is aborted, pass it on to the commands of
+   *   the sequence so they are cancelled.
+   * @param {Object} sequences - Sequences by alias.
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts every sequence when aborted.
+   * @returns {Promise} - A promise that will be resolved with the results by alias,
+   * or rejected with a GroupError.
+   */
+  run(sequences, { signal } = {}) {
+    // Sequences may be keyed by UID too.
+    const byAlias = {};
+    Object.keys(sequences).forEach((key) => {
+      byAlias[this.aliasOf(key)] = sequences[key];
+    });
+    const aliases = Object.keys(byAlias);
+    const controller = new AbortController();
+    const running = aliases.slice();
+    const barriers = {}; // name -> {arrived, waiters}
+    let aborted = false;
+
+    const releaseReady = () => {
+      Object.keys(barriers).forEach((name) => {
+        const barrier = barriers[name];
+        if (running.every(alias => barrier.arrived.indexOf(alias) !== -1)) {
+          delete barriers[name];
+          barrier.waiters.forEach(({ resolve }) => resolve());
+        }
+      });
+    };
+    const abort = () => {
+      if (aborted) {
+        return;
+      }
+      aborted = true;
+      controller.abort();
+      Object.keys(barriers).forEach((name) => {
+        barriers[name].waiters.forEach(({ reject }) => reject(new CommandAbortedError({ command: `barrier ${name}` })));
+        delete barriers[name];
+      });
+    };
+    const barrierFor = alias => (name) => {
+      if (aborted) {
+        return Promise.reject(new CommandAbortedError({ command: `barrier ${name}` }));
+      }
+      return new Promise((resolve, reject) => {
+        barriers[name] = barriers[name] || { arrived: [], waiters: [] };
+        barriers[name].arrived.push(alias);
+        barriers[name].waiters.push({ resolve, reject });
+        releaseReady();
+      });
+    };
+    const finished = (alias) => {
+      running.splice(running.indexOf(alias), 1);
+      releaseReady();
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+      }
+      signal.addEventListener('abort', abort);
+    }
+    this.runs.push(abort);
+    let stopping = Promise.resolve();
+
+    const outcomes = aliases.map((alias) => {
+      return Promise.resolve()
+        .then(() => byAlias[alias](this.arms[alias], {
+          alias,
+          barrier: barrierFor(alias),
+          signal: controller.signal,
+        }))
+        .then((result) => {
+          finished(alias);
+          return { result };
+        }, (error) => {
+          finished(alias);
+          if (!aborted) {
+            this.emit('failure', { alias, error });
+            if (this.stopOnFailure) {
+              abort();
+              stopping = this.stopArms(running.slice(), 'run').catch(() => {});
+            }
+          }
+          return { error };
+        });
+    });
+
+    return Promise.all(outcomes).then((settled) => {
+      this.runs = this.runs.filter(other => other !== abort);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      const results = {};
+      const failures = {};
+      settled.forEach(({ result, error }, index) => {
+        if (error) {
+          failures[aliases[index]] = error;
+        } else {
+          results[aliases[index]] = result;
+        }
+      });
+      return stopping.then(() => {
+        if (Object.keys(failures).length > 0) {
+          throw new GroupError({ command: 'run', failures, results });
+        }
+        return results;
+      });
+    });
+  }
+
+  /**
+   * Collect the status of every arm. Arms that don't answer get an `error`
+   * instead, so one snapshot shows what every arm is doing.
+   * @returns {Promise} - A promise that will be resolved with
+   * {time, ok, arms: {alias: {uid, connectionState, queueDepth, position, moving,
+   * pump, gripper, error}}}.
+   */
+  status() {
+    const aliases = this.aliases;
+    return Promise.all(aliases.map((alias) => {
+      const uarm = this.arms[alias];
+      const base = {
+        uid: this.uids[alias] || uarm.uid || null,
+        connectionState: uarm.connectionState,
+        queueDepth: uarm.queueDepth,
+      };
+      return Promise.all([
+        uarm.getPosition(),
+        uarm.isMoving(),
+        uarm.getPumpStatus(),
+        uarm.getGripperStatus(),
+      ]).then(([position, moving, pump, gripper]) => Object.assign(base, {
+        position: { x: Number(position.x), y: Number(position.y), z: Number(position.z) },
+        moving,
+        pump,
+        gripper,
+        error: null,
+      }), error => Object.assign(base, {
+        error: { name: error.name, code: error.code, message: error.message },
+      }));
+    })).then((statuses) => {
+      const arms = {};
+      statuses.forEach((status, index) => {
+        arms[aliases[index]] = status;
+      });
+      return {
+        time: Date.now(),
+        ok: statuses.every(status => !status.error),
+        arms,
+      };
+    });
+  }
+}
+
+module.exports = ArmGroup;
@@ -0,0 +1,285 @@
+const EventEmitter = require('events');
+const { MODES, LASER_POWER_MAX } = require('../uarm/constants');
+const { TOOL_OFFSETS } = require('../uarm/kinematics');
+const { OutOfReachError, CommandAbortedError } = require('../uarm/exceptions');
+const ProgramRunner = require('../program/program-runner');
+const WorkArea = require('../motion/work-area');
+const { boundsOf } = WorkArea;
+
+const ENGRAVE_SPEED_DEFAULT = 300; // mm/min
+const POWER_LEVELS_DEFAULT = 16;
+
+const format = (value) => value.toFixed(2);
+
+/**
+ * Collects the G-code of an engraving: travel moves with the laser off and burn
+ * moves at a power, switching the laser only when the power changes.
+ */
+class GCodeWriter {
+  constructor({ z, speed, travelSpeed }) {
+    this.z = z;
+    this.speed = speed;
+    this.travelSpeed = travelSpeed;
+    this.lines = [];
+    this.power = 0;
+    this.position = null;
+  }
+
+  travel(point) {
+    if (this.position && this.position.x === point.x && this.position.y === point.y) {
+      return;
+    }
+    this.laserOff();
+    this.lines.push(`G0 X${format(point.x)} Y${format(point.y)} Z${format(this.z)} F${this.travelSpeed}`);
+    this.position = point;
+  }
+
+  burn(point, power) {
+    if (power !== this.power) {
+      this.lines.push(`M3 S${power}`);
+      this.power = power;
+    }
+    this.lines.push(`G1 X${format(point.x)} Y${format(point.y)} Z${format(this.z)} F${this.speed}`);
+    this.position = point;
+  }
+
+  laserOff() {
+    if (this.power !== 0) {
+      this.lines.push('M5');
+      this.power = 0;
+    }
+  }
+
+  finish() {
+    this.laserOff();
+    return this.lines;
+  }
+}
+
+/**
+ * Engraves raster images and vector outlines with the laser module, within a work
+ * area on the table (see WorkArea) at a fixed focus height.
+ *
+ * raster() and outline() turn the drawing into G-code (laser mode, G0 travel moves,
+ * G1 burn moves, M3/M5 for the laser) and run it through a ProgramRunner, or just
+ * return it with `dryRun`. The laser is turned off when the job ends, fails or is
+ * aborted.
+ *
+ * Emits 'progress' {index, total} for every line the uArm has accepted.
+ */
+class Engraver extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm, with the laser module mounted.
+   * @param {Object} options
+   * @param {WorkArea|Object} options.workArea - Where to engrave, a WorkArea or
+   * {x: [min, max], y: [min, max]} in mm.
+   * @param {number} options.z - Height in mm of the laser tip while engraving, so
+   * the laser is in focus on the material.
+   * @param {number} options.speed - Feed rate in mm/min while burning.
+   * @param {number} options.travelSpeed - Feed rate in mm/min with the laser off,
+   * defaults to the speed of the uArm.
+   * @param {number} options.power - Max laser power, from 0 to LASER_POWER_MAX.
+   */
+  constructor(uarm, {
+    workArea,
+    z = 0,
+    speed = ENGRAVE_SPEED_DEFAULT,
+    travelSpeed,
+    power = LASER_POWER_MAX,
+  } = {}) {
+    super();
+    if (!workArea) {
+      throw new TypeError('Engraver needs a workArea.');
+    }
+    if (!(power > 0 && power <= LASER_POWER_MAX)) {
+      throw new RangeError(`power must be between 0 and ${LASER_POWER_MAX}, got '${power}'`);
+    }
+    this.uarm = uarm;
+    this.workArea = workArea instanceof WorkArea ? workArea : new WorkArea(workArea);
+    this.z = z;
+    this.speed = speed;
+    this.travelSpeed = travelSpeed || uarm.defaultSpeed;
+    this.power = power;
+
+    const unreachable = this.workArea.checkReach(z, TOOL_OFFSETS[MODES.LASER]);
+    if (unreachable) {
+      throw new OutOfReachError({ command: 'Engraver', target: unreachable.position, violation: unreachable.violation });
+    }
+  }
+
+  /**
+   * G-code to engrave a grayscale image line by line. Darker pixels are burnt with
+   * more power, pixels at least as light as `threshold` aren't burnt. Runs of
+   * pixels with the same power are burnt in one move.
+   * @param {Object} image - {width, height, data}: data holds one gray value per
+   * pixel from 0 (black) to 255 (white), row by row from the top left.
+   * @param {Object} options
+   * @param {number} options.pixelSize - Size of a pixel in mm, defaults to the
+   * largest size that fits the work area.
+   * @param {number} options.margin - Space in mm to leave along the edges.
+   * @param {number} options.threshold - Gray value (after `invert`) from which
+   * pixels are skipped.
+   * @param {number} options.levels - Number of power levels, 1 for black and white.
+   * @param {boolean} options.invert - Burn light pixels instead of dark ones.
+   * @param {boolean} options.bidirectional - Scan every other line backwards,
+   * saving the travel back.
+   * @param {number} options.power - Overrides the max laser power.
+   * @returns {string[]} - The G-code lines, without switching to laser mode.
+   */
+  rasterGCode(image, {
+    pixelSize,
+    margin,
+    threshold = 255,
+    levels = POWER_LEVELS_DEFAULT,
+    invert = false,
+    bidirectional = true,
+    power = this.power,
+  } = {}) {
+    const { width, height, data } = image || {};
+    if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0) ||
+      !data || data.length < width * height) {
+      throw new TypeError('image must be {width, height, data} with a gray value for every pixel.');
+    }
+    if (!(Number.isInteger(levels) && levels > 0)) {
+      throw new TypeError(`levels must be a positive integer, got '${levels}'`);
+    }
+    const { toArm } = this.workArea.fit({ minX: 0, minY: 0, maxX: width, maxY: height }, { margin, scale: pixelSize });
+    const powerOf = (gray) => {
+      const value = invert ? 255 - gray : gray;
+      if (value >= threshold) {
+        return 0;
+      }
+      const level = Math.max(1, Math.round((255 - value) / 255 * levels));
+      return Math.round(level / levels * power);
+    };
+
+    const writer = new GCodeWriter(this);
+    let scanned = 0;
+    for (let row = 0; row < height; row++) {
+      const runs = [];
+      for (let column = 0; column < width; column++) {
+        const pixelPower = powerOf(data[row * width + column]);
+        const last = runs[runs.length - 1];
+        if (last && last.power === pixelPower && last.end === column) {
+          last.end = column + 1;
+        } else {
+          runs.push({ start: column, end: column + 1, power: pixelPower });
+        }
+      }
+      const burns = runs.filter(run => run.power > 0);
+      if (burns.length === 0) {
+        continue;
+      }
+      // Drawing y is up, the middle of the row.
+      const y = height - row - 0.5;
+      const backwards = bidirectional && scanned % 2 === 1;
+      scanned++;
+      (backwards ? burns.reverse() : burns).forEach(({ start, end, power: runPower }) => {
+        const from = toArm({ x: backwards ? end : start, y });
+        const to = toArm({ x: backwards ? start : end, y });
+        writer.travel(from);
+        writer.burn(to, runPower);
+      });
+    }
+    return writer.finish();
+  }
+
+  /**
+   * G-code to burn along polylines, e.g. the outlines of a vector drawing.
+   * @param {Object[][]} polylines - Lists of points {x, y}, in drawing coordinates
+   * (x to the right, y up) or, with `fit: false`, arm coordinates in mm.
+   * @param {Object} options
+   * @param {boolean} options.fit - Scale the drawing to fit the work area.
+   * @param {number} options.margin - Space in mm to leave along the edges when
+   * fitting.
+   * @param {number} options.scale - mm per drawing unit when fitting, instead of
+   * the largest scale that fits.
+   * @param {boolean} options.closed - Burn back to the first point of each polyline.
+   * @param {number} options.power - Overrides the laser power.
+   * @returns {string[]} - The G-code lines, without switching to laser mode.
+   */
+  outlineGCode(polylines, { fit = true, margin, scale, closed = false, power = this.power } = {}) {
+    if (!Array.isArray(polylines) || !polylines.every(Array.isArray)) {
+      throw new TypeError('polylines must be an array of arrays of points {x, y}.');
+    }
+    const lines = polylines.filter(points => points.length > 0);
+    const allPoints = [].concat(...lines);
+    let toArm = point => ({ x: point.x, y: point.y });
+    if (fit && allPoints.length > 0) {
+      toArm = this.workArea.fit(boundsOf(allPoints), { margin, scale }).toArm;
+    } else {
+      const outside = allPoints.find(point => !this.workArea.contains(point));
+      if (outside) {
+        throw new RangeError(`Point X${format(outside.x)} Y${format(outside.y)} is outside the work area.`);
+      }
+    }
+
+    const writer = new GCodeWriter(this);
+    lines.forEach((points) => {
+      const path = closed && points.length > 2 ? points.concat([points[0]]) : points;
+      writer.travel(toArm(path[0]));
+      path.slice(1).forEach(point => writer.burn(toArm(point), Math.round(power)));
+      writer.laserOff();
+    });
+    return writer.finish();
+  }
+
+  /**
+   * Engrave a grayscale image, see rasterGCode().
+   * @param {Object} image - See rasterGCode().
+   * @param {Object} options - See rasterGCode() and engrave().
+   * @returns {Promise} - See engrave().
+   */
+  raster(image, options = {}) {
+    return this.engrave(this.rasterGCode(image, options), options);
+  }
+
+  /**
+   * Engrave polylines, see outlineGCode().
+   * @param {Object[][]} polylines - See outlineGCode().
+   * @param {Object} options - See outlineGCode() and engrave().
+   * @returns {Promise} - See engrave().
+   */
+  outline(polylines, options = {}) {
+    return this.engrave(this.outlineGCode(polylines, options), options);
+  }
+
+  /**
+   * Switch the uArm to laser mode and run G-code lines.
+   * @param {string[]} lines - The G-code lines.
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Don't send anything, resolve with the whole
+   * program instead.
+   * @param {AbortSignal} options.signal - Stops the job when aborted.
+   * @param {number} options.timeout - Time in ms to wait for each line.
+   * @returns {Promise} - A promise that will be resolved when the arm has stopped
+   * at the end of the job, or with the program as a string for a dry run.
+   */
+  engrave(lines, { dryRun = false, signal, timeout } = {}) {
+    if (dryRun) {
+      return Promise.resolve([`M2400 S${MODES.LASER}`].concat(lines).join('\n') + '\n');
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new CommandAbortedError({ command: 'engrave' }));
+    }
+    const runner = new ProgramRunner(this.uarm, lines.join('\n'));
+    const onAbort = () => runner.abort();
+    runner.on('progress', ({ index, total }) => this.emit('progress', { index, total }));
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+    const finish = () => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      return this.uarm.setLaser(false).catch(() => {});
+    };
+    return this.uarm.setMode(MODES.LASER, { signal })
+      .then(() => runner.run({ timeout }))
+      .then(finish, error => finish().then(() => {
+        throw error;
+      }));
+  }
+}
+
+module.exports = Engraver;
@@ -0,0 +1,77 @@
+// Levels from most to least verbose, 'silent' logs nothing.
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Logs messages at or above a level to an output with the console's methods.
+ *
+ * The SDK logs through any object with debug(), info(), warn() and error()
+ * methods, called as method(message, data) with optional structured `data`, so
+ * a Logger can be swapped for another logging library.
+ */
+class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - Lowest level to log, one of LOG_LEVELS.
+   * @param {Object} options.output - Where to log, with debug(), info(), warn()
+   * and error() methods like the console.
+   */
+  constructor({ level = 'info', output = console } = {}) {
+    this.output = output;
+    this.setLevel(level);
+  }
+
+  /**
+   * Change the lowest level to log.
+   * @param {string} level - One of LOG_LEVELS.
+   */
+  setLevel(level) {
+    if (LOG_LEVELS.indexOf(level) === -1) {
+      throw new TypeError(`level must be one of ${LOG_LEVELS.join(', ')}, got '${level}'`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * Whether messages of a level are logged.
+   * @param {string} level - One of LOG_LEVELS.
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  log(level, message, data) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const method = typeof this.output[level] === 'function' ? this.output[level] : this.output.log;
+    if (data === undefined) {
+      method.call(this.output, message);
+    } else {
+      method.call(this.output, message, data);
+    }
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  warn(message, data) {
+    this.log('warn', message, data);
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+}
+
+// Used by everything that isn't given a logger.
+const defaultLogger = new Logger();
+
+module.exports = Logger;
+module.exports.LOG_LEVELS = LOG_LEVELS;
+module.exports.defaultLogger = defaultLogger;
@@ -0,0 +1,101 @@
+const fs = require('fs');
+
+// Directions of transcript entries.
+const SENT = 'sent';
+const RECEIVED = 'received';
+const CLOSED = 'closed';
+
+/**
+ * Records every line sent to and received from a uArm as JSON lines:
+ * {time, direction, line}, with `time` in ms since the epoch and `direction`
+ * 'sent', 'received' or, without a line, 'closed' when the connection closed.
+ *
+ * The transcript can be fed back to a uArmSDK with a ReplayCommunication.
+ */
+class TranscriptRecorder {
+  /**
+   * @param {string|Object} destination - Path of the file to append to, or a
+   * writable stream.
+   */
+  constructor(destination) {
+    if (typeof destination === 'string') {
+      this.stream = fs.createWriteStream(destination, { flags: 'a' });
+      this.ownsStream = true;
+    } else if (destination && typeof destination.write === 'function') {
+      this.stream = destination;
+      this.ownsStream = false;
+    } else {
+      throw new TypeError('A transcript needs a file path or a writable stream.');
+    }
+  }
+
+  /**
+   * Add an entry.
+   * @param {string} direction - 'sent', 'received' or 'closed'.
+   * @param {string} line - The line, without line ending.
+   */
+  record(direction, line) {
+    const entry = { time: Date.now(), direction };
+    if (line !== undefined) {
+      entry.line = line;
+    }
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Stop recording. Closes the file if the recorder opened it.
+   * @returns {Promise} - A promise that will be resolved when everything has
+   * been written.
+   */
+  close() {
+    if (!this.ownsStream) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      this.stream.once('error', reject);
+      this.stream.end(resolve);
+    });
+  }
+}
+
+/**
+ * Parse a transcript.
+ * @param {string} text - The JSON lines.
+ * @returns {Object[]} - The entries, see TranscriptRecorder.
+ */
+function parseTranscript(text) {
+  return text.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line !== '')
+    .map(({ line, number }) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new SyntaxError(`Transcript line ${number} is not JSON: ${error.message}`);
+      }
+      if ([SENT, RECEIVED, CLOSED].indexOf(entry.direction) === -1 ||
+        (entry.direction !== CLOSED && typeof entry.line !== 'string')) {
+        throw new SyntaxError(`Transcript line ${number} is not an entry: ${line}`);
+      }
+      return entry;
+    });
+}
+
+/**
+ * Read a transcript file.
+ * @param {string} path - Path of the file.
+ * @returns {Promise} - A promise that will be resolved with the entries.
+ */
+function readTranscript(path) {
+  return fs.promises.readFile(path, 'utf8').then(parseTranscript);
+}
+
+module.exports = {
+  TranscriptRecorder,
+  parseTranscript,
+  readTranscript,
+  SENT,
+  RECEIVED,
+  CLOSED,
+};
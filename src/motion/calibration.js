@@ -0,0 +1,231 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const Frame = require('./frame');
+const Homography = require('./homography');
+const { UArmError, CommandAbortedError } = require('../uarm/exceptions');
+
+const CALIBRATION_VERSION = 1;
+const MIN_POINTS = 3;
+
+function waitForButton(uarm, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new CommandAbortedError({ command: 'calibration' }));
+    }
+    const onButton = ({ state }) => {
+      if (state === 1) {
+        finish();
+        resolve();
+      }
+    };
+    const onAbort = () => {
+      finish();
+      reject(new CommandAbortedError({ command: 'calibration' }));
+    };
+    const finish = () => {
+      uarm.removeListener('button', onButton);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    uarm.on('button', onButton);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+const rms = values => Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / values.length);
+
+/**
+ * Calibrate a user frame (see Frame) from reference points, e.g. marks on the
+ * table: the arm is taught or jogged to each of them, and the frame fitted to
+ * where it was. With the pixel coordinates of at least 4 of the points in a camera
+ * image, a homography from the image to the table is fitted too.
+ *
+ * Emits 'captured' {index, point} when the arm position of a point is known.
+ */
+class Calibration extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm to calibrate with.
+   * @param {Object} options
+   * @param {string} options.name - Name of the frame, see uArmSDK.setFrame().
+   * @param {Object[]} options.points - At least 3 reference points {name, x, y, z,
+   * pixel} where `x`, `y` and `z` are their position in the frame and `pixel`
+   * optionally {u, v} in the image.
+   * @param {boolean} options.scale - Whether to fit the scale of the frame too.
+   */
+  constructor(uarm, { name = 'user', points, scale = false } = {}) {
+    super();
+    if (!Array.isArray(points) || points.length < MIN_POINTS) {
+      throw new TypeError(`A calibration needs at least ${MIN_POINTS} reference points.`);
+    }
+    this.uarm = uarm;
+    this.name = name;
+    this.scale = scale;
+    this.points = points.map((point, index) => ({
+      name: point.name || `point ${index + 1}`,
+      x: Number(point.x || 0),
+      y: Number(point.y || 0),
+      z: Number(point.z || 0),
+      pixel: point.pixel ? { u: Number(point.pixel.u), v: Number(point.pixel.v) } : undefined,
+      base: point.base || null, // Position in arm coordinates, once captured.
+    }));
+  }
+
+  // Whether the arm position of every point is known.
+  get done() {
+    return this.points.every(point => point.base);
+  }
+
+  /**
+   * Use where the arm is now as the position of a reference point.
+   * @param {number} index - Index of the point.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved with the point.
+   */
+  capture(index, options) {
+    return this.uarm.getPosition(undefined, options)
+      .then(position => this.setBase(index, position));
+  }
+
+  /**
+   * Set the position of a reference point in arm coordinates by hand.
+   * @param {number} index - Index of the point.
+   * @param {Object} position - {x, y, z} in mm.
+   * @returns {Object} - The point.
+   */
+  setBase(index, { x, y, z }) {
+    const point = this.points[index];
+    if (!point) {
+      throw new RangeError(`Point index must be from 0 to ${this.points.length - 1}, got '${index}'`);
+    }
+    point.base = { x: Number(x), y: Number(y), z: Number(z) };
+    this.emit('captured', { index, point });
+    return point;
+  }
+
+  /**
+   * Go through the points not captured yet: for each one wait for the arm to be
+   * brought there, then capture it.
+   * @param {Object} options
+   * @param {Function} options.reach - Called with each point and its index, returns
+   * a promise resolved when the arm is at the point, e.g. after jogging it there.
+   * By default the servos are detached and the arm is taught by hand, pressing a
+   * button on the base at each point.
+   * @param {AbortSignal} options.signal - Stops the calibration when aborted.
+   * @returns {Promise} - A promise that will be resolved with the result, see fit().
+   */
+  run({ reach, signal } = {}) {
+    const teaching = !reach;
+    const bringTo = reach || (() => waitForButton(this.uarm, signal));
+    const next = (index) => {
+      if (index >= this.points.length) {
+        return Promise.resolve();
+      }
+      if (this.points[index].base) {
+        return next(index + 1);
+      }
+      if (signal && signal.aborted) {
+        return Promise.reject(new CommandAbortedError({ command: 'calibration' }));
+      }
+      return Promise.resolve()
+        .then(() => bringTo(this.points[index], index))
+        .then(() => this.capture(index, { signal }))
+        .then(() => next(index + 1));
+    };
+    const start = teaching ? this.uarm.detachServos({ signal }) : Promise.resolve();
+    const end = () => teaching ? this.uarm.attachServos() : Promise.resolve();
+    return start
+      .then(() => next(0))
+      .then(() => end(), error => end().catch(() => {}).then(() => {
+        throw error;
+      }))
+      .then(() => this.fit());
+  }
+
+  /**
+   * Fit the frame, and the homography if at least 4 points have pixel coordinates.
+   * @returns {Object} - {name, frame, homography, error, homographyError, points}:
+   * a Frame, a Homography or null, and the root mean square distance in mm
+   * between the captured positions and where the frame puts the points, and in
+   * frame units for the homography.
+   */
+  fit() {
+    const missing = this.points.filter(point => !point.base);
+    if (missing.length > 0) {
+      throw new TypeError(`The arm position of ${missing.map(point => `'${point.name}'`).join(', ')} is not captured yet.`);
+    }
+    const frame = Frame.fromPoints(this.points.map(point => ({ user: point, base: point.base })), { scale: this.scale });
+    const error = rms(this.points.map((point) => {
+      const fitted = frame.toBase(point);
+      return Math.hypot(fitted.x - point.base.x, fitted.y - point.base.y, fitted.z - point.base.z);
+    }));
+    const withPixels = this.points.filter(point => point.pixel);
+    let homography = null;
+    let homographyError = null;
+    if (withPixels.length >= 4) {
+      homography = Homography.fromPoints(withPixels.map(point => ({ pixel: point.pixel, table: point })));
+      homographyError = rms(withPixels.map((point) => {
+        const fitted = homography.toTable(point.pixel);
+        return Math.hypot(fitted.x - point.x, fitted.y - point.y);
+      }));
+    }
+    return {
+      name: this.name,
+      frame,
+      homography,
+      error,
+      homographyError,
+      points: this.points.map(point => Object.assign({}, point)),
+    };
+  }
+
+  /**
+   * Save a calibration as JSON.
+   * @param {Object} calibration - As returned by fit().
+   * @param {string} path - Path to the file.
+   * @returns {Promise}
+   */
+  static save(calibration, path) {
+    const data = Object.assign({ version: CALIBRATION_VERSION }, calibration);
+    return new Promise((resolve, reject) => {
+      fs.writeFile(path, JSON.stringify(data, null, 2), 'utf8', (error) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Load a calibration saved with save().
+   * @param {string} path - Path to the file.
+   * @returns {Promise} - A promise that will be resolved with the calibration, see
+   * fit().
+   */
+  static load(path) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(path, 'utf8', (error, json) => {
+        if (error) {
+          return reject(error);
+        }
+        try {
+          const data = JSON.parse(json);
+          if (!data.frame) {
+            throw new UArmError(`${path} is not a calibration, it has no frame.`, { code: 'INVALID_FILE' });
+          }
+          resolve(Object.assign({}, data, {
+            frame: new Frame(data.frame),
+            homography: data.homography ? new Homography(data.homography) : null,
+          }));
+        } catch (parseError) {
+          reject(parseError);
+        }
+      });
+    });
+  }
+}
+
+module.exports = Calibration;
@@ -0,0 +1,135 @@
+const toPoint = ({ x = 0, y = 0, z = 0 } = {}) => ({ x: Number(x), y: Number(y), z: Number(z) });
+
+/**
+ * A user coordinate frame, e.g. the corner of a table or a fixture, so positions
+ * can be given relative to it rather than to the base of the arm. When the arm is
+ * moved, only the frame needs to be calibrated again.
+ *
+ * A frame is placed at `origin` in arm coordinates, turned `rotation` degrees
+ * counterclockwise around the Z axis (seen from above) and optionally scaled, e.g.
+ * to work in other units than mm or to make up for a camera image. Its Z axis is
+ * the Z axis of the arm.
+ */
+class Frame {
+  /**
+   * @param {Object} options
+   * @param {Object} options.origin - Position {x, y, z} in mm of the origin of the
+   * frame in arm coordinates.
+   * @param {number} options.rotation - Rotation in degrees around the Z axis.
+   * @param {number} options.scale - mm in arm coordinates for each unit of the frame.
+   */
+  constructor({ origin, rotation = 0, scale = 1 } = {}) {
+    if (typeof rotation !== 'number' || !isFinite(rotation)) {
+      throw new TypeError(`rotation must be a number, got '${rotation}'`);
+    }
+    if (!(scale > 0)) {
+      throw new TypeError(`scale must be a positive number, got '${scale}'`);
+    }
+    this.origin = toPoint(origin);
+    this.rotation = rotation;
+    this.scale = scale;
+  }
+
+  /**
+   * Fit a frame to points known in both the frame and arm coordinates, e.g. marks
+   * on a table the arm was taught to, by least squares.
+   * @param {Object[]} pairs - At least 2 of {user, base}: a position {x, y, z} in
+   * the frame and where that is in arm coordinates.
+   * @param {Object} options
+   * @param {boolean} options.scale - Whether to fit the scale too, else it is 1.
+   * @returns {Frame}
+   */
+  static fromPoints(pairs, { scale = false } = {}) {
+    if (!Array.isArray(pairs) || pairs.length < 2) {
+      throw new TypeError('A frame needs at least 2 points to be fitted.');
+    }
+    const points = pairs.map(({ user, base }) => ({ user: toPoint(user), base: toPoint(base) }));
+    const mean = (key, axis) => points.reduce((sum, point) => sum + point[key][axis], 0) / points.length;
+    const userCenter = { x: mean('user', 'x'), y: mean('user', 'y') };
+    const baseCenter = { x: mean('base', 'x'), y: mean('base', 'y') };
+    // 2D Procrustes: the rotation (and scale) best turning the user points onto the
+    // base points around their centers.
+    let dot = 0;
+    let cross = 0;
+    let spread = 0;
+    points.forEach(({ user, base }) => {
+      const [ux, uy] = [user.x - userCenter.x, user.y - userCenter.y];
+      const [bx, by] = [base.x - baseCenter.x, base.y - baseCenter.y];
+      dot += ux * bx + uy * by;
+      cross += ux * by - uy * bx;
+      spread += ux * ux + uy * uy;
+    });
+    if (spread === 0) {
+      throw new TypeError('The points of a frame must not all be at the same X and Y.');
+    }
+    const angle = Math.atan2(cross, dot);
+    const factor = scale ? Math.hypot(dot, cross) / spread : 1;
+    const [cos, sin] = [Math.cos(angle) * factor, Math.sin(angle) * factor];
+    return new Frame({
+      origin: {
+        x: baseCenter.x - (cos * userCenter.x - sin * userCenter.y),
+        y: baseCenter.y - (sin * userCenter.x + cos * userCenter.y),
+        z: mean('base', 'z') - factor * mean('user', 'z'),
+      },
+      rotation: angle * 180 / Math.PI,
+      scale: factor,
+    });
+  }
+
+  /**
+   * Turn and scale a direction from the frame into arm coordinates, for relative
+   * moves.
+   * @param {Object} vector - {x, y, z} in the frame.
+   * @returns {Object} - {x, y, z} in mm in arm coordinates.
+   */
+  vectorToBase(vector) {
+    const { x, y, z } = toPoint(vector);
+    const angle = this.rotation * Math.PI / 180;
+    const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+    return {
+      x: this.scale * (cos * x - sin * y),
+      y: this.scale * (sin * x + cos * y),
+      z: this.scale * z,
+    };
+  }
+
+  /**
+   * A position in the frame in arm coordinates.
+   * @param {Object} point - {x, y, z} in the frame.
+   * @returns {Object} - {x, y, z} in mm in arm coordinates.
+   */
+  toBase(point) {
+    const vector = this.vectorToBase(point);
+    return {
+      x: this.origin.x + vector.x,
+      y: this.origin.y + vector.y,
+      z: this.origin.z + vector.z,
+    };
+  }
+
+  /**
+   * A position in arm coordinates in the frame.
+   * @param {Object} point - {x, y, z} in mm in arm coordinates.
+   * @returns {Object} - {x, y, z} in the frame.
+   */
+  fromBase(point) {
+    const { x, y, z } = toPoint(point);
+    const angle = this.rotation * Math.PI / 180;
+    const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+    const [dx, dy, dz] = [x - this.origin.x, y - this.origin.y, z - this.origin.z];
+    return {
+      x: (cos * dx + sin * dy) / this.scale,
+      y: (cos * dy - sin * dx) / this.scale,
+      z: dz / this.scale,
+    };
+  }
+
+  /**
+   * @returns {Object} - {origin, rotation, scale}, see the constructor.
+   */
+  toJSON() {
+    return { origin: this.origin, rotation: this.rotation, scale: this.scale };
+  }
+}
+
+module.exports = Frame;
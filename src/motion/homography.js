@@ -0,0 +1,149 @@
+function multiply(a, b) {
+  return a.map(row => [0, 1, 2].map(column => row.reduce((sum, value, k) => sum + value * b[k][column], 0)));
+}
+
+function invert(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const cofactors = [
+    [e * i - f * h, c * h - b * i, b * f - c * e],
+    [f * g - d * i, a * i - c * g, c * d - a * f],
+    [d * h - e * g, b * g - a * h, a * e - b * d],
+  ];
+  const determinant = a * cofactors[0][0] + b * cofactors[1][0] + c * cofactors[2][0];
+  if (Math.abs(determinant) < 1e-12) {
+    throw new TypeError('The homography can not be inverted.');
+  }
+  return cofactors.map(row => row.map(value => value / determinant));
+}
+
+// Solve a * x = b by Gaussian elimination with partial pivoting.
+function solve(a, b) {
+  const n = b.length;
+  const rows = a.map((row, index) => row.concat(b[index]));
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) {
+      throw new TypeError('The points of a homography must not be on one line.');
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = column + 1; row < n; row++) {
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= n; k++) {
+        rows[row][k] -= factor * rows[column][k];
+      }
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= rows[row][k] * x[k];
+    }
+    x[row] = sum / rows[row][row];
+  }
+  return x;
+}
+
+// Matrix moving points to be centered around 0 at an average distance of √2, for
+// a better conditioned fit.
+function normalization(points) {
+  const cx = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const cy = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  const distance = points.reduce((sum, [x, y]) => sum + Math.hypot(x - cx, y - cy), 0) / points.length;
+  const scale = distance > 0 ? Math.SQRT2 / distance : 1;
+  return [[scale, 0, -scale * cx], [0, scale, -scale * cy], [0, 0, 1]];
+}
+
+function transform(m, [x, y]) {
+  const w = m[2][0] * x + m[2][1] * y + m[2][2];
+  return [(m[0][0] * x + m[0][1] * y + m[0][2]) / w, (m[1][0] * x + m[1][1] * y + m[1][2]) / w];
+}
+
+/**
+ * A planar homography from image pixel coordinates {u, v} to table coordinates
+ * {x, y}, e.g. for a camera looking at the table at an angle.
+ */
+class Homography {
+  /**
+   * @param {number[][]} matrix - 3x3 matrix taking [u, v, 1] to [x, y, 1] times w.
+   */
+  constructor(matrix) {
+    if (!Array.isArray(matrix) || matrix.length !== 3 || !matrix.every(row => Array.isArray(row) && row.length === 3)) {
+      throw new TypeError(`A homography needs a 3x3 matrix, got '${JSON.stringify(matrix)}'`);
+    }
+    this.matrix = matrix.map(row => row.map(Number));
+  }
+
+  /**
+   * Fit a homography to points known in the image and on the table, by least
+   * squares.
+   * @param {Object[]} pairs - At least 4 of {pixel, table}: {u, v} in the image and
+   * {x, y} on the table. No 3 of them may be on one line.
+   * @returns {Homography}
+   */
+  static fromPoints(pairs) {
+    if (!Array.isArray(pairs) || pairs.length < 4) {
+      throw new TypeError('A homography needs at least 4 points to be fitted.');
+    }
+    const pixels = pairs.map(({ pixel }) => [Number(pixel.u), Number(pixel.v)]);
+    const tables = pairs.map(({ table }) => [Number(table.x), Number(table.y)]);
+    const fromPixel = normalization(pixels);
+    const fromTable = normalization(tables);
+    // Normal equations of h (with h[8] = 1) for x * (h6 u + h7 v + 1) = h0 u + h1 v + h2
+    // and likewise for y.
+    const normal = Array.from({ length: 8 }, () => new Array(8).fill(0));
+    const right = new Array(8).fill(0);
+    const addRow = (row, value) => {
+      for (let i = 0; i < 8; i++) {
+        for (let j = 0; j < 8; j++) {
+          normal[i][j] += row[i] * row[j];
+        }
+        right[i] += row[i] * value;
+      }
+    };
+    pixels.forEach((pixel, index) => {
+      const [u, v] = transform(fromPixel, pixel);
+      const [x, y] = transform(fromTable, tables[index]);
+      addRow([u, v, 1, 0, 0, 0, -u * x, -v * x], x);
+      addRow([0, 0, 0, u, v, 1, -u * y, -v * y], y);
+    });
+    const h = solve(normal, right);
+    const normalized = [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+    const matrix = multiply(multiply(invert(fromTable), normalized), fromPixel);
+    return new Homography(matrix.map(row => row.map(value => value / matrix[2][2])));
+  }
+
+  /**
+   * Where a pixel is on the table.
+   * @param {Object} pixel - {u, v}
+   * @returns {Object} - {x, y}
+   */
+  toTable({ u, v }) {
+    const [x, y] = transform(this.matrix, [Number(u), Number(v)]);
+    return { x, y };
+  }
+
+  /**
+   * Where a table position is in the image.
+   * @param {Object} point - {x, y}
+   * @returns {Object} - {u, v}
+   */
+  toPixel({ x, y }) {
+    const [u, v] = transform(invert(this.matrix), [Number(x), Number(y)]);
+    return { u, v };
+  }
+
+  /**
+   * @returns {number[][]} - The matrix, see the constructor.
+   */
+  toJSON() {
+    return this.matrix;
+  }
+}
+
+module.exports = Homography;
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const { UArmError, PoseNotFoundError } = require('../uarm/exceptions');
+
+const POSES_VERSION = 1;
+
+const emptyData = () => ({ version: POSES_VERSION, poses: {}, arms: {} });
+
+/**
+ * Named poses, e.g. 'home' or 'above-tray', kept in a JSON file so every script
+ * and tool using the file shares them. See uArmSDK.savePose().
+ *
+ * The file is read before and written after every change, so several processes
+ * can use it one after the other. Without a `path` poses are only kept in memory.
+ *
+ * With `perArm`, poses are saved for the arm they were taught on, by its UID, and
+ * poses saved without it are shared by every arm. Getting and listing poses for an
+ * arm includes the shared ones, its own taking precedence.
+ */
+class PoseStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Path of the JSON file.
+   * @param {boolean} options.perArm - Whether to save poses for each arm.
+   */
+  constructor({ path = null, perArm = false } = {}) {
+    this.path = path;
+    this.perArm = perArm;
+    this.data = emptyData(); // Used without a path.
+    this.pending = Promise.resolve(); // Last operation on the file, they run in turn.
+  }
+
+  /**
+   * Get a pose.
+   * @param {string} name - Name of the pose.
+   * @param {string} uid - UID of the arm, with `perArm`.
+   * @returns {Promise} - A promise that will be resolved with the pose, or rejected
+   * with a PoseNotFoundError.
+   */
+  get(name, uid) {
+    return this.queue(() => this.read().then((data) => {
+      const pose = this.posesOf(data, uid)[name];
+      if (!pose) {
+        throw new PoseNotFoundError({ name, namespace: this.namespace(uid) });
+      }
+      return pose;
+    }));
+  }
+
+  /**
+   * List the poses.
+   * @param {string} uid - UID of the arm, with `perArm`.
+   * @returns {Promise} - A promise that will be resolved with the poses, sorted by
+   * name.
+   */
+  list(uid) {
+    return this.queue(() => this.read().then((data) => {
+      const poses = this.posesOf(data, uid);
+      return Object.keys(poses).sort().map(name => poses[name]);
+    }));
+  }
+
+  /**
+   * Save a pose, replacing the one with the same name.
+   * @param {Object} pose - The pose, with its `name`.
+   * @param {string} uid - UID of the arm, with `perArm`.
+   * @returns {Promise} - A promise that will be resolved with the pose.
+   */
+  set(pose, uid) {
+    if (!pose || typeof pose.name !== 'string' || pose.name === '') {
+      return Promise.reject(new TypeError(`A pose needs a name, got '${pose && pose.name}'`));
+    }
+    return this.queue(() => this.read().then((data) => {
+      this.ownPosesOf(data, uid, true)[pose.name] = pose;
+      return this.write(data);
+    }).then(() => pose));
+  }
+
+  /**
+   * Delete a pose.
+   * @param {string} name - Name of the pose.
+   * @param {string} uid - UID of the arm, with `perArm`. Only the poses of the arm
+   * are deleted from then, not the shared ones.
+   * @returns {Promise} - A promise that will be resolved with whether there was
+   * such a pose.
+   */
+  delete(name, uid) {
+    return this.queue(() => this.read().then((data) => {
+      const poses = this.ownPosesOf(data, uid, false);
+      if (!poses || !poses[name]) {
+        return false;
+      }
+      delete poses[name];
+      return this.write(data).then(() => true);
+    }));
+  }
+
+  // The namespace poses of an arm are saved in, null for the shared poses.
+  namespace(uid) {
+    return this.perArm && uid ? uid : null;
+  }
+
+  posesOf(data, uid) {
+    const namespace = this.namespace(uid);
+    return Object.assign({}, data.poses, namespace ? data.arms[namespace] : {});
+  }
+
+  ownPosesOf(data, uid, create) {
+    const namespace = this.namespace(uid);
+    if (!namespace) {
+      return data.poses;
+    }
+    if (!data.arms[namespace] && create) {
+      data.arms[namespace] = {};
+    }
+    return data.arms[namespace];
+  }
+
+  queue(operation) {
+    const result = this.pending.then(operation);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  read() {
+    if (!this.path) {
+      return Promise.resolve(this.data);
+    }
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.path, 'utf8', (error, json) => {
+        if (error) {
+          return error.code === 'ENOENT' ? resolve(emptyData()) : reject(error);
+        }
+        try {
+          const data = JSON.parse(json);
+          if (!data.poses || typeof data.poses !== 'object') {
+            throw new UArmError(`${this.path} is not a pose file, it has no poses.`, { code: 'INVALID_FILE' });
+          }
+          resolve(Object.assign(emptyData(), data));
+        } catch (parseError) {
+          reject(parseError);
+        }
+      });
+    });
+  }
+
+  // Write to a temporary file first, so readers never see half a file.
+  write(data) {
+    if (!this.path) {
+      this.data = data;
+      return Promise.resolve();
+    }
+    const temporary = `${this.path}.${process.pid}.tmp`;
+    return new Promise((resolve, reject) => {
+      fs.writeFile(temporary, JSON.stringify(data, null, 2), 'utf8', (error) => {
+        if (error) {
+          return reject(error);
+        }
+        fs.rename(temporary, this.path, (renameError) => {
+          if (renameError) {
+            return reject(renameError);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+}
+
+module.exports = PoseStore;
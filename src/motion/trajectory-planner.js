@@ -0,0 +1,287 @@
+const EventEmitter = require('events');
+const { UArmError } = require('../uarm/exceptions');
+
+/**
+ * Plans Cartesian paths (lines, arcs and waypoint paths) and streams them to a
+ * uArm as short G0 moves, so the tool tip follows the path instead of the curve
+ * G0 takes between two far apart points.
+ *
+ * Build a path by chaining moveTo(), lineTo(), arcTo() and path(), check it with
+ * estimate() and run it with run(). Emits 'progress' {index, total} for every
+ * streamed move the uArm has accepted.
+ */
+class TrajectoryPlanner extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm to run paths on.
+   * @param {Object} options
+   * @param {number} options.resolution - Max length in mm of each streamed move.
+   * @param {number} options.speed - Feed rate in mm/min, defaults to the speed of
+   * the uArm.
+   * @param {number} options.blendRadius - Distance in mm from each path() corner
+   * where the corner is rounded off, 0 for sharp corners.
+   */
+  constructor(uarm, { resolution = 1, speed, blendRadius = 0 } = {}) {
+    super();
+    if (!(resolution > 0)) {
+      throw new TypeError(`resolution must be a positive number, got '${resolution}'`);
+    }
+    this.uarm = uarm;
+    this.resolution = resolution;
+    this.speed = speed || uarm.defaultSpeed;
+    this.blendRadius = blendRadius;
+    this.segments = [];
+    this.current = null; // End of the path so far.
+  }
+
+  /**
+   * Move straight to a point with a plain G0 move, e.g. to start the path.
+   * @param {Object} point - {x, y, z} in mm.
+   * @param {Object} options
+   * @param {number} options.speed - Feed rate in mm/min.
+   * @returns {TrajectoryPlanner} - this, for chaining.
+   */
+  moveTo(point, { speed } = {}) {
+    const to = toPoint(point);
+    this.segments.push({ points: [to], from: this.current, speed: speed || this.speed });
+    this.current = to;
+    return this;
+  }
+
+  /**
+   * Follow a straight line from the end of the path to a point.
+   * @param {Object} point - {x, y, z} in mm.
+   * @param {Object} options
+   * @param {number} options.speed - Feed rate in mm/min.
+   * @returns {TrajectoryPlanner} - this, for chaining.
+   */
+  lineTo(point, { speed } = {}) {
+    const from = this.requireCurrent('lineTo');
+    const to = toPoint(point);
+    this.addSegment(from, interpolateLine(from, to, this.resolution), speed);
+    return this;
+  }
+
+  /**
+   * Follow a circular arc in the XY plane from the end of the path to a point. Z is
+   * interpolated linearly, so a change in height gives a helix. An end point equal
+   * to the start gives a full circle.
+   * @param {Object} point - {x, y, z} in mm.
+   * @param {Object} options
+   * @param {Object} options.center - {x, y} of the arc center in mm.
+   * @param {boolean} options.clockwise - Direction, seen from above.
+   * @param {number} options.speed - Feed rate in mm/min.
+   * @returns {TrajectoryPlanner} - this, for chaining.
+   */
+  arcTo(point, { center, clockwise = false, speed } = {}) {
+    const from = this.requireCurrent('arcTo');
+    if (!center) {
+      throw new TypeError('arcTo() needs a center.');
+    }
+    const to = toPoint(point);
+    this.addSegment(from, interpolateArc(from, to, toPoint(Object.assign({ z: 0 }, center)), clockwise, this.resolution), speed);
+    return this;
+  }
+
+  /**
+   * Follow straight lines through a list of waypoints, with corners rounded off
+   * within `blendRadius` mm of each waypoint.
+   * @param {Object[]} waypoints - [{x, y, z}] in mm.
+   * @param {Object} options
+   * @param {number} options.speed - Feed rate in mm/min.
+   * @param {number} options.blendRadius - Overrides the planner blend radius.
+   * @returns {TrajectoryPlanner} - this, for chaining.
+   */
+  path(waypoints, { speed, blendRadius = this.blendRadius } = {}) {
+    const from = this.requireCurrent('path');
+    const corners = [from].concat(waypoints.map(toPoint));
+    const points = [];
+    let start = from;
+    for (let i = 1; i < corners.length; i++) {
+      const corner = corners[i];
+      const next = corners[i + 1];
+      if (!next || !(blendRadius > 0)) {
+        appendPoints(points, interpolateLine(start, corner, this.resolution));
+        start = corner;
+        continue;
+      }
+      // Cut the corner by at most half of each adjacent segment.
+      const radius = Math.min(blendRadius, distance(corners[i - 1], corner) / 2, distance(corner, next) / 2);
+      const blendStart = towards(corner, corners[i - 1], radius);
+      const blendEnd = towards(corner, next, radius);
+      appendPoints(points, interpolateLine(start, blendStart, this.resolution));
+      appendPoints(points, interpolateBlend(blendStart, corner, blendEnd, this.resolution));
+      start = blendEnd;
+    }
+    this.addSegment(from, points, speed);
+    return this;
+  }
+
+  /**
+   * All moves the path is streamed as.
+   * @returns {Object[]} - [{x, y, z, speed}]
+   */
+  moves() {
+    const moves = [];
+    this.segments.forEach(({ points, speed }) => {
+      points.forEach(point => moves.push(Object.assign({ speed }, point)));
+    });
+    return moves;
+  }
+
+  /**
+   * Estimate the path before running it. Moves from wherever the arm is to the
+   * first point aren't included.
+   * @returns {Object} - {length, duration, moves}: length in mm, duration in ms and
+   * the number of streamed moves.
+   */
+  estimate() {
+    let length = 0;
+    let duration = 0;
+    let moves = 0;
+    this.segments.forEach(({ from, points, speed }) => {
+      let previous = from;
+      points.forEach((point) => {
+        if (previous) {
+          const segmentLength = distance(previous, point);
+          length += segmentLength;
+          // Speed is in mm/min.
+          duration += segmentLength / speed * 60000;
+        }
+        previous = point;
+        moves++;
+      });
+    });
+    return { length, duration, moves };
+  }
+
+  /**
+   * Stream the path to the uArm. When a move fails, or on abort, the moves not yet
+   * sent are dropped so the arm stops after the ones it already has.
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops streaming when aborted.
+   * @returns {Promise} - A promise that will be resolved when the arm has stopped at
+   * the end of the path.
+   */
+  run({ signal } = {}) {
+    const moves = this.moves();
+    const total = moves.length;
+    // Every move is queued right away, they are all cancelled through this.
+    const controller = new AbortController();
+    EventEmitter.setMaxListeners(Infinity, controller.signal);
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+      }
+      signal.addEventListener('abort', abort);
+    }
+    const done = () => {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    };
+    return Promise.all(moves.map(({ x, y, z, speed }, index) => {
+      return this.uarm.move(x, y, z, speed, { signal: controller.signal })
+        .then(() => this.emit('progress', { index, total }), (error) => {
+          abort();
+          throw error;
+        });
+    }))
+      .then(() => this.uarm.waitUntilStopped({ signal: controller.signal }))
+      .then(done, (error) => {
+        done();
+        throw error;
+      });
+  }
+
+  addSegment(from, points, speed) {
+    this.segments.push({ points, from, speed: speed || this.speed });
+    if (points.length > 0) {
+      this.current = points[points.length - 1];
+    }
+  }
+
+  requireCurrent(method) {
+    if (!this.current) {
+      throw new UArmError(`${method}() needs a start point, call moveTo() first.`, { code: 'NO_START_POINT' });
+    }
+    return this.current;
+  }
+}
+
+// Coordinates may come as strings from getPosition().
+function toPoint({ x, y, z }) {
+  return { x: Number(x), y: Number(y), z: Number(z) };
+}
+
+function distance(from, to) {
+  return Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.y - from.y, 2) + Math.pow(to.z - from.z, 2));
+}
+
+function lerp(from, to, t) {
+  return {
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t,
+    z: from.z + (to.z - from.z) * t,
+  };
+}
+
+// The point `length` mm from `from` towards `to`.
+function towards(from, to, length) {
+  const total = distance(from, to);
+  return total === 0 ? from : lerp(from, to, length / total);
+}
+
+function appendPoints(points, more) {
+  more.forEach(point => points.push(point));
+}
+
+// Points along a line, excluding the start, at most `resolution` mm apart.
+function interpolateLine(from, to, resolution) {
+  const steps = Math.max(1, Math.ceil(distance(from, to) / resolution));
+  const points = [];
+  for (let i = 1; i <= steps; i++) {
+    points.push(lerp(from, to, i / steps));
+  }
+  return points;
+}
+
+// Points along a quadratic Bezier curve rounding off a corner, excluding the start.
+function interpolateBlend(from, corner, to, resolution) {
+  const length = distance(from, corner) + distance(corner, to);
+  const steps = Math.max(1, Math.ceil(length / resolution));
+  const points = [];
+  for (let i = 1; i <= steps; i++) {
+    points.push(lerp(lerp(from, corner, i / steps), lerp(corner, to, i / steps), i / steps));
+  }
+  return points;
+}
+
+// Points along an arc around `center` in the XY plane, excluding the start.
+function interpolateArc(from, to, center, clockwise, resolution) {
+  const startAngle = Math.atan2(from.y - center.y, from.x - center.x);
+  const startRadius = Math.hypot(from.x - center.x, from.y - center.y);
+  const endRadius = Math.hypot(to.x - center.x, to.y - center.y);
+  let sweep = Math.atan2(to.y - center.y, to.x - center.x) - startAngle;
+  if (clockwise && sweep >= 0) {
+    sweep -= 2 * Math.PI;
+  } else if (!clockwise && sweep <= 0) {
+    sweep += 2 * Math.PI;
+  }
+  const arcLength = Math.abs(sweep) * Math.max(startRadius, endRadius);
+  const steps = Math.max(1, Math.ceil(Math.hypot(arcLength, to.z - from.z) / resolution));
+  const points = [];
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const angle = startAngle + sweep * t;
+    const radius = startRadius + (endRadius - startRadius) * t;
+    points.push({
+      x: center.x + radius * Math.cos(angle),
+      y: center.y + radius * Math.sin(angle),
+      z: from.z + (to.z - from.z) * t,
+    });
+  }
+  return points;
+}
+
+module.exports = TrajectoryPlanner;
@@ -0,0 +1,123 @@
+const { checkReach } = require('../uarm/kinematics');
+
+/**
+ * Bounding box of points.
+ * @param {Object[]} points - [{x, y}]
+ * @returns {Object} - {minX, minY, maxX, maxY}
+ */
+function boundsOf(points) {
+  return points.reduce((bounds, { x, y }) => ({
+    minX: Math.min(bounds.minX, x),
+    minY: Math.min(bounds.minY, y),
+    maxX: Math.max(bounds.maxX, x),
+    maxY: Math.max(bounds.maxY, y),
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+}
+
+/**
+ * A rectangle on the table, in arm coordinates, to draw or engrave in.
+ *
+ * Drawings (images, polylines, ...) are placed as seen from behind the arm: the
+ * top of the drawing is away from the base (towards `x.max`) and its left side is
+ * on the left of the arm (towards `y.max`). Drawing coordinates have x to the right
+ * and y up.
+ */
+class WorkArea {
+  /**
+   * @param {Object} area
+   * @param {number[]} area.x - [min, max] in mm, away from the base.
+   * @param {number[]} area.y - [min, max] in mm, to the left of the arm.
+   */
+  constructor({ x, y }) {
+    [x, y].forEach((range, index) => {
+      if (!Array.isArray(range) || range.length !== 2 || !(range[0] < range[1])) {
+        throw new TypeError(`${index === 0 ? 'x' : 'y'} must be [min, max], got '${JSON.stringify(range)}'`);
+      }
+    });
+    this.x = { min: x[0], max: x[1] };
+    this.y = { min: y[0], max: y[1] };
+  }
+
+  // Size of the area as seen from behind the arm, in mm.
+  get width() {
+    return this.y.max - this.y.min;
+  }
+
+  get height() {
+    return this.x.max - this.x.min;
+  }
+
+  /**
+   * Whether an arm position is within the area.
+   * @param {Object} point - {x, y} in mm.
+   * @returns {boolean}
+   */
+  contains({ x, y }) {
+    return x >= this.x.min && x <= this.x.max && y >= this.y.min && y <= this.y.max;
+  }
+
+  /**
+   * Check that the arm can reach the whole area at a height. Only the corners and
+   * the edge middles are checked, the area is assumed not to hug the base.
+   * @param {number} z - Height in mm.
+   * @param {Object} tool - Tool offset {front, height}, see TOOL_OFFSETS.
+   * @returns {Object} - null when reachable, else {position, violation}, see
+   * checkReach().
+   */
+  checkReach(z, tool) {
+    const xs = [this.x.min, (this.x.min + this.x.max) / 2, this.x.max];
+    const ys = [this.y.min, (this.y.min + this.y.max) / 2, this.y.max];
+    for (const x of xs) {
+      for (const y of ys) {
+        const violation = checkReach({ x, y, z }, tool);
+        if (violation) {
+          return { position: { x, y, z }, violation };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Scale a drawing to fit the area, keeping its aspect ratio, and center it.
+   * @param {Object} bounds - Bounds of the drawing, see boundsOf().
+   * @param {Object} options
+   * @param {number} options.margin - Space in mm to leave along each edge.
+   * @param {number} options.scale - mm per drawing unit instead of the largest
+   * scale that fits.
+   * @returns {Object} - {scale, toArm}: mm per drawing unit and a function mapping
+   * a drawing point {x, y} to an arm position {x, y}.
+   */
+  fit(bounds, { margin = 0, scale } = {}) {
+    const drawingWidth = bounds.maxX - bounds.minX;
+    const drawingHeight = bounds.maxY - bounds.minY;
+    const width = this.width - 2 * margin;
+    const height = this.height - 2 * margin;
+    if (!(width > 0 && height > 0)) {
+      throw new RangeError(`A margin of ${margin} mm leaves no room in the work area.`);
+    }
+    if (scale === undefined) {
+      scale = Math.min(
+        drawingWidth > 0 ? width / drawingWidth : Infinity,
+        drawingHeight > 0 ? height / drawingHeight : Infinity);
+      if (scale === Infinity) {
+        scale = 1; // A single point.
+      }
+    } else if (drawingWidth * scale > width + 1e-9 || drawingHeight * scale > height + 1e-9) {
+      throw new RangeError(`The drawing is ${(drawingWidth * scale).toFixed(1)} x ${(drawingHeight * scale).toFixed(1)} mm, ` +
+        `larger than the work area of ${width.toFixed(1)} x ${height.toFixed(1)} mm.`);
+    }
+    const left = this.y.max - (this.width - drawingWidth * scale) / 2;
+    const bottom = this.x.min + (this.height - drawingHeight * scale) / 2;
+    return {
+      scale,
+      toArm: ({ x, y }) => ({
+        x: bottom + (y - bounds.minY) * scale,
+        y: left - (x - bounds.minX) * scale,
+      }),
+    };
+  }
+}
+
+module.exports = WorkArea;
+module.exports.boundsOf = boundsOf;
@@ -0,0 +1,402 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const PickAndPlace = require('../tasks/pick-and-place');
+const { UArmError, CommandAbortedError, JobValidationError, JobStepError } = require('../uarm/exceptions');
+const {
+  STEP_TYPES,
+  validateJob,
+  parseJob,
+  resolveValue,
+  toBoolean,
+  checkType,
+  checkInputValue,
+} = require('./job-schema');
+
+/**
+ * Runs jobs written in the job format (see validateJob()) on a uArm, one step at a
+ * time. Moves wait for the arm to stop, so a step is only done once the arm is
+ * where it asked for.
+ *
+ * When a step fails, run() rejects with a JobStepError carrying a `checkpoint`:
+ * the path of the step and the values of the variables before it. Pass it to run()
+ * as `from` to retry the step and carry on, e.g. after clearing a jam. Checkpoints
+ * are plain JSON, so they can be saved.
+ *
+ * Emits:
+ * - 'step' {path, type, step} when a step starts.
+ * - 'progress' {path, type} when it is done.
+ * - 'paused', 'resumed' and 'aborted'.
+ * - 'done' when the job has finished.
+ * - 'failed' (JobStepError) when a step failed.
+ */
+class JobRunner extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm to run jobs on.
+   * @param {Object} job - Job to load, see load().
+   */
+  constructor(uarm, job) {
+    super();
+    this.uarm = uarm;
+    this.job = null;
+    this.state = 'idle'; // idle, running, paused, aborted, done or failed.
+    this.checkpoint = null; // Of the last failed step.
+    this.resumeCallback = null;
+    this.position = []; // Where the runner is, see checkpoint.
+    this.scope = {};
+    if (job) {
+      this.load(job);
+    }
+  }
+
+  /**
+   * Load a job.
+   * @param {Object|string} job - The job, or its JSON or YAML text.
+   * @returns {JobRunner} - this, for chaining. Throws a JobValidationError when the
+   * job isn't valid.
+   */
+  load(job) {
+    if (this.state === 'running' || this.state === 'paused') {
+      throw new UArmError('Unable to load a job while one is running.', { code: 'ALREADY_RUNNING' });
+    }
+    const parsed = typeof job === 'string' ? parseJob(job) : job;
+    const errors = validateJob(parsed);
+    if (errors.length > 0) {
+      throw new JobValidationError({ errors });
+    }
+    this.job = parsed;
+    this.state = 'idle';
+    this.checkpoint = null;
+    return this;
+  }
+
+  /**
+   * Load a job from a .json, .yaml or .yml file.
+   * @param {string} path - Path to the file.
+   * @returns {Promise} - A promise that will be resolved with the runner.
+   */
+  loadFile(path) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(path, 'utf8', (error, text) => {
+        if (error) {
+          return reject(error);
+        }
+        try {
+          const format = /\.ya?ml$/i.test(path) ? 'yaml' : /\.json$/i.test(path) ? 'json' : undefined;
+          resolve(this.load(parseJob(text, format)));
+        } catch (loadError) {
+          reject(loadError);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run the loaded job.
+   * @param {Object} options
+   * @param {Object} options.parameters - Values of the parameters of the job, by
+   * name. Parameters without a default are required.
+   * @param {Object} options.from - A checkpoint to resume at, see JobStepError. Its
+   * parameters are used unless `parameters` is given.
+   * @param {AbortSignal} options.signal - Cancels the step running right now.
+   * @returns {Promise} - A promise that will be resolved when the job is done, or
+   * rejected with a JobStepError or, when aborted, a CommandAbortedError.
+   */
+  run({ parameters, from = null, signal } = {}) {
+    if (!this.job) {
+      return Promise.reject(new UArmError('No job loaded.', { code: 'NO_JOB' }));
+    }
+    if (this.state === 'running' || this.state === 'paused') {
+      return Promise.reject(new UArmError('The job is already running.', { code: 'ALREADY_RUNNING' }));
+    }
+    const given = parameters || (from ? from.parameters : {}) || {};
+    let values;
+    try {
+      values = this.parametersOf(given);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    this.scope = Object.assign(values, this.job.variables, from ? from.variables : {});
+    this.signal = signal;
+    this.pickAndPlace = new PickAndPlace(this.uarm, this.job.pickAndPlace);
+    this.parameters = given;
+    this.state = 'running';
+    this.checkpoint = null;
+    return this.runSteps(this.job.steps, 'steps', from ? from.position : null)
+      .then(() => this.waitWhilePaused())
+      .then(() => this.throwIfAborted('job'))
+      .catch((error) => {
+        if (error instanceof JobStepError) {
+          this.state = 'failed';
+          this.checkpoint = error.checkpoint;
+          this.emit('failed', error);
+        }
+        throw error;
+      })
+      .then(() => {
+        this.state = 'done';
+        this.emit('done');
+      });
+  }
+
+  /**
+   * Pause after the step running right now.
+   */
+  pause() {
+    if (this.state === 'running') {
+      this.state = 'paused';
+      this.emit('paused');
+    }
+  }
+
+  resume() {
+    if (this.state === 'paused') {
+      this.state = 'running';
+      this.emit('resumed');
+      this.wakeUp();
+    }
+  }
+
+  /**
+   * Stop after the step running right now, or during a wait. run() rejects with a
+   * CommandAbortedError.
+   */
+  abort() {
+    if (this.state === 'running' || this.state === 'paused') {
+      this.state = 'aborted';
+      this.emit('aborted');
+      this.wakeUp();
+    }
+  }
+
+  parametersOf(given) {
+    const declared = this.job.parameters || {};
+    const errors = [];
+    Object.keys(given).filter(name => !Object.prototype.hasOwnProperty.call(declared, name))
+      .forEach(name => errors.push({ path: `parameters.${name}`, message: 'is not a parameter of the job' }));
+    const values = {};
+    Object.keys(declared).forEach((name) => {
+      const value = given[name] === undefined ? declared[name] : given[name];
+      if (value === null || value === undefined) {
+        errors.push({ path: `parameters.${name}`, message: 'is required' });
+      }
+      values[name] = value;
+    });
+    if (errors.length > 0) {
+      throw new JobValidationError({ errors });
+    }
+    return values;
+  }
+
+  /**
+   * Run a list of steps.
+   * @param {Object[]} steps - The steps.
+   * @param {string} path - Path of the list, e.g. 'steps[1].steps'.
+   * @param {Object[]} resumeAt - Position to resume at within the list, null to run
+   * all of it. Each entry is {index, iteration, branch}: the index of a step, and
+   * for a loop or if the iteration or branch to resume in.
+   */
+  runSteps(steps, path, resumeAt) {
+    const start = resumeAt ? resumeAt[0].index : 0;
+    const next = (index) => {
+      if (index >= steps.length) {
+        return Promise.resolve();
+      }
+      const resumeInside = resumeAt && index === start && resumeAt.length > 1 ? resumeAt : null;
+      this.position.push({ index });
+      return this.runStep(steps[index], `${path}[${index}]`, resumeInside)
+        .then(() => this.position.pop(), (error) => {
+          this.position.pop();
+          throw error;
+        })
+        .then(() => next(index + 1));
+    };
+    return next(start);
+  }
+
+  runStep(step, path, resumeAt) {
+    const type = Object.keys(step).find(key => STEP_TYPES[key]);
+    const entry = this.position[this.position.length - 1];
+    const starting = resumeAt ? Promise.resolve() : this.waitWhilePaused().then(() => {
+      this.throwIfAborted(path);
+      this.emit('step', { path, type, step });
+    });
+    return starting
+      .then(() => {
+        if (type === 'loop') {
+          return this.attempt(path, () => this.value(step.loop.times, 'number', `${path}.loop.times`))
+            .then(times => this.runLoop(step, path, times, entry, resumeAt));
+        }
+        if (type === 'if') {
+          const choosing = resumeAt && resumeAt[0].branch
+            ? Promise.resolve(resumeAt[0].branch)
+            : this.attempt(path, () => this.checkCondition(step.if, `${path}.if`)).then(met => met ? 'then' : 'else');
+          return choosing.then((branch) => {
+            entry.branch = branch;
+            return this.runSteps(step[branch] || [], `${path}.${branch}`, resumeAt ? resumeAt.slice(1) : null);
+          });
+        }
+        return this.attempt(path, () => this.execute(step, type, path));
+      })
+      .then(() => this.emit('progress', { path, type }));
+  }
+
+  // Run the iterations of a loop step, from the one in resumeAt if given.
+  runLoop(step, path, times, entry, resumeAt) {
+    const { variable } = step.loop;
+    const next = (iteration, resumeInside) => {
+      if (iteration >= times) {
+        if (variable) {
+          delete this.scope[variable];
+        }
+        return Promise.resolve();
+      }
+      entry.iteration = iteration;
+      if (variable) {
+        this.scope[variable] = iteration;
+      }
+      return this.runSteps(step.steps, `${path}.steps`, resumeInside)
+        .then(() => next(iteration + 1, null));
+    };
+    return next(resumeAt ? resumeAt[0].iteration : 0, resumeAt ? resumeAt.slice(1) : null);
+  }
+
+  // Run a step, turning failures into a JobStepError with a checkpoint of it.
+  attempt(path, execute) {
+    const checkpoint = {
+      path,
+      position: this.position.map(entry => Object.assign({}, entry)),
+      variables: this.variables(),
+      parameters: this.parameters,
+    };
+    return new Promise(resolve => resolve(execute()))
+      .catch((error) => {
+        if (error instanceof CommandAbortedError && this.state === 'aborted') {
+          throw error;
+        }
+        throw new JobStepError({ path, cause: error, checkpoint });
+      });
+  }
+
+  // Values of the variables of the job, without the loop variables.
+  variables() {
+    const variables = {};
+    Object.keys(this.job.variables || {}).forEach((name) => {
+      variables[name] = this.scope[name];
+    });
+    return variables;
+  }
+
+  // Resolve a value of the job and check its type.
+  value(value, type, path) {
+    const resolved = resolveValue(value, this.scope);
+    const problem = checkType(resolved, type);
+    if (problem) {
+      throw new TypeError(`${path} ${problem}`);
+    }
+    return type === 'boolean' ? toBoolean(resolved) : resolved;
+  }
+
+  // Resolve the fields of a step given, by their type.
+  fields(args, type, path) {
+    const values = {};
+    const { fields } = STEP_TYPES[type];
+    Object.keys(args).forEach((key) => {
+      values[key] = this.value(args[key], fields[key].replace('?', ''), `${path}.${type}.${key}`);
+    });
+    return values;
+  }
+
+  checkCondition(condition, path) {
+    const options = { signal: this.signal };
+    return this.uarm.waitUntilStopped(options).then(() => {
+      const [name] = Object.keys(condition);
+      const expected = this.value(condition[name], 'boolean', `${path}.${name}`);
+      const reading = name === 'pump' ? this.uarm.getPumpStatus(options) : this.uarm.getGripperStatus(options);
+      return reading.then(on => on === expected);
+    });
+  }
+
+  // Carry out a step that isn't a loop or an if. May throw, see attempt().
+  execute(step, type, path) {
+    const uarm = this.uarm;
+    const options = { signal: this.signal };
+    const motion = { signal: this.signal, waitForCompletion: true };
+    if (STEP_TYPES[type].value) {
+      const value = this.value(step[type], STEP_TYPES[type].value, `${path}.${type}`);
+      if (type === 'wait') {
+        return uarm.waitUntilStopped(options).then(() => this.sleep(value, path));
+      }
+      return uarm.waitUntilStopped(options)
+        .then(() => type === 'pump' ? uarm.setPump(value, options) : uarm.setGripper(value, undefined, options));
+    }
+    if (type === 'set') {
+      Object.keys(step.set).forEach((name) => {
+        this.scope[name] = resolveValue(step.set[name], this.scope);
+      });
+      return;
+    }
+    const args = this.fields(step[type], type, path);
+    switch (type) {
+      case 'move':
+        return uarm.move(args.x, args.y, args.z, args.speed, Object.assign({ frame: args.frame }, motion));
+      case 'movePolar':
+        return uarm.movePolar(args.stretch, args.rotation, args.height, args.speed, motion);
+      case 'pick':
+      case 'place': {
+        const { x, y, z, wrist } = args;
+        const overrides = Object.assign({}, args, { signal: this.signal });
+        ['x', 'y', 'z', 'wrist'].forEach(key => delete overrides[key]);
+        return this.pickAndPlace[type]({ x, y, z, wrist }, overrides);
+      }
+      case 'waitForInput': {
+        const problem = checkInputValue(args.value, args.analog);
+        if (problem) {
+          throw new TypeError(`${path}.waitForInput.value ${problem}`);
+        }
+        // A level for analog inputs, 0 or 1 for digital ones.
+        const value = args.analog ? args.value : args.value === 1;
+        return uarm.waitForInput(args.pin, value, args.timeout, { analog: args.analog, below: args.below, signal: this.signal });
+      }
+    }
+  }
+
+  // Wait, ending early when aborted.
+  sleep(milliseconds, path) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new CommandAbortedError({ command: path }));
+      };
+      const timer = setTimeout(() => {
+        this.removeListener('aborted', onAbort);
+        resolve();
+      }, milliseconds);
+      this.once('aborted', onAbort);
+    });
+  }
+
+  throwIfAborted(path) {
+    if (this.state === 'aborted') {
+      throw new CommandAbortedError({ command: path });
+    }
+  }
+
+  waitWhilePaused() {
+    if (this.state !== 'paused') {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.resumeCallback = resolve;
+    });
+  }
+
+  wakeUp() {
+    if (this.resumeCallback) {
+      const callback = this.resumeCallback;
+      this.resumeCallback = null;
+      callback();
+    }
+  }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,367 @@
+const JOB_VERSION = 1;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const EXPRESSION = /^\$\{([^]*)\}$/;
+const TOKEN = /\s*(\d+(?:\.\d+)?|\.\d+|[A-Za-z_][A-Za-z0-9_]*|[-+*/%()])/y;
+const EFFECTORS = ['pump', 'gripper'];
+const JOB_KEYS = ['version', 'name', 'description', 'parameters', 'variables', 'pickAndPlace', 'steps'];
+
+const POSE_FIELDS = {
+  x: 'number',
+  y: 'number',
+  z: 'number',
+  wrist: '?number',
+  effector: '?effector',
+  approachHeight: '?number',
+  retreatHeight: '?number',
+  speed: '?number',
+  approachSpeed: '?number',
+};
+
+/**
+ * The steps of a job and their fields. A type ending in '?' is optional. Steps
+ * taking a single value (pump, gripper, wait) have the type of that value.
+ */
+const STEP_TYPES = {
+  move: { fields: { x: 'number', y: 'number', z: 'number', speed: '?number', frame: '?string' } },
+  movePolar: { fields: { stretch: 'number', rotation: 'number', height: 'number', speed: '?number' } },
+  pick: { fields: Object.assign({ confirm: '?boolean' }, POSE_FIELDS) },
+  place: { fields: POSE_FIELDS },
+  pump: { value: 'boolean' },
+  gripper: { value: 'boolean' },
+  wait: { value: 'number' },
+  waitForInput: { fields: { pin: 'number', value: 'number', timeout: '?number', analog: '?boolean', below: '?boolean' } },
+  loop: { fields: { times: 'number', variable: '?string' }, lists: ['steps'] },
+  if: { fields: { pump: '?boolean', gripper: '?boolean' }, lists: ['then', 'else'] },
+  set: {},
+};
+
+/**
+ * Compile an expression: numbers, variables, + - * / % and parentheses.
+ * @param {string} source - The expression, e.g. 'x + 20 * i'.
+ * @returns {Object} - {names, evaluate}: the variables used and a function
+ * evaluating it with an object of variable values. A lone variable evaluates to
+ * its value as is, arithmetic needs numbers.
+ */
+function compileExpression(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length && source.slice(TOKEN.lastIndex).trim() !== '') {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      throw new TypeError(`unexpected '${source.slice(start).trim()[0]}' in expression '${source}'`);
+    }
+    tokens.push(match[1]);
+  }
+  let position = 0;
+  const names = [];
+  const fail = () => {
+    const found = tokens[position] === undefined ? 'end of' : `'${tokens[position]}' in`;
+    throw new TypeError(`unexpected ${found} expression '${source}'`);
+  };
+  const number = (value) => {
+    if (typeof value !== 'number') {
+      throw new TypeError(`'${source}' needs numbers, got '${value}'`);
+    }
+    return value;
+  };
+  const operations = {
+    '+': (a, b) => number(a) + number(b),
+    '-': (a, b) => number(a) - number(b),
+    '*': (a, b) => number(a) * number(b),
+    '/': (a, b) => number(a) / number(b),
+    '%': (a, b) => number(a) % number(b),
+  };
+  // Each parse function returns a function of the variable values.
+  const binary = (operators, operand) => () => {
+    let left = operand();
+    while (operators.indexOf(tokens[position]) !== -1) {
+      const [apply, a, b] = [operations[tokens[position++]], left, operand()];
+      left = scope => apply(a(scope), b(scope));
+    }
+    return left;
+  };
+  const factor = () => {
+    const token = tokens[position++];
+    if (token === '-' || token === '+') {
+      const operand = factor();
+      return token === '-' ? scope => -number(operand(scope)) : scope => number(operand(scope));
+    }
+    if (token === '(') {
+      const inner = sum();
+      if (tokens[position++] !== ')') {
+        position--;
+        fail();
+      }
+      return inner;
+    }
+    if (token !== undefined && IDENTIFIER.test(token)) {
+      names.push(token);
+      return (scope) => {
+        if (!Object.prototype.hasOwnProperty.call(scope, token)) {
+          throw new TypeError(`unknown variable '${token}'`);
+        }
+        return scope[token];
+      };
+    }
+    if (token !== undefined && !isNaN(Number(token))) {
+      const value = Number(token);
+      return () => value;
+    }
+    position--;
+    return fail();
+  };
+  const product = binary(['*', '/', '%'], factor);
+  const sum = binary(['+', '-'], product);
+  const evaluate = sum();
+  if (position < tokens.length) {
+    fail();
+  }
+  return { names, evaluate };
+}
+
+/**
+ * Whether a value of a job is an expression, '${...}'.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isExpression(value) {
+  return typeof value === 'string' && EXPRESSION.test(value);
+}
+
+/**
+ * Give a value of a job, evaluating it if it is an expression.
+ * @param {*} value - The value.
+ * @param {Object} scope - Values of the parameters and variables.
+ * @returns {*}
+ */
+function resolveValue(value, scope) {
+  return isExpression(value) ? compileExpression(EXPRESSION.exec(value)[1]).evaluate(scope) : value;
+}
+
+// true, false, 'on' and 'off' -> a boolean, anything else -> undefined.
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return { on: true, off: false }[value];
+}
+
+/**
+ * Check a value against a field type.
+ * @param {*} value - The value, already resolved.
+ * @param {string} type - 'number', 'boolean', 'string' or 'effector'.
+ * @returns {string} - What is wrong with it, null if nothing.
+ */
+function checkType(value, type) {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && isFinite(value) ? null : `must be a number, got '${value}'`;
+    case 'boolean':
+      return toBoolean(value) === undefined ? `must be true, false, on or off, got '${value}'` : null;
+    case 'effector':
+      return EFFECTORS.indexOf(value) !== -1 ? null : `must be one of ${EFFECTORS.join(', ')}, got '${value}'`;
+    default:
+      return typeof value === 'string' ? null : `must be a string, got '${value}'`;
+  }
+}
+
+/**
+ * Check the value of a waitForInput step: 0 or 1 for a digital input, any level
+ * for an analog one (see uArmSDK.waitForInput()).
+ * @param {number} value - The value, already resolved.
+ * @param {boolean} analog - Whether the input is analog.
+ * @returns {string} - What is wrong with it, null if nothing.
+ */
+function checkInputValue(value, analog) {
+  return analog || value === 0 || value === 1 ? null : `must be 0 or 1 for a digital input, got '${value}'`;
+}
+
+/**
+ * Check a job against the job format.
+ * @param {Object} job - The job, e.g. parsed with parseJob().
+ * @returns {Object[]} - Every problem found as {path, message}, empty when the job
+ * is valid.
+ */
+function validateJob(job) {
+  const errors = [];
+  const report = (path, message) => errors.push({ path, message });
+  if (!job || typeof job !== 'object' || Array.isArray(job)) {
+    report('job', 'must be an object');
+    return errors;
+  }
+  Object.keys(job).filter(key => JOB_KEYS.indexOf(key) === -1)
+    .forEach(key => report(key, 'is not part of the job format'));
+  if (job.version !== undefined && job.version !== JOB_VERSION) {
+    report('version', `must be ${JOB_VERSION}, got '${job.version}'`);
+  }
+  const names = {}; // Name -> 'parameter', 'variable' or 'loop variable'.
+  ['parameters', 'variables'].forEach((section) => {
+    const values = job[section];
+    if (values === undefined) {
+      return;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return report(section, 'must be an object of names and values');
+    }
+    Object.keys(values).forEach((name) => {
+      if (!IDENTIFIER.test(name)) {
+        report(`${section}.${name}`, 'must be a name of letters, digits and _');
+      } else if (names[name]) {
+        report(`${section}.${name}`, `is already a ${names[name]}`);
+      } else {
+        names[name] = section === 'parameters' ? 'parameter' : 'variable';
+      }
+      if (isExpression(values[name])) {
+        report(`${section}.${name}`, 'must be a value, not an expression');
+      }
+    });
+  });
+  if (job.pickAndPlace !== undefined && (!job.pickAndPlace || typeof job.pickAndPlace !== 'object')) {
+    report('pickAndPlace', 'must be an object of PickAndPlace options');
+  }
+
+  const checkValue = (value, spec, path, scope) => {
+    const type = spec.replace('?', '');
+    if (value === undefined) {
+      if (spec[0] !== '?') {
+        report(path, 'is required');
+      }
+      return;
+    }
+    if (!isExpression(value)) {
+      const problem = checkType(value, type);
+      if (problem) {
+        report(path, problem);
+      }
+      return;
+    }
+    try {
+      compileExpression(EXPRESSION.exec(value)[1]).names
+        .filter(name => !scope[name])
+        .forEach(name => report(path, `unknown variable '${name}'`));
+    } catch (error) {
+      report(path, error.message);
+    }
+  };
+
+  const checkSteps = (steps, path, scope) => {
+    if (!Array.isArray(steps)) {
+      return report(path, 'must be a list of steps');
+    }
+    steps.forEach((step, index) => checkStep(step, `${path}[${index}]`, scope));
+  };
+
+  const checkStep = (step, path, scope) => {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return report(path, 'must be a step, e.g. {move: {x: 200, y: 0, z: 100}}');
+    }
+    const types = Object.keys(step).filter(key => STEP_TYPES[key]);
+    if (types.length !== 1) {
+      return report(path, types.length === 0 ?
+        `has no step type, one of ${Object.keys(STEP_TYPES).join(', ')}` :
+        `has more than one step type: ${types.join(', ')}`);
+    }
+    const type = types[0];
+    const schema = STEP_TYPES[type];
+    const lists = schema.lists || [];
+    Object.keys(step).filter(key => key !== type && key !== 'name' && lists.indexOf(key) === -1)
+      .forEach(key => report(`${path}.${key}`, `is not part of a ${type} step`));
+    if (step.name !== undefined && typeof step.name !== 'string') {
+      report(`${path}.name`, 'must be a string');
+    }
+    const args = step[type];
+    const argsPath = `${path}.${type}`;
+    if (schema.value) {
+      return checkValue(args, schema.value, argsPath, scope);
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      return report(argsPath, 'must be an object');
+    }
+    if (type === 'set') {
+      Object.keys(args).forEach((name) => {
+        if (names[name] !== 'variable' || !scope[name]) {
+          report(`${argsPath}.${name}`, names[name] ?
+            `is a ${names[name]}, only variables can be set` :
+            `unknown variable '${name}', declare it under variables`);
+        } else if (isExpression(args[name])) {
+          checkValue(args[name], '?string', `${argsPath}.${name}`, scope);
+        }
+      });
+      return;
+    }
+    Object.keys(args).filter(key => !schema.fields[key])
+      .forEach(key => report(`${argsPath}.${key}`, `is not a field of ${type}`));
+    Object.keys(schema.fields).filter(key => !(type === 'loop' && key === 'variable'))
+      .forEach(key => checkValue(args[key], schema.fields[key], `${argsPath}.${key}`, scope));
+    let inner = scope;
+    if (type === 'loop') {
+      const variable = args.variable;
+      if (variable !== undefined) {
+        if (typeof variable !== 'string' || !IDENTIFIER.test(variable)) {
+          report(`${argsPath}.variable`, 'must be a name of letters, digits and _');
+        } else if (scope[variable]) {
+          report(`${argsPath}.variable`, `'${variable}' is already a ${scope[variable]}`);
+        } else {
+          inner = Object.assign({}, scope, { [variable]: 'loop variable' });
+        }
+      }
+      return checkSteps(step.steps, `${path}.steps`, inner);
+    }
+    if (type === 'if') {
+      const conditions = Object.keys(args).filter(key => schema.fields[key]);
+      if (conditions.length !== 1) {
+        report(argsPath, 'must have one condition, pump or gripper');
+      }
+      checkSteps(step.then === undefined ? [] : step.then, `${path}.then`, scope);
+      if (step.else !== undefined) {
+        checkSteps(step.else, `${path}.else`, scope);
+      }
+    }
+    if (type === 'waitForInput' && !isExpression(args.analog)) {
+      const analog = toBoolean(args.analog) === true;
+      const problem = typeof args.value === 'number' ? checkInputValue(args.value, analog) : null;
+      if (problem) {
+        report(`${argsPath}.value`, problem);
+      }
+      if (args.below !== undefined && !analog) {
+        report(`${argsPath}.below`, 'only applies to analog inputs');
+      }
+    }
+  };
+
+  if (job.steps === undefined) {
+    report('steps', 'is required');
+  } else {
+    checkSteps(job.steps, 'steps', Object.assign({}, names));
+  }
+  return errors;
+}
+
+/**
+ * Parse a job written in JSON or YAML. YAML needs the js-yaml package.
+ * @param {string} text - The job.
+ * @param {string} format - 'json' or 'yaml', guessed from the text if left out.
+ * @returns {Object} - The job, not validated yet.
+ */
+function parseJob(text, format) {
+  const json = format ? format === 'json' : /^\s*[{[]/.test(text);
+  if (json) {
+    return JSON.parse(text);
+  }
+  // Required here so js-yaml is only loaded for YAML jobs.
+  return require('js-yaml').safeLoad(text);
+}
+
+module.exports = {
+  STEP_TYPES,
+  JOB_VERSION,
+  validateJob,
+  parseJob,
+  compileExpression,
+  isExpression,
+  resolveValue,
+  toBoolean,
+  checkType,
+  checkInputValue,
+};
@@ -0,0 +1,199 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const { UArmError, CommandAbortedError, ProgramLineError } = require('../uarm/exceptions');
+
+/**
+ * Parse a G-code program into the lines to send. Comments (';' to end of line and
+ * anything in parentheses) and blank lines are skipped.
+ * @param {string} text - The program.
+ * @returns {Object[]} - [{lineNumber, command}], line numbers start at 1.
+ */
+function parseProgram(text) {
+  return text.split(/\r?\n/)
+    .map((line, index) => ({
+      lineNumber: index + 1,
+      command: line.replace(/\([^)]*\)/g, '').replace(/;.*$/, '').trim(),
+    }))
+    .filter(({ command }) => command.length > 0);
+}
+
+/**
+ * Runs a uArm G-code program (G0, G2201, G2204, M2231, M2232, G2004, ...) through
+ * sendGCode(), one line at a time.
+ *
+ * Emits:
+ * - 'line' {lineNumber, command, index, total} when a line is sent.
+ * - 'progress' {lineNumber, command, response, index, total} when it is answered.
+ * - 'paused', 'resumed' and 'aborted'.
+ * - 'done' when the program has finished.
+ * - 'failed' (ProgramLineError) when a line failed, or the error waiting for the
+ *   arm to stop after the last line.
+ */
+class ProgramRunner extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm to run programs on.
+   * @param {string} program - Program to load, see load().
+   */
+  constructor(uarm, program) {
+    super();
+    this.uarm = uarm;
+    this.lines = [];
+    this.state = 'idle'; // idle, running, paused, aborted, done or failed.
+    this.resumeCallback = null;
+    if (program) {
+      this.load(program);
+    }
+  }
+
+  /**
+   * Load a program from a string.
+   * @param {string} program - The program.
+   * @returns {ProgramRunner} - this, for chaining.
+   */
+  load(program) {
+    if (this.state === 'running' || this.state === 'paused') {
+      throw new UArmError('Unable to load a program while one is running.', { code: 'ALREADY_RUNNING' });
+    }
+    this.lines = parseProgram(program);
+    this.state = 'idle';
+    return this;
+  }
+
+  /**
+   * Load a program from a .gcode file.
+   * @param {string} path - Path to the file.
+   * @returns {Promise} - A promise that will be resolved with the runner.
+   */
+  loadFile(path) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(path, 'utf8', (error, program) => {
+        if (error) {
+          return reject(error);
+        }
+        try {
+          resolve(this.load(program));
+        } catch (loadError) {
+          reject(loadError);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run the loaded program.
+   * @param {Object} options
+   * @param {number} options.timeout - Time in ms to wait for each line, see
+   * sendGCode().
+   * @param {boolean} options.waitForCompletion - Whether to wait for the arm to stop
+   * after the last line.
+   * @returns {Promise} - A promise that will be resolved when the program is done,
+   * or rejected with a ProgramLineError, the error of waitUntilStopped() or, when
+   * aborted, a CommandAbortedError.
+   */
+  run({ timeout, waitForCompletion = true } = {}) {
+    if (this.state === 'running' || this.state === 'paused') {
+      return Promise.reject(new UArmError('The program is already running.', { code: 'ALREADY_RUNNING' }));
+    }
+    this.state = 'running';
+    const total = this.lines.length;
+    const next = (index) => {
+      return this.waitWhilePaused().then(() => {
+        if (this.state === 'aborted') {
+          const line = this.lines[index];
+          throw new CommandAbortedError({ command: line ? line.command : 'program' });
+        }
+        if (index >= total) {
+          return waitForCompletion ? this.uarm.waitUntilStopped() : null;
+        }
+        const { lineNumber, command } = this.lines[index];
+        this.emit('line', { lineNumber, command, index, total });
+        return this.sendLine(this.lines[index], timeout).then((response) => {
+          this.emit('progress', { lineNumber, command, response, index, total });
+          return next(index + 1);
+        });
+      });
+    };
+    return next(0)
+      .then(() => {
+        this.state = 'done';
+        this.emit('done');
+      })
+      .catch((error) => {
+        // Leaves 'running' for any error, so the program can be run again.
+        if (error instanceof ProgramLineError || this.state !== 'aborted') {
+          this.state = 'failed';
+          this.emit('failed', error);
+        }
+        throw error;
+      });
+  }
+
+  /**
+   * Pause after the line being sent right now.
+   */
+  pause() {
+    if (this.state === 'running') {
+      this.state = 'paused';
+      this.emit('paused');
+    }
+  }
+
+  resume() {
+    if (this.state === 'paused') {
+      this.state = 'running';
+      this.emit('resumed');
+      this.wakeUp();
+    }
+  }
+
+  /**
+   * Stop after the line being sent right now. run() rejects with a
+   * CommandAbortedError.
+   */
+  abort() {
+    if (this.state === 'running' || this.state === 'paused') {
+      this.state = 'aborted';
+      this.emit('aborted');
+      this.wakeUp();
+    }
+  }
+
+  sendLine({ lineNumber, command }, timeout) {
+    return new Promise((resolve, reject) => {
+      this.uarm.sendGCode(command, (error, data, info) => {
+        if (error) {
+          return reject(new ProgramLineError({ lineNumber, command, cause: error }));
+        }
+        if (!data || !data.startsWith('ok')) {
+          return reject(new ProgramLineError({
+            lineNumber,
+            command,
+            cause: this.uarm.unexpectedResponse(data, info),
+          }));
+        }
+        resolve(data);
+      }, { timeout });
+    });
+  }
+
+  waitWhilePaused() {
+    if (this.state !== 'paused') {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.resumeCallback = resolve;
+    });
+  }
+
+  wakeUp() {
+    if (this.resumeCallback) {
+      const callback = this.resumeCallback;
+      this.resumeCallback = null;
+      callback();
+    }
+  }
+}
+
+ProgramRunner.parseProgram = parseProgram;
+
+module.exports = ProgramRunner;
@@ -0,0 +1,397 @@
+const EventEmitter = require('events');
+const { GRIPPER_CLOSE_DELAY_DEFAULT, GRIPPER_OPEN_DELAY_DEFAULT } = require('../uarm/constants');
+const { polarToCartesian } = require('../uarm/kinematics');
+const { CommandAbortedError } = require('../uarm/exceptions');
+const gcode = require('../uarm/gcode');
+
+const MOTION_STEPS = ['move', 'movePolar', 'moveRelative', 'wrist'];
+
+function requireNumber(value, name) {
+  if (typeof value !== 'number' || !isFinite(value)) {
+    throw new TypeError(`${name} must be a number, got '${value}'`);
+  }
+  return value;
+}
+
+function optionalNumber(value, name) {
+  return value === undefined ? undefined : requireNumber(value, name);
+}
+
+/**
+ * A job built up front from chained steps, so it can be checked, stored as JSON
+ * (toJSON(), fromJSON()), turned into G-code or estimated before it runs. Create
+ * one with uArmSDK.sequence().
+ *
+ * Each step runs through the uArmSDK method of the same name, so toGCode() gives
+ * the lines run() sends. Moves are streamed, the arm is waited for to stop before
+ * a step that isn't a move, so the pump, gripper and delays act where the arm
+ * arrived.
+ *
+ * Emits 'progress' {index, total, step} when a step is done in run().
+ */
+class Sequence extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm to run on.
+   * @param {Object} options
+   * @param {number} options.speed - Feed rate in mm/min for moves without one,
+   * defaults to the speed of the uArm.
+   * @param {Object} options.start - Position {x, y, z} the arm starts at, for
+   * estimate(). Unknown by default: the first absolute move isn't counted then.
+   */
+  constructor(uarm, { speed, start = null } = {}) {
+    super();
+    this.uarm = uarm;
+    this.speed = speed;
+    this.start = start;
+    this.steps = [];
+  }
+
+  /**
+   * Create a sequence from the steps stored with toJSON().
+   * @param {uArmSDK} uarm - The uArm to run on.
+   * @param {Object} data - {steps, speed, start}
+   * @returns {Sequence}
+   */
+  static fromJSON(uarm, { steps = [], speed, start } = {}) {
+    const sequence = new Sequence(uarm, { speed, start });
+    const add = (target, list) => {
+      list.forEach((step) => {
+        if (step.type === 'repeat') {
+          target.repeat(step.times, inner => add(inner, step.steps));
+          return;
+        }
+        const method = STEP_ARGUMENTS[step.type];
+        if (!method) {
+          throw new TypeError(`Unknown step type '${step.type}'`);
+        }
+        target[step.type](...method.map(name => step[name]));
+      });
+    };
+    add(sequence, steps);
+    return sequence;
+  }
+
+  /**
+   * Move to absolute Cartesian coordinates, see uArmSDK.move().
+   * @param {number} x - x in mm
+   * @param {number} y - y in mm
+   * @param {number} z - z in mm
+   * @param {number} speed - Speed in mm/min
+   * @returns {Sequence} - this, for chaining.
+   */
+  move(x, y, z, speed) {
+    return this.add({
+      type: 'move',
+      x: requireNumber(x, 'x'),
+      y: requireNumber(y, 'y'),
+      z: requireNumber(z, 'z'),
+      speed: optionalNumber(speed, 'speed'),
+    });
+  }
+
+  /**
+   * Move to absolute polar coordinates, see uArmSDK.movePolar().
+   * @param {number} stretch - Stretch in mm
+   * @param {number} rotation - Rotation in degrees
+   * @param {number} height - Height in mm
+   * @param {number} speed - Speed in mm/min
+   * @returns {Sequence} - this, for chaining.
+   */
+  movePolar(stretch, rotation, height, speed) {
+    return this.add({
+      type: 'movePolar',
+      stretch: requireNumber(stretch, 'stretch'),
+      rotation: requireNumber(rotation, 'rotation'),
+      height: requireNumber(height, 'height'),
+      speed: optionalNumber(speed, 'speed'),
+    });
+  }
+
+  /**
+   * Move relative to where the previous step left the arm, see
+   * uArmSDK.moveRelative().
+   * @param {number} x - x in mm
+   * @param {number} y - y in mm
+   * @param {number} z - z in mm
+   * @param {number} speed - Speed in mm/min
+   * @returns {Sequence} - this, for chaining.
+   */
+  moveRelative(x = 0, y = 0, z = 0, speed) {
+    return this.add({
+      type: 'moveRelative',
+      x: requireNumber(x, 'x'),
+      y: requireNumber(y, 'y'),
+      z: requireNumber(z, 'z'),
+      speed: optionalNumber(speed, 'speed'),
+    });
+  }
+
+  /**
+   * Turn the pump on/off, see uArmSDK.setPump().
+   * @param {boolean} on
+   * @returns {Sequence} - this, for chaining.
+   */
+  pump(on) {
+    return this.add({ type: 'pump', on: Boolean(on) });
+  }
+
+  /**
+   * Close/open the gripper, see uArmSDK.setGripper().
+   * @param {boolean} on - Whether to close the gripper.
+   * @param {number} delay - Time in ms to wait for the gripper.
+   * @returns {Sequence} - this, for chaining.
+   */
+  gripper(on, delay) {
+    return this.add({ type: 'gripper', on: Boolean(on), delay: optionalNumber(delay, 'delay') });
+  }
+
+  /**
+   * Turn the wrist, see uArmSDK.setWrist().
+   * @param {number} angle - The angle (0-180).
+   * @returns {Sequence} - this, for chaining.
+   */
+  wrist(angle) {
+    return this.add({ type: 'wrist', angle: requireNumber(angle, 'angle') });
+  }
+
+  /**
+   * Beep, see uArmSDK.buzz().
+   * @param {number} frequency - Frequency in Hz.
+   * @param {number} duration - Time in ms.
+   * @returns {Sequence} - this, for chaining.
+   */
+  buzz(frequency = 1000, duration = 300) {
+    return this.add({
+      type: 'buzz',
+      frequency: requireNumber(frequency, 'frequency'),
+      duration: requireNumber(duration, 'duration'),
+    });
+  }
+
+  /**
+   * Wait once the arm has stopped, see uArmSDK.delay(). The uArm does the waiting
+   * (G2004), the SDK doesn't wait on top of it.
+   * @param {number} milliseconds - Time to wait.
+   * @returns {Sequence} - this, for chaining.
+   */
+  delay(milliseconds) {
+    return this.add({ type: 'delay', milliseconds: requireNumber(milliseconds, 'milliseconds') });
+  }
+
+  /**
+   * Repeat steps.
+   * @param {number} times - How often.
+   * @param {Function} build - Called with a new Sequence to add the steps to.
+   * @returns {Sequence} - this, for chaining.
+   */
+  repeat(times, build) {
+    if (!(Number.isInteger(times) && times >= 0)) {
+      throw new TypeError(`times must be a whole number, got '${times}'`);
+    }
+    const inner = new Sequence(this.uarm);
+    build(inner);
+    return this.add({ type: 'repeat', times, steps: inner.steps });
+  }
+
+  add(step) {
+    Object.keys(step).forEach((key) => {
+      if (step[key] === undefined) {
+        delete step[key];
+      }
+    });
+    this.steps.push(step);
+    return this;
+  }
+
+  /**
+   * The steps, with repeats stored as {type: 'repeat', times, steps}.
+   * @returns {Object} - {steps, speed, start}, see fromJSON().
+   */
+  toJSON() {
+    const data = { steps: this.steps };
+    if (this.speed !== undefined) {
+      data.speed = this.speed;
+    }
+    if (this.start) {
+      data.start = this.start;
+    }
+    return data;
+  }
+
+  /**
+   * Every step in running order, repeats unrolled.
+   * @returns {Object[]}
+   */
+  flatten() {
+    const unroll = steps => [].concat(...steps.map((step) => {
+      if (step.type !== 'repeat') {
+        return [step];
+      }
+      const inner = unroll(step.steps);
+      return [].concat(...Array.from({ length: step.times }, () => inner));
+    }));
+    return unroll(this.steps);
+  }
+
+  // Feed rate of a move, as the uArmSDK method would send it.
+  speedOf(step) {
+    return step.speed || this.speed || this.uarm.defaultSpeed;
+  }
+
+  /**
+   * The G-code line a step is sent as.
+   * @param {Object} step - A step, see flatten().
+   * @returns {string}
+   */
+  lineOf(step) {
+    switch (step.type) {
+      case 'move':
+        return gcode.move(step.x, step.y, step.z, this.speedOf(step));
+      case 'movePolar':
+        return gcode.movePolar(step.stretch, step.rotation, step.height, this.speedOf(step));
+      case 'moveRelative':
+        return gcode.moveRelative(step.x, step.y, step.z, this.speedOf(step));
+      case 'pump':
+        return gcode.setPump(step.on);
+      case 'gripper':
+        return gcode.setGripper(step.on);
+      case 'wrist':
+        return gcode.setWrist(step.angle);
+      case 'buzz':
+        return gcode.buzz(step.frequency, step.duration);
+      case 'delay':
+        return gcode.delay(step.milliseconds);
+    }
+  }
+
+  /**
+   * The G-code the sequence is sent as, one line per step, without message ids.
+   * Waiting for the arm to stop and for the gripper isn't part of it.
+   * @returns {string}
+   */
+  toGCode() {
+    return this.flatten().map(step => this.lineOf(step)).join('\n');
+  }
+
+  /**
+   * Estimate the sequence before running it, assuming moves in a straight line at
+   * their feed rate. Moves from an unknown position aren't counted, see the
+   * `start` option.
+   * @returns {Object} - {length, duration, steps}: length in mm of the moves,
+   * duration in ms including delays and gripper waits, and the number of steps.
+   */
+  estimate() {
+    const steps = this.flatten();
+    let position = this.start ? { x: Number(this.start.x), y: Number(this.start.y), z: Number(this.start.z) } : null;
+    let length = 0;
+    let duration = 0;
+    const moveTo = (target, step) => {
+      if (position) {
+        const moveLength = Math.hypot(target.x - position.x, target.y - position.y, target.z - position.z);
+        length += moveLength;
+        // Speed is in mm/min.
+        duration += moveLength / this.speedOf(step) * 60000;
+      }
+      position = target;
+    };
+    steps.forEach((step) => {
+      switch (step.type) {
+        case 'move':
+          moveTo({ x: step.x, y: step.y, z: step.z }, step);
+          break;
+        case 'movePolar':
+          moveTo(polarToCartesian({ s: step.stretch, r: step.rotation, h: step.height }), step);
+          break;
+        case 'moveRelative': {
+          const moveLength = Math.hypot(step.x, step.y, step.z);
+          length += moveLength;
+          duration += moveLength / this.speedOf(step) * 60000;
+          position = position && { x: position.x + step.x, y: position.y + step.y, z: position.z + step.z };
+          break;
+        }
+        case 'gripper':
+          duration += this.gripperDelay(step);
+          break;
+        case 'delay':
+          duration += step.milliseconds;
+          break;
+      }
+    });
+    return { length, duration, steps: steps.length };
+  }
+
+  gripperDelay({ on, delay }) {
+    if (delay !== undefined) {
+      return delay;
+    }
+    return on ? GRIPPER_CLOSE_DELAY_DEFAULT : GRIPPER_OPEN_DELAY_DEFAULT;
+  }
+
+  /**
+   * Run the sequence.
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops the sequence when aborted.
+   * @returns {Promise} - A promise that will be resolved when the arm has stopped
+   * after the last step.
+   */
+  run({ signal } = {}) {
+    const steps = this.flatten();
+    const total = steps.length;
+    const options = { signal };
+    const uarm = this.uarm;
+    let moving = false;
+    const runStep = (step) => {
+      switch (step.type) {
+        case 'move':
+          return uarm.move(step.x, step.y, step.z, this.speedOf(step), options);
+        case 'movePolar':
+          return uarm.movePolar(step.stretch, step.rotation, step.height, this.speedOf(step), options);
+        case 'moveRelative':
+          return uarm.moveRelative(step.x, step.y, step.z, this.speedOf(step), options);
+        case 'wrist':
+          return uarm.setWrist(step.angle, options);
+        case 'pump':
+          return uarm.setPump(step.on, options);
+        case 'gripper':
+          return uarm.setGripper(step.on, this.gripperDelay(step), options);
+        case 'buzz':
+          return uarm.buzz(step.frequency, step.duration, options);
+        case 'delay':
+          return uarm.delay(step.milliseconds, options);
+      }
+    };
+    const next = (index) => {
+      if (index >= total) {
+        return moving ? uarm.waitUntilStopped({ signal }) : Promise.resolve();
+      }
+      if (signal && signal.aborted) {
+        return Promise.reject(new CommandAbortedError({ command: this.lineOf(steps[index]) }));
+      }
+      const step = steps[index];
+      const isMotion = MOTION_STEPS.indexOf(step.type) !== -1;
+      const stopping = moving && !isMotion ? uarm.waitUntilStopped({ signal }) : Promise.resolve();
+      return stopping
+        .then(() => runStep(step))
+        .then(() => {
+          moving = isMotion;
+          this.emit('progress', { index, total, step });
+          return next(index + 1);
+        });
+    };
+    return next(0);
+  }
+}
+
+// Arguments of each step method, by step type, for fromJSON().
+const STEP_ARGUMENTS = {
+  move: ['x', 'y', 'z', 'speed'],
+  movePolar: ['stretch', 'rotation', 'height', 'speed'],
+  moveRelative: ['x', 'y', 'z', 'speed'],
+  pump: ['on'],
+  gripper: ['on', 'delay'],
+  wrist: ['angle'],
+  buzz: ['frequency', 'duration'],
+  delay: ['milliseconds'],
+};
+
+module.exports = Sequence;
@@ -0,0 +1,266 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const { UArmError, CommandAbortedError } = require('../uarm/exceptions');
+
+const RECORDING_VERSION = 1;
+
+/**
+ * Teach the arm by hand and play it back.
+ *
+ * start() detaches the servos so the arm can be moved by hand, and samples its
+ * position, joint angles and pump/gripper state every `interval` ms, or whenever
+ * a button on the base is pressed. The default function of the buttons is turned
+ * off while sampling on button presses. stop() returns the recording, which can be
+ * saved as JSON and played back with playback().
+ *
+ * Emits 'sample' for every sample taken.
+ */
+class TeachMode extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm to teach.
+   * @param {Object} options
+   * @param {string} options.trigger - 'interval' to sample every `interval` ms or
+   * 'button' to sample on each button press.
+   * @param {number} options.interval - Time in ms between samples.
+   * @param {number} options.button - With the 'button' trigger, only sample on
+   * presses of this button (0 or 1). Any button if left out.
+   */
+  constructor(uarm, { trigger = 'interval', interval = 200, button } = {}) {
+    super();
+    if (trigger !== 'interval' && trigger !== 'button') {
+      throw new TypeError(`trigger must be 'interval' or 'button', got '${trigger}'`);
+    }
+    this.uarm = uarm;
+    this.trigger = trigger;
+    this.interval = interval;
+    this.button = button;
+    this.samples = [];
+    this.recording = false;
+    this.startedAt = null;
+    this.timer = null;
+    this.sampling = null; // Promise of the sample being taken, if any.
+    this.onButton = this.onButton.bind(this);
+  }
+
+  /**
+   * Detach the servos and start sampling.
+   * @returns {Promise} - A promise that will be resolved when the first sample has
+   * been taken.
+   */
+  start() {
+    if (this.recording) {
+      return Promise.reject(new UArmError('Teach mode is already started.', { code: 'ALREADY_RUNNING' }));
+    }
+    this.samples = [];
+    return this.uarm.detachServos()
+      .then(() => this.trigger === 'button' ? this.uarm.setButtonFunction(false) : null)
+      .then(() => {
+        this.recording = true;
+        this.startedAt = Date.now();
+        if (this.trigger === 'interval') {
+          this.timer = setInterval(() => {
+            if (!this.sampling) {
+              this.sample().catch(() => {});
+            }
+          }, this.interval);
+        } else {
+          this.uarm.on('button', this.onButton);
+        }
+        return this.sample();
+      });
+  }
+
+  /**
+   * Take a sample right now, in addition to the ones triggered.
+   * @returns {Promise} - A promise that will be resolved with the sample.
+   */
+  sample() {
+    const sampling = Promise.all([
+      this.uarm.getPosition(),
+      this.uarm.getJointsAngle(),
+      this.uarm.getPumpStatus(),
+      this.uarm.getGripperStatus(),
+    ]).then(([position, joints, pump, gripper]) => {
+      const sample = {
+        time: Date.now() - this.startedAt,
+        position: { x: Number(position.x), y: Number(position.y), z: Number(position.z) },
+        joints: { B: Number(joints.B), L: Number(joints.L), R: Number(joints.R) },
+        pump,
+        gripper,
+      };
+      this.samples.push(sample);
+      this.emit('sample', sample);
+      return sample;
+    });
+    this.sampling = sampling;
+    const clear = () => {
+      if (this.sampling === sampling) {
+        this.sampling = null;
+      }
+    };
+    sampling.then(clear, clear);
+    return sampling;
+  }
+
+  /**
+   * Stop sampling and turn the default function of the buttons back on.
+   * @param {Object} options
+   * @param {boolean} options.attach - Whether to attach the servos again.
+   * @returns {Promise} - A promise that will be resolved with the recording
+   * {version, trigger, interval, samples}.
+   */
+  stop({ attach = true } = {}) {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.uarm.removeListener('button', this.onButton);
+    this.recording = false;
+    return Promise.resolve(this.sampling)
+      .catch(() => {})
+      .then(() => this.trigger === 'button' ? this.uarm.setButtonFunction(true) : null)
+      .then(() => attach ? this.uarm.attachServos() : null)
+      .then(() => ({
+        version: RECORDING_VERSION,
+        trigger: this.trigger,
+        interval: this.trigger === 'interval' ? this.interval : undefined,
+        samples: this.samples.slice(),
+      }));
+  }
+
+  /**
+   * Play a recording back. Recordings sampled on an interval are replayed with the
+   * recorded timing, button recordings move from sample to sample at `speed`.
+   * Pump and gripper are switched where their state changed.
+   * @param {Object} recording - As returned by stop() or load().
+   * @param {Object} options
+   * @param {number} options.speedFactor - 2 plays back twice as fast.
+   * @param {number} options.speed - Speed in mm/min to move to the first sample and,
+   * for button recordings, between samples. Multiplied by `speedFactor`.
+   * @param {AbortSignal} options.signal - Stops the playback when aborted.
+   * @returns {Promise} - A promise that will be resolved when the playback is done.
+   */
+  playback(recording, { speedFactor = 1, speed = this.uarm.defaultSpeed, signal } = {}) {
+    const { samples = [], trigger } = recording;
+    if (samples.length === 0) {
+      return Promise.resolve();
+    }
+    const moveTo = (sample, moveSpeed, options) => {
+      const { x, y, z } = sample.position;
+      return this.uarm.move(x, y, z, moveSpeed, Object.assign({ signal }, options));
+    };
+    const next = (index) => {
+      if (index >= samples.length) {
+        return this.uarm.waitUntilStopped({ signal });
+      }
+      if (signal && signal.aborted) {
+        return Promise.reject(new CommandAbortedError({ command: 'playback' }));
+      }
+      const previous = samples[index - 1];
+      const sample = samples[index];
+      let moving;
+      if (trigger === 'interval') {
+        const duration = (sample.time - previous.time) / speedFactor;
+        const length = distance(previous.position, sample.position);
+        // Speed is in mm/min.
+        const moveSpeed = duration > 0 ? length / duration * 60000 : speed * speedFactor;
+        moving = (length > 0 ? moveTo(sample, Math.max(1, moveSpeed)) : Promise.resolve())
+          .then(() => sleep(duration, signal));
+      } else {
+        moving = moveTo(sample, speed * speedFactor, { waitForCompletion: true });
+      }
+      return moving
+        .then(() => this.applyTools(sample, previous, signal))
+        .then(() => next(index + 1));
+    };
+
+    return this.uarm.attachServos({ signal })
+      .then(() => moveTo(samples[0], speed * speedFactor, { waitForCompletion: true }))
+      .then(() => this.applyTools(samples[0], null, signal))
+      .then(() => next(1));
+  }
+
+  applyTools(sample, previous, signal) {
+    const pumpChanged = !previous || sample.pump !== previous.pump;
+    const gripperChanged = !previous || sample.gripper !== previous.gripper;
+    if (!pumpChanged && !gripperChanged) {
+      return Promise.resolve();
+    }
+    return this.uarm.waitUntilStopped({ signal })
+      .then(() => pumpChanged ? this.uarm.setPump(sample.pump, { signal }) : null)
+      .then(() => gripperChanged ? this.uarm.setGripper(sample.gripper, undefined, { signal }) : null);
+  }
+
+  onButton({ key, state }) {
+    if (state !== 1 || (this.button !== undefined && key !== this.button)) {
+      return;
+    }
+    this.sample().catch(() => {});
+  }
+
+  /**
+   * Save a recording as JSON.
+   * @param {Object} recording - As returned by stop().
+   * @param {string} path - Path to the file.
+   * @returns {Promise}
+   */
+  static save(recording, path) {
+    return new Promise((resolve, reject) => {
+      fs.writeFile(path, JSON.stringify(recording, null, 2), 'utf8', (error) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Load a recording saved with save().
+   * @param {string} path - Path to the file.
+   * @returns {Promise} - A promise that will be resolved with the recording.
+   */
+  static load(path) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(path, 'utf8', (error, json) => {
+        if (error) {
+          return reject(error);
+        }
+        try {
+          const recording = JSON.parse(json);
+          if (!Array.isArray(recording.samples)) {
+            throw new UArmError(`${path} is not a recording, it has no samples.`, { code: 'INVALID_FILE' });
+          }
+          resolve(recording);
+        } catch (parseError) {
+          reject(parseError);
+        }
+      });
+    });
+  }
+}
+
+function distance(from, to) {
+  return Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.y - from.y, 2) + Math.pow(to.z - from.z, 2));
+}
+
+function sleep(milliseconds, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new CommandAbortedError({ command: 'playback' }));
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CommandAbortedError({ command: 'playback' }));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, milliseconds);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+module.exports = TeachMode;
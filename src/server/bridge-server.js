@@ -0,0 +1,380 @@
+const EventEmitter = require('events');
+const http = require('http');
+const url = require('url');
+const crypto = require('crypto');
+const { UArmError } = require('../uarm/exceptions');
+const { POLAR_MODE, CARTESIAN_MODE } = require('../uarm/constants');
+const { parseValue } = require('../comm/probe');
+const { acceptWebSocket } = require('./websocket');
+
+const LOCK_TIMEOUT_DEFAULT = 60000; // ms
+const TELEMETRY_INTERVAL_DEFAULT = 200; // ms
+const MAX_BODY_SIZE = 16 * 1024;
+const LOCK_HEADER = 'x-lock-token';
+const HOST_DEFAULT = '127.0.0.1';
+
+// Events of the uArmSDK pushed to WebSocket clients.
+const FORWARDED_EVENTS = [
+  'position',
+  'button',
+  'power',
+  'limitSwitch',
+  'tempError',
+  'motionStopped',
+  'disconnected',
+  'reconnecting',
+  'reconnected',
+  'reconnectFailed',
+  'emergencyStop',
+  'emergencyStopReset',
+];
+
+// Error code -> HTTP status. Anything else is a 500.
+const STATUS_CODES = {
+  BAD_REQUEST: 400,
+  NOT_FOUND: 404,
+  LOCK_HELD: 409,
+  LOCKED: 423,
+  OUT_OF_REACH: 422,
+  SAFETY_VIOLATION: 422,
+  EMERGENCY_STOP: 409,
+  COMMAND_NOT_EXIST: 422,
+  PARAMETER: 422,
+  ADDRESS_OUT_OF_RANGE: 422,
+  ABORTED: 409,
+  DISCONNECTED: 503,
+  COMMAND_BUFFER_FULL: 503,
+  POWER_DISCONNECTED: 503,
+  TIMEOUT: 504,
+};
+
+function badRequest(message) {
+  return new UArmError(message, { code: 'BAD_REQUEST' });
+}
+
+function requireNumbers(body, names) {
+  return names.map((name) => {
+    const value = body[name];
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw badRequest(`'${name}' must be a number, got ${JSON.stringify(value)}`);
+    }
+    return value;
+  });
+}
+
+function requireBoolean(body, name) {
+  if (typeof body[name] !== 'boolean') {
+    throw badRequest(`'${name}' must be true or false, got ${JSON.stringify(body[name])}`);
+  }
+  return body[name];
+}
+
+// Pin number from a body or query string.
+function requirePin(text) {
+  const pin = Number(text);
+  if (text === undefined || !Number.isInteger(pin) || pin < 0) {
+    throw badRequest(`'pin' must be a pin number, got ${JSON.stringify(text)}`);
+  }
+  return pin;
+}
+
+function optionalNumber(body, name) {
+  return body[name] === undefined ? undefined : requireNumbers(body, [name])[0];
+}
+
+/**
+ * Serves a uArmSDK over HTTP and WebSocket, so other processes (a web dashboard,
+ * Python tools, ...) can drive the arm.
+ *
+ * REST endpoints take and return JSON. Commands that move or switch something
+ * need the controller lock: POST /lock returns a token to send in the
+ * `X-Lock-Token` header. Only one client holds the lock at a time, it is released
+ * with DELETE /lock or after `lockTimeout` ms without commands.
+ * POST /emergency-stop is the exception: anyone can stop the arm, while
+ * DELETE /emergency-stop, to carry on, needs the lock.
+ *
+ * WebSocket clients connecting to `/events` get a message
+ * {type: 'event', event, payload} for every report and connection event of the
+ * uArm, {type: 'lock', lock} when the lock changes hands and position telemetry
+ * every `telemetryInterval` ms while connected.
+ *
+ * Emits 'request' {method, path, status} for every request handled.
+ */
+class BridgeServer extends EventEmitter {
+  /**
+   * @param {uArmSDK} uarm - The uArm to serve, opened.
+   * @param {Object} options
+   * @param {number} options.lockTimeout - Time in ms without commands before the
+   * lock is released.
+   * @param {number} options.telemetryInterval - Time in ms between position reports
+   * pushed to WebSocket clients, 0 for none.
+   */
+  constructor(uarm, { lockTimeout = LOCK_TIMEOUT_DEFAULT, telemetryInterval = TELEMETRY_INTERVAL_DEFAULT } = {}) {
+    super();
+    this.uarm = uarm;
+    this.lockTimeout = lockTimeout;
+    this.telemetryInterval = telemetryInterval;
+    this.lock = null; // {token, client, expiresAt, timer}
+    this.clients = [];
+    this.telemetryOn = false;
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+    this.uarmListeners = {};
+    FORWARDED_EVENTS.forEach((event) => {
+      this.uarmListeners[event] = (payload) => this.broadcast({ type: 'event', event, payload });
+    });
+    this.routes = this.createRoutes();
+  }
+
+  /**
+   * Start listening.
+   * @param {number} port - Port to listen on, 0 for any free port.
+   * @param {string} host - Host to listen on, only this machine by default. Pass
+   * '0.0.0.0' to serve the arm to the network.
+   * @returns {Promise} - A promise that will be resolved with the address
+   * {address, port} listened on.
+   */
+  listen(port = 8080, host = HOST_DEFAULT) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        Object.keys(this.uarmListeners).forEach(event => this.uarm.on(event, this.uarmListeners[event]));
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  /**
+   * Stop listening and disconnect every WebSocket client. The uArm is left open.
+   * @returns {Promise}
+   */
+  close() {
+    Object.keys(this.uarmListeners).forEach(event => this.uarm.removeListener(event, this.uarmListeners[event]));
+    this.clients.slice().forEach(client => client.close());
+    this.releaseLock();
+    return new Promise((resolve, reject) => {
+      this.server.close((error) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve();
+      });
+    });
+  }
+
+  createRoutes() {
+    const uarm = this.uarm;
+    const motionOptions = body => ({ waitForCompletion: body.waitForCompletion === true });
+    // Commands answer { ok: true } whatever the uArm answered.
+    const done = promise => promise.then(() => undefined);
+    return {
+      'GET /status': () => ({
+        connectionState: uarm.connectionState,
+        queueDepth: uarm.queueDepth,
+        lock: this.lockInfo(),
+        emergencyStop: uarm.fault,
+      }),
+      'GET /position': (body, query) => uarm.getPosition(query.mode === 'polar' ? POLAR_MODE : CARTESIAN_MODE),
+      'GET /joints': () => uarm.getJointsAngle(),
+      'GET /versions': () => Promise.all([
+        uarm.getDeviceName(),
+        uarm.getHardwareVersion(),
+        uarm.getSoftwareVersion(),
+        uarm.getAPIVersion(),
+        uarm.getUid(),
+      ]).then((values) => {
+        const [deviceName, hardwareVersion, softwareVersion, apiVersion, uid] = values.map(parseValue);
+        return { deviceName, hardwareVersion, softwareVersion, apiVersion, uid };
+      }),
+      'GET /pump': () => uarm.getPumpStatus().then(on => ({ on })),
+      'GET /gripper': () => uarm.getGripperStatus().then(on => ({ on })),
+      'GET /limit-switch': () => uarm.getLimitSwitchStatus().then(pressed => ({ pressed })),
+      'GET /power': () => uarm.getPowerStatus().then(connected => ({ connected })),
+      'GET /digital': (body, query) => uarm.getDigitalValue(requirePin(query.pin)).then(value => ({ value })),
+      'GET /analog': (body, query) => uarm.getAnalogValue(requirePin(query.pin)).then(value => ({ value })),
+      'POST /lock': (body, query, token) => this.acquireLock(token, body.client),
+      'DELETE /lock': (body, query, token) => {
+        this.requireLock(token);
+        this.releaseLock();
+        return { lock: null };
+      },
+      'POST /move': (body, query, token) => {
+        this.requireLock(token);
+        const [x, y, z] = requireNumbers(body, ['x', 'y', 'z']);
+        return done(uarm.move(x, y, z, optionalNumber(body, 'speed'), motionOptions(body)));
+      },
+      'POST /move-polar': (body, query, token) => {
+        this.requireLock(token);
+        const [stretch, rotation, height] = requireNumbers(body, ['stretch', 'rotation', 'height']);
+        return done(uarm.movePolar(stretch, rotation, height, optionalNumber(body, 'speed'), motionOptions(body)));
+      },
+      'POST /pump': (body, query, token) => {
+        this.requireLock(token);
+        return done(uarm.setPump(requireBoolean(body, 'on')));
+      },
+      'POST /gripper': (body, query, token) => {
+        this.requireLock(token);
+        return done(uarm.setGripper(requireBoolean(body, 'on')));
+      },
+      'POST /digital': (body, query, token) => {
+        this.requireLock(token);
+        return done(uarm.setDigitalValue(requirePin(body.pin), requireBoolean(body, 'value')));
+      },
+      'POST /emergency-stop': (body) => {
+        const reason = body.reason === undefined ? 'POST /emergency-stop' : String(body.reason);
+        return done(uarm.emergencyStop(reason));
+      },
+      'DELETE /emergency-stop': (body, query, token) => {
+        this.requireLock(token);
+        return { reset: uarm.resetEmergencyStop() };
+      },
+      'POST /buzz': (body, query, token) => {
+        this.requireLock(token);
+        return done(uarm.buzz(optionalNumber(body, 'frequency'), optionalNumber(body, 'duration')));
+      },
+    };
+  }
+
+  handleRequest(request, response) {
+    const { pathname, query } = url.parse(request.url, true);
+    const route = this.routes[`${request.method} ${pathname}`];
+    const token = request.headers[LOCK_HEADER];
+    readBody(request)
+      .then((body) => {
+        if (!route) {
+          throw new UArmError(`No route for ${request.method} ${pathname}`, { code: 'NOT_FOUND' });
+        }
+        return route(body, query, token);
+      })
+      .then((result) => this.respond(request, response, 200, result === undefined ? { ok: true } : result))
+      .catch((error) => this.respond(request, response, STATUS_CODES[error.code] || 500, {
+        error: { name: error.name, code: error.code, message: error.message },
+      }));
+  }
+
+  respond(request, response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+    this.emit('request', { method: request.method, path: request.url, status });
+  }
+
+  handleUpgrade(request, socket) {
+    if (url.parse(request.url).pathname !== '/events') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const client = acceptWebSocket(request, socket);
+    if (!client) {
+      return;
+    }
+    this.clients.push(client);
+    client.on('close', () => {
+      this.clients = this.clients.filter(other => other !== client);
+      this.updateTelemetry();
+    });
+    client.send(JSON.stringify({
+      type: 'hello',
+      connectionState: this.uarm.connectionState,
+      lock: this.lockInfo(),
+    }));
+    this.updateTelemetry();
+  }
+
+  broadcast(message) {
+    const text = JSON.stringify(message);
+    this.clients.forEach(client => client.send(text));
+  }
+
+  // Position reports are on while WebSocket clients are connected.
+  updateTelemetry() {
+    const wanted = this.telemetryInterval > 0 && this.clients.length > 0;
+    if (wanted === this.telemetryOn) {
+      return;
+    }
+    this.telemetryOn = wanted;
+    this.uarm.setPositionReporting(wanted ? this.telemetryInterval : 0).catch(() => {});
+  }
+
+  /**
+   * Take the lock, or renew it with the token of the holder.
+   * @param {string} token - Token of the client, if it has one.
+   * @param {string} client - Name of the client, shown to other clients.
+   * @returns {Object} - {token, client, expiresAt}
+   */
+  acquireLock(token, client) {
+    if (this.lock && this.lock.token !== token) {
+      throw new UArmError(`The arm is locked by ${this.lock.client || 'another client'}.`, { code: 'LOCK_HELD' });
+    }
+    if (!this.lock) {
+      this.lock = { token: crypto.randomBytes(16).toString('hex'), client: client || null };
+      this.renewLock();
+      this.broadcast({ type: 'lock', lock: this.lockInfo() });
+    } else {
+      this.renewLock();
+    }
+    return Object.assign({ token: this.lock.token }, this.lockInfo());
+  }
+
+  requireLock(token) {
+    if (!this.lock || this.lock.token !== token) {
+      throw new UArmError(this.lock ?
+        `The arm is locked by ${this.lock.client || 'another client'}.` :
+        'Take the lock with POST /lock before sending commands.', { code: 'LOCKED' });
+    }
+    this.renewLock();
+  }
+
+  renewLock() {
+    clearTimeout(this.lock.timer);
+    this.lock.expiresAt = Date.now() + this.lockTimeout;
+    this.lock.timer = setTimeout(() => this.releaseLock(), this.lockTimeout);
+    this.lock.timer.unref();
+  }
+
+  releaseLock() {
+    if (!this.lock) {
+      return;
+    }
+    clearTimeout(this.lock.timer);
+    this.lock = null;
+    this.broadcast({ type: 'lock', lock: null });
+  }
+
+  // The lock as shown to clients, without the token.
+  lockInfo() {
+    return this.lock ? { client: this.lock.client, expiresAt: this.lock.expiresAt } : null;
+  }
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      text += chunk;
+      if (text.length > MAX_BODY_SIZE) {
+        reject(badRequest('Request body is too large.'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => {
+      if (text.trim() === '') {
+        return resolve({});
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        body = null;
+      }
+      if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        return reject(badRequest('Request body must be a JSON object.'));
+      }
+      resolve(body);
+    });
+    request.on('error', reject);
+  });
+}
+
+module.exports = BridgeServer;
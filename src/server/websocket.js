@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// https://tools.ietf.org/html/rfc6455
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+const MAX_PAYLOAD = 64 * 1024;
+
+/**
+ * A minimal server side WebSocket connection, enough to push JSON messages to
+ * clients and read small text messages from them, fragmented or not. Binary
+ * messages are ignored. Clients must mask their frames, the connection is closed
+ * on the first one that isn't.
+ *
+ * Emits 'message' (text) and 'close'.
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // Payloads of the text message being received, if fragmented.
+    this.closed = false;
+    socket.on('data', (data) => this.receive(data));
+    socket.on('close', () => this.handleClose());
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Send a text message.
+   * @param {string} text - The message.
+   */
+  send(text) {
+    this.writeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.writeFrame(OPCODE_CLOSE, Buffer.alloc(0));
+    this.socket.end();
+    this.handleClose();
+  }
+
+  writeFrame(opcode, payload) {
+    if (this.closed || this.socket.destroyed) {
+      return;
+    }
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeUInt32BE(0, 2);
+      header.writeUInt32BE(payload.length, 6);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let frame;
+    while (!this.closed && !this.socket.destroyed && (frame = this.readFrame()) !== null) {
+      if (!frame.masked) {
+        this.close();
+        return;
+      }
+      if (frame.opcode === OPCODE_TEXT || (frame.opcode === OPCODE_CONTINUATION && this.fragments)) {
+        this.receiveFragment(frame);
+      } else if (frame.opcode === OPCODE_PING) {
+        this.writeFrame(OPCODE_PONG, frame.payload);
+      } else if (frame.opcode === OPCODE_CLOSE) {
+        this.close();
+        return;
+      }
+    }
+  }
+
+  // Add a frame of a text message, emitting the message with its last frame.
+  receiveFragment({ opcode, final, payload }) {
+    this.fragments = opcode === OPCODE_TEXT ? [payload] : this.fragments.concat([payload]);
+    const length = this.fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+    if (length > MAX_PAYLOAD) {
+      this.socket.destroy();
+      return;
+    }
+    if (final) {
+      const text = Buffer.concat(this.fragments).toString('utf8');
+      this.fragments = null;
+      this.emit('message', text);
+    }
+  }
+
+  // Read one frame off the buffer, null if it hasn't been received in full yet.
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) {
+      return null;
+    }
+    const final = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      length = buffer.readUInt32BE(6);
+      offset = 10;
+    }
+    if (length > MAX_PAYLOAD) {
+      this.socket.destroy();
+      return null;
+    }
+    const maskOffset = offset;
+    if (masked) {
+      offset += 4;
+    }
+    if (buffer.length < offset + length) {
+      return null;
+    }
+    const payload = Buffer.from(buffer.slice(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+    this.buffer = buffer.slice(offset + length);
+    return { opcode, final, masked, payload };
+  }
+
+  handleClose() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+/**
+ * Complete the WebSocket handshake for an HTTP 'upgrade' request.
+ * @param {http.IncomingMessage} request - The upgrade request.
+ * @param {net.Socket} socket - The socket of the request.
+ * @returns {WebSocketConnection} - null if the request isn't a WebSocket
+ * handshake, the socket is then closed with 400 Bad Request.
+ */
+function acceptWebSocket(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(`${key}${HANDSHAKE_GUID}`).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  return new WebSocketConnection(socket);
+}
+
+module.exports = {
+  acceptWebSocket,
+  WebSocketConnection,
+};
@@ -0,0 +1,490 @@
+const EventEmitter = require('events');
+const {
+  MODES,
+  SERVO_BOTTOM,
+  SERVO_LEFT,
+  SERVO_RIGHT,
+  SERVO_HAND,
+  MESSAGE_GCODE_SEND_PREFIX,
+  MESSAGE_GCODE_RECEIVE_PREFIX,
+  MESSAGE_TICKING_FEEDBACK_PREFIX,
+  MESSAGE_ERROR_PREFIX,
+  TICKING_UARM_READY,
+  TICKING_UARM_TIMED_FEEDBACK,
+  TICKING_UARM_BUTTON_EVENT,
+  TICKING_UARM_POWER_SUPPLY,
+  TICKING_UARM_LIMIT_SWITCH_EVENT,
+  TICKING_UARM_STOP_MOVEMENT,
+  SPEED_DEFAULT,
+  ERROR_COMMAND_NOT_EXIST,
+  ERROR_PARAMETER_ERRORS,
+  ERROR_OUT_OF_RANGE,
+  ERROR_BUFFER_FULL,
+  LASER_POWER_MAX,
+} = require('../uarm/constants');
+const {
+  cartesianToPolar: toPolar,
+  polarToCartesian: fromPolar,
+  cartesianToJoints,
+  jointsToCartesian,
+  isReachable,
+  TOOL_OFFSETS,
+} = require('../uarm/kinematics');
+
+const format = (value) => value.toFixed(2);
+const isPin = (pin) => Number.isInteger(pin) && pin >= 0;
+
+/**
+ * An in-process stand-in for a uArm Swift Pro. It speaks the same line protocol
+ * as the firmware: it takes `#<id> <gcode>` lines through `write()` and emits
+ * `$<id> <response>` and `@<n>` lines as 'data' events.
+ *
+ * Moves are queued and carried out one after the other in a straight line at the
+ * requested speed, multiplied by `timeScale` (0 moves instantly). '@9' is reported
+ * when the last queued move is done. Targets the arm can't reach are answered
+ * with E22. Positions are of the tip of the tool of the current mode (M2400), the
+ * laser state set with M3/M5 is kept in `laser` {on, power}. The limit switch is
+ * pressed with setLimitSwitch() or while the tool tip is at or below
+ * `contactHeight`. Digital pins written with G2240 are kept in `digitalPins`,
+ * inputs are simulated with setDigitalInput() and setAnalogInput().
+ *
+ * Commands are answered after `latency` ms. Commands arriving while `bufferSize`
+ * commands are waiting for their answer or queued as moves are answered with E23.
+ */
+class VirtualUArm extends EventEmitter {
+  constructor({
+    position = { x: 200, y: 0, z: 150 },
+    latency = 0,
+    bufferSize = Infinity,
+    timeScale = 1,
+    deviceName = 'uArm Swift Pro (simulated)',
+    hardwareVersion = '3.3.1',
+    softwareVersion = '4.5.0',
+    apiVersion = '4.0.1',
+    uid = 'SIMULATED0001',
+    mode = MODES.NORMAL,
+    contactHeight = null,
+  } = {}) {
+    super();
+    this.position = Object.assign({}, position); // Where the last finished move ended.
+    this.target = Object.assign({}, position); // Where the last queued move ends.
+    this.motions = []; // Queued moves, the first one is in progress.
+    this.speed = SPEED_DEFAULT;
+    this.timeScale = timeScale;
+    this.latency = latency;
+    this.bufferSize = bufferSize;
+    this.buffered = 0;
+    this.deviceName = deviceName;
+    this.hardwareVersion = hardwareVersion;
+    this.softwareVersion = softwareVersion;
+    this.apiVersion = apiVersion;
+    this.uid = uid;
+    this.mode = mode;
+    this.wrist = 90;
+    this.pump = false;
+    this.gripper = false;
+    this.laser = { on: false, power: 0 };
+    this.limitSwitch = false;
+    this.contactHeight = contactHeight;
+    this.attached = true;
+    this.digitalPins = {}; // Pin number -> 0 or 1.
+    this.analogPins = {}; // Pin number -> 0 to 1023.
+    this.powerSupply = true;
+    this.buttonFunction = true; // Whether the base buttons do their default function.
+    this.poweredOn = false;
+    this.reportTimer = null;
+
+    this.commands = {
+      G0: (params) => this.moveTo(Object.assign({}, this.target, pick(params, 'XYZ', 'xyz')), params.F),
+      G1: (params) => this.moveTo(Object.assign({}, this.target, pick(params, 'XYZ', 'xyz')), params.F),
+      G2201: (params) => this.moveTo(fromPolar(Object.assign({}, toPolar(this.target), pick(params, 'SRH', 'srh'))), params.F),
+      G2204: (params) => this.moveTo(add(this.target, pick(params, 'XYZ', 'xyz')), params.F),
+      G2205: (params) => this.moveTo(fromPolar(add(toPolar(this.target), pick(params, 'SRH', 'srh'))), params.F),
+      G2202: (params) => this.moveJoint(params.N, params.V),
+      G2004: () => 'ok',
+      M2210: () => 'ok',
+      M17: () => {
+        this.attached = true;
+        return 'ok';
+      },
+      M2019: () => {
+        this.attached = false;
+        this.stopMotions();
+        return 'ok';
+      },
+      M2120: (params) => {
+        this.setReportInterval((params.V || 0) * 1000);
+        return 'ok';
+      },
+      M2231: (params) => {
+        this.pump = params.V === 1;
+        return 'ok';
+      },
+      M2232: (params) => {
+        this.gripper = params.V === 1;
+        return 'ok';
+      },
+      M2213: (params) => {
+        this.buttonFunction = params.V !== 0;
+        return 'ok';
+      },
+      G2240: (params) => {
+        if (!isPin(params.N) || (params.V !== 0 && params.V !== 1)) {
+          return `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`;
+        }
+        this.digitalPins[params.N] = params.V;
+        return 'ok';
+      },
+      M2400: (params) => this.setMode(params.S),
+      M3: (params) => {
+        const power = params.S === undefined ? LASER_POWER_MAX : params.S;
+        if (power < 0 || power > LASER_POWER_MAX) {
+          return `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`;
+        }
+        this.laser = { on: power > 0, power };
+        return 'ok';
+      },
+      M5: () => {
+        this.laser = { on: false, power: 0 };
+        return 'ok';
+      },
+      M2200: () => `ok V${this.motions.length > 0 ? 1 : 0}`,
+      P2200: () => {
+        const { B, L, R } = cartesianToJoints(this.currentPosition(), this.tool);
+        return `ok B${format(B)} L${format(L)} R${format(R)}`;
+      },
+      P2206: (params) => {
+        if (params.N === SERVO_HAND) {
+          return `ok V${format(this.wrist)}`;
+        }
+        const key = { [SERVO_BOTTOM]: 'B', [SERVO_LEFT]: 'L', [SERVO_RIGHT]: 'R' }[params.N];
+        if (!key) {
+          return `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`;
+        }
+        return `ok V${format(cartesianToJoints(this.currentPosition(), this.tool)[key])}`;
+      },
+      P2201: () => `ok V${this.deviceName}`,
+      P2202: () => `ok V${this.hardwareVersion}`,
+      P2203: () => `ok V${this.softwareVersion}`,
+      P2204: () => `ok V${this.apiVersion}`,
+      P2205: () => `ok V${this.uid}`,
+      P2220: () => {
+        const { x, y, z } = this.currentPosition();
+        return `ok X${format(x)} Y${format(y)} Z${format(z)}`;
+      },
+      P2221: () => {
+        const { s, r, h } = toPolar(this.currentPosition());
+        return `ok S${format(s)} R${format(r)} H${format(h)}`;
+      },
+      P2231: () => `ok V${this.pump ? 1 : 0}`,
+      P2232: () => `ok V${this.gripper ? 1 : 0}`,
+      P2233: () => `ok V${this.isLimitSwitchPressed() ? 1 : 0}`,
+      P2234: () => `ok V${this.powerSupply ? 1 : 0}`,
+      P2240: (params) => isPin(params.N) ?
+        `ok V${this.digitalPins[params.N] || 0}` :
+        `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`,
+      P2241: (params) => isPin(params.N) ?
+        `ok V${this.analogPins[params.N] || 0}` :
+        `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`,
+      P2400: () => `ok V${this.mode}`,
+    };
+  }
+
+  /**
+   * Boot the device. Like the real arm it prints some device info before
+   * reporting that it is ready.
+   */
+  powerOn() {
+    if (this.poweredOn) {
+      return;
+    }
+    this.poweredOn = true;
+    this.reply(`${this.deviceName} ${this.softwareVersion}`);
+    this.reply(`${MESSAGE_TICKING_FEEDBACK_PREFIX}${TICKING_UARM_READY}`);
+  }
+
+  powerOff() {
+    this.poweredOn = false;
+    this.setReportInterval(0);
+    this.stopMotions();
+  }
+
+  /**
+   * Emit a ticking report, e.g. report(4, 'B0 V1') emits '@4 B0 V1'.
+   * @param {number} code - The report number.
+   * @param {string} text - The report parameters.
+   */
+  report(code, text) {
+    this.reply(`${MESSAGE_TICKING_FEEDBACK_PREFIX}${code}${text ? ` ${text}` : ''}`);
+  }
+
+  /**
+   * Simulate a press on one of the buttons on the base.
+   * @param {number} key - The button, 0 or 1.
+   * @param {number} state - The button state reported.
+   */
+  pressButton(key = 0, state = 1) {
+    this.report(TICKING_UARM_BUTTON_EVENT, `B${key} V${state}`);
+  }
+
+  /**
+   * Simulate the power supply being connected or disconnected.
+   * @param {boolean} connected
+   */
+  setPowerSupply(connected) {
+    this.powerSupply = connected;
+    this.report(TICKING_UARM_POWER_SUPPLY, `V${connected ? 1 : 0}`);
+  }
+
+  /**
+   * Simulate the limit switch of the suction cup being pressed or released.
+   * @param {boolean} triggered
+   */
+  setLimitSwitch(triggered) {
+    this.limitSwitch = triggered;
+    this.report(TICKING_UARM_LIMIT_SWITCH_EVENT, `V${triggered ? 1 : 0}`);
+  }
+
+  /**
+   * Simulate a sensor on a digital pin of the extension port.
+   * @param {number} pin - The pin number.
+   * @param {boolean} value - Whether the pin is high.
+   */
+  setDigitalInput(pin, value) {
+    this.digitalPins[pin] = value ? 1 : 0;
+  }
+
+  /**
+   * Simulate a sensor on an analog pin of the extension port.
+   * @param {number} pin - The pin number.
+   * @param {number} value - The reading, 0 to 1023.
+   */
+  setAnalogInput(pin, value) {
+    this.analogPins[pin] = value;
+  }
+
+  // Pressed by setLimitSwitch() or by resting on something at `contactHeight`.
+  isLimitSwitchPressed() {
+    return this.limitSwitch ||
+      (this.contactHeight !== null && this.currentPosition().z <= this.contactHeight);
+  }
+
+  /**
+   * Simulate someone moving the arm by hand. Only works while the servos are
+   * detached (M2019).
+   * @param {Object} position - {x, y, z}
+   * @returns {boolean} - false if the servos are attached or the position is out
+   * of reach.
+   */
+  moveByHand(position) {
+    if (this.attached || !isReachable(position.x, position.y, position.z, this.tool)) {
+      return false;
+    }
+    this.position = Object.assign({}, position);
+    this.target = Object.assign({}, position);
+    return true;
+  }
+
+  setReportInterval(interval) {
+    clearInterval(this.reportTimer);
+    this.reportTimer = null;
+    if (interval > 0) {
+      this.reportTimer = setInterval(() => {
+        const { x, y, z } = this.currentPosition();
+        this.report(TICKING_UARM_TIMED_FEEDBACK, `X${format(x)} Y${format(y)} Z${format(z)} R${format(this.wrist)}`);
+      }, interval);
+    }
+  }
+
+  /**
+   * Receive one line, as if written to the serial port.
+   * @param {string} line - The line, without line ending.
+   */
+  write(line) {
+    if (!this.poweredOn) {
+      return;
+    }
+    const parts = new RegExp(`^(?:\\${MESSAGE_GCODE_SEND_PREFIX}(\\d+)\\s+)?(\\S+)\\s*(.*)$`).exec(line.trim());
+    if (!parts) {
+      return;
+    }
+    const { 1: messageId, 2: command, 3: rest } = parts;
+    const prefix = messageId ? `${MESSAGE_GCODE_RECEIVE_PREFIX}${messageId} ` : '';
+    if (this.buffered + this.motions.length >= this.bufferSize) {
+      this.reply(`${prefix}${MESSAGE_ERROR_PREFIX}${ERROR_BUFFER_FULL}`);
+      return;
+    }
+    this.buffered++;
+    const response = this.execute(command, rest);
+    this.reply(`${prefix}${response}`, () => this.buffered--);
+  }
+
+  /**
+   * Run one G-code command against the device state.
+   * @param {string} command - For example 'G0'.
+   * @param {string} rest - The parameters, for example 'X200 Y0 Z150'.
+   * @returns {string} - The response, either 'ok...' or an error code.
+   */
+  execute(command, rest) {
+    const handler = this.commands[command];
+    if (!handler) {
+      return `${MESSAGE_ERROR_PREFIX}${ERROR_COMMAND_NOT_EXIST}`;
+    }
+    const params = parseParams(rest);
+    if (!params) {
+      return `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`;
+    }
+    return handler(params);
+  }
+
+  // Offset of the tool of the current mode, positions are of its tip.
+  get tool() {
+    return TOOL_OFFSETS[this.mode];
+  }
+
+  // The arm keeps its pose, so every position moves to the tip of the new tool.
+  setMode(mode) {
+    if (!TOOL_OFFSETS[mode]) {
+      return `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`;
+    }
+    const previous = this.tool;
+    const convert = position => jointsToCartesian(cartesianToJoints(position, previous), TOOL_OFFSETS[mode]);
+    this.motions.forEach((motion) => {
+      if (motion.from) {
+        motion.from = convert(motion.from);
+      }
+      motion.to = convert(motion.to);
+    });
+    this.position = convert(this.position);
+    this.target = convert(this.target);
+    this.mode = mode;
+    return 'ok';
+  }
+
+  moveTo(target, speed) {
+    if (!isReachable(target.x, target.y, target.z, this.tool)) {
+      return `${MESSAGE_ERROR_PREFIX}${ERROR_OUT_OF_RANGE}`;
+    }
+    if (speed > 0) {
+      this.speed = speed;
+    }
+    this.target = target;
+    this.motions.push({ to: target, speed: this.speed });
+    if (this.motions.length === 1) {
+      this.startMotion();
+    }
+    return 'ok';
+  }
+
+  startMotion() {
+    const motion = this.motions[0];
+    if (!motion) {
+      this.report(TICKING_UARM_STOP_MOVEMENT);
+      return;
+    }
+    motion.from = this.position;
+    motion.start = Date.now();
+    // Speed is in mm/min.
+    motion.duration = distance(motion.from, motion.to) / motion.speed * 60000 * this.timeScale;
+    motion.timer = setTimeout(() => {
+      this.position = motion.to;
+      this.motions.shift();
+      this.startMotion();
+    }, motion.duration);
+  }
+
+  // Stop right where the arm is and forget all queued moves.
+  stopMotions() {
+    if (this.motions.length === 0) {
+      return;
+    }
+    this.position = this.currentPosition();
+    this.target = this.position;
+    clearTimeout(this.motions[0].timer);
+    this.motions = [];
+  }
+
+  /**
+   * Where the arm is right now, somewhere along the move in progress.
+   * @returns {Object} - {x, y, z}
+   */
+  currentPosition() {
+    const motion = this.motions[0];
+    if (!motion || !motion.duration) {
+      return this.position;
+    }
+    const progress = Math.min(1, (Date.now() - motion.start) / motion.duration);
+    const result = {};
+    ['x', 'y', 'z'].forEach((key) => {
+      result[key] = motion.from[key] + (motion.to[key] - motion.from[key]) * progress;
+    });
+    return result;
+  }
+
+  moveJoint(jointID, angle) {
+    if (angle === undefined || angle < 0 || angle > 180) {
+      return `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`;
+    }
+    if (jointID === SERVO_HAND) {
+      this.wrist = angle;
+      return 'ok';
+    }
+    const joints = cartesianToJoints(this.target, this.tool);
+    const key = { [SERVO_BOTTOM]: 'B', [SERVO_LEFT]: 'L', [SERVO_RIGHT]: 'R' }[jointID];
+    if (!key) {
+      return `${MESSAGE_ERROR_PREFIX}${ERROR_PARAMETER_ERRORS}`;
+    }
+    joints[key] = angle;
+    return this.moveTo(jointsToCartesian(joints, this.tool));
+  }
+
+  reply(line, done) {
+    setTimeout(() => {
+      if (done) {
+        done();
+      }
+      if (this.poweredOn) {
+        this.emit('data', line);
+      }
+    }, this.latency);
+  }
+}
+
+// Parse 'X200 Y0 Z150' into { X: 200, Y: 0, Z: 150 }. Returns null on garbage.
+function parseParams(rest) {
+  const params = {};
+  const tokens = rest.split(/\s+/).filter(token => token.length > 0);
+  for (const token of tokens) {
+    const matches = /^([A-Z])(-?[0-9.]+)$/.exec(token);
+    if (!matches || isNaN(parseFloat(matches[2]))) {
+      return null;
+    }
+    params[matches[1]] = parseFloat(matches[2]);
+  }
+  return params;
+}
+
+// Pick the given parameter letters and rename them, e.g. X -> x.
+function pick(params, letters, keys) {
+  const result = {};
+  letters.split('').forEach((letter, index) => {
+    if (params[letter] !== undefined) {
+      result[keys[index]] = params[letter];
+    }
+  });
+  return result;
+}
+
+function add(base, delta) {
+  const result = Object.assign({}, base);
+  Object.keys(delta).forEach((key) => {
+    result[key] += delta[key];
+  });
+  return result;
+}
+
+function distance(from, to) {
+  return Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.y - from.y, 2) + Math.pow(to.z - from.z, 2));
+}
+
+module.exports = VirtualUArm;
@@ -0,0 +1,216 @@
+const EventEmitter = require('events');
+const { CommandAbortedError } = require('../uarm/exceptions');
+
+const ORDERS = ['fill', 'empty'];
+
+function requireCount(value, name) {
+  if (!(Number.isInteger(value) && value > 0)) {
+    throw new TypeError(`${name} must be a positive integer, got '${value}'`);
+  }
+  return value;
+}
+
+const toStep = ({ x = 0, y = 0, z = 0 } = {}) => ({ x, y, z });
+
+/**
+ * A grid of slots: rows x columns on each layer, layers stacked `layerHeight` mm
+ * apart. Slot positions are worked out from the first slot and the steps between
+ * neighbouring columns and rows, so the grid may be at an angle to the arm.
+ *
+ * Slots are visited in `order`: 'fill' goes from the bottom layer up, for stacking
+ * objects onto the pallet, 'empty' from the top layer down, for taking them off.
+ * On each layer slots go along the first row, then the next row and so on.
+ *
+ * The pallet keeps track of the next slot in `index`, so a job can be resumed
+ * partway through by passing `start` or calling reset().
+ *
+ * Emits 'progress' {index, total, slot} when a slot has been done in run().
+ */
+class Pallet extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.origin - Position {x, y, z} in mm of the first slot on
+   * the bottom layer.
+   * @param {number} options.rows - Number of rows.
+   * @param {number} options.columns - Number of slots in each row.
+   * @param {number} options.layers - Number of layers.
+   * @param {Object} options.columnStep - {x, y, z} in mm from one slot to the next
+   * in a row.
+   * @param {Object} options.rowStep - {x, y, z} in mm from one row to the next.
+   * @param {number} options.layerHeight - Height in mm of each layer.
+   * @param {string} options.order - 'fill' or 'empty'.
+   * @param {number} options.start - Index of the slot to start at.
+   */
+  constructor({
+    origin,
+    rows = 1,
+    columns = 1,
+    layers = 1,
+    columnStep,
+    rowStep,
+    layerHeight = 0,
+    order = 'fill',
+    start = 0,
+  } = {}) {
+    super();
+    if (!origin) {
+      throw new TypeError('Pallet needs an origin.');
+    }
+    if (ORDERS.indexOf(order) === -1) {
+      throw new TypeError(`order must be one of ${ORDERS.join(', ')}, got '${order}'`);
+    }
+    this.origin = toStep(origin);
+    this.rows = requireCount(rows, 'rows');
+    this.columns = requireCount(columns, 'columns');
+    this.layers = requireCount(layers, 'layers');
+    if ((columns > 1 && !columnStep) || (rows > 1 && !rowStep)) {
+      throw new TypeError('Pallet needs a columnStep and rowStep for more than one column and row.');
+    }
+    this.columnStep = toStep(columnStep);
+    this.rowStep = toStep(rowStep);
+    this.layerHeight = layerHeight;
+    this.order = order;
+    this.reset(start);
+  }
+
+  /**
+   * Create a pallet from the positions of three corner slots on the bottom layer,
+   * e.g. taught by moving the arm there.
+   * @param {Object} options - See the constructor, with instead of `origin`,
+   * `columnStep` and `rowStep`:
+   * @param {Object} options.first - Position of the first slot of the first row.
+   * @param {Object} options.rowEnd - Position of the last slot of the first row.
+   * @param {Object} options.columnEnd - Position of the first slot of the last row.
+   * @returns {Pallet}
+   */
+  static fromCorners(options) {
+    const { first, rowEnd, columnEnd, rows = 1, columns = 1 } = options;
+    const step = (to, count) => {
+      if (count < 2 || !to) {
+        return undefined;
+      }
+      const [from, end] = [toStep(first), toStep(to)];
+      return {
+        x: (end.x - from.x) / (count - 1),
+        y: (end.y - from.y) / (count - 1),
+        z: (end.z - from.z) / (count - 1),
+      };
+    };
+    return new Pallet(Object.assign({}, options, {
+      origin: first,
+      columnStep: step(rowEnd, columns),
+      rowStep: step(columnEnd, rows),
+    }));
+  }
+
+  get size() {
+    return this.rows * this.columns * this.layers;
+  }
+
+  // Number of slots left to do.
+  get remaining() {
+    return this.size - this.index;
+  }
+
+  get done() {
+    return this.index >= this.size;
+  }
+
+  /**
+   * The slot at an index in the visiting order.
+   * @param {number} index - From 0 to size - 1.
+   * @returns {Object} - {index, row, column, layer, x, y, z}
+   */
+  slot(index) {
+    if (!(Number.isInteger(index) && index >= 0 && index < this.size)) {
+      throw new RangeError(`Slot index must be from 0 to ${this.size - 1}, got '${index}'`);
+    }
+    const perLayer = this.rows * this.columns;
+    const layerIndex = Math.floor(index / perLayer);
+    const layer = this.order === 'fill' ? layerIndex : this.layers - 1 - layerIndex;
+    const row = Math.floor((index % perLayer) / this.columns);
+    const column = index % this.columns;
+    const position = {};
+    ['x', 'y', 'z'].forEach((axis) => {
+      position[axis] = this.origin[axis] + column * this.columnStep[axis] + row * this.rowStep[axis];
+    });
+    position.z += layer * this.layerHeight;
+    return Object.assign({ index, row, column, layer }, position);
+  }
+
+  /**
+   * Every slot, in visiting order.
+   * @returns {Object[]} - See slot().
+   */
+  slots() {
+    const slots = [];
+    for (let index = 0; index < this.size; index++) {
+      slots.push(this.slot(index));
+    }
+    return slots;
+  }
+
+  /**
+   * The next slot to do, without moving on.
+   * @returns {Object} - See slot(), null when the pallet is done.
+   */
+  peek() {
+    return this.done ? null : this.slot(this.index);
+  }
+
+  /**
+   * The next slot to do, moving on to the one after it.
+   * @returns {Object} - See slot(), null when the pallet is done.
+   */
+  next() {
+    const slot = this.peek();
+    if (slot) {
+      this.index++;
+    }
+    return slot;
+  }
+
+  /**
+   * Start over, or resume at a slot.
+   * @param {number} index - Index of the next slot to do.
+   * @returns {Pallet} - this, for chaining.
+   */
+  reset(index = 0) {
+    if (!(Number.isInteger(index) && index >= 0 && index <= this.size)) {
+      throw new RangeError(`Slot index must be from 0 to ${this.size}, got '${index}'`);
+    }
+    this.index = index;
+    return this;
+  }
+
+  /**
+   * Do every remaining slot, one after the other. A slot only counts as done when
+   * its promise resolves, so after a failure run() can be called again to retry
+   * the failed slot and carry on.
+   * @param {Function} fn - Called with each slot, returns a promise.
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops before the next slot when aborted.
+   * @returns {Promise} - A promise that will be resolved when every slot is done.
+   */
+  run(fn, { signal } = {}) {
+    const next = () => {
+      const slot = this.peek();
+      if (!slot) {
+        return Promise.resolve();
+      }
+      if (signal && signal.aborted) {
+        return Promise.reject(new CommandAbortedError({ command: `pallet slot ${slot.index}` }));
+      }
+      return Promise.resolve()
+        .then(() => fn(slot))
+        .then(() => {
+          this.index++;
+          this.emit('progress', { index: slot.index, total: this.size, slot });
+          return next();
+        });
+    };
+    return next();
+  }
+}
+
+module.exports = Pallet;
@@ -0,0 +1,197 @@
+const { GripError, CommandAbortedError } = require('../uarm/exceptions');
+
+const APPROACH_HEIGHT_DEFAULT = 30; // mm
+const APPROACH_SPEED_DEFAULT = 300; // mm/min
+const GRIP_DELAY_DEFAULT = 500; // ms, for the vacuum to build up
+const RELEASE_DELAY_DEFAULT = 500; // ms
+const EFFECTORS = ['pump', 'gripper'];
+
+function wait(milliseconds, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new CommandAbortedError({ command: 'wait' }));
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CommandAbortedError({ command: 'wait' }));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, milliseconds);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+/**
+ * Picks objects up and puts them down with the pump or the gripper, taking care
+ * of the approach from above, the settle delays and the retreat.
+ *
+ * A pick moves `approachHeight` mm above the pose, descends at `approachSpeed`,
+ * switches the end effector on, waits `gripDelay` ms, checks the grip and lifts
+ * `retreatHeight` mm. A place does the same the other way around, waiting
+ * `releaseDelay` ms after switching the end effector off.
+ *
+ * Every option of the constructor can be overridden per call.
+ */
+class PickAndPlace {
+  /**
+   * @param {uArmSDK} uarm - The uArm.
+   * @param {Object} options
+   * @param {string} options.effector - 'pump' or 'gripper'.
+   * @param {number} options.approachHeight - Height in mm above the pose to
+   * approach it from.
+   * @param {number} options.retreatHeight - Height in mm above the pose to retreat
+   * to, defaults to `approachHeight`.
+   * @param {number} options.speed - Feed rate in mm/min between poses, defaults to
+   * the speed of the uArm.
+   * @param {number} options.approachSpeed - Feed rate in mm/min when descending
+   * and retreating.
+   * @param {number} options.gripDelay - Time in ms to wait after switching the
+   * effector on. setGripper() waits for the gripper to close by itself.
+   * @param {number} options.releaseDelay - Time in ms to wait after switching the
+   * effector off.
+   * @param {boolean} options.confirm - Whether to check the grip after a pick, with
+   * getPumpStatus() or getGripperStatus().
+   * @param {boolean} options.useLimitSwitch - Whether the check also needs the
+   * limit switch of the suction cup pressed. Pump only.
+   */
+  constructor(uarm, {
+    effector = 'pump',
+    approachHeight = APPROACH_HEIGHT_DEFAULT,
+    retreatHeight,
+    speed,
+    approachSpeed = APPROACH_SPEED_DEFAULT,
+    gripDelay = GRIP_DELAY_DEFAULT,
+    releaseDelay = RELEASE_DELAY_DEFAULT,
+    confirm = true,
+    useLimitSwitch = true,
+  } = {}) {
+    this.uarm = uarm;
+    this.options = {
+      effector,
+      approachHeight,
+      retreatHeight,
+      speed,
+      approachSpeed,
+      gripDelay,
+      releaseDelay,
+      confirm,
+      useLimitSwitch,
+    };
+    this.resolveOptions({});
+  }
+
+  /**
+   * Pick an object up.
+   * @param {Object} pose - {x, y, z} in mm of the tool tip when gripping, and
+   * optionally `wrist`, the wrist angle.
+   * @param {Object} options - Overrides the constructor options. Also takes
+   * `signal`, an AbortSignal cancelling the pick.
+   * @returns {Promise} - A promise that will be resolved when the object has been
+   * lifted, or rejected with a GripError when the grip check failed. The effector
+   * is switched off and the arm retreated first.
+   */
+  pick(pose, options = {}) {
+    const settings = this.resolveOptions(options);
+    const { signal } = settings;
+    return this.approach(pose, settings)
+      .then(() => this.setEffector(true, settings))
+      .then(() => wait(settings.gripDelay, signal))
+      .then(() => settings.confirm ? this.checkGrip(pose, settings) : null)
+      .then((failure) => {
+        if (!failure) {
+          return this.retreat(pose, settings);
+        }
+        return this.setEffector(false, settings)
+          .then(() => this.retreat(pose, settings))
+          .then(() => {
+            throw failure;
+          });
+      });
+  }
+
+  /**
+   * Put the object held down.
+   * @param {Object} pose - {x, y, z} in mm of the tool tip when releasing, and
+   * optionally `wrist`.
+   * @param {Object} options - Overrides the constructor options. Also takes
+   * `signal`.
+   * @returns {Promise} - A promise that will be resolved when the arm has
+   * retreated.
+   */
+  place(pose, options = {}) {
+    const settings = this.resolveOptions(options);
+    return this.approach(pose, settings)
+      .then(() => this.setEffector(false, settings))
+      .then(() => wait(settings.releaseDelay, settings.signal))
+      .then(() => this.retreat(pose, settings));
+  }
+
+  /**
+   * Pick an object up and put it down somewhere else.
+   * @param {Object} from - Pose to pick at, see pick().
+   * @param {Object} to - Pose to place at, see place().
+   * @param {Object} options - See pick() and place().
+   * @returns {Promise}
+   */
+  transfer(from, to, options = {}) {
+    return this.pick(from, options).then(() => this.place(to, options));
+  }
+
+  resolveOptions(options) {
+    const settings = Object.assign({}, this.options, options);
+    if (EFFECTORS.indexOf(settings.effector) === -1) {
+      throw new TypeError(`effector must be one of ${EFFECTORS.join(', ')}, got '${settings.effector}'`);
+    }
+    if (settings.retreatHeight === undefined) {
+      settings.retreatHeight = settings.approachHeight;
+    }
+    return settings;
+  }
+
+  // Move above the pose and descend onto it.
+  approach(pose, { approachHeight, speed, approachSpeed, signal }) {
+    const { x, y, z } = pose;
+    const motion = { waitForCompletion: true, signal };
+    return this.uarm.move(x, y, z + approachHeight, speed, motion)
+      .then(() => pose.wrist === undefined ? null : this.uarm.setWrist(pose.wrist, motion))
+      .then(() => this.uarm.move(x, y, z, approachSpeed, motion));
+  }
+
+  retreat({ x, y, z }, { retreatHeight, approachSpeed, signal }) {
+    return this.uarm.move(x, y, z + retreatHeight, approachSpeed, { waitForCompletion: true, signal });
+  }
+
+  setEffector(on, { effector, signal }) {
+    return effector === 'pump' ?
+      this.uarm.setPump(on, { signal }) :
+      this.uarm.setGripper(on, undefined, { signal });
+  }
+
+  // Resolves with a GripError when the grip failed, null when it held.
+  checkGrip(pose, { effector, useLimitSwitch, signal }) {
+    const failure = reason => new GripError({ command: 'pick', effector, target: pose, reason });
+    if (effector === 'gripper') {
+      return this.uarm.getGripperStatus({ signal })
+        .then(on => on ? null : failure('the gripper is not closed'));
+    }
+    return this.uarm.getPumpStatus({ signal })
+      .then((on) => {
+        if (!on) {
+          return failure('the pump is not on');
+        }
+        if (!useLimitSwitch) {
+          return null;
+        }
+        return this.uarm.getLimitSwitchStatus({ signal })
+          .then(pressed => pressed ? null : failure('the limit switch is not pressed, nothing under the suction cup'));
+      });
+  }
+}
+
+module.exports = PickAndPlace;
@@ -1,6 +1,5 @@
 // http://download.ufactory.cc/docs/en/uArm%20Swift%20Pro_Developer%20Guide%20v1.0.6.pdf
 module.exports = {
-  LOG_LEVEL: 1,
 
   // Types
   MESSAGE_GCODE_SEND_PREFIX: "#",
@@ -9,6 +8,21 @@ module.exports = {
   MESSAGE_ERROR_PREFIX: "E",
 
   SPEED_DEFAULT: 500, // mm/min
+  HOME_POSITION: { x: 200, y: 0, z: 150 }, // mm
+  COMMAND_TIMEOUT_DEFAULT: 10000, // ms
+  MOTION_POLL_INTERVAL_DEFAULT: 250, // ms
+  INPUT_POLL_INTERVAL_DEFAULT: 100, // ms
+  GRIPPER_CLOSE_DELAY_DEFAULT: 2500, // ms
+  GRIPPER_OPEN_DELAY_DEFAULT: 1400, // ms
+
+  // Send queue
+  QUEUE_MAX_IN_FLIGHT_DEFAULT: 4,
+  QUEUE_RETRY_DELAY_DEFAULT: 100, // ms, doubled for every retry
+  QUEUE_MAX_RETRY_DELAY_DEFAULT: 2000, // ms
+
+  // Reconnection
+  RECONNECT_DELAY_DEFAULT: 1000, // ms, doubled for every attempt
+  RECONNECT_MAX_DELAY_DEFAULT: 30000, // ms
 
   // Coordinate modes
   CARTESIAN_MODE: 1,
@@ -22,6 +36,9 @@ module.exports = {
     UNIVERSAL_HOLDER: 3,
   },
 
+  // Laser
+  LASER_POWER_MAX: 255,
+
   // Servos / motors
   SERVO_BOTTOM: 0,
   SERVO_LEFT: 1,
@@ -0,0 +1,307 @@
+/**
+ * Errors the SDK rejects with. All of them extend UArmError and carry:
+ * - `code`: a string to branch on, e.g. 'TIMEOUT' or 'ADDRESS_OUT_OF_RANGE'.
+ * - `command`: the G-code command the error belongs to, if any.
+ * - `messageId`: the message id the command was sent with, once sent.
+ * - `firmwareMessage`: the uArm's description of a firmware error, else null.
+ */
+
+const FIRMWARE_ERRORS = require('./errors');
+const {
+  ERROR_COMMAND_NOT_EXIST,
+  ERROR_PARAMETER_ERRORS,
+  ERROR_OUT_OF_RANGE,
+  ERROR_BUFFER_FULL,
+  ERROR_POWER_LOSS,
+  ERROR_OPERATION_FAILURE,
+} = require('./constants');
+
+class UArmError extends Error {
+  constructor(message, { code, command, messageId, firmwareMessage = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.command = command;
+    this.messageId = messageId;
+    this.firmwareMessage = firmwareMessage;
+  }
+}
+
+// Describe the command an error belongs to, e.g. '"P2220" (message id 4)'.
+function describe(command, messageId) {
+  if (command === undefined) {
+    return messageId === undefined ? 'uArm' : `Message id ${messageId}`;
+  }
+  return messageId === undefined ? `"${command}"` : `"${command}" (message id ${messageId})`;
+}
+
+/**
+ * The uArm answered a command with an error code (E20-E25). Use firmwareError()
+ * to get the subclass for a code.
+ */
+class FirmwareError extends UArmError {
+  constructor({ firmwareCode, command, messageId }) {
+    const known = FIRMWARE_ERRORS[firmwareCode];
+    const firmwareMessage = known ? known.message : 'Unknown error.';
+    super(command === undefined ?
+      `uArm reported E${firmwareCode}: ${firmwareMessage}` :
+      `${describe(command, messageId)} failed with E${firmwareCode}: ${firmwareMessage}`, {
+      code: known ? known.code : 'UNKNOWN_FIRMWARE_ERROR',
+      command,
+      messageId,
+      firmwareMessage,
+    });
+    this.firmwareCode = firmwareCode;
+  }
+}
+
+class CommandNotExistError extends FirmwareError {}
+class ParameterError extends FirmwareError {}
+class OutOfRangeError extends FirmwareError {}
+class BufferFullError extends FirmwareError {}
+class PowerLossError extends FirmwareError {}
+class OperationFailureError extends FirmwareError {}
+
+const FIRMWARE_ERROR_CLASSES = {
+  [ERROR_COMMAND_NOT_EXIST]: CommandNotExistError,
+  [ERROR_PARAMETER_ERRORS]: ParameterError,
+  [ERROR_OUT_OF_RANGE]: OutOfRangeError,
+  [ERROR_BUFFER_FULL]: BufferFullError,
+  [ERROR_POWER_LOSS]: PowerLossError,
+  [ERROR_OPERATION_FAILURE]: OperationFailureError,
+};
+
+/**
+ * Create the FirmwareError subclass for a firmware error code.
+ * @param {number} firmwareCode - E.g. 22 for E22.
+ * @param {Object} details - {command, messageId}
+ * @returns {FirmwareError}
+ */
+function firmwareError(firmwareCode, { command, messageId } = {}) {
+  const code = Number(firmwareCode);
+  const ErrorClass = FIRMWARE_ERROR_CLASSES[code] || FirmwareError;
+  return new ErrorClass({ firmwareCode: code, command, messageId });
+}
+
+/**
+ * The uArm answered something the SDK didn't expect or couldn't parse. The answer
+ * is in `response`.
+ */
+class ProtocolError extends UArmError {
+  constructor({ message, command, messageId, response }) {
+    super(`${describe(command, messageId)}: ${message}`, { code: 'PROTOCOL', command, messageId });
+    this.response = response;
+  }
+}
+
+class CommandTimeoutError extends UArmError {
+  constructor({ command, messageId, timeout }) {
+    super(messageId === undefined ?
+      `"${command}" did not finish within ${timeout} ms.` :
+      `No response to ${describe(command, messageId)} within ${timeout} ms.`, {
+      code: 'TIMEOUT',
+      command,
+      messageId,
+    });
+    this.timeout = timeout;
+  }
+}
+
+class CommandAbortedError extends UArmError {
+  constructor({ command, messageId }) {
+    super(`${describe(command, messageId)} was aborted.`, { code: 'ABORTED', command, messageId });
+  }
+}
+
+/**
+ * The connection was closed before the command got a response, or, with `sent`
+ * false, was already closed when the command was sent.
+ */
+class DisconnectedError extends UArmError {
+  constructor({ command, messageId, sent = true }) {
+    super(sent ?
+      `Connection closed before ${describe(command, messageId)} got a response.` :
+      `Not connected, ${describe(command, messageId)} was not sent.`, {
+      code: 'DISCONNECTED',
+      command,
+      messageId,
+    });
+  }
+}
+
+/**
+ * A move was rejected before being sent since the target is out of reach.
+ * `violation` is the result of kinematics.checkReach().
+ */
+class OutOfReachError extends UArmError {
+  constructor({ command, target, violation }) {
+    const { x, y, z } = target;
+    super(`Target X${x.toFixed(2)} Y${y.toFixed(2)} Z${z.toFixed(2)} is out of reach: ${violation.message}.`, {
+      code: 'OUT_OF_REACH',
+      command,
+    });
+    this.target = target;
+    this.joint = violation.joint;
+    this.angle = violation.angle;
+    this.limit = { min: violation.min, max: violation.max };
+  }
+}
+
+/**
+ * A line of a G-code program failed. `cause` is the error the command was
+ * rejected with.
+ */
+class ProgramLineError extends UArmError {
+  constructor({ lineNumber, command, cause }) {
+    const reason = cause.firmwareCode === undefined ?
+      cause.message :
+      `E${cause.firmwareCode} ${cause.firmwareMessage}`;
+    super(`Line ${lineNumber} "${command}" failed: ${reason}`, {
+      code: 'PROGRAM_LINE_FAILED',
+      command,
+      messageId: cause.messageId,
+      firmwareMessage: cause.firmwareMessage,
+    });
+    this.lineNumber = lineNumber;
+    this.firmwareCode = cause.firmwareCode;
+    this.cause = cause;
+  }
+}
+
+/**
+ * An operation on an ArmGroup failed on one or more arms. `failures` has the
+ * error of each failed arm by alias, `results` the results of the others.
+ */
+class GroupError extends UArmError {
+  constructor({ command, failures, results }) {
+    const aliases = Object.keys(failures);
+    super(`${command} failed on ${aliases.map(alias => `${alias} (${failures[alias].message})`).join(', ')}`, {
+      code: 'GROUP_FAILED',
+      command,
+    });
+    this.failures = failures;
+    this.results = results;
+  }
+}
+
+/**
+ * A pick didn't get hold of the object: the pump or gripper isn't on, or the
+ * limit switch of the suction cup isn't pressed. `effector` is 'pump' or
+ * 'gripper', `target` the pose picked at.
+ */
+class GripError extends UArmError {
+  constructor({ command, effector, target, reason }) {
+    const { x, y, z } = target;
+    super(`Failed to pick at X${x.toFixed(2)} Y${y.toFixed(2)} Z${z.toFixed(2)} with the ${effector}: ${reason}.`, {
+      code: 'GRIP_FAILED',
+      command,
+    });
+    this.effector = effector;
+    this.target = target;
+  }
+}
+
+/**
+ * A motion command was rejected before being sent since it breaks the safety
+ * envelope, see SafetyEnvelope. `rule` is 'minZ', 'workspace', 'keepOut' or
+ * 'unknownPosition' (a relative move while the SDK doesn't know where the arm
+ * is), `zone` the name of the keep-out zone and `position` where it was broken.
+ */
+class SafetyViolationError extends UArmError {
+  constructor({ command, rule, zone = null, position = null, message }) {
+    super(`"${command}" breaks the safety envelope: ${message}.`, {
+      code: 'SAFETY_VIOLATION',
+      command,
+    });
+    this.rule = rule;
+    this.zone = zone;
+    this.position = position;
+  }
+}
+
+/**
+ * The command was not sent, or dropped from the queue, since the uArm is stopped
+ * by emergencyStop(). `reason` is the reason given for the stop.
+ */
+class EmergencyStopError extends UArmError {
+  constructor({ command, messageId, reason }) {
+    super(`${describe(command, messageId)} was not sent, emergency stop: ${reason}`, {
+      code: 'EMERGENCY_STOP',
+      command,
+      messageId,
+    });
+    this.reason = reason;
+  }
+}
+
+/**
+ * There is no pose saved under `name`, see PoseStore. `namespace` is the UID of
+ * the arm for per-arm poses, else null.
+ */
+class PoseNotFoundError extends UArmError {
+  constructor({ name, namespace = null }) {
+    super(`No pose named '${name}'${namespace ? ` for the uArm ${namespace}` : ''}.`, { code: 'POSE_NOT_FOUND' });
+    this.poseName = name;
+    this.namespace = namespace;
+  }
+}
+
+/**
+ * A job doesn't match the job format, see validateJob(). `errors` has every
+ * problem found as {path, message}, `path` pointing at the step or field, e.g.
+ * 'steps[2].loop.steps[0].move.x'.
+ */
+class JobValidationError extends UArmError {
+  constructor({ errors }) {
+    const shown = errors.slice(0, 5).map(({ path, message }) => `${path}: ${message}`);
+    if (errors.length > shown.length) {
+      shown.push(`and ${errors.length - shown.length} more`);
+    }
+    super(`Invalid job: ${shown.join('; ')}`, { code: 'JOB_INVALID' });
+    this.errors = errors;
+  }
+}
+
+/**
+ * A step of a job failed. `path` is the path of the step, `cause` the error it
+ * failed with and `checkpoint` what to pass to JobRunner.run() to retry the step
+ * and carry on.
+ */
+class JobStepError extends UArmError {
+  constructor({ path, cause, checkpoint }) {
+    super(`Step ${path} failed: ${cause.message}`, {
+      code: 'JOB_STEP_FAILED',
+      command: cause.command,
+      messageId: cause.messageId,
+      firmwareMessage: cause.firmwareMessage,
+    });
+    this.path = path;
+    this.cause = cause;
+    this.checkpoint = checkpoint;
+  }
+}
+
+module.exports = {
+  UArmError,
+  FirmwareError,
+  CommandNotExistError,
+  ParameterError,
+  OutOfRangeError,
+  BufferFullError,
+  PowerLossError,
+  OperationFailureError,
+  firmwareError,
+  ProtocolError,
+  CommandTimeoutError,
+  CommandAbortedError,
+  DisconnectedError,
+  OutOfReachError,
+  ProgramLineError,
+  GroupError,
+  GripError,
+  SafetyViolationError,
+  EmergencyStopError,
+  PoseNotFoundError,
+  JobValidationError,
+  JobStepError,
+};
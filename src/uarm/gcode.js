@@ -0,0 +1,17 @@
+const { SERVO_HAND } = require('./constants');
+
+/**
+ * The G-code lines the uArmSDK methods send, so they can be generated without
+ * sending them, e.g. by Sequence.toGCode().
+ */
+module.exports = {
+  move: (x, y, z, speed) => `G0 X${x.toFixed(4)} Y${y.toFixed(4)} Z${z.toFixed(4)} F${speed}`,
+  movePolar: (stretch, rotation, height, speed) => `G2201 S${stretch} R${rotation} H${height} F${speed}`,
+  moveRelative: (x, y, z, speed) => `G2204 X${x.toFixed(4)} Y${y.toFixed(4)} Z${z.toFixed(4)} F${speed}`,
+  moveMotor: (jointID, angle) => `G2202 N${jointID} V${angle}`,
+  setWrist: angle => `G2202 N${SERVO_HAND} V${angle}`,
+  buzz: (frequency, duration) => `M2210 F${frequency} T${duration}`,
+  setPump: on => `M2231 V${on ? 1 : 0}`,
+  setGripper: on => `M2232 V${on ? 1 : 0}`,
+  delay: milliseconds => `G2004 P${milliseconds}`,
+};
@@ -0,0 +1,169 @@
+/**
+ * Kinematics of the uArm Swift Pro.
+ *
+ * Coordinates use the same conventions as the firmware:
+ * - Cartesian {x, y, z} in mm, x pointing forward from the base.
+ * - Polar {s, r, h}: stretch in mm, rotation in degrees (90 is straight forward)
+ *   and height in mm.
+ * - Joints {B, L, R} in degrees, like getJointsAngle(): B is the base rotation, L
+ *   the lower arm elevation and R the upper arm depression, both from horizontal.
+ *
+ * Geometry and joint limits are approximations of the real arm. Positions close to
+ * the limits may still be answered with E22 by the firmware.
+ *
+ * The firmware reports and takes the position of the tool tip, which depends on
+ * the tool mounted (see setMode()). Functions that go between joints and tool
+ * positions take the offset of the tool, defaulting to the suction cup.
+ */
+const { MODES } = require('./constants');
+
+// Arm geometry in mm.
+const GEOMETRY = {
+  SHOULDER_HEIGHT: 106.6, // Table to shoulder axis.
+  SHOULDER_OFFSET: 13.2, // Base axis to shoulder axis.
+  LOWER_ARM: 142.07,
+  UPPER_ARM: 158.81,
+  FRONT_OFFSET: 44.5, // Wrist axis to suction cup tip, horizontally.
+  HEIGHT_OFFSET: 74.55, // Wrist axis to suction cup tip, vertically.
+};
+
+// Wrist axis to tool tip in mm for each mode, {front, height}.
+const TOOL_OFFSETS = {
+  [MODES.NORMAL]: { front: GEOMETRY.FRONT_OFFSET, height: GEOMETRY.HEIGHT_OFFSET },
+  [MODES.LASER]: { front: 51.04, height: 73.09 },
+  [MODES.PRINTING_3D]: { front: 44.5, height: 74.55 },
+  [MODES.UNIVERSAL_HOLDER]: { front: 69.5, height: 71.6 },
+};
+const DEFAULT_TOOL = TOOL_OFFSETS[MODES.NORMAL];
+
+// Joint limits in degrees. ELBOW is the angle between the arms, L + R.
+const JOINT_LIMITS = {
+  B: { name: 'base rotation', min: 0, max: 180 },
+  L: { name: 'lower arm angle', min: 0, max: 135 },
+  R: { name: 'upper arm angle', min: -25, max: 120 },
+  ELBOW: { name: 'elbow angle', min: 20, max: 160 },
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+function cartesianToPolar({ x, y, z }) {
+  return {
+    s: Math.sqrt(x * x + y * y),
+    r: toDegrees(Math.atan2(y, x)) + 90,
+    h: z,
+  };
+}
+
+function polarToCartesian({ s, r, h }) {
+  return {
+    x: s * Math.cos(toRadians(r - 90)),
+    y: s * Math.sin(toRadians(r - 90)),
+    z: h,
+  };
+}
+
+/**
+ * Joint angles for a polar position. L and R are NaN when the arms can't reach.
+ * @param {Object} position - {s, r, h}
+ * @param {Object} tool - Tool offset {front, height}, see TOOL_OFFSETS.
+ * @returns {Object} - {B, L, R}
+ */
+function polarToJoints({ s, r, h }, tool = DEFAULT_TOOL) {
+  const { SHOULDER_HEIGHT, SHOULDER_OFFSET, LOWER_ARM, UPPER_ARM } = GEOMETRY;
+  const reach = s - tool.front - SHOULDER_OFFSET;
+  const height = h + tool.height - SHOULDER_HEIGHT;
+  const distance = Math.sqrt(reach * reach + height * height);
+  const elevation = Math.atan2(height, reach);
+  const lowerAngle = Math.acos((LOWER_ARM * LOWER_ARM + distance * distance - UPPER_ARM * UPPER_ARM) / (2 * LOWER_ARM * distance));
+  const upperAngle = Math.acos((UPPER_ARM * UPPER_ARM + distance * distance - LOWER_ARM * LOWER_ARM) / (2 * UPPER_ARM * distance));
+  return {
+    B: r,
+    L: toDegrees(elevation + lowerAngle),
+    R: toDegrees(upperAngle - elevation),
+  };
+}
+
+function jointsToPolar({ B, L, R }, tool = DEFAULT_TOOL) {
+  const { SHOULDER_HEIGHT, SHOULDER_OFFSET, LOWER_ARM, UPPER_ARM } = GEOMETRY;
+  const reach = LOWER_ARM * Math.cos(toRadians(L)) + UPPER_ARM * Math.cos(toRadians(R));
+  const height = LOWER_ARM * Math.sin(toRadians(L)) - UPPER_ARM * Math.sin(toRadians(R));
+  return {
+    s: reach + tool.front + SHOULDER_OFFSET,
+    r: B,
+    h: height + SHOULDER_HEIGHT - tool.height,
+  };
+}
+
+function cartesianToJoints(position, tool) {
+  return polarToJoints(cartesianToPolar(position), tool);
+}
+
+function jointsToCartesian(joints, tool) {
+  return polarToCartesian(jointsToPolar(joints, tool));
+}
+
+/**
+ * Check a Cartesian position against the geometry and joint limits.
+ * @param {Object} position - {x, y, z}
+ * @param {Object} tool - Tool offset {front, height}, see TOOL_OFFSETS.
+ * @returns {Object} - null when reachable, else {joint, name, angle, min, max,
+ * message} describing the first violated limit. `angle` is NaN when the position
+ * is too far away or too close for the arms.
+ */
+function checkReach(position, tool) {
+  const joints = cartesianToJoints(position, tool);
+  if (isNaN(joints.L) || isNaN(joints.R)) {
+    return {
+      joint: null,
+      name: 'arm length',
+      angle: NaN,
+      min: null,
+      max: null,
+      message: 'the arms are too short to reach it',
+    };
+  }
+  const angles = Object.assign({ ELBOW: joints.L + joints.R }, joints);
+  const joint = Object.keys(JOINT_LIMITS).find((key) => {
+    return angles[key] < JOINT_LIMITS[key].min || angles[key] > JOINT_LIMITS[key].max;
+  });
+  if (!joint) {
+    return null;
+  }
+  const { name, min, max } = JOINT_LIMITS[joint];
+  const angle = angles[joint];
+  return {
+    joint,
+    name,
+    angle,
+    min,
+    max,
+    message: `${name} ${joint} would be ${angle.toFixed(2)}°, outside the limit ${min}° to ${max}°`,
+  };
+}
+
+/**
+ * Check if the arm can reach a Cartesian position.
+ * @param {number} x - x in mm
+ * @param {number} y - y in mm
+ * @param {number} z - z in mm
+ * @param {Object} tool - Tool offset {front, height}, see TOOL_OFFSETS.
+ * @returns {boolean}
+ */
+function isReachable(x, y, z, tool) {
+  return checkReach({ x, y, z }, tool) === null;
+}
+
+module.exports = {
+  GEOMETRY,
+  JOINT_LIMITS,
+  TOOL_OFFSETS,
+  cartesianToPolar,
+  polarToCartesian,
+  polarToJoints,
+  jointsToPolar,
+  cartesianToJoints,
+  jointsToCartesian,
+  checkReach,
+  isReachable,
+};
@@ -0,0 +1,68 @@
+const {
+  TICKING_UARM_TIMED_FEEDBACK,
+  TICKING_UARM_BUTTON_EVENT,
+  TICKING_UARM_POWER_SUPPLY,
+  TICKING_UARM_LIMIT_SWITCH_EVENT,
+  TICKING_UARM_TEMP_ERROR,
+  TICKING_UARM_STOP_MOVEMENT,
+} = require('./constants');
+
+/**
+ * Parse the parameters of a ticking report, e.g. 'X200.00 Y0.00 Z150.00' into
+ * { X: 200, Y: 0, Z: 150 }. Parameters that aren't numbers are kept as strings.
+ * @param {string} rest - The report without the '@<n>' prefix.
+ * @returns {Object}
+ */
+function parseReportParams(rest = '') {
+  const params = {};
+  rest.split(/\s+/).forEach((token) => {
+    const matches = /^([A-Z])(.+)$/.exec(token);
+    if (matches) {
+      const value = Number(matches[2]);
+      params[matches[1]] = isNaN(value) ? matches[2] : value;
+    }
+  });
+  return params;
+}
+
+// Ticking report number -> [event name, function building the event payload].
+const REPORTS = {
+  [TICKING_UARM_TIMED_FEEDBACK]: ['position', (params) => ({
+    x: params.X,
+    y: params.Y,
+    z: params.Z,
+    wrist: params.R,
+  })],
+  [TICKING_UARM_BUTTON_EVENT]: ['button', (params) => ({
+    key: params.B,
+    state: params.V,
+  })],
+  [TICKING_UARM_POWER_SUPPLY]: ['power', (params) => ({
+    connected: params.V === 1,
+  })],
+  [TICKING_UARM_LIMIT_SWITCH_EVENT]: ['limitSwitch', (params) => ({
+    triggered: params.V === 1,
+  })],
+  [TICKING_UARM_TEMP_ERROR]: ['tempError', (params) => params],
+  [TICKING_UARM_STOP_MOVEMENT]: ['motionStopped', (params) => params],
+};
+
+/**
+ * Turn a ticking report into an event.
+ * @param {number} code - The report number, e.g. 4 for '@4 B0 V1'.
+ * @param {string} rest - The report without the '@<n>' prefix.
+ * @returns {Object} - { event, payload }, event is null for unknown reports.
+ */
+function parseReport(code, rest) {
+  const params = parseReportParams(rest);
+  const report = REPORTS[code];
+  if (!report) {
+    return { event: null, payload: params };
+  }
+  return { event: report[0], payload: report[1](params) };
+}
+
+module.exports = {
+  parseReport,
+  parseReportParams,
+};
@@ -0,0 +1,248 @@
+const {
+  cartesianToPolar,
+  polarToCartesian,
+  cartesianToJoints,
+  jointsToCartesian,
+} = require('./kinematics');
+const { SERVO_BOTTOM, SERVO_LEFT, SERVO_RIGHT } = require('./constants');
+
+const JOINT_STEP = 2; // degrees between checked points along a move
+const WORKSPACE_TYPES = ['box', 'cylinder'];
+
+// Motion commands and how to read their parameters.
+const MOTION_COMMANDS = {
+  G0: { kind: 'cartesian', relative: false },
+  G1: { kind: 'cartesian', relative: false },
+  G2204: { kind: 'cartesian', relative: true },
+  G2201: { kind: 'polar', relative: false },
+  G2205: { kind: 'polar', relative: true },
+  G2202: { kind: 'joint', relative: false },
+};
+
+/**
+ * Read a motion command.
+ * @param {string} command - A G-code command, e.g. 'G0 X200 Y0 Z150 F500'.
+ * @returns {Object} - {code, kind, relative, params}, null if it isn't a motion
+ * command.
+ */
+function parseMotion(command) {
+  const tokens = command.trim().split(/\s+/);
+  const code = tokens[0].toUpperCase();
+  const motion = MOTION_COMMANDS[code];
+  if (!motion) {
+    return null;
+  }
+  const params = {};
+  tokens.slice(1).forEach((token) => {
+    const matches = /^([A-Za-z])(-?[0-9.]+)$/.exec(token);
+    if (matches) {
+      params[matches[1].toUpperCase()] = parseFloat(matches[2]);
+    }
+  });
+  return Object.assign({ code, params }, motion);
+}
+
+/**
+ * Where a motion command takes the tool tip.
+ * @param {Object} motion - See parseMotion().
+ * @param {Object} current - {x, y, z} the arm is at or heading to, null if unknown.
+ * @param {Object} tool - Tool offset {front, height}, see TOOL_OFFSETS.
+ * @returns {Object} - {x, y, z}, `current` if the move doesn't change the position
+ * (a wrist move) and undefined if it can't be told without `current`.
+ */
+function motionTarget({ kind, relative, params }, current, tool) {
+  const has = letters => letters.split('').every(letter => params[letter] !== undefined);
+  const value = (letter, base) => {
+    const given = params[letter] === undefined ? 0 : params[letter];
+    return relative ? base + given : (params[letter] === undefined ? base : given);
+  };
+  if (kind === 'joint') {
+    const key = { [SERVO_BOTTOM]: 'B', [SERVO_LEFT]: 'L', [SERVO_RIGHT]: 'R' }[params.N];
+    if (!key) {
+      return current; // The wrist.
+    }
+    if (!current) {
+      return undefined;
+    }
+    const joints = cartesianToJoints(current, tool);
+    joints[key] = params.V;
+    return jointsToCartesian(joints, tool);
+  }
+  if (kind === 'cartesian') {
+    if (!current && (relative || !has('XYZ'))) {
+      return undefined;
+    }
+    const base = current || {};
+    return { x: value('X', base.x), y: value('Y', base.y), z: value('Z', base.z) };
+  }
+  if (!current && (relative || !has('SRH'))) {
+    return undefined;
+  }
+  const base = current ? cartesianToPolar(current) : {};
+  return polarToCartesian({ s: value('S', base.s), r: value('R', base.r), h: value('H', base.h) });
+}
+
+function requireRange(range, name) {
+  if (range === undefined) {
+    return [-Infinity, Infinity];
+  }
+  if (!Array.isArray(range) || range.length !== 2 || !(range[0] <= range[1])) {
+    throw new TypeError(`${name} must be [min, max], got '${JSON.stringify(range)}'`);
+  }
+  return range;
+}
+
+const within = (value, [min, max]) => value >= min && value <= max;
+const describe = ({ x, y, z }) => `X${x.toFixed(2)} Y${y.toFixed(2)} Z${z.toFixed(2)}`;
+
+/**
+ * Limits on where the arm may go and how fast, checked before motion commands are
+ * sent, see the `safety` option of uArmSDK.
+ *
+ * Moves are checked along the way too: G0 moves every joint on its own, so points
+ * are checked every few degrees of joint rotation between start and target.
+ */
+class SafetyEnvelope {
+  /**
+   * @param {Object} options
+   * @param {Object} options.workspace - Where the tool tip must stay, either
+   * {type: 'box', x: [min, max], y: [min, max], z: [min, max]} or {type:
+   * 'cylinder', radius, minRadius, z: [min, max]} around the base axis, in mm.
+   * Ranges left out are unbounded.
+   * @param {Object[]} options.keepOut - Boxes the tool tip must stay out of,
+   * {name, x: [min, max], y: [min, max], z: [min, max]} in mm.
+   * @param {number} options.minZ - Lowest height in mm of the tool tip.
+   * @param {number} options.maxSpeed - Highest feed rate in mm/min, faster moves are
+   * slowed down to it.
+   */
+  constructor({ workspace, keepOut = [], minZ, maxSpeed } = {}) {
+    if (workspace) {
+      if (WORKSPACE_TYPES.indexOf(workspace.type) === -1) {
+        throw new TypeError(`workspace.type must be one of ${WORKSPACE_TYPES.join(', ')}, got '${workspace.type}'`);
+      }
+      if (workspace.type === 'box') {
+        this.workspace = {
+          type: 'box',
+          x: requireRange(workspace.x, 'workspace.x'),
+          y: requireRange(workspace.y, 'workspace.y'),
+          z: requireRange(workspace.z, 'workspace.z'),
+        };
+      } else {
+        if (!(workspace.radius > 0)) {
+          throw new TypeError(`workspace.radius must be a positive number, got '${workspace.radius}'`);
+        }
+        this.workspace = {
+          type: 'cylinder',
+          radius: workspace.radius,
+          minRadius: workspace.minRadius || 0,
+          z: requireRange(workspace.z, 'workspace.z'),
+        };
+      }
+    } else {
+      this.workspace = null;
+    }
+    if (!Array.isArray(keepOut)) {
+      throw new TypeError('keepOut must be an array of boxes.');
+    }
+    this.keepOut = keepOut.map((zone, index) => ({
+      name: zone.name || `zone ${index + 1}`,
+      x: requireRange(zone.x, 'keepOut x'),
+      y: requireRange(zone.y, 'keepOut y'),
+      z: requireRange(zone.z, 'keepOut z'),
+    }));
+    if (minZ !== undefined && typeof minZ !== 'number') {
+      throw new TypeError(`minZ must be a number, got '${minZ}'`);
+    }
+    if (maxSpeed !== undefined && !(maxSpeed > 0)) {
+      throw new TypeError(`maxSpeed must be a positive number, got '${maxSpeed}'`);
+    }
+    this.minZ = minZ;
+    this.maxSpeed = maxSpeed;
+  }
+
+  /**
+   * Check a position against the envelope.
+   * @param {Object} position - {x, y, z}
+   * @returns {Object} - null when allowed, else {rule, zone, message}. `rule` is
+   * 'minZ', 'workspace' or 'keepOut', `zone` the name of the keep-out zone.
+   */
+  checkPosition(position) {
+    const { x, y, z } = position;
+    if (this.minZ !== undefined && z < this.minZ) {
+      return { rule: 'minZ', zone: null, message: `Z${z.toFixed(2)} is below the minimum height of ${this.minZ} mm` };
+    }
+    const workspace = this.workspace;
+    if (workspace) {
+      const radius = Math.hypot(x, y);
+      const inside = workspace.type === 'box' ?
+        within(x, workspace.x) && within(y, workspace.y) && within(z, workspace.z) :
+        within(radius, [workspace.minRadius, workspace.radius]) && within(z, workspace.z);
+      if (!inside) {
+        return { rule: 'workspace', zone: null, message: `${describe(position)} is outside the workspace ${workspace.type}` };
+      }
+    }
+    const zone = this.keepOut.find(box => within(x, box.x) && within(y, box.y) && within(z, box.z));
+    if (zone) {
+      return { rule: 'keepOut', zone: zone.name, message: `${describe(position)} is inside keep-out zone '${zone.name}'` };
+    }
+    return null;
+  }
+
+  /**
+   * Check a move: its target and the points along the way.
+   * @param {Object} from - {x, y, z} the move starts at, null if unknown: only the
+   * target is checked then.
+   * @param {Object} to - {x, y, z} target of the move.
+   * @param {Object} tool - Tool offset {front, height}, see TOOL_OFFSETS.
+   * @returns {Object} - null when allowed, else see checkPosition(), with the
+   * `position` found to violate it.
+   */
+  checkMove(from, to, tool) {
+    const points = [to];
+    if (from) {
+      const start = cartesianToJoints(from, tool);
+      const end = cartesianToJoints(to, tool);
+      const keys = ['B', 'L', 'R'];
+      if (keys.every(key => !isNaN(start[key]) && !isNaN(end[key]))) {
+        const steps = Math.ceil(Math.max(...keys.map(key => Math.abs(end[key] - start[key]))) / JOINT_STEP);
+        for (let i = 1; i < steps; i++) {
+          const joints = {};
+          keys.forEach((key) => {
+            joints[key] = start[key] + (end[key] - start[key]) * i / steps;
+          });
+          points.push(jointsToCartesian(joints, tool));
+        }
+      }
+    }
+    for (const position of points) {
+      const violation = this.checkPosition(position);
+      if (violation) {
+        if (position !== to) {
+          violation.message = `on the way there, ${violation.message}`;
+        }
+        return Object.assign({ position }, violation);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Slow a motion command down to `maxSpeed`.
+   * @param {string} command - The command.
+   * @returns {string} - The command, with its F parameter lowered if needed.
+   */
+  clampSpeed(command) {
+    if (this.maxSpeed === undefined) {
+      return command;
+    }
+    return command.replace(/(\sF)(-?[0-9.]+)/i, (match, prefix, speed) => {
+      return parseFloat(speed) > this.maxSpeed ? `${prefix}${this.maxSpeed}` : match;
+    });
+  }
+}
+
+module.exports = {
+  SafetyEnvelope,
+  parseMotion,
+  motionTarget,
+};
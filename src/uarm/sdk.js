@@ -1,84 +1,636 @@
-const SerialCommunication = require('../comm/serial-comm');
+const EventEmitter = require('events');
 const {
-  LOG_LEVEL,
-  SERVO_HAND,
   MESSAGE_TICKING_FEEDBACK_PREFIX,
   TICKING_UARM_READY,
   MESSAGE_GCODE_SEND_PREFIX,
   MESSAGE_GCODE_RECEIVE_PREFIX,
   SPEED_DEFAULT,
+  COMMAND_TIMEOUT_DEFAULT,
+  MOTION_POLL_INTERVAL_DEFAULT,
+  INPUT_POLL_INTERVAL_DEFAULT,
+  GRIPPER_CLOSE_DELAY_DEFAULT,
+  GRIPPER_OPEN_DELAY_DEFAULT,
+  QUEUE_MAX_IN_FLIGHT_DEFAULT,
+  QUEUE_RETRY_DELAY_DEFAULT,
+  QUEUE_MAX_RETRY_DELAY_DEFAULT,
+  RECONNECT_DELAY_DEFAULT,
+  RECONNECT_MAX_DELAY_DEFAULT,
+  ERROR_BUFFER_FULL,
   MESSAGE_ERROR_PREFIX,
   CARTESIAN_MODE,
+  MODES,
+  SERVO_HAND,
+  LASER_POWER_MAX,
 } = require('./constants');
 
-const ERRORS = require('./errors');
+const { parseReport } = require('./reports');
+const {
+  firmwareError,
+  ProtocolError,
+  CommandTimeoutError,
+  CommandAbortedError,
+  DisconnectedError,
+  OutOfReachError,
+  SafetyViolationError,
+  EmergencyStopError,
+} = require('./exceptions');
+const { checkReach, polarToCartesian, TOOL_OFFSETS } = require('./kinematics');
+const { SafetyEnvelope, parseMotion, motionTarget } = require('./safety');
+const gcode = require('./gcode');
+const Sequence = require('../program/sequence');
+const Frame = require('../motion/frame');
+const PoseStore = require('../motion/pose-store');
+const { openTransport, matchUid, parseValue } = require('../comm/probe');
+const { defaultLogger } = require('../log/logger');
+const { TranscriptRecorder } = require('../log/transcript');
+
+// Commands still sent after emergencyStop(): queries and switching things off.
+const ALLOWED_WHILE_STOPPED = /^\s*(P\d+|M2200|M2019|M5)\b/i;
+
+// Commands after which the arm may not be where it was last sent.
+const FORGETS_POSITION = /^\s*(M2019|M2400)\b/i;
+
+// Throws a TypeError unless pin is a pin number of the extension port.
+function requirePin(pin) {
+  if (!(Number.isInteger(pin) && pin >= 0)) {
+    throw new TypeError(`pin must be a pin number, got '${pin}'`);
+  }
+}
 
-class uArmSDK {
-  constructor({ port, onError, autoOpen = true, defaultSpeed }) {
+/**
+ * Commands are queued and written to the uArm with at most `maxInFlight` of them
+ * waiting for a response at the same time. Emits 'drain' when every command has
+ * been answered.
+ *
+ * Ticking reports from the uArm are emitted as events:
+ * - 'position' {x, y, z, wrist} (@3, see setPositionReporting())
+ * - 'button' {key, state} (@4)
+ * - 'power' {connected} (@5)
+ * - 'limitSwitch' {triggered} (@6)
+ * - 'tempError' {...parameters} (@7)
+ * - 'motionStopped' {...parameters} (@9)
+ * Every report, known or not, is also emitted as 'report' {code, data}.
+ *
+ * The connection is tracked in `connectionState` ('connecting', 'connected',
+ * 'reconnecting' or 'disconnected'). When the connection is lost every command
+ * waiting for a response is rejected with a DisconnectedError and 'disconnected'
+ * {expected} is emitted. With `autoReconnect` the SDK then looks for the same
+ * uArm (by UID) again, emitting 'reconnecting' {attempt, delay, error} before each
+ * attempt, 'reconnected' {attempt} when found and 'reconnectFailed' {attempts}
+ * when giving up.
+ *
+ * With a `safety` envelope every motion command, from the move methods or raw
+ * G-code, is checked before it is queued, see setSafety(). emergencyStop() stops
+ * the arm and refuses further commands until resetEmergencyStop(), emitting
+ * 'emergencyStop' {reason} and 'emergencyStopReset' {reason}.
+ */
+class uArmSDK extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.port - Serial port to use, as returned by findPort().
+   * @param {Transport} options.transport - Transport to use instead of a serial port,
+   * for example a SimulatedCommunication.
+   * @param {Function} options.onError - Called with errors the uArm reports without
+   * them belonging to a command, as FirmwareErrors.
+   * @param {boolean} options.autoOpen - Whether to open the serial port right away.
+   * @param {number} options.defaultSpeed - Speed in mm/min for moves without speed.
+   * @param {number} options.timeout - Default time in ms to wait for a response to a
+   * command. 0 waits forever.
+   * @param {number} options.maxInFlight - Max number of commands sent to the uArm
+   * without a response yet, written in one batch.
+   * @param {number} options.retryDelay - Time in ms to wait before resending
+   * commands the uArm had no room for (E23). Doubled every time the uArm is still
+   * full.
+   * @param {number} options.maxRetryDelay - Max time in ms to wait before resending.
+   * @param {boolean} options.validateMoves - Whether move() and movePolar() check
+   * that the target is reachable before sending it. Can be overridden with the
+   * `validate` option of each move.
+   * @param {boolean} options.autoReconnect - Whether to reconnect when the
+   * connection is lost without close() being called. Commands sent while
+   * reconnecting are held until reconnected.
+   * @param {number} options.reconnectDelay - Time in ms to wait before the first
+   * reconnection attempt. Doubled for every attempt.
+   * @param {number} options.maxReconnectDelay - Max time in ms between attempts.
+   * @param {number} options.maxReconnectAttempts - Attempts before giving up.
+   * @param {Function} options.findTransport - Called with the UID of the uArm for
+   * each reconnection attempt, returns a promise of an open transport to it.
+   * Defaults to looking through the serial ports with findArmByUid(), or to
+   * reopening `transport` if one was given.
+   * @param {SafetyEnvelope|Object} options.safety - Limits on where the arm may go
+   * and how fast, see setSafety().
+   * @param {Object} options.logger - Where to log, a Logger or any object with
+   * debug(), info(), warn() and error() methods. Also used by the transport.
+   * @param {string|Object} options.transcript - Record every line sent and
+   * received, to a file path, a writable stream or a TranscriptRecorder. See
+   * ReplayCommunication for playing it back.
+   * @param {Object} options.frames - User coordinate frames by name, see setFrame().
+   * @param {PoseStore|Object|string} options.poses - Where savePose() saves poses:
+   * a PoseStore, its options or the path of its file. In memory by default.
+   */
+  constructor({
+    port,
+    transport,
+    onError,
+    autoOpen = true,
+    defaultSpeed,
+    timeout,
+    maxInFlight = QUEUE_MAX_IN_FLIGHT_DEFAULT,
+    retryDelay = QUEUE_RETRY_DELAY_DEFAULT,
+    maxRetryDelay = QUEUE_MAX_RETRY_DELAY_DEFAULT,
+    validateMoves = false,
+    autoReconnect = false,
+    reconnectDelay = RECONNECT_DELAY_DEFAULT,
+    maxReconnectDelay = RECONNECT_MAX_DELAY_DEFAULT,
+    maxReconnectAttempts = Infinity,
+    findTransport,
+    safety = null,
+    logger = defaultLogger,
+    transcript,
+    frames = {},
+    poses,
+  }) {
+    super();
     this.messageId = 1; // Bump by one for every message.
     this.waitingResponses = {}; // Object containing all unresponded messages.
+    this.sendQueue = []; // Message ids waiting to be written, in order.
+    this.inFlight = 0; // Number of written messages without response.
+    this.backoffTimer = null; // Set while waiting for room in the uArm buffer.
+    this.backoffPending = false; // Set from an E23 until the commands in flight are answered.
+    this.queueHeld = false; // Set while a signal is aborting commands.
+    this.bufferRetries = 0; // Batches answered with E23 since a command was accepted.
+    this.maxInFlight = maxInFlight;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.validateMoves = validateMoves;
+    this.autoReconnect = autoReconnect;
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.reconnectTimer = null;
+    this.closing = false; // Set by close(), so the close isn't treated as a drop.
+    this.uid = null; // UID of the uArm, fetched when connected with autoReconnect.
+    this.mode = MODES.NORMAL; // Last mode set or read, for the tool offset.
+    this.transportListeners = null;
+    this.fault = null; // {reason, time} while stopped by emergencyStop().
+    this.logger = logger;
+    this.transcript = !transcript || typeof transcript.record === 'function' ?
+      transcript || null :
+      new TranscriptRecorder(transcript);
+    this.setSafety(safety);
+    this.frames = {};
+    Object.keys(frames).forEach(name => this.setFrame(name, frames[name]));
+    if (poses instanceof PoseStore) {
+      this.poses = poses;
+    } else {
+      this.poses = new PoseStore(typeof poses === 'string' ? { path: poses } : poses);
+    }
 
     this.defaultSpeed = defaultSpeed || SPEED_DEFAULT;
-    this.onError = console.error;
+    this.timeout = timeout === undefined ? COMMAND_TIMEOUT_DEFAULT : timeout;
+    this.onError = error => this.logger.error(error.message, { error });
     if (onError) {
       if (typeof onError !== 'function') {
         throw new TypeError(`onError is not a function, got '${typeof onError}'`);
       }
       this.onError = onError;
     }
-    this.serialPort = new SerialCommunication({
-      path: port.comName,
-      baudRate: 115200,
-      autoOpen,
-      readyCode: `${MESSAGE_TICKING_FEEDBACK_PREFIX}${TICKING_UARM_READY}`,
-    });
-
-    // this.serialPort.events.on('ready', () => {});
-    this.serialPort.events.on('data', (data) => this.incoming(data));
+    this.findTransport = findTransport;
+    if (transport) {
+      this.transport = transport;
+      if (!this.findTransport) {
+        this.findTransport = (uid) => this.reopenTransport(uid);
+      }
+    } else {
+      // Required here so serialport is only loaded when actually used.
+      const SerialCommunication = require('../comm/serial-comm');
+      this.transport = new SerialCommunication({
+        path: port.comName,
+        baudRate: 115200,
+        autoOpen,
+        readyCode: `${MESSAGE_TICKING_FEEDBACK_PREFIX}${TICKING_UARM_READY}`,
+        logger,
+      });
+      if (!this.findTransport) {
+        const { findArmByUid } = require('../comm/discovery');
+        this.findTransport = (uid) => findArmByUid(uid);
+      }
+    }
 
     this.incoming = this.incoming.bind(this);
+    this.useTransport(this.transport);
     return this;
   }
 
   open() {
+    this.closing = false;
+    if (!this.transportListeners) {
+      this.useTransport(this.transport);
+    }
     return new Promise((resolve, reject) => {
-      this.serialPort.open()
+      this.transport.open()
         .then(() => resolve())
         .catch(error => reject(error));
     });
   }
 
+  close() {
+    this.closing = true;
+    if (this.reconnectTimer || this.connectionState === 'reconnecting') {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.connectionState = 'disconnected';
+      this.rejectAllWaiting();
+    }
+    return this.transport.close();
+  }
+
+  /**
+   * The transport, under the name it had when it was always a serial port.
+   * @deprecated Use `transport`.
+   */
+  get serialPort() {
+    return this.transport;
+  }
+
+  /**
+   * Talk to the uArm through a transport, e.g. a new one after reconnecting.
+   * @param {Transport} transport - The transport.
+   */
+  useTransport(transport) {
+    this.unbindTransport();
+    this.transport = transport;
+    transport.logger = this.logger;
+    transport.transcript = this.transcript;
+    this.transportListeners = {
+      ready: () => this.onTransportReady(),
+      data: (data) => this.incoming(data),
+      close: () => this.onTransportClose(),
+    };
+    Object.keys(this.transportListeners).forEach((event) => {
+      transport.events.on(event, this.transportListeners[event]);
+    });
+    this.connectionState = 'connecting';
+    if (transport.initialized) {
+      this.onTransportReady();
+    }
+  }
+
+  unbindTransport() {
+    if (!this.transportListeners) {
+      return;
+    }
+    Object.keys(this.transportListeners).forEach((event) => {
+      this.transport.events.removeListener(event, this.transportListeners[event]);
+    });
+    this.transport.transcript = null;
+    this.transportListeners = null;
+  }
+
+  onTransportReady() {
+    this.connectionState = 'connected';
+    this.flushQueue();
+    // Remember which uArm this is, to find it again after a drop.
+    if (this.autoReconnect && !this.uid) {
+      this.getUid()
+        .then((data) => {
+          this.uid = parseValue(data);
+        })
+        .catch(() => {});
+    }
+  }
+
+  onTransportClose() {
+    this.unbindTransport();
+    this.connectionState = 'disconnected';
+    this.rejectAllWaiting();
+    this.emit('disconnected', { expected: this.closing });
+    if (this.autoReconnect && !this.closing) {
+      this.reconnect(1);
+    }
+  }
+
+  /**
+   * Schedule a reconnection attempt, with exponential backoff.
+   * @param {number} attempt - The attempt number, starting at 1.
+   * @param {Error} error - Why the previous attempt failed, if any.
+   */
+  reconnect(attempt, error) {
+    if (attempt > this.maxReconnectAttempts) {
+      this.connectionState = 'disconnected';
+      this.rejectAllWaiting();
+      this.emit('reconnectFailed', { attempts: attempt - 1, error });
+      return;
+    }
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, attempt - 1), this.maxReconnectDelay);
+    this.connectionState = 'reconnecting';
+    this.emit('reconnecting', { attempt, delay, error });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      Promise.resolve()
+        .then(() => this.findTransport(this.uid))
+        .then((transport) => {
+          if (this.closing) {
+            return transport.close();
+          }
+          this.useTransport(transport);
+          this.emit('reconnected', { attempt });
+        })
+        .catch((attemptError) => {
+          if (!this.closing) {
+            this.reconnect(attempt + 1, attemptError);
+          }
+        });
+    }, delay);
+  }
+
   /**
-   * Write @param command to the serial port, prefixed with the Extended GCODE prefix
-   * and a unique message id.
+   * Open the transport again and check that it is the same uArm.
+   * @param {string} uid - The UID of the uArm.
+   * @returns {Promise} - A promise that will be resolved with the transport.
+   */
+  reopenTransport(uid) {
+    const transport = this.transport;
+    return openTransport(transport)
+      .then(() => matchUid(transport, uid))
+      .catch((error) => {
+        return transport.close().catch(() => {}).then(() => {
+          throw error;
+        });
+      });
+  }
+
+  /**
+   * Queue @param command to be written to the uArm, prefixed with the Extended GCODE
+   * prefix and a unique message id.
    * @param {string} command - The Robot command to be sent.
-   * @param {Function} callback - To be called when data is received.
+   * @param {Function} callback - Called as callback(error, data, {command, messageId})
+   * when data is received. Firmware errors (E20-E25) are passed as a FirmwareError.
+   * @param {Object} options
+   * @param {number} options.timeout - Time in ms to wait for a response, counted
+   * from when the command is written, before the callback is called with a
+   * CommandTimeoutError. Defaults to the timeout given to the constructor, 0 waits
+   * forever.
+   * @param {AbortSignal} options.signal - Calls the callback with a
+   * CommandAbortedError when aborted.
+   * @returns {number} - The message id of the command.
    */
-  sendGCode(GCode, callback) {
+  sendGCode(GCode, callback, { timeout = this.timeout, signal } = {}) {
     const newMsgId = this.messageId++;
-    this.waitingResponses[newMsgId] = {
+    if (signal && signal.aborted) {
+      if (callback) {
+        callback(new CommandAbortedError({ command: GCode, messageId: newMsgId }));
+      }
+      return newMsgId;
+    }
+    if (this.connectionState === 'disconnected') {
+      if (callback) {
+        callback(new DisconnectedError({ command: GCode, messageId: newMsgId, sent: false }));
+      }
+      return newMsgId;
+    }
+    if (this.fault && !ALLOWED_WHILE_STOPPED.test(GCode)) {
+      if (callback) {
+        callback(new EmergencyStopError({ command: GCode, messageId: newMsgId, reason: this.fault.reason }));
+      }
+      return newMsgId;
+    }
+    if (this.safety) {
+      const checked = this.checkSafety(GCode);
+      if (checked.error) {
+        if (callback) {
+          callback(checked.error);
+        }
+        return newMsgId;
+      }
+      GCode = checked.command;
+      if (checked.target !== undefined) {
+        this.commandedPosition = checked.target;
+        const done = callback;
+        callback = (error, data, info) => {
+          if (error) {
+            // The move didn't happen, or not all the way.
+            this.commandedPosition = null;
+          }
+          if (done) {
+            done(error, data, info);
+          }
+        };
+      }
+    }
+    const waiter = {
       timestamp: new Date().getTime(),
       callback,
       command: GCode,
+      timeout,
+      sent: false,
+    };
+    if (signal) {
+      waiter.signal = signal;
+      waiter.onAbort = () => {
+        this.holdQueue();
+        this.settle(newMsgId, new CommandAbortedError({ command: GCode, messageId: newMsgId }));
+      };
+      signal.addEventListener('abort', waiter.onAbort);
+    }
+    this.waitingResponses[newMsgId] = waiter;
+    this.sendQueue.push(newMsgId);
+    this.flushQueue();
+    return newMsgId;
+  }
+
+  /**
+   * Write a command to the uArm right away, ahead of the queue and without
+   * checking it against the safety envelope. Used by emergencyStop().
+   * @param {string} command - The command.
+   * @param {Function} callback - See sendGCode().
+   * @returns {number} - The message id of the command.
+   */
+  sendImmediately(command, callback) {
+    const newMsgId = this.messageId++;
+    if (this.connectionState !== 'connected') {
+      callback(new DisconnectedError({ command, messageId: newMsgId, sent: false }));
+      return newMsgId;
+    }
+    this.waitingResponses[newMsgId] = {
+      timestamp: new Date().getTime(),
+      callback,
+      command,
+      timeout: this.timeout,
+      sent: false,
     };
-    const extendedGCode = `${MESSAGE_GCODE_SEND_PREFIX}${newMsgId} ${GCode}`;
-    if (LOG_LEVEL > 10) {
-      console.log(`Sending: ${extendedGCode}`);
+    this.write(newMsgId);
+    return newMsgId;
+  }
+
+  /**
+   * Number of commands queued but not yet written to the uArm.
+   */
+  get queueDepth() {
+    return this.sendQueue.length;
+  }
+
+  /**
+   * Write the next `maxInFlight` queued commands, once every command written
+   * before them has been answered. Commands are held while not connected.
+   *
+   * Writing them in batches keeps them in order when the uArm is full: if it has
+   * no room for one command (E23) it has none for the ones written after it
+   * either, so they are all resent in order after the backoff delay.
+   */
+  flushQueue() {
+    if (this.inFlight > 0 || this.queueHeld) {
+      return;
+    }
+    if (this.backoffPending) {
+      this.backoffPending = false;
+      const delay = Math.min(this.retryDelay * Math.pow(2, this.bufferRetries - 1), this.maxRetryDelay);
+      this.backoffTimer = setTimeout(() => {
+        this.backoffTimer = null;
+        this.flushQueue();
+      }, delay);
+    }
+    while (this.connectionState === 'connected' && !this.backoffTimer &&
+      this.inFlight < this.maxInFlight && this.sendQueue.length > 0) {
+      this.write(this.sendQueue.shift());
     }
-    this.serialPort.send(extendedGCode);
+  }
+
+  write(messageId) {
+    const waiter = this.waitingResponses[messageId];
+    waiter.sent = true;
+    this.inFlight++;
+    if (waiter.timeout > 0) {
+      waiter.timer = setTimeout(() => {
+        this.settle(messageId, new CommandTimeoutError({
+          command: waiter.command,
+          messageId,
+          timeout: waiter.timeout,
+        }));
+      }, waiter.timeout);
+    }
+    const extendedGCode = `${MESSAGE_GCODE_SEND_PREFIX}${messageId} ${waiter.command}`;
+    this.logger.debug(`Sending: ${extendedGCode}`);
+    this.transport.send(extendedGCode);
+  }
+
+  /**
+   * Put a command the uArm had no room for back in the queue, in message id order
+   * so it is resent before the ones after it, and hold the queue for a while so
+   * the uArm can empty its buffer. See flushQueue().
+   * @param {number} messageId - Message id of the command.
+   */
+  retry(messageId) {
+    const waiter = this.waitingResponses[messageId];
+    clearTimeout(waiter.timer);
+    waiter.sent = false;
+    this.inFlight--;
+    const id = Number(messageId);
+    const index = this.sendQueue.findIndex(queued => queued > id);
+    this.sendQueue.splice(index === -1 ? this.sendQueue.length : index, 0, id);
+    if (!this.backoffPending) {
+      // Once per batch, not for each command of it answered with E23.
+      this.bufferRetries++;
+      this.backoffPending = true;
+    }
+    this.flushQueue();
+  }
+
+  /**
+   * Write nothing until the current task is done. A signal may abort several
+   * commands, the ones not written yet mustn't be written as the ones in flight
+   * are dropped.
+   */
+  holdQueue() {
+    if (this.queueHeld) {
+      return;
+    }
+    this.queueHeld = true;
+    Promise.resolve().then(() => {
+      this.queueHeld = false;
+      this.flushQueue();
+    });
+  }
+
+  /**
+   * Stop holding the queue after an E23.
+   */
+  resetBackoff() {
+    clearTimeout(this.backoffTimer);
+    this.backoffTimer = null;
+    this.backoffPending = false;
+    this.bufferRetries = 0;
+  }
+
+  /**
+   * Remove a waiting command and call its callback.
+   * @param {number} messageId - Message id of the command.
+   * @param {Error} error - Error to call the callback with, if any.
+   * @param {string} data - Response to call the callback with.
+   * @returns {boolean} - false if no command was waiting for the message id.
+   */
+  settle(messageId, error, data) {
+    const waiter = this.waitingResponses[messageId];
+    if (!waiter) {
+      return false;
+    }
+    delete this.waitingResponses[messageId];
+    clearTimeout(waiter.timer);
+    if (waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+    if (waiter.sent) {
+      this.inFlight--;
+    } else {
+      this.sendQueue = this.sendQueue.filter(id => id !== Number(messageId));
+    }
+    if (waiter.callback) {
+      waiter.callback(error, data, { command: waiter.command, messageId: Number(messageId) });
+    }
+    this.flushQueue();
+    if (this.inFlight === 0 && this.sendQueue.length === 0) {
+      this.emit('drain');
+    }
+    return true;
+  }
+
+  /**
+   * Drop every command not yet written to the uArm. Their callbacks are called with
+   * a CommandAbortedError.
+   * @returns {number} - The number of commands dropped.
+   */
+  clearQueue() {
+    this.commandedPosition = null;
+    const messageIds = this.sendQueue.slice();
+    messageIds.forEach((messageId) => {
+      const { command } = this.waitingResponses[messageId];
+      this.settle(messageId, new CommandAbortedError({ command, messageId }));
+    });
+    return messageIds.length;
+  }
+
+  /**
+   * Reject every command still waiting for a response, used when the connection
+   * is closed.
+   */
+  rejectAllWaiting() {
+    this.commandedPosition = null;
+    this.resetBackoff();
+    this.sendQueue = [];
+    Object.keys(this.waitingResponses).forEach((messageId) => {
+      const { command } = this.waitingResponses[messageId];
+      this.settle(messageId, new DisconnectedError({ command, messageId: Number(messageId) }));
+    });
   }
 
   /**
    * Handler for incoming message. Will lookup the message id and call the callback
-   * being referenced in that lookup. If lookup fails, an error will be thrown.
+   * being referenced in that lookup. If lookup fails, a warning is logged.
    * @param {string} data - Data received from the uArm, containing the message id.
    * @returns {nothing}
    */
   incoming(data) {
-    if (LOG_LEVEL > 10) {
-      console.log(`Incoming: <${data}>`);
-    }
-    const parts = /^(refer:|E|\$|@)(\d+)*\s+(.+)*/.exec(data);
+    this.logger.debug(`Incoming: <${data}>`);
+    const parts = /^(refer:|E|\$|@)(\d+)*\s*(.+)*/.exec(data);
     if (parts) {
       const {
         1: messageType,
@@ -86,92 +638,165 @@ class uArmSDK {
         3: rest,
       } = parts;
       switch (messageType) {
-        case MESSAGE_TICKING_FEEDBACK_PREFIX:
-          console.log("UARM REPORTED: ", messageId, rest);
+        case MESSAGE_TICKING_FEEDBACK_PREFIX: {
+          const code = Number(messageId);
+          const { event, payload } = parseReport(code, rest);
+          this.emit('report', { code, data: rest });
+          if (event) {
+            this.emit(event, payload);
+          }
           break;
+        }
         case MESSAGE_ERROR_PREFIX: {
-          const waiter = this.waitingResponses[messageId];
-          const errorHandler = ERRORS[messageId];
-          let error = errorHandler ?
-            new Error(errorHandler) :
-            new Error(`Unknown error [${MESSAGE_ERROR_PREFIX}${messageId}]: ${rest}`);
-          waiter.callback(error);
-          this.onError(new Error(errorHandler));
-
+          // Not an answer to a command, the number is the error code.
+          this.onError(firmwareError(messageId));
           break;
         }
         case MESSAGE_GCODE_RECEIVE_PREFIX: {
           const waiter = this.waitingResponses[messageId];
-          if (!waiter) {
-            throw new Error(`Unable to find message id: ${messageId}`);
+          if (waiter && waiter.sent && rest === `${MESSAGE_ERROR_PREFIX}${ERROR_BUFFER_FULL}`) {
+            this.retry(messageId);
+            break;
+          }
+          if (waiter && waiter.sent) {
+            // The uArm had room for it.
+            this.bufferRetries = 0;
+          }
+          const errorParts = new RegExp(`^${MESSAGE_ERROR_PREFIX}(\\d+)`).exec(rest || '');
+          const error = errorParts && waiter ?
+            firmwareError(errorParts[1], { command: waiter.command, messageId: Number(messageId) }) :
+            null;
+          // Late responses to commands that timed out or were aborted are dropped.
+          if (!this.settle(messageId, error, error ? undefined : rest) && !(messageId < this.messageId)) {
+            this.logger.warn(`Got a response for an unknown message id: ${data}`, { messageId: Number(messageId), response: data });
           }
-          waiter.callback(null, rest);
-          this.waitingResponses[messageId] = null;
           break;
         }
         default:
-          throw new Error(`Unknown messages type: ${messageType}`);
+          this.logger.warn(`Got a message of unknown type ${messageType}: ${data}`, { response: data });
       }
     }
     else {
-      console.error(`Got message NOT matching Regexp: ${data}`);
+      this.logger.warn(`Got message NOT matching Regexp: ${data}`);
     }
   }
 
+  /**
+   * Error for a response that isn't "ok".
+   * @param {string} data - The response.
+   * @param {Object} info - {command, messageId} as passed to the sendGCode() callback.
+   * @returns {ProtocolError}
+   */
+  unexpectedResponse(data, { command, messageId }) {
+    return new ProtocolError({
+      message: `Didn't get "ok" as response, got ${data}`,
+      command,
+      messageId,
+      response: data,
+    });
+  }
+
+  /**
+   * Error for an "ok" response that couldn't be parsed.
+   * @param {string} data - The response.
+   * @param {Object} info - {command, messageId} as passed to the sendGCode() callback.
+   * @returns {ProtocolError}
+   */
+  unparsableResponse(data, { command, messageId }) {
+    return new ProtocolError({
+      message: `Unable to parse response: ${data}`,
+      command,
+      messageId,
+      response: data,
+    });
+  }
+
+  /**
+   * Make the uArm report its position periodically. Reports are emitted as
+   * 'position' events.
+   * @param {number} interval - Time in ms between reports, 0 turns reporting off.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved when uArm respond.
+   */
+  setPositionReporting(interval, options) {
+    return new Promise((resolve, reject) => {
+      this.sendGCode(`M2120 V${interval / 1000}`, (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (data !== 'ok') {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        resolve();
+      }, options);
+    });
+  }
+
   /**
    * Get current position of the uArm.
    * @param {number} mode - The mode to be returned. Either CARTESIAN_MODE or POLAR_MODE.
+   * @param {Object} options - Command options, see sendGCode(). Pass `frame`, the
+   * name of a frame or a Frame, to get the position in it, as numbers. Cartesian
+   * mode only.
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getPosition(mode = CARTESIAN_MODE) {
+  getPosition(mode = CARTESIAN_MODE, options = {}) {
     return new Promise((resolve, reject) => {
-      this.sendGCode(mode === CARTESIAN_MODE ? 'P2220' : 'P2221', (error, data) => {
+      const frame = options.frame ? this.getFrame(options.frame) : null;
+      if (frame && mode !== CARTESIAN_MODE) {
+        throw new TypeError('A frame can only be used with CARTESIAN_MODE.');
+      }
+      this.sendGCode(mode === CARTESIAN_MODE ? 'P2220' : 'P2221', (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (!data.startsWith('ok')) {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
         const regexp = mode === CARTESIAN_MODE ?
           new RegExp(/^ok\sX([-]*[0-9.]+)+\sY([-]*[0-9.]+)+\sZ([-]*[0-9.]+)+/) :
           new RegExp(/^ok\sS([-]*[0-9.]+)+\sR([-]*[0-9.]+)+\sH([-]*[0-9.]+)+/);
         const matches = regexp.exec(data);
         if (!matches) {
-          return reject(`Unable to parse response: ${data}`);
+          return reject(this.unparsableResponse(data, info));
         }
         let result = {};
         if (mode === CARTESIAN_MODE) {
           result.x = matches[1];
           result.y = matches[2];
           result.z = matches[3];
+          if (this.safety && !this.commandedPosition) {
+            this.commandedPosition = { x: Number(result.x), y: Number(result.y), z: Number(result.z) };
+          }
         } else {
           result.s = matches[1];
           result.r = matches[2];
           result.h = matches[3];
         }
 
-        resolve(result);
-      });
+        resolve(frame ? frame.fromBase(result) : result);
+      }, options);
     });
   }
 
   /**
    * Get the current angle of joints.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getJointsAngle() {
+  getJointsAngle(options) {
     return new Promise((resolve, reject) => {
-      this.sendGCode('P2200', (error, data) => {
+      this.sendGCode('P2200', (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (!data.startsWith('ok')) {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
         const regexp = new RegExp(/^ok\sB([-]*[0-9.]+)+\sL([-]*[0-9.]+)+\sR([-]*[0-9.]+)+/);
         const matches = regexp.exec(data);
         if (!matches) {
-          return reject(`Unable to parse response: ${data}`);
+          return reject(this.unparsableResponse(data, info));
         }
 
         resolve({
@@ -179,82 +804,112 @@ class uArmSDK {
           L: matches[2],
           R: matches[3],
         });
-      });
+      }, options);
+    });
+  }
+
+  /**
+   * Get the angle of one servo.
+   * @param {number} jointID - The ID of the joint (0-3), e.g. SERVO_HAND for the
+   * wrist.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved with the angle in degrees.
+   */
+  getServoAngle(jointID, options) {
+    return new Promise((resolve, reject) => {
+      this.sendGCode(`P2206 N${jointID}`, (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (!data.startsWith('ok')) {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        const matches = /^ok\sV([-]*[0-9.]+)/.exec(data);
+        if (!matches) {
+          return reject(this.unparsableResponse(data, info));
+        }
+        resolve(Number(matches[1]));
+      }, options);
     });
   }
 
   /**
    * Get the device name of the uArm.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getDeviceName() {
+  getDeviceName(options) {
     return new Promise((resolve, reject) => {
       this.sendGCode('P2201', (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
+      }, options);
     });
   }
 
   /**
    * Get current Hardware version for the uArm.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getHardwareVersion() {
+  getHardwareVersion(options) {
     return new Promise((resolve, reject) => {
       this.sendGCode('P2202', (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
+      }, options);
     });
   }
 
   /**
    * Get current Software version for the uArm.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getSoftwareVersion() {
+  getSoftwareVersion(options) {
     return new Promise((resolve, reject) => {
       this.sendGCode('P2203', (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
+      }, options);
     });
   }
 
   /**
    * Get current API Version for the uArm.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getAPIVersion() {
+  getAPIVersion(options) {
     return new Promise((resolve, reject) => {
       this.sendGCode('P2204', (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
+      }, options);
     });
   }
 
   /**
    * Get current UID for the uArm.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getUid() {
+  getUid(options) {
     return new Promise((resolve, reject) => {
       this.sendGCode('P2205', (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
+      }, options);
     });
   }
 
@@ -264,21 +919,32 @@ class uArmSDK {
    * @param {number} y - y in mm
    * @param {number} z - z in mm
    * @param {number} speed - Speed in mm/min
+   * @param {Object} options - Command options, see sendGCode(). Pass
+   * `waitForCompletion: true` to resolve when the arm has stopped, see afterMotion().
+   * Pass `validate` to override the `validateMoves` constructor option. Pass
+   * `frame`, the name of a frame or a Frame, to give the position in it.
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  move(x, y, z, speed) {
-    return new Promise((resolve, reject) => {
-      const command = `G0 X${x.toFixed(4)} Y${y.toFixed(4)} Z${z.toFixed(4)} F${speed || this.defaultSpeed}`;
-      this.sendGCode(command, (error, data) => {
+  move(x, y, z, speed, options = {}) {
+    return this.afterMotion(new Promise((resolve, reject) => {
+      if (options.frame) {
+        ({ x, y, z } = this.getFrame(options.frame).toBase({ x, y, z }));
+      }
+      const command = gcode.move(x, y, z, speed || this.defaultSpeed);
+      const reachError = this.validateReach(command, { x, y, z }, options);
+      if (reachError) {
+        return reject(reachError);
+      }
+      this.sendGCode(command, (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (data !== 'ok') {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
         resolve();
-      });
-    });
+      }, options);
+    }), options);
   }
 
   /**
@@ -287,55 +953,63 @@ class uArmSDK {
    * @param {number} rotation - Rotation in degrees
    * @param {number} height - Height in mm
    * @param {number} speed - Speed in mm/min
+   * @param {Object} options - Command options, see sendGCode(). Pass
+   * `waitForCompletion: true` to resolve when the arm has stopped, see afterMotion().
+   * Pass `validate` to override the `validateMoves` constructor option.
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  movePolar(stretch, rotation, height, speed) {
-    return new Promise((resolve, reject) => {
-      const command = `G2201 S${stretch} R${rotation} H${height} F${speed || this.defaultSpeed}`;
+  movePolar(stretch, rotation, height, speed, options) {
+    return this.afterMotion(new Promise((resolve, reject) => {
+      const command = gcode.movePolar(stretch, rotation, height, speed || this.defaultSpeed);
+      const target = polarToCartesian({ s: stretch, r: rotation, h: height });
+      const reachError = this.validateReach(command, target, options);
+      if (reachError) {
+        return reject(reachError);
+      }
       this.sendGCode(command, (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
-    });
+      }, options);
+    }), options);
   }
 
   /**
    * Move the motor to the position
    * @param {number} jointID - The ID of joints (0-3).
    * @param {number} angle - The Angle to be set (0-180).
+   * @param {Object} options - Command options, see sendGCode(). Pass
+   * `waitForCompletion: true` to resolve when the arm has stopped, see afterMotion().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  moveMotor(jointID, angle) {
-    return new Promise((resolve, reject) => {
-      this.sendGCode(`G2202 N${jointID} V${angle}`, (error, data) => {
-        // TODO: Implement error handling on this level.
-        // For uArm.moveMotor(1, 45) I am getting this as respons:
-        // $X E21
+  moveMotor(jointID, angle, options) {
+    return this.afterMotion(this.withKnownPosition((resolve, reject) => {
+      this.sendGCode(gcode.moveMotor(jointID, angle), (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
-    });
+      }, options);
+    }, options), options);
   }
 
   /**
    * Set wrist angle
    * @param {number} angle - The Angle to be set (0-180).
+   * @param {Object} options - Command options, see sendGCode(). Pass
+   * `waitForCompletion: true` to resolve when the arm has stopped, see afterMotion().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  setWrist(angle) {
-    return new Promise((resolve, reject) => {
-      this.sendGCode(`G2202 N${SERVO_HAND} V${angle}`, (error, data) => {
+  setWrist(angle, options) {
+    return this.afterMotion(new Promise((resolve, reject) => {
+      this.sendGCode(gcode.setWrist(angle), (error, data) => {
         if (error) {
           return reject(error);
         }
-        // TODO: Implement error handling on this level.
         resolve(data);
-      });
-    });
+      }, options);
+    }), options);
   }
 
   /**
@@ -344,26 +1018,27 @@ class uArmSDK {
    * @param {number} y - y in mm
    * @param {number} z - z in mm
    * @param {number} speed - Speed in mm/min
+   * @param {Object} options - Command options, see sendGCode(). Pass
+   * `waitForCompletion: true` to resolve when the arm has stopped, see afterMotion().
+   * Pass `frame`, the name of a frame or a Frame, to move along its axes.
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  moveRelative(x = 0, y = 0, z = 0, speed) {
-    return new Promise((resolve, reject) => {
-      const command = `G2204 X${x.toFixed(4)} Y${y.toFixed(4)} Z${z.toFixed(4)} F${speed || this.defaultSpeed}`;
-      this.sendGCode(command, (error, data) => {
+  moveRelative(x = 0, y = 0, z = 0, speed, options = {}) {
+    return this.afterMotion(this.withKnownPosition((resolve, reject) => {
+      if (options.frame) {
+        ({ x, y, z } = this.getFrame(options.frame).vectorToBase({ x, y, z }));
+      }
+      const command = gcode.moveRelative(x, y, z, speed || this.defaultSpeed);
+      this.sendGCode(command, (error, data, info) => {
         if (error) {
           return reject(error);
         }
-        const parts = /^(ok|E)(\d+)*/.exec(data);
-        if (!parts) {
-          return reject(`Unable to parse data, got ${data}`);
-        }
-        if (parts[1] === 'E') {
-          const errorCode = parts[2];
-          return reject(ERRORS[errorCode] ? ERRORS[errorCode] : 'Unknown error');
+        if (!data.startsWith('ok')) {
+          return reject(this.unexpectedResponse(data, info));
         }
         resolve(data);
-      });
-    });
+      }, options);
+    }, options), options);
   }
 
   /**
@@ -372,81 +1047,88 @@ class uArmSDK {
    * @param {number} rotation - Rotation in degrees
    * @param {number} height - Height in mm
    * @param {number} speed - Speed in mm/min
+   * @param {Object} options - Command options, see sendGCode(). Pass
+   * `waitForCompletion: true` to resolve when the arm has stopped, see afterMotion().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  movePolarRelative(stretch, rotation, height, speed) {
-    return new Promise((resolve, reject) => {
+  movePolarRelative(stretch, rotation, height, speed, options) {
+    return this.afterMotion(this.withKnownPosition((resolve, reject) => {
       const command = `G2205 S${stretch} R${rotation} H${height} F${speed || this.defaultSpeed}`;
       this.sendGCode(command, (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
-    });
+      }, options);
+    }, options), options);
   }
 
   /**
    * Activate the buzzer on device
    * @param {number} frequence - The Frequence to beep at.
    * @param {number} delay - Time for sound in milliseconds
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  buzz(frequence = 1000, delay = 300) {
+  buzz(frequence = 1000, delay = 300, options) {
     return new Promise((resolve, reject) => {
-      const command = `M2210 F${frequence} T${delay}`;
-      this.sendGCode(command, (error, data) => {
+      const command = gcode.buzz(frequence, delay);
+      this.sendGCode(command, (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (data !== 'ok') {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
         resolve();
-      });
+      }, options);
     });
   }
 
   /**
    * Turn the pump on/off.
    * @param {boolean} on - Wheter to turn gripper on or off.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  setPump(on) {
+  setPump(on, options) {
     return new Promise((resolve, reject) => {
-      const command = `M2231 V${on ? 1 : 0}`;
-      this.sendGCode(command, (error, data) => {
+      const command = gcode.setPump(on);
+      this.sendGCode(command, (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (data !== 'ok') {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
         resolve();
-      });
+      }, options);
     });
   }
 
   /**
-   * Get current status of the pump (on / off).
+   * Get current status of the pump (on / off). It is on while it is holding
+   * something too.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getPumpStatus() {
+  getPumpStatus(options) {
     return new Promise((resolve, reject) => {
-      this.sendGCode('P2231', (error, data) => {
+      this.sendGCode('P2231', (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (!data.startsWith('ok')) {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
-        const regexp = new RegExp(/^ok\sV([01]+)/);
+        const regexp = new RegExp(/^ok\sV([012])/);
         const matches = regexp.exec(data);
         if (!matches) {
-          return reject(`Unable to parse response: ${data}`);
+          return reject(this.unparsableResponse(data, info));
         }
-        resolve(matches[1] === "1" ? true : false);
-      });
+        // 2 means it is holding something.
+        resolve(matches[1] !== "0");
+      }, options);
     });
   }
 
@@ -458,86 +1140,789 @@ class uArmSDK {
    * @param {boolean} on - Wheter to turn gripper on or off.
    * @param {number} delay - Delay in ms to wait befor resolving promise. The device
    * is responding "ok" as soon as operation has started.
+   * @param {Object} options - Command options, see sendGCode().
    */
-  setGripper(on, delay) {
+  setGripper(on, delay, options) {
     return new Promise((resolve, reject) => {
-      const command = `M2232 V${on ? 1 : 0}`;
-      this.sendGCode(command, (error, data) => {
+      const command = gcode.setGripper(on);
+      this.sendGCode(command, (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (data !== 'ok') {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
         setTimeout(() => {
           resolve();
-        }, delay || on ? 2500 : 1400);
-      });
+        }, delay === undefined ? (on ? GRIPPER_CLOSE_DELAY_DEFAULT : GRIPPER_OPEN_DELAY_DEFAULT) : delay);
+      }, options);
     });
   }
 
   /**
-   * Get current status of the gripper (on / off).
+   * Get current status of the gripper (on / off). It is on while it is holding
+   * something too.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getGripperStatus() {
+  getGripperStatus(options) {
     return new Promise((resolve, reject) => {
-      this.sendGCode('P2232', (error, data) => {
+      this.sendGCode('P2232', (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (!data.startsWith('ok')) {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
-        const regexp = new RegExp(/^ok\sV([01]+)/);
+        const regexp = new RegExp(/^ok\sV([012])/);
         const matches = regexp.exec(data);
         if (!matches) {
-          return reject(`Unable to parse response: ${data}`);
+          return reject(this.unparsableResponse(data, info));
         }
-        resolve(matches[1] === "1" ? true : false);
-      });
+        // 2 means it is holding something.
+        resolve(matches[1] !== "0");
+      }, options);
+    });
+  }
+
+  /**
+   * Check whether the limit switch of the suction cup is pressed, e.g. because the
+   * cup rests on something.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved with true or false.
+   */
+  getLimitSwitchStatus(options) {
+    return new Promise((resolve, reject) => {
+      this.sendGCode('P2233', (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (!data.startsWith('ok')) {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        const regexp = new RegExp(/^ok\sV([01])/);
+        const matches = regexp.exec(data);
+        if (!matches) {
+          return reject(this.unparsableResponse(data, info));
+        }
+        resolve(matches[1] === "1");
+      }, options);
+    });
+  }
+
+  /**
+   * Check whether the power supply is connected, the uArm can't move without it.
+   * Changes are reported as 'power' events.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved with true or false.
+   */
+  getPowerStatus(options) {
+    return new Promise((resolve, reject) => {
+      this.sendGCode('P2234', (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (!data.startsWith('ok')) {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        const regexp = new RegExp(/^ok\sV([01])/);
+        const matches = regexp.exec(data);
+        if (!matches) {
+          return reject(this.unparsableResponse(data, info));
+        }
+        resolve(matches[1] === "1");
+      }, options);
+    });
+  }
+
+  /**
+   * Turn the default function of the buttons on the base on/off. With the
+   * function off the firmware leaves them alone and presses are only reported,
+   * as 'button' events.
+   * @param {boolean} on - Whether the buttons do their default function.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved when uArm respond.
+   */
+  setButtonFunction(on, options) {
+    return new Promise((resolve, reject) => {
+      this.sendGCode(`M2213 V${on ? 1 : 0}`, (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (data !== 'ok') {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        resolve();
+      }, options);
+    });
+  }
+
+  /**
+   * Read a digital pin of the extension port.
+   * @param {number} pin - The pin number.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved with true when the pin is
+   * high, false when low.
+   */
+  getDigitalValue(pin, options) {
+    return new Promise((resolve, reject) => {
+      requirePin(pin);
+      this.sendGCode(`P2240 N${pin}`, (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (!data.startsWith('ok')) {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        const regexp = new RegExp(/^ok\sV([01])/);
+        const matches = regexp.exec(data);
+        if (!matches) {
+          return reject(this.unparsableResponse(data, info));
+        }
+        resolve(matches[1] === "1");
+      }, options);
+    });
+  }
+
+  /**
+   * Set a digital pin of the extension port high or low, e.g. to switch a relay.
+   * @param {number} pin - The pin number.
+   * @param {boolean} value - Whether to set the pin high.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved when uArm respond.
+   */
+  setDigitalValue(pin, value, options) {
+    return new Promise((resolve, reject) => {
+      requirePin(pin);
+      this.sendGCode(`G2240 N${pin} V${value ? 1 : 0}`, (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (data !== 'ok') {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        resolve();
+      }, options);
+    });
+  }
+
+  /**
+   * Read an analog pin of the extension port.
+   * @param {number} pin - The pin number.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved with the reading, from 0
+   * to 1023.
+   */
+  getAnalogValue(pin, options) {
+    return new Promise((resolve, reject) => {
+      requirePin(pin);
+      this.sendGCode(`P2241 N${pin}`, (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (!data.startsWith('ok')) {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        const regexp = new RegExp(/^ok\sV([0-9]+)/);
+        const matches = regexp.exec(data);
+        if (!matches) {
+          return reject(this.unparsableResponse(data, info));
+        }
+        resolve(Number(matches[1]));
+      }, options);
+    });
+  }
+
+  /**
+   * Wait until an input of the extension port has a value, e.g. until a sensor
+   * sees a part on the conveyor. The pin is read every `pollInterval` ms.
+   * @param {number} pin - The pin number.
+   * @param {boolean|number|Function} value - The digital value to wait for or, with
+   * `analog`, the level (0-1023) to wait for the reading to reach. Or a function
+   * called with each reading that returns true when done.
+   * @param {number} timeout - Time in ms to wait before rejecting with a
+   * CommandTimeoutError. 0 waits forever.
+   * @param {Object} options
+   * @param {boolean} options.analog - Whether to read the pin with
+   * getAnalogValue() rather than getDigitalValue().
+   * @param {boolean} options.below - With `analog`, wait for the reading to drop
+   * to `value` or below instead of rising to it or above.
+   * @param {number} options.pollInterval - Time in ms between reads.
+   * @param {AbortSignal} options.signal - Rejects with a CommandAbortedError when
+   * aborted.
+   * @returns {Promise} - A promise that will be resolved with the reading that
+   * matched.
+   */
+  waitForInput(pin, value, timeout = 0, { analog = false, below = false, pollInterval = INPUT_POLL_INTERVAL_DEFAULT, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      requirePin(pin);
+      if (analog && typeof value !== 'function' && !(typeof value === 'number' && isFinite(value))) {
+        throw new TypeError(`The analog level to wait for must be a number, got '${value}'`);
+      }
+      const command = `waitForInput ${pin}`;
+      let matches = reading => reading === Boolean(value);
+      if (typeof value === 'function') {
+        matches = value;
+      } else if (analog) {
+        // Analog readings are noisy, wait for a level rather than an exact value.
+        matches = below ? reading => reading <= value : reading => reading >= value;
+      }
+      let pollTimer = null;
+      let timeoutTimer = null;
+      let done = false;
+      const finish = (error, reading) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(pollTimer);
+        clearTimeout(timeoutTimer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        return error ? reject(error) : resolve(reading);
+      };
+      const onAbort = () => finish(new CommandAbortedError({ command }));
+      const check = () => {
+        const read = analog ? this.getAnalogValue(pin, { signal }) : this.getDigitalValue(pin, { signal });
+        read
+          .then((reading) => {
+            if (matches(reading)) {
+              return finish(null, reading);
+            }
+            if (!done) {
+              pollTimer = setTimeout(check, pollInterval);
+            }
+          })
+          .catch(finish);
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          return onAbort();
+        }
+        signal.addEventListener('abort', onAbort);
+      }
+      if (timeout > 0) {
+        timeoutTimer = setTimeout(() => finish(new CommandTimeoutError({ command, timeout })), timeout);
+      }
+      check();
     });
   }
 
   /**
    * Get current mode.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  getCurrentMode() {
+  getCurrentMode(options) {
     return new Promise((resolve, reject) => {
-      this.sendGCode('P2400', (error, data) => {
+      this.sendGCode('P2400', (error, data, info) => {
         if (error) {
           return reject(error);
         }
         if (!data.startsWith('ok')) {
-          return reject(`Didn't get "ok" as response, got ${data}`);
+          return reject(this.unexpectedResponse(data, info));
         }
         const regexp = new RegExp(/^ok\sV([0123]+)/);
         const matches = regexp.exec(data);
         if (!matches) {
-          return reject(`Unable to parse response: ${data}`);
+          return reject(this.unparsableResponse(data, info));
         }
+        this.mode = Number(matches[1]);
         resolve(matches[1]);
-      });
+      }, options);
+    });
+  }
+
+  /**
+   * Switch the mode of the uArm, for the tool mounted. The firmware then reports
+   * and takes positions of the tip of that tool, so the same position is another
+   * pose of the arm in another mode. Moves are validated with the tool offset of
+   * the mode, see TOOL_OFFSETS in kinematics.
+   * @param {number|string} mode - One of MODES, or its name like 'LASER'.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved when uArm respond.
+   */
+  setMode(mode, options) {
+    return new Promise((resolve, reject) => {
+      const value = typeof mode === 'string' ? MODES[mode.toUpperCase()] : mode;
+      if (!Object.keys(MODES).some(name => MODES[name] === value)) {
+        throw new TypeError(`mode must be one of ${Object.keys(MODES).join(', ')}, got '${mode}'`);
+      }
+      this.sendGCode(`M2400 S${value}`, (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (data !== 'ok') {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        this.mode = value;
+        resolve();
+      }, options);
+    });
+  }
+
+  /**
+   * Turn the laser on/off. The uArm needs to be in laser mode, see setMode().
+   * @param {boolean} on - Whether to turn the laser on or off.
+   * @param {number} power - Laser power from 0 to LASER_POWER_MAX.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved when uArm respond.
+   */
+  setLaser(on, power = LASER_POWER_MAX, options) {
+    return new Promise((resolve, reject) => {
+      if (on && (typeof power !== 'number' || !(power >= 0 && power <= LASER_POWER_MAX))) {
+        throw new RangeError(`power must be between 0 and ${LASER_POWER_MAX}, got '${power}'`);
+      }
+      const command = on ? `M3 S${Math.round(power)}` : 'M5';
+      this.sendGCode(command, (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (data !== 'ok') {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        resolve();
+      }, options);
     });
   }
 
   /**
    * Put the uArm in delay mode.
    * @param {number} milliseconds - The amount of time to delay.
+   * @param {Object} options - Command options, see sendGCode().
    * @returns {Promise} - A promise that will be resolved when uArm respond.
    */
-  delay(milliseconds) {
+  delay(milliseconds, options) {
     return new Promise((resolve, reject) => {
-      const command = `G2004 P${milliseconds}`;
+      const command = gcode.delay(milliseconds);
       this.sendGCode(command, (error, data) => {
         if (error) {
           return reject(error);
         }
         resolve(data);
-      });
+      }, options);
+    });
+  }
+
+  /**
+   * Attach all joint servos, so the arm holds its position and can be moved.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved when uArm respond.
+   */
+  attachServos(options) {
+    return new Promise((resolve, reject) => {
+      this.sendGCode('M17', (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (data !== 'ok') {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        resolve();
+      }, options);
     });
   }
+
+  /**
+   * Detach all joint servos, so the arm can be moved by hand.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved when uArm respond.
+   */
+  detachServos(options) {
+    return new Promise((resolve, reject) => {
+      this.sendGCode('M2019', (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (data !== 'ok') {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        resolve();
+      }, options);
+    });
+  }
+
+  /**
+   * Check whether the uArm is moving.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved with true or false.
+   */
+  isMoving(options) {
+    return new Promise((resolve, reject) => {
+      this.sendGCode('M2200', (error, data, info) => {
+        if (error) {
+          return reject(error);
+        }
+        if (!data.startsWith('ok')) {
+          return reject(this.unexpectedResponse(data, info));
+        }
+        const regexp = new RegExp(/^ok\sV([01]+)/);
+        const matches = regexp.exec(data);
+        if (!matches) {
+          return reject(this.unparsableResponse(data, info));
+        }
+        resolve(matches[1] === "1" ? true : false);
+      }, options);
+    });
+  }
+
+  /**
+   * Wait until the uArm has stopped moving. Checks the moving status when the uArm
+   * reports that it stopped (@9) and every `pollInterval` ms.
+   * @param {Object} options
+   * @param {number} options.pollInterval - Time in ms between status checks.
+   * @param {number} options.timeout - Time in ms to wait before rejecting with a
+   * CommandTimeoutError. 0 waits forever.
+   * @param {AbortSignal} options.signal - Rejects with a CommandAbortedError when
+   * aborted.
+   * @returns {Promise} - A promise that will be resolved when the uArm has stopped.
+   */
+  waitUntilStopped({ pollInterval = MOTION_POLL_INTERVAL_DEFAULT, timeout = 0, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const command = 'waitUntilStopped';
+      let pollTimer = null;
+      let timeoutTimer = null;
+      let done = false;
+      const finish = (error) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(pollTimer);
+        clearTimeout(timeoutTimer);
+        this.removeListener('motionStopped', check);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        return error ? reject(error) : resolve();
+      };
+      const onAbort = () => finish(new CommandAbortedError({ command }));
+      const check = () => {
+        clearTimeout(pollTimer);
+        this.isMoving({ signal })
+          .then((moving) => {
+            if (!moving) {
+              return finish();
+            }
+            if (!done) {
+              pollTimer = setTimeout(check, pollInterval);
+            }
+          })
+          .catch(finish);
+      };
+
+      if (signal) {
+        if (signal.aborted) {
+          return onAbort();
+        }
+        signal.addEventListener('abort', onAbort);
+      }
+      if (timeout > 0) {
+        timeoutTimer = setTimeout(() => finish(new CommandTimeoutError({ command, timeout })), timeout);
+      }
+      this.on('motionStopped', check);
+      check();
+    });
+  }
+
+  /**
+   * Check that a move target is reachable, if validation is turned on.
+   * @param {string} command - The move command.
+   * @param {Object} target - Cartesian target {x, y, z}.
+   * @param {Object} options - The options passed to the move.
+   * @returns {OutOfReachError} - null if the target is reachable or not validated.
+   */
+  validateReach(command, target, options = {}) {
+    const validate = options.validate === undefined ? this.validateMoves : options.validate;
+    if (!validate) {
+      return null;
+    }
+    const violation = checkReach(target, TOOL_OFFSETS[this.mode]);
+    return violation ? new OutOfReachError({ command, target, violation }) : null;
+  }
+
+  /**
+   * Save where the arm is under a name: its position, joint angles, wrist angle and
+   * whether the pump and gripper are on. See the `poses` constructor option.
+   * @param {string} name - Name of the pose, replacing a pose of the same name.
+   * @param {Object} options - Command options, see sendGCode().
+   * @returns {Promise} - A promise that will be resolved with the pose {name,
+   * position, joints, wrist, pump, gripper, mode, savedAt}.
+   */
+  savePose(name, options) {
+    return Promise.all([
+      this.getPosition(CARTESIAN_MODE, options),
+      this.getJointsAngle(options),
+      this.getServoAngle(SERVO_HAND, options),
+      this.getPumpStatus(options),
+      this.getGripperStatus(options),
+      this.poseUid(options),
+    ]).then(([position, joints, wrist, pump, gripper, uid]) => this.poses.set({
+      name,
+      position: { x: Number(position.x), y: Number(position.y), z: Number(position.z) },
+      joints: { B: Number(joints.B), L: Number(joints.L), R: Number(joints.R) },
+      wrist,
+      pump,
+      gripper,
+      mode: this.mode,
+      savedAt: new Date().toISOString(),
+    }, uid));
+  }
+
+  /**
+   * Get a saved pose.
+   * @param {string} name - Name of the pose.
+   * @param {Object} options - Command options, for getting the UID of the arm.
+   * @returns {Promise} - A promise that will be resolved with the pose, see
+   * savePose(), or rejected with a PoseNotFoundError.
+   */
+  getPose(name, options) {
+    return this.poseUid(options).then(uid => this.poses.get(name, uid));
+  }
+
+  /**
+   * List the saved poses.
+   * @param {Object} options - Command options, for getting the UID of the arm.
+   * @returns {Promise} - A promise that will be resolved with the poses, sorted by
+   * name.
+   */
+  listPoses(options) {
+    return this.poseUid(options).then(uid => this.poses.list(uid));
+  }
+
+  /**
+   * Delete a saved pose.
+   * @param {string} name - Name of the pose.
+   * @param {Object} options - Command options, for getting the UID of the arm.
+   * @returns {Promise} - A promise that will be resolved with whether there was
+   * such a pose.
+   */
+  deletePose(name, options) {
+    return this.poseUid(options).then(uid => this.poses.delete(name, uid));
+  }
+
+  /**
+   * Move to a saved pose and turn the wrist to its angle.
+   * @param {string} name - Name of the pose.
+   * @param {Object} options - Command options, see sendGCode(). Also takes:
+   * `via`, a pose name or position {x, y, z}, or an array of them, to pass through
+   * on the way; `speed` in mm/min; `effector`, whether to also switch the pump and
+   * gripper as they were; `waitForCompletion`, see afterMotion(); and `validate`,
+   * see move().
+   * @returns {Promise} - A promise that will be resolved with the pose.
+   */
+  moveToPose(name, options = {}) {
+    const { via = [], speed, effector = false, signal } = options;
+    const commandOptions = { timeout: options.timeout, signal, validate: options.validate };
+    const waypoints = [].concat(via).map(point => typeof point === 'string' ?
+      this.getPose(point, commandOptions).then(pose => pose.position) :
+      Promise.resolve(point));
+    return this.afterMotion(Promise.all([this.getPose(name, commandOptions)].concat(waypoints))
+      .then(([pose, ...points]) => {
+        if (pose.mode !== undefined && pose.mode !== this.mode) {
+          this.logger.warn(`Pose '${name}' was saved in mode ${pose.mode}, the uArm is in mode ${this.mode}.`);
+        }
+        return points.concat([pose.position])
+          .reduce((moving, { x, y, z }) => moving.then(() => this.move(x, y, z, speed, commandOptions)), Promise.resolve())
+          .then(() => pose.wrist === undefined ? null : this.setWrist(pose.wrist, commandOptions))
+          .then(() => effector ? this.waitUntilStopped({ signal })
+            .then(() => this.setPump(pose.pump, commandOptions))
+            .then(() => this.setGripper(pose.gripper, undefined, commandOptions)) : null)
+          .then(() => pose);
+      }), options);
+  }
+
+  // The UID poses are saved under, null unless the pose store is per arm.
+  poseUid(options) {
+    if (!this.poses.perArm) {
+      return Promise.resolve(null);
+    }
+    return this.uid ? Promise.resolve(this.uid) : this.getUid(options).then(parseValue);
+  }
+
+  /**
+   * Name a user coordinate frame, so positions can be given in it with the `frame`
+   * option of move(), moveRelative() and getPosition().
+   * @param {string} name - Name of the frame.
+   * @param {Frame|Object} frame - The frame, its options (see Frame) or a
+   * calibration (see Calibration), null to remove it.
+   * @returns {Frame} - The frame.
+   */
+  setFrame(name, frame) {
+    if (!frame) {
+      delete this.frames[name];
+      return null;
+    }
+    if (frame.frame) {
+      frame = frame.frame;
+    }
+    this.frames[name] = frame instanceof Frame ? frame : new Frame(frame);
+    return this.frames[name];
+  }
+
+  /**
+   * Get a user coordinate frame.
+   * @param {string|Frame} frame - Name of the frame, or a Frame, returned as is.
+   * @returns {Frame}
+   */
+  getFrame(frame) {
+    if (frame instanceof Frame) {
+      return frame;
+    }
+    if (!this.frames[frame]) {
+      throw new TypeError(`Unknown frame '${frame}'`);
+    }
+    return this.frames[frame];
+  }
+
+  /**
+   * Set the limits on where the arm may go and how fast. Every motion command
+   * (G0, G1, G2201, G2202, G2204 and G2205) is checked before it is queued, and
+   * rejected with a SafetyViolationError when its target, or a point on the way
+   * there, breaks them. Faster moves are slowed down to `maxSpeed`.
+   *
+   * To check relative and joint moves, and the way a move takes, the SDK keeps
+   * track of where the last move goes. Until the arm has been sent to an absolute
+   * position that is unknown: moveRelative(), movePolarRelative() and moveMotor()
+   * then ask the uArm with getPosition() first, raw relative G-code is rejected.
+   * @param {SafetyEnvelope|Object} safety - The limits, see SafetyEnvelope, or
+   * null to turn checking off.
+   * @returns {SafetyEnvelope} - The envelope in use.
+   */
+  setSafety(safety) {
+    this.safety = !safety || safety instanceof SafetyEnvelope ? safety : new SafetyEnvelope(safety);
+    this.commandedPosition = null;
+    return this.safety;
+  }
+
+  /**
+   * Check a command against the safety envelope.
+   * @param {string} command - The command.
+   * @returns {Object} - {command, target} with the command to send, its speed
+   * clamped, and for motion commands the target {x, y, z}, or {error} with a
+   * SafetyViolationError.
+   */
+  checkSafety(command) {
+    const motion = parseMotion(command);
+    if (!motion) {
+      if (FORGETS_POSITION.test(command)) {
+        this.commandedPosition = null;
+      }
+      return { command };
+    }
+    const tool = TOOL_OFFSETS[this.mode];
+    const from = this.commandedPosition;
+    const target = motionTarget(motion, from, tool);
+    if (target === undefined) {
+      return {
+        error: new SafetyViolationError({
+          command,
+          rule: 'unknownPosition',
+          message: 'the position of the arm is unknown, move it to an absolute position or call getPosition() first',
+        }),
+      };
+    }
+    const violation = target ? this.safety.checkMove(from, target, tool) : null;
+    if (violation) {
+      return { error: new SafetyViolationError(Object.assign({ command }, violation)) };
+    }
+    return { command: this.safety.clampSpeed(command), target };
+  }
+
+  /**
+   * Create the promise of a move that needs to know where the arm is for the
+   * safety envelope, asking the uArm first if the SDK doesn't know.
+   * @param {Function} executor - Promise executor sending the move.
+   * @param {Object} options - Command options for getPosition().
+   * @returns {Promise}
+   */
+  withKnownPosition(executor, options) {
+    if (!this.safety || this.commandedPosition) {
+      return new Promise(executor);
+    }
+    return this.getPosition(CARTESIAN_MODE, options).then(() => new Promise(executor));
+  }
+
+  /**
+   * Whether the uArm is stopped by emergencyStop().
+   */
+  get stopped() {
+    return this.fault !== null;
+  }
+
+  /**
+   * Stop the arm now: drop every queued command, switch the laser off and detach
+   * the servos, written ahead of anything else. Commands already written to the
+   * uArm are answered as usual.
+   *
+   * Until resetEmergencyStop() is called every command except queries (P...,
+   * M2200) and switching things off (M2019, M5) is rejected with an
+   * EmergencyStopError, queued ones included.
+   * @param {string} reason - Why the arm was stopped, passed on in the errors.
+   * @returns {Promise} - A promise that will be resolved when the uArm has
+   * answered the stop commands.
+   */
+  emergencyStop(reason = 'emergencyStop() called') {
+    if (!this.fault) {
+      this.fault = { reason, time: new Date() };
+    }
+    this.commandedPosition = null;
+    this.sendQueue.slice().forEach((messageId) => {
+      const { command } = this.waitingResponses[messageId];
+      this.settle(messageId, new EmergencyStopError({ command, messageId, reason: this.fault.reason }));
+    });
+    this.resetBackoff();
+    this.emit('emergencyStop', { reason: this.fault.reason });
+    const commands = this.mode === MODES.LASER ? ['M5', 'M2019'] : ['M2019'];
+    return Promise.all(commands.map(command => new Promise((resolve, reject) => {
+      this.sendImmediately(command, (error) => error ? reject(error) : resolve());
+    }))).then(() => {});
+  }
+
+  /**
+   * Accept commands again after emergencyStop(). The servos stay detached, call
+   * attachServos() before moving.
+   * @returns {boolean} - false if the uArm wasn't stopped.
+   */
+  resetEmergencyStop() {
+    if (!this.fault) {
+      return false;
+    }
+    const { reason } = this.fault;
+    this.fault = null;
+    this.emit('emergencyStopReset', { reason });
+    return true;
+  }
+
+  /**
+   * Let a motion command resolve when the arm has stopped rather than when the
+   * uArm has accepted the command, if `options.waitForCompletion` is set.
+   * @param {Promise} promise - The motion command.
+   * @param {Object} options - The options passed to the motion command. Also takes
+   * `motionTimeout`, passed on as `timeout` to waitUntilStopped().
+   * @returns {Promise}
+   */
+  afterMotion(promise, options = {}) {
+    if (!options.waitForCompletion) {
+      return promise;
+    }
+    return promise.then((data) => this.waitUntilStopped({
+      timeout: options.motionTimeout,
+      signal: options.signal,
+    }).then(() => data));
+  }
+
+  /**
+   * Build a sequence of steps to run on this uArm, e.g.
+   * `uarm.sequence().move(200, 0, 100).pump(true).delay(500).run()`.
+   * @param {Object} options - See Sequence.
+   * @returns {Sequence}
+   */
+  sequence(options) {
+    return new Sequence(this, options);
+  }
 }
 
 module.exports = uArmSDK;
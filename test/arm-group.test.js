@@ -0,0 +1,58 @@
+const assert = require('assert');
+const ArmGroup = require('../src/group/arm-group');
+const { UArmError, GroupError, OutOfRangeError, CommandAbortedError } = require('../src/uarm/exceptions');
+const { createArm } = require('./helpers');
+
+describe('ArmGroup', () => {
+  let left;
+  let right;
+  let group;
+
+  beforeEach(() => {
+    left = createArm();
+    right = createArm();
+    group = new ArmGroup({ left: left.uarm, right: right.uarm });
+  });
+
+  afterEach(() => Promise.all([left.uarm.close(), right.uarm.close()]));
+
+  it('rejects taken and unknown aliases', () => {
+    assert.throws(() => group.add('left', right.uarm), error => error instanceof UArmError && error.code === 'DUPLICATE_ARM');
+    assert.throws(() => group.get('middle'), error => error instanceof UArmError && error.code === 'ARM_NOT_FOUND');
+  });
+
+  it('broadcasts a command to every arm', () => {
+    return group.setPump(true).then(() => {
+      assert.strictEqual(left.device.pump, true);
+      assert.strictEqual(right.device.pump, true);
+    });
+  });
+
+  it('waits at barriers for every arm', () => {
+    const order = [];
+    const sequence = (x, lag) => (uarm, { alias, barrier }) => uarm.move(x, 0, 100)
+      .then(() => new Promise(resolve => setTimeout(resolve, lag)))
+      .then(() => order.push(`${alias} at barrier`))
+      .then(() => barrier('picked'))
+      .then(() => order.push(`${alias} past barrier`));
+    return group.run({ left: sequence(200, 0), right: sequence(220, 20) }).then(() => {
+      assert.deepStrictEqual(order.slice(0, 2), ['left at barrier', 'right at barrier']);
+    });
+  });
+
+  it('stops the other arms when a sequence fails', () => {
+    const failures = [];
+    group.on('failure', ({ alias }) => failures.push(alias));
+    return group.run({
+      left: uarm => uarm.move(400, 0, 0),
+      right: (uarm, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new CommandAbortedError({ command: 'wait' })));
+      }),
+    }).then(() => assert.fail('run() resolved'), (error) => {
+      assert.ok(error instanceof GroupError);
+      assert.deepStrictEqual(failures, ['left']);
+      assert.ok(error.failures.left instanceof OutOfRangeError);
+      assert.ok(error.failures.right instanceof CommandAbortedError);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const assert = require('assert');
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const BridgeServer = require('../src/server/bridge-server');
+const { createArm } = require('./helpers');
+
+// Send a request, resolves with {status, body}.
+function request(port, method, path, { body, token } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers['X-Lock-Token'] = token;
+    }
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        text += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+// Open a WebSocket to /events, collecting the (small, unfragmented) messages.
+function connectEvents(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const key = crypto.randomBytes(16).toString('base64');
+    const messages = [];
+    let buffer = Buffer.alloc(0);
+    let upgraded = false;
+    socket.on('error', reject);
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (!upgraded) {
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end === -1) {
+          return;
+        }
+        const head = buffer.slice(0, end).toString();
+        const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+        assert.ok(head.startsWith('HTTP/1.1 101'), head);
+        assert.ok(head.indexOf(`Sec-WebSocket-Accept: ${accept}`) !== -1, head);
+        buffer = buffer.slice(end + 4);
+        upgraded = true;
+        resolve({ socket, messages });
+      }
+      while (buffer.length >= 2 && buffer.length >= 2 + (buffer[1] & 0x7F)) {
+        const length = buffer[1] & 0x7F;
+        if ((buffer[0] & 0x0F) === 0x1) {
+          messages.push(JSON.parse(buffer.slice(2, 2 + length).toString()));
+        }
+        buffer = buffer.slice(2 + length);
+      }
+    });
+    socket.write([
+      'GET /events HTTP/1.1',
+      'Host: 127.0.0.1',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Key: ${key}`,
+      'Sec-WebSocket-Version: 13',
+      '',
+      '',
+    ].join('\r\n'));
+  });
+}
+
+const until = (check) => new Promise((resolve) => {
+  const poll = () => (check() ? resolve() : setTimeout(poll, 5));
+  poll();
+});
+
+describe('BridgeServer', () => {
+  let arm;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    arm = createArm();
+    server = new BridgeServer(arm.uarm, { telemetryInterval: 0 });
+    return arm.uarm.open().then(() => server.listen(0)).then((address) => {
+      port = address.port;
+      assert.strictEqual(address.address, '127.0.0.1');
+    });
+  });
+
+  afterEach(() => server.close().then(() => arm.uarm.close()));
+
+  it('answers queries without the lock', () => {
+    return request(port, 'GET', '/position').then(({ status, body }) => {
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body, { x: '200.00', y: '0.00', z: '150.00' });
+    });
+  });
+
+  it('needs the lock to move the arm', () => {
+    return request(port, 'POST', '/move', { body: { x: 200, y: 50, z: 100 } })
+      .then(({ status, body }) => {
+        assert.strictEqual(status, 423);
+        assert.strictEqual(body.error.code, 'LOCKED');
+        return request(port, 'POST', '/lock', { body: { client: 'test' } });
+      })
+      .then(({ body }) => {
+        const { token } = body;
+        return request(port, 'POST', '/lock', { body: { client: 'other' } })
+          .then(({ status }) => {
+            assert.strictEqual(status, 409);
+            return request(port, 'POST', '/move', { token, body: { x: 200, y: 50, z: 100, waitForCompletion: true } });
+          });
+      })
+      .then(({ status, body }) => {
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body, { ok: true });
+        assert.deepStrictEqual(arm.device.position, { x: 200, y: 50, z: 100 });
+      });
+  });
+
+  it('maps errors to HTTP statuses', () => {
+    return request(port, 'POST', '/lock').then(({ body: { token } }) => Promise.all([
+      request(port, 'POST', '/move', { token, body: { x: 400, y: 0, z: 0 } }),
+      request(port, 'POST', '/move', { token, body: { x: 'far', y: 0, z: 0 } }),
+      request(port, 'POST', '/pump', { token, body: '[1, 2]' }),
+      request(port, 'GET', '/nowhere'),
+    ])).then((responses) => {
+      assert.deepStrictEqual(responses.map(({ status }) => status), [422, 400, 400, 404]);
+      assert.strictEqual(responses[0].body.error.code, 'ADDRESS_OUT_OF_RANGE');
+    });
+  });
+
+  it('lets anyone stop the arm', () => {
+    return request(port, 'POST', '/emergency-stop', { body: { reason: 'test' } })
+      .then(({ status }) => {
+        assert.strictEqual(status, 200);
+        return request(port, 'GET', '/status');
+      })
+      .then(({ body }) => assert.strictEqual(body.emergencyStop.reason, 'test'));
+  });
+
+  it('pushes events and lock changes over WebSocket', () => {
+    let events;
+    return connectEvents(port)
+      .then((connected) => {
+        events = connected;
+        return until(() => events.messages.length > 0);
+      })
+      .then(() => {
+        assert.deepStrictEqual(events.messages[0], { type: 'hello', connectionState: 'connected', lock: null });
+        arm.device.pressButton(0);
+        return request(port, 'POST', '/lock', { body: { client: 'test' } });
+      })
+      .then(() => until(() => events.messages.length >= 3))
+      .then(() => {
+        const types = events.messages.slice(1).map(({ type, event }) => event || type);
+        assert.ok(types.indexOf('button') !== -1, types.join());
+        assert.ok(types.indexOf('lock') !== -1, types.join());
+        events.socket.destroy();
+      });
+  });
+});
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Calibration = require('../src/motion/calibration');
+const Frame = require('../src/motion/frame');
+const Homography = require('../src/motion/homography');
+const { UArmError } = require('../src/uarm/exceptions');
+const { createArm, rejection } = require('./helpers');
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(Math.abs(actual[key] - expected[key]) < tolerance, `${key}: ${actual[key]} is not ${expected[key]}`);
+  });
+};
+
+// A camera looking at the table at an angle.
+const camera = new Homography([[0.5, 0.05, 150], [-0.02, 0.45, -60], [0.0001, 0.0002, 1]]);
+const marks = [{ x: 0, y: 0 }, { x: 60, y: 0 }, { x: 60, y: 40 }, { x: 0, y: 40 }, { x: 30, y: 20 }];
+const withPixels = marks.map(mark => Object.assign({ pixel: camera.toPixel(mark) }, mark));
+
+describe('Homography', () => {
+  it('fits the pixel to table mapping of known pairs', () => {
+    const homography = Homography.fromPoints(withPixels.map(point => ({ pixel: point.pixel, table: point })));
+    close(homography.toTable({ u: 120, v: 80 }), camera.toTable({ u: 120, v: 80 }));
+    close(homography.toPixel({ x: 10, y: 30 }), camera.toPixel({ x: 10, y: 30 }));
+  });
+
+  it('needs 4 points, not on one line', () => {
+    const pairs = withPixels.map(point => ({ pixel: point.pixel, table: point }));
+    assert.throws(() => Homography.fromPoints(pairs.slice(0, 3)), /at least 4 points/);
+    const line = [0, 1, 2, 3].map(i => ({ pixel: { u: i, v: 2 * i }, table: { x: i, y: i } }));
+    assert.throws(() => Homography.fromPoints(line), TypeError);
+    assert.throws(() => new Homography([[1, 0], [0, 1]]), /3x3 matrix/);
+  });
+});
+
+describe('Calibration', () => {
+  const table = new Frame({ origin: { x: 170, y: -40, z: 5 }, rotation: 20 });
+  let arm;
+  let directory;
+
+  beforeEach(() => {
+    arm = createArm();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uarm-calibration-'));
+  });
+
+  afterEach(() => {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+    return arm.uarm.close();
+  });
+
+  it('fits a frame to the points the arm is brought to', () => {
+    const calibration = new Calibration(arm.uarm, { name: 'table', points: marks.slice(0, 3) });
+    const reach = (point) => {
+      const { x, y, z } = table.toBase(point);
+      return arm.uarm.move(x, y, z, 1000, { waitForCompletion: true });
+    };
+    return calibration.run({ reach }).then((result) => {
+      assert.strictEqual(result.name, 'table');
+      // Positions are reported with 2 decimals.
+      close(result.frame.origin, table.origin, 0.01);
+      assert.ok(Math.abs(result.frame.rotation - 20) < 0.01);
+      assert.ok(result.error < 0.01);
+      assert.strictEqual(result.homography, null);
+    });
+  });
+
+  it('fits the homography of points with pixels', () => {
+    const calibration = new Calibration(arm.uarm, { points: withPixels });
+    marks.forEach((mark, index) => calibration.setBase(index, table.toBase(mark)));
+    const result = calibration.fit();
+    assert.ok(result.error < 1e-9);
+    assert.ok(result.homographyError < 1e-6);
+    close(result.homography.toTable({ u: 120, v: 80 }), camera.toTable({ u: 120, v: 80 }));
+  });
+
+  it('needs 3 points, all captured, not all in one place', () => {
+    assert.throws(() => new Calibration(arm.uarm, { points: marks.slice(0, 2) }), /at least 3 reference points/);
+    const calibration = new Calibration(arm.uarm, { points: marks.slice(0, 3) });
+    calibration.setBase(0, { x: 200, y: 0, z: 0 });
+    assert.throws(() => calibration.fit(), /'point 2', 'point 3' is not captured yet/);
+    assert.throws(() => calibration.setBase(3, { x: 200, y: 0, z: 0 }), RangeError);
+    const same = new Calibration(arm.uarm, { points: [{ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 0 }] });
+    [0, 1, 2].forEach(index => same.setBase(index, { x: 200, y: 0, z: 0 }));
+    assert.throws(() => same.fit(), /must not all be at the same X and Y/);
+  });
+
+  it('saves and loads calibrations as JSON', () => {
+    const file = path.join(directory, 'calibration.json');
+    const calibration = new Calibration(arm.uarm, { points: withPixels });
+    marks.forEach((mark, index) => calibration.setBase(index, table.toBase(mark)));
+    const result = calibration.fit();
+    return Calibration.save(result, file)
+      .then(() => Calibration.load(file))
+      .then((loaded) => {
+        assert.strictEqual(loaded.version, 1);
+        assert.ok(loaded.frame instanceof Frame);
+        assert.deepStrictEqual(loaded.frame, result.frame);
+        assert.deepStrictEqual(loaded.homography, result.homography);
+        assert.deepStrictEqual(loaded.points, JSON.parse(JSON.stringify(result.points)));
+      });
+  });
+
+  it('rejects files that are not calibrations', () => {
+    const file = path.join(directory, 'poses.json');
+    fs.writeFileSync(file, '{"poses": {}}');
+    return rejection(Calibration.load(file)).then((error) => {
+      assert.ok(error instanceof UArmError);
+      assert.strictEqual(error.code, 'INVALID_FILE');
+      assert.strictEqual(error.message, `${file} is not a calibration, it has no frame.`);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { run, parseArgs } = require('../src/cli');
+
+// Run the command line tool, collecting what it prints.
+function runCli(argv) {
+  const printed = { out: [], err: [] };
+  const { log, error } = console;
+  console.log = (text) => printed.out.push(String(text));
+  console.error = (text) => printed.err.push(String(text));
+  const restore = () => {
+    console.log = log;
+    console.error = error;
+  };
+  return run(argv.concat(['--log-level', 'silent'])).then((code) => {
+    restore();
+    return { code, out: printed.out.join('\n'), err: printed.err.join('\n') };
+  }, (failure) => {
+    restore();
+    throw failure;
+  });
+}
+
+describe('Command line', () => {
+  it('parses arguments, options and flags', () => {
+    assert.deepStrictEqual(parseArgs(['move', '200', '-10', '0', '--speed', '500', '--wait', '--frame=table.json']), {
+      command: 'move',
+      args: ['200', '-10', '0'],
+      options: { speed: '500', wait: true, frame: 'table.json' },
+    });
+  });
+
+  it('prints the info of a simulated uArm as JSON', () => {
+    return runCli(['info', '--sim', '--json']).then(({ code, out }) => {
+      assert.strictEqual(code, 0);
+      const info = JSON.parse(out);
+      assert.strictEqual(info.uid, 'SIMULATED0001');
+      assert.strictEqual(info.softwareVersion, '4.5.0');
+    });
+  });
+
+  it('prints the position', () => {
+    return runCli(['position', '--sim']).then(({ code, out }) => {
+      assert.strictEqual(code, 0);
+      assert.strictEqual(out, 'X200.00 Y0.00 Z150.00');
+    });
+  });
+
+  it('fails on bad arguments and unknown commands', () => {
+    return runCli(['move', '200', 'left', '--sim'])
+      .then(({ code, err }) => {
+        assert.strictEqual(code, 1);
+        assert.strictEqual(err, "TypeError: y must be a number, got 'left'");
+        return runCli(['dance']);
+      })
+      .then(({ code, err }) => {
+        assert.strictEqual(code, 1);
+        assert.ok(err.startsWith("Unknown command 'dance'."));
+      });
+  });
+});
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const Transport = require('../src/comm/transport');
+const SimulatedCommunication = require('../src/comm/simulated-comm');
+const { discoverArms, findArmByUid, ArmWatcher } = require('../src/comm/discovery');
+const { openTransport, query, parseValue, matchUid } = require('../src/comm/probe');
+const { CommandTimeoutError, CommandNotExistError } = require('../src/uarm/exceptions');
+const { silentLogger, once, rejection } = require('./helpers');
+
+// An Arduino running something else: it never reports being ready.
+class OtherArduino extends Transport {
+  open() {
+    return new Promise(() => {});
+  }
+
+  send() {}
+
+  close() {
+    this.closed = true;
+    return Promise.resolve();
+  }
+}
+
+const arduino = (comName, uid) => ({ comName, manufacturer: 'Arduino (www.arduino.cc)', uid });
+
+describe('Probing', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new SimulatedCommunication({ autoOpen: false, timeScale: 0, uid: 'ABC123', logger: silentLogger });
+  });
+
+  afterEach(() => transport.close());
+
+  it('opens a transport and queries the uArm on it', () => {
+    return openTransport(transport)
+      .then(() => query(transport, 'P2205'))
+      .then((data) => {
+        assert.strictEqual(data, 'ok VABC123');
+        assert.strictEqual(parseValue(data), 'ABC123');
+      });
+  });
+
+  it('rejects firmware errors and checks the UID', () => {
+    return openTransport(transport)
+      .then(() => rejection(query(transport, 'P9999')))
+      .then(error => assert.ok(error instanceof CommandNotExistError))
+      .then(() => matchUid(transport, 'ABC123'))
+      .then(() => rejection(matchUid(transport, 'XYZ789')))
+      .then(error => assert.strictEqual(error.code, 'UID_MISMATCH'));
+  });
+
+  it('gives up on transports that never get ready', () => {
+    const other = new OtherArduino({ logger: silentLogger });
+    return rejection(openTransport(other, { timeout: 20 })).then((error) => {
+      assert.ok(error instanceof CommandTimeoutError);
+      assert.strictEqual(other.closed, true);
+    });
+  });
+});
+
+describe('Discovery', () => {
+  let ports;
+  let transports;
+  const options = {
+    listPorts: () => Promise.resolve(ports.slice()),
+    createTransport: (port, { logger }) => {
+      const transport = port.uid ?
+        new SimulatedCommunication({ autoOpen: false, timeScale: 0, uid: port.uid, logger }) :
+        new OtherArduino({ logger });
+      transports.push(transport);
+      return transport;
+    },
+    timeout: 50,
+  };
+
+  beforeEach(() => {
+    ports = [
+      arduino('/dev/ttyACM0', 'A1'),
+      arduino('/dev/ttyACM1'),
+      { comName: '/dev/ttyUSB0', manufacturer: 'FTDI' },
+      arduino('/dev/ttyACM2', 'B2'),
+    ];
+    transports = [];
+  });
+
+  afterEach(() => Promise.all(transports.map(transport => transport.close())));
+
+  it('finds the uArms among the Arduino ports and closes them again', () => {
+    return discoverArms(options).then((arms) => {
+      assert.deepStrictEqual(arms.map(arm => [arm.path, arm.uid]), [['/dev/ttyACM0', 'A1'], ['/dev/ttyACM2', 'B2']]);
+      assert.strictEqual(arms[0].deviceName, 'uArm Swift Pro (simulated)');
+      assert.strictEqual(transports.length, 3);
+      assert.ok(transports.every(transport => !transport.initialized));
+    });
+  });
+
+  it('opens the uArm with a UID', () => {
+    return findArmByUid('B2', options).then((transport) => {
+      assert.strictEqual(transport.initialized, true);
+      assert.strictEqual(transport.device.uid, 'B2');
+      assert.strictEqual(transports[0].initialized, false);
+    });
+  });
+
+  it('rejects when no uArm has the UID', () => {
+    return rejection(findArmByUid('C3', options)).then((error) => {
+      assert.strictEqual(error.code, 'PORT_NOT_FOUND');
+    });
+  });
+
+  it('watches uArms being plugged in and removed', () => {
+    ports = [arduino('/dev/ttyACM1')];
+    const watcher = new ArmWatcher(Object.assign({ interval: 10 }, options)).start();
+    const attached = once(watcher, 'attached');
+    setTimeout(() => ports.push(arduino('/dev/ttyACM0', 'A1')), 30);
+    return attached
+      .then((arm) => {
+        assert.strictEqual(arm.uid, 'A1');
+        assert.deepStrictEqual(watcher.arms.map(each => each.path), ['/dev/ttyACM0']);
+        const detached = once(watcher, 'detached');
+        ports = [arduino('/dev/ttyACM1')];
+        return detached;
+      })
+      .then((arm) => {
+        assert.strictEqual(arm.path, '/dev/ttyACM0');
+        assert.deepStrictEqual(watcher.arms, []);
+      })
+      .then(() => watcher.stop(), (error) => {
+        watcher.stop();
+        throw error;
+      });
+  });
+});
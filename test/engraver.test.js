@@ -0,0 +1,128 @@
+const assert = require('assert');
+const Engraver = require('../src/laser/engraver');
+const { MODES, LASER_POWER_MAX } = require('../src/uarm/constants');
+const { TOOL_OFFSETS, cartesianToJoints, jointsToCartesian } = require('../src/uarm/kinematics');
+const { OutOfReachError } = require('../src/uarm/exceptions');
+const { createArm, recordSent, rejection } = require('./helpers');
+
+const workArea = { x: [180, 240], y: [-30, 30] };
+
+describe('Laser mode', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('reports positions of the tip of the tool mounted', () => {
+    const { uarm, device } = arm;
+    const joints = cartesianToJoints({ x: 200, y: 0, z: 150 }, TOOL_OFFSETS[MODES.NORMAL]);
+    const laserTip = jointsToCartesian(joints, TOOL_OFFSETS[MODES.LASER]);
+    return uarm.setMode('LASER')
+      .then(() => uarm.getPosition())
+      .then((position) => {
+        assert.strictEqual(device.mode, MODES.LASER);
+        assert.strictEqual(uarm.mode, MODES.LASER);
+        ['x', 'y', 'z'].forEach(axis => assert.ok(Math.abs(Number(position[axis]) - laserTip[axis]) < 0.01, axis));
+        return rejection(uarm.setMode('DRILL'));
+      })
+      .then(error => assert.ok(error instanceof TypeError));
+  });
+
+  it('keeps the laser power within LASER_POWER_MAX', () => {
+    const { uarm, device } = arm;
+    return uarm.setMode(MODES.LASER)
+      .then(() => uarm.setLaser(true, 127.6))
+      .then(() => {
+        assert.deepStrictEqual(device.laser, { on: true, power: 128 });
+        return uarm.setLaser(true);
+      })
+      .then(() => {
+        assert.deepStrictEqual(device.laser, { on: true, power: LASER_POWER_MAX });
+        return rejection(uarm.setLaser(true, LASER_POWER_MAX + 1));
+      })
+      .then((error) => {
+        assert.ok(error instanceof RangeError);
+        assert.deepStrictEqual(device.laser, { on: true, power: LASER_POWER_MAX });
+        return uarm.setLaser(false);
+      })
+      .then(() => assert.deepStrictEqual(device.laser, { on: false, power: 0 }));
+  });
+});
+
+describe('Engraver', () => {
+  let arm;
+  let engraver;
+
+  beforeEach(() => {
+    arm = createArm();
+    engraver = new Engraver(arm.uarm, { workArea, z: 20, speed: 300, travelSpeed: 1000 });
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('scans images line by line, every other line backwards', () => {
+    const image = { width: 4, height: 2, data: [0, 0, 255, 255, 255, 128, 128, 0] };
+    assert.deepStrictEqual(engraver.rasterGCode(image, { pixelSize: 10, levels: 2 }), [
+      'G0 X215.00 Y20.00 Z20.00 F1000',
+      'M3 S255',
+      'G1 X215.00 Y0.00 Z20.00 F300',
+      'M5',
+      'G0 X205.00 Y-20.00 Z20.00 F1000',
+      'M3 S255',
+      'G1 X205.00 Y-10.00 Z20.00 F300',
+      'M3 S128',
+      'G1 X205.00 Y10.00 Z20.00 F300',
+      'M5',
+    ]);
+  });
+
+  it('burns along outlines', () => {
+    const triangle = [{ x: 200, y: 0 }, { x: 210, y: 0 }, { x: 210, y: 10 }];
+    assert.deepStrictEqual(engraver.outlineGCode([triangle], { fit: false, closed: true, power: 100 }), [
+      'G0 X200.00 Y0.00 Z20.00 F1000',
+      'M3 S100',
+      'G1 X210.00 Y0.00 Z20.00 F300',
+      'G1 X210.00 Y10.00 Z20.00 F300',
+      'G1 X200.00 Y0.00 Z20.00 F300',
+      'M5',
+    ]);
+  });
+
+  it('keeps drawings within the work area', () => {
+    assert.throws(() => engraver.outlineGCode([[{ x: 200, y: 0 }, { x: 250, y: 0 }]], { fit: false }), RangeError);
+    const moves = engraver.outlineGCode([[{ x: 0, y: 0 }, { x: 1000, y: 500 }]])
+      .filter(line => /^G[01] /.test(line))
+      .map(line => ({ x: Number(/X(\S+)/.exec(line)[1]), y: Number(/Y(\S+)/.exec(line)[1]) }));
+    assert.ok(moves.every(({ x, y }) => x >= 180 && x <= 240 && y >= -30 && y <= 30));
+    assert.throws(() => new Engraver(arm.uarm, { workArea: { x: [300, 400], y: [-30, 30] }, z: 20 }), OutOfReachError);
+  });
+
+  it('returns the program of a dry run without sending it', () => {
+    const sent = recordSent(arm.transport);
+    return engraver.outline([[{ x: 200, y: 0 }, { x: 210, y: 0 }]], { fit: false, dryRun: true }).then((program) => {
+      assert.strictEqual(program, [
+        `M2400 S${MODES.LASER}`,
+        'G0 X200.00 Y0.00 Z20.00 F1000',
+        `M3 S${LASER_POWER_MAX}`,
+        'G1 X210.00 Y0.00 Z20.00 F300',
+        'M5',
+        '',
+      ].join('\n'));
+      assert.deepStrictEqual(sent, []);
+    });
+  });
+
+  it('engraves in laser mode and turns the laser off at the end', () => {
+    const sent = recordSent(arm.transport);
+    return engraver.outline([[{ x: 200, y: 0 }, { x: 210, y: 0 }]], { fit: false, power: 100 }).then(() => {
+      assert.strictEqual(sent[0], `M2400 S${MODES.LASER}`);
+      assert.ok(sent.indexOf('M3 S100') !== -1);
+      assert.strictEqual(sent[sent.length - 1], 'M5');
+      assert.strictEqual(arm.device.mode, MODES.LASER);
+      assert.deepStrictEqual(arm.device.laser, { on: false, power: 0 });
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const Frame = require('../src/motion/frame');
+
+const close = (actual, expected) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, `${key}: ${actual[key]} is not ${expected[key]}`);
+  });
+};
+
+describe('Frame', () => {
+  it('converts between frame and arm coordinates', () => {
+    const frame = new Frame({ origin: { x: 150, y: -50, z: 10 }, rotation: 90 });
+    close(frame.toBase({ x: 10, y: 0, z: 5 }), { x: 150, y: -40, z: 15 });
+    close(frame.fromBase({ x: 150, y: -40, z: 15 }), { x: 10, y: 0, z: 5 });
+  });
+
+  it('fits a frame to taught points', () => {
+    const actual = new Frame({ origin: { x: 180, y: 20, z: 0 }, rotation: 30, scale: 2 });
+    const pairs = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 0, y: 40 }].map(user => ({ user, base: actual.toBase(user) }));
+    const frame = Frame.fromPoints(pairs, { scale: true });
+    close(frame.origin, actual.origin);
+    assert.ok(Math.abs(frame.rotation - 30) < 1e-9);
+    assert.ok(Math.abs(frame.scale - 2) < 1e-9);
+  });
+
+  it('round-trips through JSON', () => {
+    const frame = new Frame({ origin: { x: 150, y: 0, z: 0 }, rotation: -15 });
+    assert.deepStrictEqual(new Frame(JSON.parse(JSON.stringify(frame))), frame);
+  });
+
+  it('rejects a bad scale', () => {
+    assert.throws(() => new Frame({ scale: 0 }), TypeError);
+    assert.throws(() => Frame.fromPoints([]), /at least 2 points/);
+  });
+});
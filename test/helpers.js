@@ -0,0 +1,67 @@
+const uArmSDK = require('../src/uarm/sdk');
+const SimulatedCommunication = require('../src/comm/simulated-comm');
+const Logger = require('../src/log/logger');
+
+const silentLogger = new Logger({ level: 'silent' });
+
+/**
+ * Create a uArmSDK talking to a VirtualUArm. Moves are instant unless
+ * `device.timeScale` says otherwise.
+ * @param {Object} options - uArmSDK options, and `device`: VirtualUArm options.
+ * @returns {Object} - {uarm, transport, device}
+ */
+function createArm({ device = {}, ...options } = {}) {
+  const transport = new SimulatedCommunication(Object.assign({ timeScale: 0, logger: silentLogger }, device));
+  const uarm = new uArmSDK(Object.assign({ transport, logger: silentLogger }, options));
+  return { uarm, transport, device: transport.device };
+}
+
+/**
+ * Collect the lines a uArmSDK writes to its transport, without the `#<id> `
+ * prefix.
+ * @param {Transport} transport
+ * @returns {string[]} - Filled as lines are sent.
+ */
+function recordSent(transport) {
+  const sent = [];
+  const send = transport.send.bind(transport);
+  transport.send = (line) => {
+    sent.push(line.replace(/^#\d+\s+/, ''));
+    send(line);
+  };
+  return sent;
+}
+
+const delay = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+/**
+ * Wait for an event.
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @returns {Promise} - A promise that will be resolved with the first argument of
+ * the event.
+ */
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+/**
+ * Expect a promise to reject.
+ * @param {Promise} promise
+ * @returns {Promise} - A promise that will be resolved with the error, or rejected
+ * if the promise resolved.
+ */
+function rejection(promise) {
+  return promise.then((value) => {
+    throw new Error(`Expected a rejection, got '${JSON.stringify(value)}'`);
+  }, error => error);
+}
+
+module.exports = {
+  silentLogger,
+  createArm,
+  recordSent,
+  delay,
+  once,
+  rejection,
+};
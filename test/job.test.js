@@ -0,0 +1,209 @@
+const assert = require('assert');
+const JobRunner = require('../src/program/job-runner');
+const { validateJob, parseJob, compileExpression } = require('../src/program/job-schema');
+const { UArmError, JobValidationError, JobStepError, OutOfRangeError, CommandAbortedError } = require('../src/uarm/exceptions');
+const { createArm, rejection } = require('./helpers');
+
+describe('validateJob()', () => {
+  it('accepts a valid job', () => {
+    assert.deepStrictEqual(validateJob({
+      parameters: { count: 2 },
+      variables: { picked: 0 },
+      steps: [
+        { loop: { times: '${count}', variable: 'i' }, steps: [{ move: { x: 200, y: '${i * 10}', z: 50 } }] },
+        { if: { pump: 'on' }, then: [{ set: { picked: '${picked + 1}' } }] },
+        { wait: 100 },
+      ],
+    }), []);
+  });
+
+  it('reports every problem with its path', () => {
+    assert.deepStrictEqual(validateJob({
+      steps: [
+        { move: { x: 200, y: 'far', z: '${height}' } },
+        { loop: { times: 2 }, steps: [{ jump: {} }] },
+        { if: {}, then: [] },
+        { set: { count: 1 } },
+      ],
+    }), [
+      { path: 'steps[0].move.y', message: "must be a number, got 'far'" },
+      { path: 'steps[0].move.z', message: "unknown variable 'height'" },
+      { path: 'steps[1].steps[0]', message: 'has no step type, one of move, movePolar, pick, place, pump, gripper, wait, waitForInput, loop, if, set' },
+      { path: 'steps[2].if', message: 'must have one condition, pump or gripper' },
+      { path: 'steps[3].set.count', message: "unknown variable 'count', declare it under variables" },
+    ]);
+  });
+
+  it('checks the values of waitForInput', () => {
+    assert.deepStrictEqual(validateJob({
+      steps: [
+        { waitForInput: { pin: 2, value: 600, analog: true, below: true } },
+        { waitForInput: { pin: 7, value: 1 } },
+        { waitForInput: { pin: 7, value: 600 } },
+        { waitForInput: { pin: 7, value: 0, below: true } },
+      ],
+    }), [
+      { path: 'steps[2].waitForInput.value', message: "must be 0 or 1 for a digital input, got '600'" },
+      { path: 'steps[3].waitForInput.below', message: 'only applies to analog inputs' },
+    ]);
+  });
+
+  it('parses YAML and JSON', () => {
+    const yaml = 'steps:\n  - pump: on\n  - wait: 10\n';
+    assert.deepStrictEqual(parseJob(yaml), { steps: [{ pump: 'on' }, { wait: 10 }] });
+    assert.deepStrictEqual(parseJob('{"steps": []}'), { steps: [] });
+  });
+});
+
+describe('compileExpression()', () => {
+  it('evaluates arithmetic with precedence', () => {
+    const { names, evaluate } = compileExpression('x + 20 * (i - 1) % 7');
+    assert.deepStrictEqual(names, ['x', 'i']);
+    assert.strictEqual(evaluate({ x: 100, i: 3 }), 105);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => compileExpression('1 +'), /unexpected end of expression/);
+    assert.throws(() => compileExpression('1 $ 2'), /unexpected '\$'/);
+  });
+});
+
+describe('JobRunner', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  const job = {
+    parameters: { reach: null },
+    variables: { done: 0 },
+    steps: [
+      {
+        loop: { times: 3, variable: 'i' },
+        steps: [
+          { move: { x: 200, y: '${i * 10}', z: 100 } },
+          { move: { x: 200, y: 0, z: '${100 + i * reach}' } },
+          { set: { done: '${done + 1}' } },
+        ],
+      },
+      { pump: 'on' },
+    ],
+  };
+
+  it('rejects invalid jobs', () => {
+    assert.throws(() => new JobRunner(arm.uarm, { steps: [{ pump: 'maybe' }] }), JobValidationError);
+  });
+
+  it('needs a job to run', () => {
+    return rejection(new JobRunner(arm.uarm).run()).then((error) => {
+      assert.ok(error instanceof UArmError);
+      assert.strictEqual(error.code, 'NO_JOB');
+    });
+  });
+
+  it('rejects missing parameters', () => {
+    const runner = new JobRunner(arm.uarm, job);
+    return rejection(runner.run()).then((error) => {
+      assert.ok(error instanceof JobValidationError);
+      assert.deepStrictEqual(error.errors, [{ path: 'parameters.reach', message: 'is required' }]);
+    });
+  });
+
+  it('runs the steps in order', () => {
+    const runner = new JobRunner(arm.uarm, job);
+    const paths = [];
+    runner.on('progress', ({ path }) => paths.push(path));
+    return runner.run({ parameters: { reach: 10 } }).then(() => {
+      assert.strictEqual(runner.state, 'done');
+      assert.strictEqual(paths.length, 11);
+      assert.strictEqual(paths[9], 'steps[0]');
+      assert.strictEqual(arm.device.pump, true);
+      assert.deepStrictEqual(arm.device.position, { x: 200, y: 0, z: 120 });
+    });
+  });
+
+  it('resumes at the failed step from its checkpoint', () => {
+    const runner = new JobRunner(arm.uarm, job);
+    const started = [];
+    return rejection(runner.run({ parameters: { reach: 400 } }))
+      .then((error) => {
+        assert.ok(error instanceof JobStepError);
+        assert.ok(error.cause instanceof OutOfRangeError);
+        assert.strictEqual(runner.state, 'failed');
+        // The first iteration is done, the second move of the second one failed.
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(error.checkpoint)), {
+          path: 'steps[0].steps[1]',
+          position: [{ index: 0, iteration: 1 }, { index: 1 }],
+          variables: { done: 1 },
+          parameters: { reach: 400 },
+        });
+        runner.on('step', ({ path }) => started.push(path));
+        return runner.run({ from: error.checkpoint, parameters: { reach: 10 } });
+      })
+      .then(() => {
+        assert.deepStrictEqual(started.slice(0, 3), ['steps[0].steps[1]', 'steps[0].steps[2]', 'steps[0].steps[0]']);
+        assert.strictEqual(runner.scope.done, 3);
+        assert.strictEqual(arm.device.pump, true);
+      });
+  });
+
+  it('checks the pump in conditions', () => {
+    const runner = new JobRunner(arm.uarm, {
+      variables: { branch: 0 },
+      steps: [
+        { pump: 'on' },
+        { if: { pump: 'on' }, then: [{ set: { branch: 1 } }], else: [{ set: { branch: 2 } }] },
+      ],
+    });
+    return runner.run().then(() => assert.strictEqual(runner.scope.branch, 1));
+  });
+
+  it('waits for digital inputs and analog levels', () => {
+    const runner = new JobRunner(arm.uarm, {
+      parameters: { level: 600 },
+      steps: [
+        { waitForInput: { pin: 7, value: 1, timeout: 1000 } },
+        { waitForInput: { pin: 2, value: '${level}', analog: true, timeout: 1000 } },
+        { waitForInput: { pin: 2, value: 300, analog: true, below: true, timeout: 1000 } },
+        { pump: 'on' },
+      ],
+    });
+    arm.device.setAnalogInput(2, 100);
+    setTimeout(() => arm.device.setDigitalInput(7, true), 10);
+    setTimeout(() => arm.device.setAnalogInput(2, 700), 250);
+    setTimeout(() => arm.device.setAnalogInput(2, 200), 500);
+    const started = [];
+    runner.on('step', ({ path }) => started.push([path, Date.now()]));
+    return runner.run().then(() => {
+      assert.strictEqual(arm.device.pump, true);
+      // Each wait lasts until its input changes, not until the first reading.
+      assert.ok(started[2][1] - started[0][1] >= 200);
+      assert.ok(started[3][1] - started[0][1] >= 450);
+    });
+  });
+
+  it('rejects digital values other than 0 or 1 from expressions', () => {
+    const runner = new JobRunner(arm.uarm, {
+      parameters: { value: 2 },
+      steps: [{ waitForInput: { pin: 7, value: '${value}' } }],
+    });
+    return rejection(runner.run()).then((error) => {
+      assert.ok(error instanceof JobStepError);
+      assert.ok(error.cause instanceof TypeError);
+      assert.strictEqual(error.cause.message, "steps[0].waitForInput.value must be 0 or 1 for a digital input, got '2'");
+    });
+  });
+
+  it('stops when aborted', () => {
+    const runner = new JobRunner(arm.uarm, { steps: [{ wait: 10000 }, { pump: 'on' }] });
+    runner.once('step', () => setTimeout(() => runner.abort(), 10));
+    return rejection(runner.run()).then((error) => {
+      assert.ok(error instanceof CommandAbortedError);
+      assert.strictEqual(runner.state, 'aborted');
+      assert.strictEqual(arm.device.pump, false);
+    });
+  });
+});
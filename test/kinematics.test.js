@@ -0,0 +1,39 @@
+const assert = require('assert');
+const kinematics = require('../src/uarm/kinematics');
+const { MODES } = require('../src/uarm/constants');
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(Math.abs(actual[key] - expected[key]) < tolerance, `${key}: ${actual[key]} is not ${expected[key]}`);
+  });
+};
+
+describe('kinematics', () => {
+  it('converts between Cartesian and polar coordinates', () => {
+    close(kinematics.cartesianToPolar({ x: 0, y: 200, z: 50 }), { s: 200, r: 180, h: 50 });
+    close(kinematics.polarToCartesian({ s: 200, r: 90, h: 50 }), { x: 200, y: 0, z: 50 });
+  });
+
+  it('converts to joint angles and back', () => {
+    [{ x: 200, y: 0, z: 150 }, { x: 150, y: -80, z: 20 }, { x: 250, y: 100, z: 100 }].forEach((position) => {
+      Object.keys(kinematics.TOOL_OFFSETS).forEach((mode) => {
+        const tool = kinematics.TOOL_OFFSETS[mode];
+        close(kinematics.jointsToCartesian(kinematics.cartesianToJoints(position, tool), tool), position);
+      });
+    });
+  });
+
+  it('names the joint limit an unreachable position breaks', () => {
+    assert.strictEqual(kinematics.checkReach({ x: 200, y: 0, z: 150 }), null);
+    assert.strictEqual(kinematics.checkReach({ x: 60, y: 0, z: 150 }).joint, 'L');
+    assert.strictEqual(kinematics.checkReach({ x: 500, y: 0, z: 0 }).name, 'arm length');
+    assert.strictEqual(kinematics.isReachable(200, -300, 0), false);
+  });
+
+  it('takes the tool offset into account', () => {
+    const laser = kinematics.TOOL_OFFSETS[MODES.LASER];
+    const joints = kinematics.cartesianToJoints({ x: 200, y: 0, z: 100 });
+    const withLaser = kinematics.cartesianToJoints({ x: 200, y: 0, z: 100 }, laser);
+    assert.notDeepStrictEqual(joints, withLaser);
+  });
+});
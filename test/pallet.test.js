@@ -0,0 +1,69 @@
+const assert = require('assert');
+const Pallet = require('../src/tasks/pallet');
+
+describe('Pallet', () => {
+  const options = {
+    origin: { x: 200, y: -20, z: 0 },
+    rows: 2,
+    columns: 3,
+    layers: 2,
+    columnStep: { y: 20 },
+    rowStep: { x: 30 },
+    layerHeight: 15,
+  };
+
+  it('fills from the bottom layer, row by row', () => {
+    const pallet = new Pallet(options);
+    assert.strictEqual(pallet.size, 12);
+    assert.deepStrictEqual(pallet.slot(4), { index: 4, row: 1, column: 1, layer: 0, x: 230, y: 0, z: 0 });
+    assert.strictEqual(pallet.slot(6).z, 15);
+  });
+
+  it('empties from the top layer', () => {
+    const pallet = new Pallet(Object.assign({}, options, { order: 'empty' }));
+    assert.strictEqual(pallet.slot(0).layer, 1);
+    assert.strictEqual(pallet.slot(11).layer, 0);
+  });
+
+  it('works out the steps from corners', () => {
+    const pallet = Pallet.fromCorners({
+      first: { x: 200, y: -20 },
+      rowEnd: { x: 200, y: 20 },
+      columnEnd: { x: 230, y: -20 },
+      rows: 2,
+      columns: 3,
+    });
+    assert.deepStrictEqual(pallet.columnStep, { x: 0, y: 20, z: 0 });
+    assert.deepStrictEqual(pallet.rowStep, { x: 30, y: 0, z: 0 });
+  });
+
+  it('resumes at the failed slot', () => {
+    const pallet = new Pallet(Object.assign({}, options, { layers: 1 }));
+    const done = [];
+    let failed = false;
+    const visit = (slot) => {
+      if (slot.index === 2 && !failed) {
+        failed = true;
+        return Promise.reject(new Error('dropped'));
+      }
+      done.push(slot.index);
+      return Promise.resolve();
+    };
+    return pallet.run(visit)
+      .then(() => assert.fail('run() resolved'), (error) => {
+        assert.strictEqual(error.message, 'dropped');
+        assert.strictEqual(pallet.index, 2);
+        return pallet.run(visit);
+      })
+      .then(() => {
+        assert.deepStrictEqual(done, [0, 1, 2, 3, 4, 5]);
+        assert.strictEqual(pallet.done, true);
+      });
+  });
+
+  it('rejects bad grids', () => {
+    assert.throws(() => new Pallet({ origin: { x: 200 }, rows: 0 }), TypeError);
+    assert.throws(() => new Pallet({ origin: { x: 200 }, columns: 2 }), /columnStep/);
+    assert.throws(() => new Pallet(options).slot(12), RangeError);
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const PenPlotter = require('../src/drawing/pen-plotter');
+const { parseSvg, orderPaths } = require('../src/drawing/svg');
+const { createArm, recordSent } = require('./helpers');
+
+const workArea = { x: [150, 250], y: [-50, 50] };
+
+describe('parseSvg()', () => {
+  it('reads paths and shapes with their transforms', () => {
+    const polylines = parseSvg([
+      '<svg xmlns="http://www.w3.org/2000/svg">',
+      '<path d="M0 0 L10 0 l0 10 z"/>',
+      '<g transform="translate(100 0)"><rect x="0" y="0" width="5" height="5"/></g>',
+      '</svg>',
+    ].join(''));
+    assert.strictEqual(polylines.length, 2);
+    assert.deepStrictEqual(polylines[0], [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 0 }]);
+    assert.ok(polylines[1].every(({ x }) => x >= 100 && x <= 105));
+  });
+
+  it('orders paths to cut down on travel', () => {
+    const far = [{ x: 100, y: 0 }, { x: 110, y: 0 }];
+    const near = [{ x: 10, y: 0 }, { x: 0, y: 0 }];
+    assert.deepStrictEqual(orderPaths([far, near]), [near.slice().reverse(), far]);
+  });
+});
+
+describe('PenPlotter', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('lifts the pen between paths', () => {
+    const plotter = new PenPlotter(arm.uarm, { workArea, penDown: 0, resolution: 100 });
+    const polylines = [
+      [{ x: 200, y: 0 }, { x: 210, y: 0 }],
+      [{ x: 230, y: 0 }, { x: 240, y: 0 }],
+    ];
+    const heights = plotter.plan(polylines, { fit: false, optimize: false }).moves().map(move => move.z);
+    assert.deepStrictEqual(heights, [10, 0, 0, 10, 10, 0, 0, 10]);
+  });
+
+  it('rejects points outside the work area', () => {
+    const plotter = new PenPlotter(arm.uarm, { workArea });
+    assert.throws(() => plotter.plan([[{ x: 300, y: 0 }]], { fit: false }), /outside the work area/);
+  });
+
+  // Fitted to the whole work area, the left end comes out at y 50.00000000000001.
+  const line = [{ x: 0.1, y: 0.3 }, { x: 0.1 + 15 / 7, y: 0.3 + 1 / 3 }];
+
+  it('fits a drawing to the whole work area', () => {
+    const plotter = new PenPlotter(arm.uarm, { workArea });
+    const ys = plotter.plan([line]).moves().map(move => move.y);
+    assert.ok(Math.abs(Math.max(...ys) - 50) < 1e-9);
+    assert.ok(Math.abs(Math.min(...ys) + 50) < 1e-9);
+  });
+
+  it('draws an SVG fitted to the whole work area', () => {
+    const plotter = new PenPlotter(arm.uarm, { workArea, resolution: 10 });
+    const svg = `<svg><path d="M${line[0].x} ${line[0].y} L${line[1].x} ${line[1].y}"/><circle cx="1" cy="0.5" r="0.1"/></svg>`;
+    return plotter.drawSvg(svg).then(() => {
+      assert.strictEqual(arm.device.position.z, 10);
+      assert.strictEqual(arm.device.motions.length, 0);
+    });
+  });
+
+  it('draws in the universal holder mode, from the end nearest the far edge', () => {
+    const plotter = new PenPlotter(arm.uarm, { workArea, penDown: 0 });
+    const sent = recordSent(arm.transport);
+    return plotter.draw([[{ x: 200, y: 0 }, { x: 210, y: 10 }]], { fit: false }).then(() => {
+      assert.strictEqual(sent[0], 'M2400 S3');
+      assert.strictEqual(sent[1], 'G0 X210.0000 Y10.0000 Z10.0000 F500');
+      assert.deepStrictEqual(arm.device.position, { x: 200, y: 0, z: 10 });
+    });
+  });
+});
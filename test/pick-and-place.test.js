@@ -0,0 +1,76 @@
+const assert = require('assert');
+const PickAndPlace = require('../src/tasks/pick-and-place');
+const { GripError, CommandAbortedError } = require('../src/uarm/exceptions');
+const { createArm, recordSent, rejection } = require('./helpers');
+
+const pose = { x: 200, y: 0, z: 10 };
+
+// The effector commands and the heights moved to, in the order sent.
+function steps(sent) {
+  return sent
+    .filter(line => /^(G0|M2231|M2232) /.test(line))
+    .map(line => line.startsWith('G0') ? `Z${Number(/Z(\S+)/.exec(line)[1])}` : line);
+}
+
+describe('PickAndPlace', () => {
+  let arm;
+  let sent;
+
+  const start = (device) => {
+    arm = createArm({ device });
+    sent = recordSent(arm.transport);
+  };
+
+  afterEach(() => arm.uarm.close());
+
+  it('approaches, picks with the pump and retreats', () => {
+    start({ contactHeight: 10 });
+    const picker = new PickAndPlace(arm.uarm, { approachHeight: 30, gripDelay: 0 });
+    return picker.pick(pose).then(() => {
+      assert.deepStrictEqual(steps(sent), ['Z40', 'Z10', 'M2231 V1', 'Z40']);
+      assert.ok(sent.indexOf('P2233') !== -1, 'checks the limit switch');
+      assert.strictEqual(arm.device.pump, true);
+      assert.strictEqual(arm.device.position.z, 40);
+    });
+  });
+
+  it('picks with the gripper', () => {
+    start();
+    const setGripper = arm.uarm.setGripper.bind(arm.uarm);
+    arm.uarm.setGripper = (on, delay, options) => setGripper(on, 0, options);
+    const picker = new PickAndPlace(arm.uarm, { effector: 'gripper', approachHeight: 20, gripDelay: 0 });
+    return picker.pick(pose).then(() => {
+      assert.deepStrictEqual(steps(sent), ['Z30', 'Z10', 'M2232 V1', 'Z30']);
+      assert.strictEqual(arm.device.gripper, true);
+      assert.strictEqual(arm.device.pump, false);
+    });
+  });
+
+  it('lets go and retreats before failing a missed grip', () => {
+    start();
+    const picker = new PickAndPlace(arm.uarm, { approachHeight: 30, gripDelay: 0 });
+    return rejection(picker.pick(pose)).then((error) => {
+      assert.ok(error instanceof GripError);
+      assert.strictEqual(error.effector, 'pump');
+      assert.deepStrictEqual(error.target, pose);
+      assert.deepStrictEqual(steps(sent), ['Z40', 'Z10', 'M2231 V1', 'M2231 V0', 'Z40']);
+      assert.strictEqual(arm.device.pump, false);
+      assert.strictEqual(arm.device.position.z, 40);
+    });
+  });
+
+  it('stops when aborted', () => {
+    start({ contactHeight: 10 });
+    const picker = new PickAndPlace(arm.uarm, { gripDelay: 60000 });
+    const controller = new AbortController();
+    arm.device.on('data', () => {
+      if (arm.device.pump) {
+        controller.abort();
+      }
+    });
+    return rejection(picker.pick(pose, { signal: controller.signal })).then((error) => {
+      assert.ok(error instanceof CommandAbortedError);
+      assert.deepStrictEqual(steps(sent), ['Z40', 'Z10', 'M2231 V1']);
+    });
+  });
+});
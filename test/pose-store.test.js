@@ -0,0 +1,63 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PoseStore = require('../src/motion/pose-store');
+const { UArmError, PoseNotFoundError } = require('../src/uarm/exceptions');
+const { rejection } = require('./helpers');
+
+describe('PoseStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uarm-poses-'));
+  });
+
+  afterEach(() => {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+  });
+
+  it('shares poses through the file', () => {
+    const file = path.join(directory, 'poses.json');
+    const pose = { name: 'home', position: { x: 200, y: 0, z: 150 } };
+    return new PoseStore({ path: file }).set(pose)
+      .then(() => new PoseStore({ path: file }).get('home'))
+      .then(found => assert.deepStrictEqual(found, pose));
+  });
+
+  it('keeps poses for each arm over the shared ones', () => {
+    const store = new PoseStore({ perArm: true });
+    return Promise.all([
+      store.set({ name: 'home', position: { x: 200, y: 0, z: 150 } }),
+      store.set({ name: 'home', position: { x: 180, y: 0, z: 100 } }, 'A'),
+      store.set({ name: 'tray', position: { x: 150, y: 100, z: 20 } }, 'A'),
+    ])
+      .then(() => Promise.all([store.list('A'), store.list('B')]))
+      .then(([a, b]) => {
+        assert.deepStrictEqual(a.map(pose => pose.position.x), [180, 150]);
+        assert.deepStrictEqual(b.map(pose => pose.name), ['home']);
+        return store.delete('home', 'A');
+      })
+      .then((deleted) => {
+        assert.strictEqual(deleted, true);
+        return store.get('home', 'A');
+      })
+      .then(pose => assert.strictEqual(pose.position.x, 200));
+  });
+
+  it('rejects unknown poses', () => {
+    return rejection(new PoseStore().get('nowhere')).then((error) => {
+      assert.ok(error instanceof PoseNotFoundError);
+    });
+  });
+
+  it('rejects files that are not pose files', () => {
+    const file = path.join(directory, 'poses.json');
+    fs.writeFileSync(file, '{"frames": {}}');
+    return rejection(new PoseStore({ path: file }).get('home')).then((error) => {
+      assert.ok(error instanceof UArmError);
+      assert.strictEqual(error.code, 'INVALID_FILE');
+    });
+  });
+});
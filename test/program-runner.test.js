@@ -0,0 +1,101 @@
+const assert = require('assert');
+const ProgramRunner = require('../src/program/program-runner');
+const { UArmError, ProgramLineError, OutOfRangeError, CommandAbortedError, CommandTimeoutError } = require('../src/uarm/exceptions');
+const { createArm, rejection } = require('./helpers');
+
+const program = [
+  '; Pick something up',
+  'G0 X200 Y0 Z100 F1000',
+  'M2231 V1 (pump on)',
+  '',
+  'G2204 X0 Y20 Z0 F1000',
+  'M2231 V0',
+].join('\n');
+
+describe('ProgramRunner', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('skips comments and blank lines', () => {
+    assert.deepStrictEqual(ProgramRunner.parseProgram(program).map(line => line.lineNumber), [2, 3, 5, 6]);
+    assert.strictEqual(ProgramRunner.parseProgram(program)[1].command, 'M2231 V1');
+  });
+
+  it('runs a program line by line', () => {
+    const runner = new ProgramRunner(arm.uarm, program);
+    const progress = [];
+    runner.on('progress', ({ lineNumber, response }) => progress.push([lineNumber, response]));
+    return runner.run().then(() => {
+      assert.strictEqual(runner.state, 'done');
+      assert.deepStrictEqual(progress, [[2, 'ok'], [3, 'ok'], [5, 'ok'], [6, 'ok']]);
+      assert.deepStrictEqual(arm.device.position, { x: 200, y: 20, z: 100 });
+    });
+  });
+
+  it('stops at a failing line', () => {
+    const runner = new ProgramRunner(arm.uarm, 'G0 X200 Y0 Z100\nG0 X400 Y0 Z0\nM2231 V1');
+    return rejection(runner.run()).then((error) => {
+      assert.ok(error instanceof ProgramLineError);
+      assert.ok(error.cause instanceof OutOfRangeError);
+      assert.strictEqual(error.lineNumber, 2);
+      assert.strictEqual(runner.state, 'failed');
+      assert.strictEqual(arm.device.pump, false);
+    });
+  });
+
+  it('fails when waiting for the arm to stop fails, and can run again', () => {
+    const runner = new ProgramRunner(arm.uarm, program);
+    const waitUntilStopped = arm.uarm.waitUntilStopped;
+    arm.uarm.waitUntilStopped = () => Promise.reject(new CommandTimeoutError({ command: 'M2200', timeout: 100 }));
+    let failed = null;
+    runner.on('failed', (error) => {
+      failed = error;
+    });
+    return rejection(runner.run())
+      .then((error) => {
+        assert.ok(error instanceof CommandTimeoutError);
+        assert.strictEqual(failed, error);
+        assert.strictEqual(runner.state, 'failed');
+        arm.uarm.waitUntilStopped = waitUntilStopped;
+        return runner.run();
+      })
+      .then(() => assert.strictEqual(runner.state, 'done'));
+  });
+
+  it('pauses, resumes and aborts after the current line', () => {
+    const runner = new ProgramRunner(arm.uarm, program);
+    const lines = [];
+    runner.on('progress', ({ lineNumber }) => {
+      lines.push(lineNumber);
+      if (lineNumber === 2) {
+        runner.pause();
+        setTimeout(() => {
+          assert.deepStrictEqual(lines, [2]);
+          runner.resume();
+        }, 10);
+      }
+      if (lineNumber === 3) {
+        runner.abort();
+      }
+    });
+    return rejection(runner.run()).then((error) => {
+      assert.ok(error instanceof CommandAbortedError);
+      assert.deepStrictEqual(lines, [2, 3]);
+      assert.strictEqual(runner.state, 'aborted');
+    });
+  });
+
+  it('runs one program at a time', () => {
+    const runner = new ProgramRunner(arm.uarm, program);
+    const running = runner.run();
+    assert.throws(() => runner.load(program), error => error instanceof UArmError && error.code === 'ALREADY_RUNNING');
+    return rejection(runner.run())
+      .then(error => assert.strictEqual(error.code, 'ALREADY_RUNNING'))
+      .then(() => running);
+  });
+});
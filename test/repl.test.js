@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const uArmSDK = require('../src/uarm/sdk');
+const { startRepl, sdkMethods, parseArgument } = require('../src/cli/repl');
+const jog = require('../src/cli/jog');
+const { createArm, delay } = require('./helpers');
+
+// Streams to type into and read the output of.
+function terminal() {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', (data) => {
+    text += data;
+  });
+  return { input, output, text: () => text };
+}
+
+describe('REPL', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('offers methods of uArmSDK only', () => {
+    sdkMethods().forEach((name) => {
+      assert.strictEqual(typeof uArmSDK.prototype[name], 'function', `${name} is not a uArmSDK method`);
+    });
+  });
+
+  it('leaves out the methods the SDK uses itself', () => {
+    const methods = sdkMethods();
+    ['constructor', 'useTransport', 'write', 'incoming', 'settle', 'afterMotion', 'queueDepth'].forEach((name) => {
+      assert.strictEqual(methods.indexOf(name), -1, `${name} is offered`);
+    });
+  });
+
+  it('parses numbers, booleans and JSON arguments', () => {
+    assert.strictEqual(parseArgument('200'), 200);
+    assert.strictEqual(parseArgument('false'), false);
+    assert.deepStrictEqual(parseArgument('{"signal":null}'), { signal: null });
+    assert.strictEqual(parseArgument('{oops'), '{oops');
+    assert.strictEqual(parseArgument(''), '');
+  });
+
+  it('calls methods, sends raw G-code and reports errors', () => {
+    const { input, output, text } = terminal();
+    const done = startRepl(arm.uarm, { input, output });
+    input.write('move 150 50 100\n');
+    input.write('getPosition\n');
+    input.write('P2205\n');
+    input.write('detach\n');
+    input.write('exit\n');
+    return done.then(() => {
+      assert.strictEqual(arm.device.position.x, 150);
+      assert.ok(text().includes("x: '150.00'"));
+      assert.ok(text().includes('ok VSIMULATED0001'));
+      assert.ok(text().includes("UArmError: Unknown method 'detach'"));
+    });
+  });
+});
+
+describe('Jog mode', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('moves the arm by the selected step and toggles the pump', () => {
+    const { input, output, text } = terminal();
+    const done = jog(arm.uarm, { input, output });
+    return arm.uarm.getPosition()
+      .then(() => {
+        input.write('w');
+        input.write('3');
+        input.write('\x1b[A');
+        input.write(' ');
+        return delay(20);
+      })
+      .then(() => {
+        input.write('q');
+        return done;
+      })
+      .then(() => {
+        assert.deepStrictEqual(arm.device.position, { x: 205, y: 0, z: 151 });
+        assert.strictEqual(arm.device.pump, true);
+        assert.ok(text().includes('Step 5 mm'));
+        assert.ok(text().includes('Pump on'));
+      });
+  });
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const { SafetyEnvelope } = require('../src/uarm/safety');
+const { SafetyViolationError, EmergencyStopError } = require('../src/uarm/exceptions');
+const { createArm, recordSent, rejection } = require('./helpers');
+
+describe('SafetyEnvelope', () => {
+  const envelope = new SafetyEnvelope({
+    workspace: { type: 'cylinder', radius: 320, minRadius: 120, z: [-50, 200] },
+    keepOut: [{ name: 'monitor', x: [150, 250], y: [100, 200] }],
+    minZ: 0,
+    maxSpeed: 3000,
+  });
+
+  it('allows positions inside the envelope', () => {
+    assert.strictEqual(envelope.checkPosition({ x: 200, y: 0, z: 100 }), null);
+  });
+
+  it('names the rule a position breaks', () => {
+    assert.strictEqual(envelope.checkPosition({ x: 200, y: 0, z: -10 }).rule, 'minZ');
+    assert.strictEqual(envelope.checkPosition({ x: 100, y: 0, z: 100 }).rule, 'workspace');
+    assert.deepStrictEqual(
+      envelope.checkPosition({ x: 200, y: 150, z: 100 }),
+      { rule: 'keepOut', zone: 'monitor', message: "X200.00 Y150.00 Z100.00 is inside keep-out zone 'monitor'" });
+  });
+
+  it('checks the way a move takes', () => {
+    const violation = envelope.checkMove({ x: 200, y: 220, z: 100 }, { x: 200, y: 50, z: 100 });
+    assert.strictEqual(violation.rule, 'keepOut');
+    assert.ok(/^on the way there/.test(violation.message));
+  });
+
+  it('slows moves down to maxSpeed', () => {
+    assert.strictEqual(envelope.clampSpeed('G0 X200 Y0 Z100 F5000'), 'G0 X200 Y0 Z100 F3000');
+    assert.strictEqual(envelope.clampSpeed('G0 X200 Y0 Z100 F1000'), 'G0 X200 Y0 Z100 F1000');
+  });
+
+  it('rejects malformed limits', () => {
+    assert.throws(() => new SafetyEnvelope({ workspace: { type: 'sphere' } }), TypeError);
+    assert.throws(() => new SafetyEnvelope({ keepOut: [{ x: [10, 0] }] }), TypeError);
+  });
+});
+
+describe('uArmSDK safety', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm({
+      safety: {
+        workspace: { type: 'box', x: [100, 300], y: [-150, 150], z: [0, 200] },
+        keepOut: [{ name: 'fixture', x: [180, 220], y: [80, 120], z: [0, 60] }],
+        maxSpeed: 2000,
+      },
+    });
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('rejects moves breaking a limit without sending them', () => {
+    const sent = recordSent(arm.transport);
+    return rejection(arm.uarm.move(200, 100, 30, 1000)).then((error) => {
+      assert.ok(error instanceof SafetyViolationError);
+      assert.strictEqual(error.rule, 'keepOut');
+      assert.strictEqual(error.zone, 'fixture');
+      assert.deepStrictEqual(sent, []);
+    });
+  });
+
+  it('checks raw G-code and clamps its speed', () => {
+    const { uarm, transport } = arm;
+    const sent = recordSent(transport);
+    const send = command => new Promise((resolve, reject) => {
+      uarm.sendGCode(command, error => error ? reject(error) : resolve());
+    });
+    return send('G0 X200 Y0 Z100 F5000')
+      .then(() => rejection(send('G2204 X200 Y0 Z0 F500')))
+      .then((error) => {
+        assert.strictEqual(error.rule, 'workspace');
+        assert.deepStrictEqual(sent, ['G0 X200 Y0 Z100 F2000']);
+      });
+  });
+
+  it('asks where the arm is before a relative move', () => {
+    const { uarm, transport } = arm;
+    const sent = recordSent(transport);
+    return uarm.moveRelative(0, 0, -20).then(() => {
+      assert.deepStrictEqual(sent, ['P2220', 'G2204 X0.0000 Y0.0000 Z-20.0000 F500']);
+    });
+  });
+
+  it('refuses commands after emergencyStop() until reset', () => {
+    const { uarm, device } = arm;
+    const stopped = [];
+    uarm.on('emergencyStop', ({ reason }) => stopped.push(reason));
+    return uarm.getPosition()
+      .then(() => uarm.emergencyStop('test'))
+      .then(() => {
+        assert.deepStrictEqual(stopped, ['test']);
+        assert.strictEqual(device.attached, false);
+        assert.strictEqual(uarm.stopped, true);
+        return rejection(uarm.move(200, 0, 100, 1000));
+      })
+      .then((error) => {
+        assert.ok(error instanceof EmergencyStopError);
+        assert.strictEqual(error.reason, 'test');
+        // Queries still work.
+        return uarm.getPosition();
+      })
+      .then(() => {
+        assert.strictEqual(uarm.resetEmergencyStop(), true);
+        return uarm.attachServos();
+      })
+      .then(() => uarm.move(200, 0, 100, 1000));
+  });
+});
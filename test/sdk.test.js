@@ -0,0 +1,428 @@
+const assert = require('assert');
+const {
+  OutOfRangeError,
+  OutOfReachError,
+  CommandTimeoutError,
+  CommandAbortedError,
+  DisconnectedError,
+  firmwareError,
+  ParameterError,
+} = require('../src/uarm/exceptions');
+const Logger = require('../src/log/logger');
+const SimulatedCommunication = require('../src/comm/simulated-comm');
+const { createArm, recordSent, delay, once, rejection } = require('./helpers');
+
+const numbers = ({ x, y, z }) => ({ x: Number(x), y: Number(y), z: Number(z) });
+
+describe('uArmSDK', () => {
+  let arm;
+
+  afterEach(() => {
+    if (arm) {
+      arm.uarm.close();
+      arm = null;
+    }
+  });
+
+  describe('with a simulated uArm', () => {
+    beforeEach(() => {
+      arm = createArm();
+    });
+
+    it('holds commands until the uArm is ready', () => {
+      assert.strictEqual(arm.uarm.connectionState, 'connecting');
+      return arm.uarm.getPosition().then((position) => {
+        assert.strictEqual(arm.uarm.connectionState, 'connected');
+        assert.deepStrictEqual(numbers(position), { x: 200, y: 0, z: 150 });
+      });
+    });
+
+    it('still offers the transport as serialPort', () => {
+      assert.strictEqual(arm.uarm.serialPort, arm.transport);
+    });
+
+    it('moves and reports where it is', () => {
+      const { uarm } = arm;
+      return uarm.move(150, 50, 100, 1000)
+        .then(() => uarm.getPosition())
+        .then(position => assert.deepStrictEqual(numbers(position), { x: 150, y: 50, z: 100 }))
+        .then(() => uarm.moveRelative(10, 0, -20))
+        .then(() => uarm.getPosition())
+        .then(position => assert.deepStrictEqual(numbers(position), { x: 160, y: 50, z: 80 }))
+        .then(() => uarm.movePolar(200, 90, 120))
+        .then(() => uarm.getPosition())
+        .then((position) => {
+          const { x, y, z } = numbers(position);
+          assert.ok(Math.abs(x - 200) < 0.01 && Math.abs(y) < 0.01 && z === 120);
+        });
+    });
+
+    it('answers status queries', () => {
+      const { uarm } = arm;
+      return Promise.all([
+        uarm.getJointsAngle(),
+        uarm.getPumpStatus(),
+        uarm.getGripperStatus(),
+        uarm.getCurrentMode(),
+        uarm.getUid(),
+      ]).then(([joints, pump, gripper, mode, uid]) => {
+        assert.ok(Number(joints.B) > 89 && Number(joints.B) < 91);
+        assert.strictEqual(pump, false);
+        assert.strictEqual(gripper, false);
+        assert.strictEqual(mode, '0');
+        assert.strictEqual(uid, 'ok VSIMULATED0001');
+      });
+    });
+
+    it('rejects unreachable targets with an OutOfRangeError', () => {
+      return rejection(arm.uarm.move(400, 0, 0)).then((error) => {
+        assert.ok(error instanceof OutOfRangeError);
+        assert.strictEqual(error.code, 'ADDRESS_OUT_OF_RANGE');
+        assert.strictEqual(error.firmwareCode, 22);
+        assert.strictEqual(error.command, 'G0 X400.0000 Y0.0000 Z0.0000 F500');
+      });
+    });
+
+    it('checks reach before sending with validate', () => {
+      const sent = recordSent(arm.transport);
+      return rejection(arm.uarm.move(60, 0, 150, 1000, { validate: true })).then((error) => {
+        assert.ok(error instanceof OutOfReachError);
+        assert.strictEqual(error.joint, 'L');
+        assert.deepStrictEqual(sent, []);
+      });
+    });
+
+    it('emits typed events for ticking reports', () => {
+      const { uarm, device } = arm;
+      const button = once(uarm, 'button');
+      const report = once(uarm, 'report');
+      return uarm.getPosition()
+        .then(() => {
+          device.pressButton(1, 2);
+          return Promise.all([button, report]);
+        })
+        .then(([pressed, reported]) => {
+          assert.deepStrictEqual(pressed, { key: 1, state: 2 });
+          assert.deepStrictEqual(reported, { code: 4, data: 'B1 V2' });
+          const position = once(uarm, 'position');
+          return uarm.setPositionReporting(10).then(() => position);
+        })
+        .then((position) => {
+          assert.deepStrictEqual(position, { x: 200, y: 0, z: 150, wrist: 90 });
+          return uarm.setPositionReporting(0);
+        });
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    beforeEach(() => {
+      arm = createArm({ device: { latency: 30 } });
+    });
+
+    it('rejects with a CommandTimeoutError and forgets the command', () => {
+      const { uarm } = arm;
+      return uarm.getPosition()
+        .then(() => rejection(uarm.getPosition(undefined, { timeout: 5 })))
+        .then((error) => {
+          assert.ok(error instanceof CommandTimeoutError);
+          assert.strictEqual(error.timeout, 5);
+          assert.deepStrictEqual(uarm.waitingResponses, {});
+          assert.strictEqual(uarm.inFlight, 0);
+          // The late answer is dropped.
+          return delay(50);
+        })
+        .then(() => uarm.getPosition());
+    });
+
+    it('rejects with a CommandAbortedError when aborted', () => {
+      const { uarm } = arm;
+      const controller = new AbortController();
+      const moving = rejection(uarm.move(200, 0, 100, 1000, { signal: controller.signal }));
+      controller.abort();
+      return moving.then((error) => {
+        assert.ok(error instanceof CommandAbortedError);
+        assert.deepStrictEqual(uarm.waitingResponses, {});
+      });
+    });
+
+    it('rejects right away with an aborted signal', () => {
+      const sent = recordSent(arm.transport);
+      const controller = new AbortController();
+      controller.abort();
+      return rejection(arm.uarm.getPosition(undefined, { signal: controller.signal })).then((error) => {
+        assert.ok(error instanceof CommandAbortedError);
+        assert.deepStrictEqual(sent, []);
+      });
+    });
+  });
+
+  describe('send queue', () => {
+    it(`writes at most maxInFlight commands at a time and emits 'drain'`, () => {
+      arm = createArm({ maxInFlight: 2, device: { latency: 2 } });
+      const { uarm, transport } = arm;
+      let most = 0;
+      const send = transport.send.bind(transport);
+      transport.send = (line) => {
+        most = Math.max(most, uarm.inFlight);
+        send(line);
+      };
+      const drained = once(uarm, 'drain');
+      const commands = [];
+      for (let i = 0; i < 10; i++) {
+        commands.push(uarm.move(200, i * 5, 100, 1000));
+      }
+      assert.strictEqual(uarm.queueDepth, 10);
+      return Promise.all(commands.concat([drained])).then(() => {
+        assert.strictEqual(most, 2);
+        assert.strictEqual(uarm.queueDepth, 0);
+      });
+    });
+
+    [20, 40].forEach((count) => {
+      it(`resends ${count} moves answered with E23 in order`, () => {
+        arm = createArm({ retryDelay: 1, device: { bufferSize: 2, latency: 1, timeScale: 0.001 } });
+        const { uarm, device } = arm;
+        const accepted = [];
+        const moveTo = device.moveTo.bind(device);
+        device.moveTo = (target, speed) => {
+          accepted.push(target.y);
+          return moveTo(target, speed);
+        };
+        let rejected = 0;
+        device.on('data', (line) => {
+          if (/E23$/.test(line)) {
+            rejected++;
+          }
+        });
+        const moves = [];
+        for (let i = 1; i <= count; i++) {
+          moves.push(uarm.move(200, i, 100, 1000));
+        }
+        return Promise.all(moves).then(() => {
+          assert.ok(rejected > 0);
+          assert.deepStrictEqual(accepted, moves.map((move, index) => index + 1));
+          assert.strictEqual(uarm.inFlight, 0);
+        });
+      });
+    });
+
+    it('keeps resending while the uArm is full, backing off', () => {
+      arm = createArm({ retryDelay: 1, maxRetryDelay: 4, device: { bufferSize: 1, timeScale: 0.04 } });
+      const { uarm, device } = arm;
+      let rejected = 0;
+      device.on('data', (line) => {
+        if (/E23$/.test(line)) {
+          rejected++;
+        }
+      });
+      // The first move takes 120 ms, the uArm has no room until it is done.
+      return Promise.all([uarm.move(200, 0, 100, 1000), uarm.move(200, 10, 100, 1000)]).then(() => {
+        assert.ok(rejected > 10, `only ${rejected} E23s`);
+        assert.deepStrictEqual(device.target, { x: 200, y: 10, z: 100 });
+      });
+    });
+
+    it('drops commands not yet written on clearQueue()', () => {
+      arm = createArm({ maxInFlight: 1, device: { latency: 5 } });
+      const { uarm } = arm;
+      return uarm.getPosition()
+        .then(() => {
+          const first = uarm.move(200, 0, 100, 1000);
+          const rest = [1, 2, 3].map(i => rejection(uarm.move(200, i * 10, 100, 1000)));
+          assert.strictEqual(uarm.clearQueue(), 3);
+          return Promise.all([first].concat(rest));
+        })
+        .then(([, ...errors]) => {
+          errors.forEach(error => assert.ok(error instanceof CommandAbortedError));
+        });
+    });
+  });
+
+  describe('waiting for moves', () => {
+    beforeEach(() => {
+      arm = createArm({ device: { timeScale: 0.01 } });
+    });
+
+    it('resolves a move with waitForCompletion once the arm has stopped', () => {
+      const { uarm, device } = arm;
+      return uarm.move(200, 0, 100, 1000, { waitForCompletion: true }).then(() => {
+        assert.strictEqual(device.motions.length, 0);
+        assert.deepStrictEqual(device.position, { x: 200, y: 0, z: 100 });
+      });
+    });
+
+    it('waits until queued moves are done', () => {
+      const { uarm, device } = arm;
+      uarm.moveRelative(0, 0, -20);
+      uarm.moveRelative(0, 20, 0);
+      return uarm.waitUntilStopped({ pollInterval: 5 })
+        .then(() => uarm.isMoving())
+        .then((moving) => {
+          assert.strictEqual(moving, false);
+          assert.deepStrictEqual(device.position, { x: 200, y: 20, z: 130 });
+        });
+    });
+  });
+
+  describe('inputs and outputs', () => {
+    beforeEach(() => {
+      arm = createArm();
+    });
+
+    it('reads and writes pins of the extension port', () => {
+      const { uarm, device } = arm;
+      device.setDigitalInput(7, true);
+      device.setAnalogInput(2, 512);
+      return Promise.all([uarm.getDigitalValue(7), uarm.getDigitalValue(8), uarm.getAnalogValue(2)])
+        .then((values) => {
+          assert.deepStrictEqual(values, [true, false, 512]);
+          return uarm.setDigitalValue(4, true);
+        })
+        .then(() => assert.strictEqual(device.digitalPins[4], 1));
+    });
+
+    it('rejects pins that are not pin numbers', () => {
+      return rejection(arm.uarm.getDigitalValue(-1)).then((error) => {
+        assert.ok(error instanceof TypeError);
+      });
+    });
+
+    it('reads the limit switch and the power supply', () => {
+      const { uarm, device } = arm;
+      device.setLimitSwitch(true);
+      device.setPowerSupply(false);
+      return Promise.all([uarm.getLimitSwitchStatus(), uarm.getPowerStatus()]).then((values) => {
+        assert.deepStrictEqual(values, [true, false]);
+      });
+    });
+
+    it('waits for a digital input', () => {
+      const { uarm, device } = arm;
+      setTimeout(() => device.setDigitalInput(7, true), 20);
+      return uarm.waitForInput(7, true, 1000, { pollInterval: 5 }).then((reading) => {
+        assert.strictEqual(reading, true);
+      });
+    });
+
+    it('waits for an analog input to reach a level', () => {
+      const { uarm, device } = arm;
+      device.setAnalogInput(2, 100);
+      setTimeout(() => device.setAnalogInput(2, 400), 10);
+      setTimeout(() => device.setAnalogInput(2, 700), 20);
+      return uarm.waitForInput(2, 600, 1000, { analog: true, pollInterval: 5 }).then((reading) => {
+        assert.strictEqual(reading, 700);
+      });
+    });
+
+    it('waits for an analog input to drop to a level with below', () => {
+      const { uarm, device } = arm;
+      device.setAnalogInput(2, 900);
+      setTimeout(() => device.setAnalogInput(2, 250), 10);
+      return uarm.waitForInput(2, 300, 1000, { analog: true, below: true, pollInterval: 5 }).then((reading) => {
+        assert.strictEqual(reading, 250);
+      });
+    });
+
+    it('rejects analog levels that are not numbers', () => {
+      return rejection(arm.uarm.waitForInput(2, true, 0, { analog: true })).then((error) => {
+        assert.ok(error instanceof TypeError);
+      });
+    });
+
+    it('times out waiting for an input', () => {
+      return rejection(arm.uarm.waitForInput(7, true, 20, { pollInterval: 5 })).then((error) => {
+        assert.ok(error instanceof CommandTimeoutError);
+      });
+    });
+  });
+
+  describe('disconnects', () => {
+    it('rejects waiting commands and reconnects with autoReconnect', () => {
+      arm = createArm({ autoReconnect: true, reconnectDelay: 5, device: { latency: 20 } });
+      const { uarm, transport } = arm;
+      const events = [];
+      ['disconnected', 'reconnecting', 'reconnected'].forEach((event) => {
+        uarm.on(event, () => events.push(event));
+      });
+      return uarm.getUid()
+        .then(() => {
+          const waiting = rejection(uarm.getPosition());
+          transport.disconnect();
+          return waiting;
+        })
+        .then((error) => {
+          assert.ok(error instanceof DisconnectedError);
+          assert.strictEqual(uarm.connectionState, 'reconnecting');
+          // Held until reconnected.
+          return Promise.all([uarm.getPosition(), once(uarm, 'reconnected')]);
+        })
+        .then(([position]) => {
+          assert.deepStrictEqual(numbers(position), { x: 200, y: 0, z: 150 });
+          assert.deepStrictEqual(events, ['disconnected', 'reconnecting', 'reconnected']);
+          assert.strictEqual(uarm.connectionState, 'connected');
+        });
+    });
+
+    it('rejects commands right away once disconnected without autoReconnect', () => {
+      arm = createArm();
+      const { uarm, transport } = arm;
+      return uarm.getPosition()
+        .then(() => {
+          const disconnected = once(uarm, 'disconnected');
+          transport.disconnect();
+          return disconnected;
+        })
+        .then(({ expected }) => {
+          assert.strictEqual(expected, false);
+          return rejection(uarm.getPosition());
+        })
+        .then((error) => {
+          assert.ok(error instanceof DisconnectedError);
+          assert.ok(/was not sent/.test(error.message));
+        });
+    });
+  });
+
+  describe('logging', () => {
+    it('logs the ready code and device info at debug level', () => {
+      const lines = [];
+      const output = { debug: message => lines.push(['debug', message]), info: message => lines.push(['info', message]) };
+      arm = createArm({ logger: new Logger({ level: 'debug', output }) });
+      return arm.uarm.getPosition().then(() => {
+        assert.ok(lines.some(line => line[1] === 'UArm is ready.'));
+        assert.ok(lines.some(line => line[1].startsWith('Device info: ')));
+        assert.deepStrictEqual(lines.filter(line => line[0] !== 'debug'), []);
+      });
+    });
+
+    it('warns about lines sent while not connected', () => {
+      const warnings = [];
+      const logger = new Logger({ output: { warn: message => warnings.push(message) } });
+      const transport = new SimulatedCommunication({ autoOpen: false, logger });
+      transport.send('#1 P2205');
+      assert.deepStrictEqual(warnings, ['Not connected, "#1 P2205" was not sent.']);
+    });
+  });
+
+  describe('errors', () => {
+    it('gives the FirmwareError subclass of a firmware code', () => {
+      const error = firmwareError(21, { command: 'G0 X1', messageId: 3 });
+      assert.ok(error instanceof ParameterError);
+      assert.strictEqual(error.code, 'PARAMETER');
+      assert.strictEqual(error.message, '"G0 X1" (message id 3) failed with E21: Parameter error.');
+    });
+
+    it('logs responses it cannot place instead of throwing', () => {
+      const warnings = [];
+      arm = createArm({ logger: new Logger({ level: 'warn', output: { warn: message => warnings.push(message) } }) });
+      return arm.uarm.getPosition().then(() => {
+        arm.transport.handleLine('$999 ok');
+        arm.transport.handleLine('refer: 1');
+        assert.deepStrictEqual(warnings, [
+          'Got a response for an unknown message id: $999 ok',
+          'Got a message of unknown type refer:: refer: 1',
+        ]);
+      });
+    });
+  });
+});
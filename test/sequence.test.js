@@ -0,0 +1,93 @@
+const assert = require('assert');
+const Sequence = require('../src/program/sequence');
+const { CommandAbortedError } = require('../src/uarm/exceptions');
+const { createArm, recordSent, rejection } = require('./helpers');
+
+describe('Sequence', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  const build = uarm => uarm.sequence({ speed: 3000, start: { x: 200, y: 0, z: 150 } })
+    .move(200, 0, 50)
+    .pump(true)
+    .repeat(2, steps => steps.moveRelative(0, 20, 0).buzz(2000, 100))
+    .wrist(45)
+    .gripper(true, 0)
+    .pump(false);
+
+  it('turns into G-code, repeats unrolled', () => {
+    assert.strictEqual(build(arm.uarm).toGCode(), [
+      'G0 X200.0000 Y0.0000 Z50.0000 F3000',
+      'M2231 V1',
+      'G2204 X0.0000 Y20.0000 Z0.0000 F3000',
+      'M2210 F2000 T100',
+      'G2204 X0.0000 Y20.0000 Z0.0000 F3000',
+      'M2210 F2000 T100',
+      'G2202 N3 V45',
+      'M2232 V1',
+      'M2231 V0',
+    ].join('\n'));
+  });
+
+  it('sends the lines of toGCode() when run', () => {
+    const sequence = build(arm.uarm);
+    const sent = recordSent(arm.transport);
+    const progress = [];
+    sequence.on('progress', ({ index, total }) => progress.push(`${index + 1}/${total}`));
+    return sequence.run().then(() => {
+      // M2200 asks whether the arm has stopped.
+      assert.strictEqual(sent.filter(line => line !== 'M2200').join('\n'), sequence.toGCode());
+      assert.strictEqual(progress.length, 9);
+      assert.strictEqual(progress[8], '9/9');
+      assert.deepStrictEqual(arm.device.position, { x: 200, y: 40, z: 50 });
+    });
+  });
+
+  it('leaves delays to the uArm', () => {
+    const sequence = arm.uarm.sequence().move(200, 0, 50).delay(250).pump(true);
+    const sent = recordSent(arm.transport);
+    return sequence.run().then(() => {
+      assert.strictEqual(sent.filter(line => line !== 'M2200').join('\n'), sequence.toGCode());
+      assert.strictEqual(sent.filter(line => line === 'G2004 P250').length, 1);
+    });
+  });
+
+  it('estimates length and duration', () => {
+    const { length, duration, steps } = build(arm.uarm).estimate();
+    assert.strictEqual(length, 140);
+    assert.strictEqual(duration, 140 / 3000 * 60000);
+    assert.strictEqual(steps, 9);
+  });
+
+  it('does not count the first move from an unknown position', () => {
+    const sequence = arm.uarm.sequence().move(200, 0, 50, 600).moveRelative(0, 0, 10, 600).delay(250);
+    assert.deepStrictEqual(sequence.estimate(), { length: 10, duration: 1250, steps: 3 });
+  });
+
+  it('round-trips through JSON', () => {
+    const sequence = build(arm.uarm);
+    const copy = Sequence.fromJSON(arm.uarm, JSON.parse(JSON.stringify(sequence)));
+    assert.strictEqual(copy.toGCode(), sequence.toGCode());
+    assert.deepStrictEqual(copy.estimate(), sequence.estimate());
+  });
+
+  it('rejects steps that are not numbers', () => {
+    assert.throws(() => arm.uarm.sequence().move(200, 'a', 50), TypeError);
+    assert.throws(() => arm.uarm.sequence().repeat(1.5, () => {}), TypeError);
+  });
+
+  it('stops when aborted', () => {
+    const controller = new AbortController();
+    const sequence = build(arm.uarm);
+    sequence.once('progress', () => controller.abort());
+    return rejection(sequence.run({ signal: controller.signal })).then((error) => {
+      assert.ok(error instanceof CommandAbortedError);
+      assert.strictEqual(arm.device.pump, false);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const TeachMode = require('../src/program/teach-mode');
+const { CommandAbortedError } = require('../src/uarm/exceptions');
+const { createArm, delay, rejection } = require('./helpers');
+
+describe('TeachMode', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('samples on button presses with the servos detached', () => {
+    const teach = new TeachMode(arm.uarm, { trigger: 'button', button: 0 });
+    return teach.start()
+      .then(() => {
+        assert.strictEqual(arm.device.attached, false);
+        assert.strictEqual(arm.device.buttonFunction, false);
+        arm.device.position = { x: 180, y: 40, z: 60 };
+        arm.device.pump = true;
+        arm.device.pressButton(0);
+        arm.device.pressButton(1);
+        return delay(20);
+      })
+      .then(() => teach.stop())
+      .then((recording) => {
+        assert.strictEqual(arm.device.attached, true);
+        assert.strictEqual(arm.device.buttonFunction, true);
+        assert.strictEqual(recording.trigger, 'button');
+        assert.strictEqual(recording.samples.length, 2);
+        assert.deepStrictEqual(recording.samples[1].position, { x: 180, y: 40, z: 60 });
+        assert.strictEqual(recording.samples[1].pump, true);
+      });
+  });
+
+  it('plays a recording back', () => {
+    const teach = new TeachMode(arm.uarm);
+    const sample = (x, pump, time) => ({ time, position: { x, y: 0, z: 100 }, pump, gripper: false });
+    const recording = { version: 1, trigger: 'interval', interval: 10, samples: [sample(200, false, 0), sample(210, true, 10), sample(220, true, 20)] };
+    return teach.playback(recording).then(() => {
+      assert.deepStrictEqual(arm.device.position, { x: 220, y: 0, z: 100 });
+      assert.strictEqual(arm.device.pump, true);
+    });
+  });
+
+  it('stops waiting between samples when aborted', () => {
+    const teach = new TeachMode(arm.uarm);
+    const sample = (x, time) => ({ time, position: { x, y: 0, z: 100 }, pump: false, gripper: false });
+    const recording = { version: 1, trigger: 'interval', interval: 10, samples: [sample(200, 0), sample(210, 10), sample(220, 60000)] };
+    const controller = new AbortController();
+    let abortedAt;
+    // Abort during the minute between the last two samples.
+    const watch = setInterval(() => {
+      if (arm.device.position.x === 220) {
+        clearInterval(watch);
+        abortedAt = Date.now();
+        controller.abort();
+      }
+    }, 5);
+    return rejection(teach.playback(recording, { signal: controller.signal })).then((error) => {
+      assert.ok(error instanceof CommandAbortedError);
+      assert.ok(Date.now() - abortedAt < 100);
+    });
+  });
+
+  it('rejects unknown triggers', () => {
+    assert.throws(() => new TeachMode(arm.uarm, { trigger: 'voice' }), TypeError);
+  });
+});
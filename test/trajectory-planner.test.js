@@ -0,0 +1,92 @@
+const assert = require('assert');
+const TrajectoryPlanner = require('../src/motion/trajectory-planner');
+const { UArmError, OutOfRangeError, CommandAbortedError } = require('../src/uarm/exceptions');
+const { createArm, recordSent, rejection } = require('./helpers');
+
+describe('TrajectoryPlanner', () => {
+  let arm;
+
+  beforeEach(() => {
+    arm = createArm();
+  });
+
+  afterEach(() => arm.uarm.close());
+
+  it('splits lines into moves of at most resolution mm', () => {
+    const planner = new TrajectoryPlanner(arm.uarm, { resolution: 2, speed: 1200 })
+      .moveTo({ x: 200, y: 0, z: 50 })
+      .lineTo({ x: 200, y: 9, z: 50 });
+    const moves = planner.moves();
+    assert.strictEqual(moves.length, 6);
+    assert.deepStrictEqual(moves[5], { speed: 1200, x: 200, y: 9, z: 50 });
+    assert.deepStrictEqual(planner.estimate(), { length: 9, duration: 450, moves: 6 });
+  });
+
+  it('follows arcs around their center', () => {
+    const planner = new TrajectoryPlanner(arm.uarm, { resolution: 1 })
+      .moveTo({ x: 250, y: 0, z: 50 })
+      .arcTo({ x: 200, y: 50, z: 50 }, { center: { x: 200, y: 0 } });
+    planner.moves().slice(1).forEach(({ x, y }) => {
+      assert.ok(Math.abs(Math.hypot(x - 200, y) - 50) < 1e-9);
+    });
+    assert.ok(Math.abs(planner.estimate().length - Math.PI * 25) < 0.1);
+  });
+
+  it('rounds path corners off within the blend radius', () => {
+    const corner = { x: 250, y: 0, z: 50 };
+    const planner = new TrajectoryPlanner(arm.uarm, { resolution: 1, blendRadius: 5 })
+      .moveTo({ x: 200, y: 0, z: 50 })
+      .path([corner, { x: 250, y: 50, z: 50 }]);
+    const moves = planner.moves();
+    assert.ok(!moves.some(({ x, y }) => x === corner.x && y === corner.y));
+    assert.deepStrictEqual(moves[moves.length - 1], { speed: 500, x: 250, y: 50, z: 50 });
+  });
+
+  it('needs a start point', () => {
+    assert.throws(() => new TrajectoryPlanner(arm.uarm).lineTo({ x: 200, y: 0, z: 0 }), (error) => {
+      return error instanceof UArmError && error.code === 'NO_START_POINT' && /call moveTo\(\) first/.test(error.message);
+    });
+  });
+
+  it('streams the moves and waits for the arm', () => {
+    const planner = new TrajectoryPlanner(arm.uarm, { resolution: 5 })
+      .moveTo({ x: 200, y: 0, z: 50 })
+      .lineTo({ x: 220, y: 0, z: 50 });
+    let progress = 0;
+    planner.on('progress', () => progress++);
+    return planner.run().then(() => {
+      assert.strictEqual(progress, 5);
+      assert.deepStrictEqual(arm.device.position, { x: 220, y: 0, z: 50 });
+    });
+  });
+
+  it('drops the moves not yet sent when one fails', () => {
+    arm = createArm({ maxInFlight: 1 });
+    const sent = recordSent(arm.transport);
+    const planner = new TrajectoryPlanner(arm.uarm, { resolution: 100 })
+      .moveTo({ x: 200, y: 0, z: 50 })
+      .path([{ x: 400, y: 0, z: 50 }, { x: 200, y: 50, z: 50 }, { x: 200, y: 100, z: 50 }]);
+    return rejection(planner.run()).then((error) => {
+      assert.ok(error instanceof OutOfRangeError);
+      // The move after the failing one may already be on its way.
+      assert.ok(sent.length <= 4, sent.join());
+      assert.strictEqual(arm.uarm.queueDepth, 0);
+      assert.notDeepStrictEqual(arm.device.target, { x: 200, y: 100, z: 50 });
+    });
+  });
+
+  it('drops the moves not yet sent when aborted', () => {
+    arm = createArm({ maxInFlight: 1 });
+    const sent = recordSent(arm.transport);
+    const controller = new AbortController();
+    const planner = new TrajectoryPlanner(arm.uarm, { resolution: 5 })
+      .moveTo({ x: 200, y: 0, z: 50 })
+      .lineTo({ x: 200, y: 50, z: 50 });
+    planner.once('progress', () => controller.abort());
+    return rejection(planner.run({ signal: controller.signal })).then((error) => {
+      assert.ok(error instanceof CommandAbortedError);
+      assert.ok(sent.length < 3, sent.join());
+      assert.strictEqual(arm.uarm.queueDepth, 0);
+    });
+  });
+});
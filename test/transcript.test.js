@@ -0,0 +1,55 @@
+const assert = require('assert');
+const uArmSDK = require('../src/uarm/sdk');
+const ReplayCommunication = require('../src/comm/replay-comm');
+const { TranscriptRecorder, parseTranscript } = require('../src/log/transcript');
+const { createArm, silentLogger, delay } = require('./helpers');
+
+describe('Transcripts', () => {
+  it('record a session that replays without the arm', () => {
+    let text = '';
+    const stream = { write: (chunk) => { text += chunk; } };
+    const { uarm } = createArm({ transcript: new TranscriptRecorder(stream) });
+    let replayed;
+    return uarm.move(200, 0, 100)
+      .then(() => uarm.getPosition())
+      .then(() => uarm.close())
+      .then(() => {
+        const transcript = parseTranscript(text);
+        assert.deepStrictEqual(transcript.map(entry => entry.direction).slice(-1), ['closed']);
+        const transport = new ReplayCommunication({ transcript, logger: silentLogger });
+        const mismatches = [];
+        transport.events.on('mismatch', mismatch => mismatches.push(mismatch));
+        replayed = new uArmSDK({ transport, logger: silentLogger });
+        return replayed.open()
+          .then(() => replayed.move(200, 0, 100))
+          .then(() => replayed.getPosition())
+          .then((position) => {
+            assert.deepStrictEqual(position, { x: '200.00', y: '0.00', z: '100.00' });
+            assert.deepStrictEqual(mismatches, []);
+          });
+      })
+      .then(() => replayed.close());
+  });
+
+  it('report lines that were not recorded', () => {
+    const transcript = parseTranscript('{"time":0,"direction":"received","line":"@5 V1"}\n');
+    const transport = new ReplayCommunication({ transcript, logger: silentLogger });
+    const uarm = new uArmSDK({ transport, logger: silentLogger });
+    const mismatches = [];
+    transport.events.on('mismatch', mismatch => mismatches.push(mismatch));
+    return uarm.open()
+      .then(() => {
+        uarm.setPump(true, { timeout: 20 }).catch(() => {});
+        return delay(30);
+      })
+      .then(() => {
+        assert.strictEqual(mismatches.length, 1);
+        assert.strictEqual(mismatches[0].expected, null);
+        return uarm.close();
+      });
+  });
+
+  it('reject lines that are not entries', () => {
+    assert.throws(() => parseTranscript('{"direction":"sideways"}'), /line 1 is not an entry/);
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { WebSocketConnection } = require('../src/server/websocket');
+
+// Stands in for the socket of a connection, keeping what is written to it.
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.written = [];
+    this.destroyed = false;
+    this.ended = false;
+  }
+
+  write(data) {
+    this.written.push(data);
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+}
+
+// A frame as a client sends it.
+function clientFrame(opcode, text, { final = true, mask = [0x12, 0x34, 0x56, 0x78] } = {}) {
+  const payload = Buffer.from(text, 'utf8');
+  const header = [(final ? 0x80 : 0) | opcode];
+  if (payload.length < 126) {
+    header.push((mask ? 0x80 : 0) | payload.length);
+  } else {
+    header.push((mask ? 0x80 : 0) | 126, payload.length >> 8, payload.length & 0xFF);
+  }
+  if (!mask) {
+    return Buffer.concat([Buffer.from(header), payload]);
+  }
+  const masked = payload.map((byte, index) => byte ^ mask[index % 4]);
+  return Buffer.concat([Buffer.from(header), Buffer.from(mask), masked]);
+}
+
+describe('WebSocketConnection', () => {
+  let socket;
+  let connection;
+  let messages;
+
+  beforeEach(() => {
+    socket = new FakeSocket();
+    connection = new WebSocketConnection(socket);
+    messages = [];
+    connection.on('message', message => messages.push(message));
+  });
+
+  it('unmasks client frames', () => {
+    socket.emit('data', clientFrame(0x1, '{"hello":"arm"}'));
+    const long = 'x'.repeat(300);
+    socket.emit('data', clientFrame(0x1, long, { mask: [0xFF, 0x00, 0xA5, 0x5A] }));
+    assert.deepStrictEqual(messages, ['{"hello":"arm"}', long]);
+  });
+
+  it('waits for frames split across reads', () => {
+    const frame = clientFrame(0x1, 'split');
+    socket.emit('data', frame.slice(0, 1));
+    socket.emit('data', frame.slice(1, 4));
+    assert.deepStrictEqual(messages, []);
+    socket.emit('data', Buffer.concat([frame.slice(4), clientFrame(0x1, 'next')]));
+    assert.deepStrictEqual(messages, ['split', 'next']);
+  });
+
+  it('puts fragmented messages back together', () => {
+    socket.emit('data', clientFrame(0x1, 'frag', { final: false }));
+    // Control frames may come between the fragments.
+    socket.emit('data', clientFrame(0x9, 'ping'));
+    socket.emit('data', clientFrame(0x0, 'men', { final: false }));
+    assert.deepStrictEqual(messages, []);
+    socket.emit('data', clientFrame(0x0, 'ted'));
+    assert.deepStrictEqual(messages, ['fragmented']);
+    assert.deepStrictEqual(socket.written[0], Buffer.from([0x8A, 4, ...Buffer.from('ping')]));
+  });
+
+  it('ignores binary messages', () => {
+    socket.emit('data', clientFrame(0x2, 'bin', { final: false }));
+    socket.emit('data', clientFrame(0x0, 'ary'));
+    socket.emit('data', clientFrame(0x1, 'text'));
+    assert.deepStrictEqual(messages, ['text']);
+  });
+
+  it('closes on unmasked frames', () => {
+    let closed = false;
+    connection.on('close', () => {
+      closed = true;
+    });
+    socket.emit('data', clientFrame(0x1, 'plain', { mask: null }));
+    assert.deepStrictEqual(messages, []);
+    assert.strictEqual(closed, true);
+    assert.strictEqual(socket.ended, true);
+  });
+
+  it('answers a close frame and stops sending', () => {
+    let closed = 0;
+    connection.on('close', () => closed++);
+    socket.emit('data', clientFrame(0x8, ''));
+    assert.deepStrictEqual(socket.written, [Buffer.from([0x88, 0])]);
+    assert.strictEqual(socket.ended, true);
+    connection.send('too late');
+    socket.emit('close');
+    assert.strictEqual(socket.written.length, 1);
+    assert.strictEqual(closed, 1);
+  });
+
+  it('frames text it sends by length', () => {
+    connection.send('hi');
+    connection.send('y'.repeat(200));
+    assert.deepStrictEqual(socket.written[0], Buffer.from([0x81, 2, 0x68, 0x69]));
+    assert.deepStrictEqual(socket.written[1].slice(0, 4), Buffer.from([0x81, 126, 0, 200]));
+  });
+});